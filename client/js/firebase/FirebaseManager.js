@@ -21,7 +21,6 @@
  * ║  WHAT FIREBASE IS USED FOR:                                                   ║
  * ║  ✓ Anonymous authentication (identify players across sessions)                 ║
  * ║  ✓ Player profile storage (name, preferences - infrequent updates)            ║
- * ║  ✓ Room/lobby metadata (room listings, player counts)                          ║
  * ║  ✓ Global world state (normal/upsideDown - changes rarely)                     ║
  * ║  ✓ Optional text chat (low-frequency messages)                                 ║
  * ╚═══════════════════════════════════════════════════════════════════════════════╝
@@ -39,7 +38,6 @@ import {
   getFirestore,
   doc,
   getDoc,
-  getDocs,
   setDoc,
   updateDoc,
   onSnapshot,
@@ -233,49 +231,6 @@ export class FirebaseManager {
   // ROOM/LOBBY OPERATIONS
   // ═══════════════════════════════════════════════════════════════════════════
 
-  /**
-   * Get available rooms from Firestore
-   * @returns {Promise<Array>} List of available rooms
-   */
-  async getAvailableRooms() {
-    const roomsRef = collection(this.db, "rooms");
-    const snapshot = await getDocs(roomsRef);
-    const rooms = [];
-
-    snapshot.forEach((doc) => {
-      const data = doc.data();
-      // Only show rooms that aren't full
-      if (data.playerCount < data.maxPlayers) {
-        rooms.push({
-          id: doc.id,
-          ...data,
-        });
-      }
-    });
-
-    return rooms;
-  }
-
-  /**
-   * Create a new room in Firestore
-   * @param {string} roomId - Unique room ID
-   * @param {string} roomName - Display name for the room
-   * @param {number} maxPlayers - Maximum players allowed
-   */
-  async createRoom(roomId, roomName, maxPlayers = 8) {
-    const roomRef = doc(this.db, "rooms", roomId);
-
-    await setDoc(roomRef, {
-      name: roomName,
-      maxPlayers: maxPlayers,
-      playerCount: 0,
-      createdAt: serverTimestamp(),
-      createdBy: this.uid,
-    });
-
-    console.log("[Firebase] Room created:", roomId);
-  }
-
   /**
    * Join a room - increment player count
    * @param {string} roomId - Room ID to join
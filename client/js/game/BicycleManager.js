@@ -0,0 +1,268 @@
+/**
+ * BicycleManager Class
+ * Shows the shared bicycles in our world state - parked where the server
+ * says, or under whoever is riding them - and marks riders so their
+ * Player pedals
+ *
+ * The server owns bicycles: it sends the ones in our world state when we
+ * join or arrive in a world state, then bicycle:state for every change
+ * (bicycle:removed when one is ridden to the other world state). In
+ * single-player mode the bicycles are parked at the shared spawn points and
+ * changed locally.
+ */
+
+import * as THREE from "three";
+import { bicycleSpawnPoints } from "../shared/WorldLayout.js";
+
+const BICYCLE_HEIGHT = 0.5; // Height of the bicycle group above the ground
+
+/**
+ * Builds a low-poly bicycle (front wheel towards +Z)
+ */
+export function createBicycleMesh() {
+  const bicycle = new THREE.Group();
+
+  // Frame color (red bicycle)
+  const frameMat = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+  const tireMat = new THREE.MeshBasicMaterial({ color: 0x1a1a1a });
+  const seatMat = new THREE.MeshBasicMaterial({ color: 0x3a3a3a });
+
+  // Back wheel
+  const backWheelGeo = new THREE.TorusGeometry(0.35, 0.08, 8, 16);
+  backWheelGeo.rotateY(Math.PI / 2);
+  const backWheel = new THREE.Mesh(backWheelGeo, tireMat);
+  backWheel.position.set(0, 0.35, -0.6);
+  bicycle.add(backWheel);
+
+  // Front wheel
+  const frontWheel = new THREE.Mesh(backWheelGeo, tireMat);
+  frontWheel.position.set(0, 0.35, 0.6);
+  bicycle.add(frontWheel);
+
+  // Frame - main tube (diagonal)
+  const mainTubeGeo = new THREE.CylinderGeometry(0.04, 0.04, 1.2, 8);
+  mainTubeGeo.rotateZ(Math.PI / 4);
+  const mainTube = new THREE.Mesh(mainTubeGeo, frameMat);
+  mainTube.position.set(0, 0.6, -0.2);
+  bicycle.add(mainTube);
+
+  // Seat tube (vertical)
+  const seatTubeGeo = new THREE.CylinderGeometry(0.04, 0.04, 0.6, 8);
+  const seatTube = new THREE.Mesh(seatTubeGeo, frameMat);
+  seatTube.position.set(0, 0.5, -0.6);
+  bicycle.add(seatTube);
+
+  // Down tube (from front to bottom)
+  const downTubeGeo = new THREE.CylinderGeometry(0.04, 0.04, 1.2, 8);
+  downTubeGeo.rotateZ(-Math.PI / 6);
+  const downTube = new THREE.Mesh(downTubeGeo, frameMat);
+  downTube.position.set(0, 0.4, 0.1);
+  bicycle.add(downTube);
+
+  // Handlebars
+  const handlebarGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.5, 8);
+  handlebarGeo.rotateZ(Math.PI / 2);
+  const handlebar = new THREE.Mesh(handlebarGeo, frameMat);
+  handlebar.position.set(0, 0.9, 0.6);
+  bicycle.add(handlebar);
+
+  // Handlebar stem
+  const stemGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.4, 8);
+  const stem = new THREE.Mesh(stemGeo, frameMat);
+  stem.position.set(0, 0.7, 0.6);
+  bicycle.add(stem);
+
+  // Seat
+  const seatGeo = new THREE.BoxGeometry(0.15, 0.08, 0.3);
+  const seat = new THREE.Mesh(seatGeo, seatMat);
+  seat.position.set(0, 0.85, -0.6);
+  bicycle.add(seat);
+
+  // Pedals (simplified)
+  const pedalGeo = new THREE.BoxGeometry(0.12, 0.05, 0.08);
+  const leftPedal = new THREE.Mesh(pedalGeo, frameMat);
+  leftPedal.position.set(-0.15, 0.25, -0.2);
+  bicycle.add(leftPedal);
+
+  const rightPedal = new THREE.Mesh(pedalGeo, frameMat);
+  rightPedal.position.set(0.15, 0.25, -0.2);
+  bicycle.add(rightPedal);
+
+  return bicycle;
+}
+
+export class BicycleManager {
+  constructor() {
+    this.scene = null;
+    this.bicycles = new Map(); // bicycleId -> { state, mesh }
+    this.worldLayout = null; // Which chunks are town (for spawn points)
+    this.parkLocally = false; // Single-player - park at the spawn points
+    this.terrain = null; // Ground heights for parked bicycles
+  }
+
+  /**
+   * Starts showing bicycles in a scene (bicycles known before get meshes)
+   */
+  setScene(scene) {
+    this.scene = scene;
+    this.bicycles.forEach((bicycle) => this.createMesh(bicycle));
+  }
+
+  /**
+   * Replaces every bicycle - on joining, or arriving in another world state
+   * @param {Object[]} states - { id, position, rotation, riderId, locked }
+   */
+  setBicycles(states) {
+    this.bicycles.forEach((_, id) => this.removeBicycle(id));
+    states.forEach((state) => this.updateBicycle(state));
+  }
+
+  /**
+   * Learns the world layout once the town map has loaded
+   */
+  setWorldLayout(layout) {
+    this.worldLayout = layout;
+    if (this.parkLocally) this.spawnParked();
+  }
+
+  /**
+   * Learns the ground heights once the world has loaded - parked bicycles
+   * stand on the ground (their state's y is always 0)
+   * @param {Terrain} terrain - shared/Terrain.js
+   */
+  setTerrain(terrain) {
+    this.terrain = terrain;
+    this.bicycles.forEach(({ state }) => this.updateBicycle(state));
+  }
+
+  /**
+   * Parks a bicycle at every spawn point (single-player mode)
+   * Waits for the world layout if the world hasn't loaded yet
+   */
+  spawnParked() {
+    this.parkLocally = true;
+    if (!this.worldLayout) return;
+
+    this.setBicycles(
+      bicycleSpawnPoints(this.worldLayout).map(({ id, x, z, rotation }) => ({
+        id,
+        position: { x, y: 0, z },
+        rotation,
+        riderId: null,
+        locked: false,
+      })),
+    );
+  }
+
+  /**
+   * Adds a bicycle or applies a change to it
+   */
+  updateBicycle(state) {
+    let bicycle = this.bicycles.get(state.id);
+    if (!bicycle) {
+      bicycle = { state, mesh: null };
+      this.bicycles.set(state.id, bicycle);
+      this.createMesh(bicycle);
+    }
+
+    bicycle.state = state;
+    if (bicycle.mesh && !state.riderId) {
+      const { x, z } = state.position;
+      const ground = this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+      bicycle.mesh.position.set(x, ground + BICYCLE_HEIGHT, z);
+      bicycle.mesh.rotation.y = state.rotation;
+      bicycle.mesh.visible = true;
+    }
+  }
+
+  /**
+   * Removes a bicycle (it was ridden to the other world state)
+   */
+  removeBicycle(bicycleId) {
+    const bicycle = this.bicycles.get(bicycleId);
+    if (!bicycle) return;
+
+    if (bicycle.mesh) {
+      this.scene.remove(bicycle.mesh);
+      bicycle.mesh.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+    this.bicycles.delete(bicycleId);
+  }
+
+  /**
+   * Creates a bicycle's mesh once there is a scene to put it in
+   */
+  createMesh(bicycle) {
+    if (!this.scene || bicycle.mesh) return;
+
+    bicycle.mesh = createBicycleMesh();
+    this.scene.add(bicycle.mesh);
+    this.updateBicycle(bicycle.state);
+  }
+
+  /**
+   * Gets the bicycle a player is riding
+   * @returns {Object|null} Its state
+   */
+  getRiddenBy(playerId) {
+    if (!playerId) return null;
+
+    for (const { state } of this.bicycles.values()) {
+      if (state.riderId === playerId) return state;
+    }
+    return null;
+  }
+
+  /**
+   * Gets the closest parked bicycle within maxDistance of a position
+   * @returns {Object|null} Its state
+   */
+  getNearestParked(position, maxDistance) {
+    let nearest = null;
+    let minDistance = maxDistance;
+
+    this.bicycles.forEach(({ state }) => {
+      if (state.riderId) return;
+
+      const dx = position.x - state.position.x;
+      const dz = position.z - state.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearest = state;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Moves ridden bicycles under their riders and tells every player
+   * whether they are riding (so Player.updateAnimation pedals)
+   * A bicycle whose rider we can't see (out of range) is hidden
+   * @param {Map<string, Player>} players - Local and remote players by ID
+   */
+  update(players) {
+    const riders = new Set();
+
+    this.bicycles.forEach(({ state, mesh }) => {
+      if (!state.riderId) return;
+
+      const rider = players.get(state.riderId);
+      if (rider) riders.add(state.riderId);
+      if (!mesh) return;
+
+      mesh.visible = !!(rider && rider.mesh);
+      if (!mesh.visible) return;
+
+      const position = rider.getPosition();
+      mesh.position.set(position.x, position.y + BICYCLE_HEIGHT, position.z);
+      mesh.rotation.y = rider.getRotation();
+    });
+
+    players.forEach((player, id) => player.setRiding(riders.has(id)));
+  }
+}
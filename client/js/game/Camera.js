@@ -40,10 +40,33 @@ export class Camera {
     // Target (player) reference
     this.target = null;
 
+    // Ground heights, to stay above hills behind the target (set by Game)
+    this.terrain = null;
+
     // Mouse control state
     this.isMouseLocked = false;
   }
 
+  /**
+   * Keeps the camera above the terrain's hills
+   * @param {Terrain} terrain - Ground heights (shared/Terrain.js)
+   */
+  setTerrain(terrain) {
+    this.terrain = terrain;
+  }
+
+  /**
+   * Raises a camera position that would be inside a hillside
+   */
+  keepAboveGround(position) {
+    if (!this.terrain) return;
+
+    const ground =
+      this.terrain.getHeightAt(position.x, position.z) +
+      GAME_CONFIG.CAMERA_GROUND_CLEARANCE;
+    position.y = Math.max(position.y, ground);
+  }
+
   /**
    * Sets the target for the camera to follow
    */
@@ -109,6 +132,7 @@ export class Camera {
 
     // Calculate target camera position
     this.targetPosition.copy(this.calculateCameraPosition(targetPos));
+    this.keepAboveGround(this.targetPosition);
 
     // Smooth interpolation to target position
     this.currentPosition.lerp(this.targetPosition, this.lerpSpeed);
@@ -8,10 +8,19 @@ import * as THREE from "three";
 import { GAME_CONFIG, ANIMATIONS, CHARACTERS } from "../utils/constants.js";
 import { NetworkManager } from "../network/NetworkManager.js";
 import { World } from "../world/World.js";
+import { DoorManager } from "../world/DoorManager.js";
+import { BicycleManager } from "./BicycleManager.js";
 import { Player } from "./Player.js";
 import { Camera } from "./Camera.js";
 import { InputManager } from "./InputManager.js";
-import { GraphicsManager, CinematicCamera } from "../graphics/index.js";
+import { ChatPanel } from "../ui/ChatPanel.js";
+import { LevelEditor } from "../ui/LevelEditor.js";
+import { VoiceChat } from "../network/VoiceChat.js";
+import {
+  GraphicsManager,
+  CinematicCamera,
+  SpectatorCamera,
+} from "../graphics/index.js";
 
 export class Game {
   constructor() {
@@ -28,9 +37,23 @@ export class Game {
     // Local player
     this.localPlayer = null;
 
+    // Spectating - no local player, the camera flies or follows someone
+    this.spectating = false;
+
     // Remote players
     this.remotePlayers = new Map();
 
+    // Door state from the server (applied to the world once it has loaded)
+    this.doors = new DoorManager();
+
+    // Chat panel (messages arrive through the network manager)
+    this.chatPanel = new ChatPanel((text, channel) =>
+      this.networkManager.sendChat(text, channel),
+    );
+
+    // Positional voice chat (created the first time it's turned on)
+    this.voiceChat = null;
+
     // Game state
     this.isRunning = false;
     this.lastTime = 0;
@@ -46,10 +69,9 @@ export class Game {
     this.transitionTargetState = null;
     this.transitionWorldSwitched = false;
 
-    // Bicycle state
+    // Shared bicycles (from the server) and whether we're riding one
+    this.bicycles = new BicycleManager();
     this.isRidingBicycle = false;
-    this.bicycleObject = null;
-    this.bicyclePosition = null;
 
     // Graphics manager for cinematic effects
     this.graphicsManager = null;
@@ -57,8 +79,9 @@ export class Game {
     // Use cinematic camera
     this.useCinematicCamera = true;
 
-    // Debug mode
+    // Debug mode - the level editor (created once the world has loaded)
     this.debugMode = false;
+    this.levelEditor = null;
 
     // Track if instructions have been shown
     this.instructionsShown = false;
@@ -83,6 +106,7 @@ export class Game {
 
     // Create scene
     this.scene = new THREE.Scene();
+    this.bicycles.setScene(this.scene);
 
     // Create camera system (use cinematic camera for enhanced effects)
     if (this.useCinematicCamera) {
@@ -104,11 +128,6 @@ export class Game {
     );
     await this.graphicsManager.init();
 
-    // Initialize world
-    this.showLoadingScreen("Loading world...");
-    this.world = new World(this.scene);
-    await this.world.init();
-
     // Initialize network
     this.showLoadingScreen("Connecting to server...");
     this.networkManager = new NetworkManager(this);
@@ -128,6 +147,22 @@ export class Game {
       // Continue anyway - single-player mode will be enabled
     }
 
+    // Initialize world (after connecting - the room's world config says
+    // what to generate; single-player gets the default world)
+    this.showLoadingScreen("Loading world...");
+    this.world = new World(this.scene, this.networkManager.worldConfig);
+    await this.world.init();
+    this.doors.setWorld(this.world);
+    this.bicycles.setWorldLayout(this.world.chunkManager.worldLayout);
+    this.bicycles.setTerrain(this.world.chunkManager.terrain);
+    this.camera.setTerrain(this.world.chunkManager.terrain);
+    this.levelEditor = new LevelEditor(
+      this.scene,
+      this.world,
+      this.camera.getCamera(),
+      this.renderer.domElement,
+    );
+
     // Hide loading screen
     this.hideLoadingScreen();
 
@@ -165,9 +200,14 @@ export class Game {
 
     // Create scene
     this.scene = new THREE.Scene();
+    this.bicycles.setScene(this.scene);
 
     // Create camera system (use cinematic camera for enhanced effects)
-    if (this.useCinematicCamera) {
+    // Spectators get a free-fly/follow camera instead of following a player
+    this.spectating = this.networkManager.spectating;
+    if (this.spectating) {
+      this.camera = new SpectatorCamera(this.renderer);
+    } else if (this.useCinematicCamera) {
       this.camera = new CinematicCamera(this.renderer);
     } else {
       this.camera = new Camera(this.renderer);
@@ -186,13 +226,27 @@ export class Game {
     );
     await this.graphicsManager.init();
 
-    // Initialize world
+    // Initialize world from the room's world config (sent on join)
     this.showLoadingScreen("Loading world...");
-    this.world = new World(this.scene);
+    this.world = new World(this.scene, this.networkManager.worldConfig);
     await this.world.init();
+    this.doors.setWorld(this.world);
+    this.bicycles.setWorldLayout(this.world.chunkManager.worldLayout);
+    this.bicycles.setTerrain(this.world.chunkManager.terrain);
+    this.camera.setTerrain(this.world.chunkManager.terrain);
+    this.levelEditor = new LevelEditor(
+      this.scene,
+      this.world,
+      this.camera.getCamera(),
+      this.renderer.domElement,
+    );
 
     // Network is already connected, just need to wait for player:joined event
     // The networkManager is already set up from main.js
+    // (if it already arrived, show the world state the server put us in)
+    if (this.localPlayer) {
+      this.restoreWorldState(this.localPlayer.worldState);
+    }
 
     // Hide loading screen
     this.hideLoadingScreen();
@@ -319,11 +373,12 @@ export class Game {
     this.localPlayer.worldState = playerData.worldState;
     this.localPlayer.characterId = playerData.characterId;
 
+    // Returning players may come back in the Upside Down (if the world is
+    // still loading, initWithNetwork applies it once it's ready)
+    if (this.world) this.restoreWorldState(playerData.worldState);
+
     // Set camera to follow local player
     this.camera.setTarget(this.localPlayer);
-
-    // Create bicycle near spawn
-    this.createBicycle(5, 5);
   }
 
   /**
@@ -409,12 +464,24 @@ export class Game {
    * Updates all game systems
    */
   update(deltaTime) {
-    // Update local player movement
-    this.updateLocalPlayer(deltaTime);
+    // Riding is up to the server - we're on whichever bicycle names us its rider
+    this.isRidingBicycle = !!this.bicycles.getRiddenBy(
+      this.networkManager.playerId,
+    );
+
+    // Update local player movement (spectators fly the camera instead)
+    if (this.spectating) {
+      this.updateSpectator(deltaTime);
+    } else {
+      this.updateLocalPlayer(deltaTime);
+    }
 
     // Update camera
     this.camera.update(deltaTime);
 
+    // Swing doors other players (or we) opened
+    this.doors.update(deltaTime);
+
     // Update world (chunks, portals)
     if (this.localPlayer) {
       const pos = this.localPlayer.getPosition();
@@ -433,6 +500,14 @@ export class Game {
       this.checkBicycleInteraction(pos);
 
       // Update graphics manager with player position for particles and lighting
+      if (this.graphicsManager) {
+        this.graphicsManager.update(deltaTime, pos);
+      }
+    } else if (this.spectating) {
+      // Load the world around whatever the spectator is watching
+      const pos = this.camera.getFocusPosition();
+      this.world.update(deltaTime, pos);
+
       if (this.graphicsManager) {
         this.graphicsManager.update(deltaTime, pos);
       }
@@ -446,11 +521,52 @@ export class Game {
     // Update remote player interpolation
     this.networkManager.updateInterpolation();
 
+    // Call voice players in range and move voices to their players
+    if (this.voiceChat) {
+      this.voiceChat.update(
+        this.networkManager.playerId,
+        this.networkManager.remotePlayers,
+        this.camera.getCamera(),
+        this.worldState,
+      );
+    }
+
+    // Put bicycles under their riders (riders pedal instead of walking)
+    const players = new Map(this.remotePlayers);
+    if (this.localPlayer) {
+      players.set(this.networkManager.playerId, this.localPlayer);
+    }
+    this.bicycles.update(players);
+
     // Update remote player animations
     this.remotePlayers.forEach((player) => {
       player.updateAnimation(deltaTime);
     });
 
+    // Open chat
+    if (this.inputManager.wasKeyJustPressed("CHAT")) {
+      this.inputManager.consumeKeyPress("CHAT");
+      this.chatPanel.open();
+    }
+
+    // Toggle the player list
+    if (this.inputManager.wasKeyJustPressed("PLAYER_LIST")) {
+      this.inputManager.consumeKeyPress("PLAYER_LIST");
+      this.togglePlayerList();
+    }
+
+    // Toggle voice chat
+    if (this.inputManager.wasKeyJustPressed("VOICE")) {
+      this.inputManager.consumeKeyPress("VOICE");
+      this.toggleVoice();
+    }
+
+    // Toggle the level editor
+    if (this.inputManager.wasKeyJustPressed("TOGGLE_DEBUG")) {
+      this.inputManager.consumeKeyPress("TOGGLE_DEBUG");
+      this.toggleLevelEditor();
+    }
+
     // Update cooldowns
     if (this.portalCooldown > 0) {
       this.portalCooldown -= deltaTime;
@@ -462,6 +578,7 @@ export class Game {
 
   /**
    * Updates local player movement based on input
+   * Movement is predicted immediately and reconciled when the server acks it
    */
   updateLocalPlayer(deltaTime) {
     if (!this.localPlayer) return;
@@ -477,60 +594,180 @@ export class Game {
     const isRunning = this.inputManager.isRunning();
     const isJumping = this.inputManager.isJumping();
 
+    // Get camera-relative movement direction
+    const forward = this.camera.getForwardDirection();
+    const right = this.camera.getRightDirection();
+
+    // Capture this frame's input as a numbered command (replayed on reconcile)
+    const input = this.networkManager.createInput({
+      dt: deltaTime,
+      moveX: forward.x * movement.z + right.x * movement.x,
+      moveZ: forward.z * movement.z + right.z * movement.x,
+      run: isRunning,
+      jump: isJumping,
+      riding: this.isRidingBicycle,
+    });
+
+    const pos = this.applyMovementInput(input);
+
+    // Determine animation state
+    let animation = ANIMATIONS.IDLE;
+    if (this.localPlayer.isJumping) {
+      animation = ANIMATIONS.JUMP;
+    } else if (movement.x !== 0 || movement.z !== 0) {
+      animation = isRunning ? ANIMATIONS.RUN : ANIMATIONS.WALK;
+    }
+
+    // Update animation
+    this.localPlayer.setAnimation(animation);
+    this.localPlayer.updateAnimation(deltaTime);
+
+    // Update cinematic camera movement state for sway/FOV effects
+    if (this.camera.setMovementState) {
+      if (this.localPlayer.isJumping) {
+        this.camera.setMovementState("idle");
+      } else if (isRunning && (movement.x !== 0 || movement.z !== 0)) {
+        this.camera.setMovementState("run");
+      } else if (movement.x !== 0 || movement.z !== 0) {
+        this.camera.setMovementState("walk");
+      } else {
+        this.camera.setMovementState("idle");
+      }
+    }
+
+    // Send to server
+    this.networkManager.sendMovement(
+      input,
+      pos,
+      this.localPlayer.getRotation(),
+      animation,
+    );
+  }
+
+  /**
+   * Updates the spectator camera from input
+   * N follows the next player, V flies free, U switches the watched world state
+   */
+  updateSpectator(deltaTime) {
+    const input = this.inputManager;
+
+    // Followed player left or went out of range - fly on from where they were
+    if (
+      this.camera.mode === "follow" &&
+      !this.remotePlayers.has(this.camera.followId)
+    ) {
+      this.camera.freeFly(this.camera.getFocusPosition());
+      this.updateSpectatorUI();
+    }
+
+    if (input.wasKeyJustPressed("SPECTATE_NEXT")) {
+      input.consumeKeyPress("SPECTATE_NEXT");
+      this.followNextPlayer();
+    }
+
+    if (input.wasKeyJustPressed("SPECTATE_FREE")) {
+      input.consumeKeyPress("SPECTATE_FREE");
+      this.camera.freeFly(this.camera.getFocusPosition());
+      this.updateSpectatorUI();
+    }
+
+    if (input.wasKeyJustPressed("SPECTATE_WORLD")) {
+      input.consumeKeyPress("SPECTATE_WORLD");
+      this.networkManager.observeWorldState(
+        this.worldState === "normal" ? "upsideDown" : "normal",
+      );
+    }
+
+    let vertical = 0;
+    if (input.isKeyPressed("JUMP")) vertical += 1;
+    if (input.isKeyPressed("FLY_DOWN")) vertical -= 1;
+    this.camera.fly(
+      deltaTime,
+      input.getMovementInput(),
+      vertical,
+      input.isRunning(),
+    );
+
+    // The server streams the players around the camera
+    this.networkManager.sendSpectatorPosition(this.camera.getFocusPosition());
+  }
+
+  /**
+   * Starts spectating from the server's starting point
+   */
+  startSpectating(position) {
+    this.camera.freeFly(new THREE.Vector3(position.x, position.y, position.z));
+    this.updateSpectatorUI();
+  }
+
+  /**
+   * Points the spectator camera at the next remote player
+   */
+  followNextPlayer() {
+    const ids = Array.from(this.remotePlayers.keys());
+    if (ids.length === 0) return;
+
+    const next = ids[(ids.indexOf(this.camera.followId) + 1) % ids.length];
+    this.camera.follow(next, this.remotePlayers.get(next));
+    this.updateSpectatorUI();
+  }
+
+  /**
+   * Shows what the spectator is watching and the spectator controls
+   */
+  updateSpectatorUI() {
+    const hud = document.getElementById("spectator-hud");
+    if (!hud) return;
+
+    let watching = "Free camera";
+    if (this.camera.mode === "follow") {
+      const remote = this.networkManager.remotePlayers.get(
+        this.camera.followId,
+      );
+      watching = `Following ${remote ? remote.data.username : "player"}`;
+    }
+
+    hud.textContent = `SPECTATING · ${watching} · N: next player · V: free camera · U: switch world`;
+    hud.style.display = "block";
+  }
+
+  /**
+   * Applies one input command to the local player
+   * Used for live movement and for replaying inputs during reconciliation
+   * @returns {THREE.Vector3} New position
+   */
+  applyMovementInput(input) {
+    const deltaTime = input.dt;
+
     // Get current position
     const pos = this.localPlayer.getPosition();
-    const groundLevel = 0;
-    const isOnGround = pos.y <= groundLevel + 0.01;
 
     // Handle jumping
-    if (isJumping && isOnGround && !this.localPlayer.isJumping) {
+    if (input.jump && !this.localPlayer.isJumping) {
       this.localPlayer.verticalVelocity = GAME_CONFIG.JUMP_FORCE;
       this.localPlayer.isJumping = true;
     }
 
     // Apply gravity
-    if (!isOnGround || this.localPlayer.verticalVelocity > 0) {
+    if (this.localPlayer.isJumping) {
       this.localPlayer.verticalVelocity -= GAME_CONFIG.GRAVITY * deltaTime;
       pos.y += this.localPlayer.verticalVelocity * deltaTime;
-
-      // Ground collision
-      if (pos.y <= groundLevel) {
-        pos.y = groundLevel;
-        this.localPlayer.verticalVelocity = 0;
-        this.localPlayer.isJumping = false;
-      }
-    }
-
-    // Determine animation state
-    let animation = ANIMATIONS.IDLE;
-    if (this.localPlayer.isJumping) {
-      animation = ANIMATIONS.JUMP;
-    } else if (movement.x !== 0 || movement.z !== 0) {
-      animation = isRunning ? ANIMATIONS.RUN : ANIMATIONS.WALK;
     }
 
     // Calculate movement speed
-    let speed = isRunning
+    let speed = input.run
       ? GAME_CONFIG.PLAYER_RUN_SPEED
       : GAME_CONFIG.PLAYER_SPEED;
 
     // Use bicycle speed if riding
-    if (this.isRidingBicycle) {
+    if (input.riding) {
       speed = GAME_CONFIG.BICYCLE_SPEED;
     }
 
-    // Get camera-relative movement direction
-    const forward = this.camera.getForwardDirection();
-    const right = this.camera.getRightDirection();
-
     // Calculate movement vector
-    const moveX =
-      (forward.x * movement.z + right.x * movement.x) * speed * deltaTime;
-    const moveZ =
-      (forward.z * movement.z + right.z * movement.x) * speed * deltaTime;
+    const moveX = input.moveX * speed * deltaTime;
+    const moveZ = input.moveZ * speed * deltaTime;
 
-    // Store current Y position before horizontal movement
-    const currentY = pos.y;
     const newPos = pos.clone();
     newPos.x += moveX;
     newPos.z += moveZ;
@@ -560,43 +797,63 @@ export class Game {
     pos.x = Math.max(-450, Math.min(450, pos.x));
     pos.z = Math.max(-450, Math.min(450, pos.z));
 
-    this.localPlayer.setPosition(pos);
-
-    // Update bicycle position if riding
-    if (this.isRidingBicycle && this.bicycleObject) {
-      this.bicycleObject.position.set(pos.x, 0.5, pos.z);
-      this.bicycleObject.rotation.y = this.localPlayer.getRotation();
+    // Stand on the ground - walking follows the hills, a jump lands
+    // wherever it comes down
+    const groundLevel = this.getGroundHeight(pos.x, pos.z);
+    if (!this.localPlayer.isJumping || pos.y <= groundLevel) {
+      pos.y = groundLevel;
+      this.localPlayer.verticalVelocity = 0;
+      this.localPlayer.isJumping = false;
     }
 
+    this.localPlayer.setPosition(pos);
+
     // Update rotation to face movement direction
-    if (movement.x !== 0 || movement.z !== 0) {
+    if (input.moveX !== 0 || input.moveZ !== 0) {
       const targetRotation = Math.atan2(moveX, moveZ);
       this.localPlayer.setRotation(targetRotation);
     }
 
-    // Update animation
-    this.localPlayer.setAnimation(animation);
-    this.localPlayer.updateAnimation(deltaTime);
+    return pos;
+  }
 
-    // Update cinematic camera movement state for sway/FOV effects
-    if (this.camera.setMovementState) {
-      if (this.localPlayer.isJumping) {
-        this.camera.setMovementState("idle");
-      } else if (isRunning && (movement.x !== 0 || movement.z !== 0)) {
-        this.camera.setMovementState("run");
-      } else if (movement.x !== 0 || movement.z !== 0) {
-        this.camera.setMovementState("walk");
-      } else {
-        this.camera.setMovementState("idle");
-      }
-    }
+  /**
+   * Gets the terrain height (flat until the world has loaded)
+   */
+  getGroundHeight(x, z) {
+    if (!this.world || !this.world.chunkManager) return 0;
+    return this.world.chunkManager.getHeightAt(x, z);
+  }
 
-    // Send to server
-    this.networkManager.sendMovement(
-      pos,
-      this.localPlayer.getRotation(),
-      animation,
-    );
+  /**
+   * Snaps the local player to a server-accepted position
+   */
+  applyPositionCorrection(position, rotation) {
+    if (!this.localPlayer) return;
+
+    this.localPlayer.setPosition(position);
+    this.localPlayer.setRotation(rotation);
+
+    // A correction to mid-air falls from there
+    this.localPlayer.verticalVelocity = 0;
+    this.localPlayer.isJumping =
+      position.y > this.getGroundHeight(position.x, position.z) + 0.01;
+  }
+
+  /**
+   * Rewinds the local player to the server's position and replays the
+   * inputs it hasn't processed yet, updating their predicted positions
+   * @param {Array<{ input, position }>} pendingInputs - Oldest first
+   */
+  reconcileLocalPlayer(position, rotation, pendingInputs) {
+    if (!this.localPlayer) return;
+
+    this.applyPositionCorrection(position, rotation);
+
+    pendingInputs.forEach((entry) => {
+      const pos = this.applyMovementInput(entry.input);
+      entry.position = { x: pos.x, y: pos.y, z: pos.z };
+    });
   }
 
   /**
@@ -742,161 +999,95 @@ export class Game {
 
   /**
    * Checks for nearby bicycle and handles interaction
+   * F gets on or off, L locks or unlocks a parked bicycle
    */
   checkBicycleInteraction(playerPosition) {
-    if (!this.bicyclePosition) return;
-
-    const dx = playerPosition.x - this.bicyclePosition.x;
-    const dz = playerPosition.z - this.bicyclePosition.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
-
-    const interactionDistance = 2;
     const bicyclePrompt = document.getElementById("bicycle-prompt");
+    const showPrompt = (text) => {
+      if (!bicyclePrompt) return;
+      bicyclePrompt.textContent = text;
+      bicyclePrompt.style.display = text ? "block" : "none";
+    };
 
-    if (distance < interactionDistance && !this.isRidingBicycle) {
-      // Show bicycle prompt
-      if (bicyclePrompt) {
-        bicyclePrompt.textContent = "Press F to Ride Bicycle";
-        bicyclePrompt.style.display = "block";
-      }
-
-      // Handle mounting bicycle
+    // Can dismount anywhere while riding
+    const ridden = this.bicycles.getRiddenBy(this.networkManager.playerId);
+    if (ridden) {
+      showPrompt("Press F to Dismount Bicycle");
       if (this.inputManager.isRidingBicycle()) {
-        this.mountBicycle();
-      }
-    } else if (!this.isRidingBicycle) {
-      // Hide prompt when not near bicycle and not riding
-      if (bicyclePrompt) {
-        bicyclePrompt.style.display = "none";
+        this.dismountBicycle(ridden);
       }
+      return;
     }
 
-    // Handle dismounting (can dismount anywhere while riding)
-    if (this.isRidingBicycle) {
-      if (bicyclePrompt) {
-        bicyclePrompt.textContent = "Press F to Dismount Bicycle";
-        bicyclePrompt.style.display = "block";
-      }
+    const interactionDistance = 2;
+    const bicycle = this.bicycles.getNearestParked(
+      playerPosition,
+      interactionDistance,
+    );
+    if (!bicycle) {
+      showPrompt("");
+      return;
+    }
 
-      if (this.inputManager.isRidingBicycle()) {
-        this.dismountBicycle();
-      }
+    showPrompt(
+      bicycle.locked
+        ? "Bicycle is locked - Press L to Unlock"
+        : "Press F to Ride Bicycle, L to Lock",
+    );
+
+    if (this.inputManager.isRidingBicycle()) {
+      this.mountBicycle(bicycle);
+    } else if (this.inputManager.isLockingBicycle()) {
+      this.lockBicycle(bicycle, !bicycle.locked);
     }
   }
 
   /**
-   * Mounts the bicycle
+   * Gets on a bicycle
+   * Online the server decides (it may be locked or taken) and everyone sees
+   * the rider once it answers
    */
-  mountBicycle() {
-    this.isRidingBicycle = true;
-    const bicyclePrompt = document.getElementById("bicycle-prompt");
-    if (bicyclePrompt) {
-      bicyclePrompt.textContent = "Press F to Dismount Bicycle";
-      bicyclePrompt.style.display = "block";
+  mountBicycle(bicycle) {
+    if (this.networkManager.singlePlayerMode) {
+      this.bicycles.updateBicycle({
+        ...bicycle,
+        riderId: this.networkManager.playerId,
+        locked: false,
+      });
+      return;
     }
 
-    // Hide bicycle from its parked position, attach to player
-    if (this.bicycleObject) {
-      this.bicycleObject.visible = true;
-    }
+    this.networkManager.sendBicycleMount(bicycle.id);
   }
 
   /**
-   * Dismounts the bicycle
+   * Gets off the bicycle, leaving it parked where we are
    */
-  dismountBicycle() {
-    this.isRidingBicycle = false;
-    const bicyclePrompt = document.getElementById("bicycle-prompt");
-    if (bicyclePrompt) {
-      bicyclePrompt.style.display = "none";
-    }
-
-    // Place bicycle at current position
-    if (this.bicycleObject && this.localPlayer) {
+  dismountBicycle(bicycle) {
+    if (this.networkManager.singlePlayerMode) {
       const pos = this.localPlayer.getPosition();
-      this.bicyclePosition = new THREE.Vector3(pos.x, 0.5, pos.z);
-      this.bicycleObject.position.copy(this.bicyclePosition);
+      this.bicycles.updateBicycle({
+        ...bicycle,
+        position: { x: pos.x, y: 0, z: pos.z },
+        rotation: this.localPlayer.getRotation(),
+        riderId: null,
+      });
+      return;
     }
+
+    this.networkManager.sendBicycleDismount();
   }
 
   /**
-   * Creates a bicycle object in the world
+   * Locks or unlocks a parked bicycle (only whoever locked it can unlock it)
    */
-  createBicycle(x, z) {
-    const bicycle = new THREE.Group();
-
-    // Frame color (red bicycle)
-    const frameMat = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    const tireMat = new THREE.MeshBasicMaterial({ color: 0x1a1a1a });
-    const seatMat = new THREE.MeshBasicMaterial({ color: 0x3a3a3a });
-
-    // Back wheel
-    const backWheelGeo = new THREE.TorusGeometry(0.35, 0.08, 8, 16);
-    backWheelGeo.rotateY(Math.PI / 2);
-    const backWheel = new THREE.Mesh(backWheelGeo, tireMat);
-    backWheel.position.set(0, 0.35, -0.6);
-    bicycle.add(backWheel);
-
-    // Front wheel
-    const frontWheel = new THREE.Mesh(backWheelGeo, tireMat);
-    frontWheel.position.set(0, 0.35, 0.6);
-    bicycle.add(frontWheel);
-
-    // Frame - main tube (diagonal)
-    const mainTubeGeo = new THREE.CylinderGeometry(0.04, 0.04, 1.2, 8);
-    mainTubeGeo.rotateZ(Math.PI / 4);
-    const mainTube = new THREE.Mesh(mainTubeGeo, frameMat);
-    mainTube.position.set(0, 0.6, -0.2);
-    bicycle.add(mainTube);
-
-    // Seat tube (vertical)
-    const seatTubeGeo = new THREE.CylinderGeometry(0.04, 0.04, 0.6, 8);
-    const seatTube = new THREE.Mesh(seatTubeGeo, frameMat);
-    seatTube.position.set(0, 0.5, -0.6);
-    bicycle.add(seatTube);
-
-    // Down tube (from front to bottom)
-    const downTubeGeo = new THREE.CylinderGeometry(0.04, 0.04, 1.2, 8);
-    downTubeGeo.rotateZ(-Math.PI / 6);
-    const downTube = new THREE.Mesh(downTubeGeo, frameMat);
-    downTube.position.set(0, 0.4, 0.1);
-    bicycle.add(downTube);
-
-    // Handlebars
-    const handlebarGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.5, 8);
-    handlebarGeo.rotateZ(Math.PI / 2);
-    const handlebar = new THREE.Mesh(handlebarGeo, frameMat);
-    handlebar.position.set(0, 0.9, 0.6);
-    bicycle.add(handlebar);
-
-    // Handlebar stem
-    const stemGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.4, 8);
-    const stem = new THREE.Mesh(stemGeo, frameMat);
-    stem.position.set(0, 0.7, 0.6);
-    bicycle.add(stem);
-
-    // Seat
-    const seatGeo = new THREE.BoxGeometry(0.15, 0.08, 0.3);
-    const seat = new THREE.Mesh(seatGeo, seatMat);
-    seat.position.set(0, 0.85, -0.6);
-    bicycle.add(seat);
-
-    // Pedals (simplified)
-    const pedalGeo = new THREE.BoxGeometry(0.12, 0.05, 0.08);
-    const leftPedal = new THREE.Mesh(pedalGeo, frameMat);
-    leftPedal.position.set(-0.15, 0.25, -0.2);
-    bicycle.add(leftPedal);
-
-    const rightPedal = new THREE.Mesh(pedalGeo, frameMat);
-    rightPedal.position.set(0.15, 0.25, -0.2);
-    bicycle.add(rightPedal);
-
-    // Position bicycle in world
-    bicycle.position.set(x, 0.5, z);
-    this.scene.add(bicycle);
-
-    this.bicycleObject = bicycle;
-    this.bicyclePosition = new THREE.Vector3(x, 0.5, z);
+  lockBicycle(bicycle, locked) {
+    if (this.networkManager.singlePlayerMode) {
+      this.bicycles.updateBicycle({ ...bicycle, locked });
+      return;
+    }
+
+    this.networkManager.sendBicycleLock(bicycle.id, locked);
   }
 
   /**
@@ -990,21 +1181,8 @@ export class Game {
     const isOpen = door.userData.isOpen;
 
     if (!isOpen) {
-      // Opening the portal door
-      door.userData.isOpen = true;
-      door.userData.isWall = false; // Remove wall collision when open
-
-      // Animate door opening
-      const pivot = door.userData.doorPivot;
-      if (pivot) {
-        const angle = Math.PI / 2;
-        const dx = door.userData.closedPosition.x - pivot.x;
-        const dz = door.userData.closedPosition.z - pivot.z;
-
-        door.position.x = pivot.x + dx * Math.cos(angle) - dz * Math.sin(angle);
-        door.position.z = pivot.z + dx * Math.sin(angle) + dz * Math.cos(angle);
-        door.rotation.y = angle;
-      }
+      // Opening the portal door (it opens in both world states for everyone)
+      this.setDoorOpen(door, true);
 
       // Trigger world switch after opening
       setTimeout(() => {
@@ -1021,26 +1199,17 @@ export class Game {
   toggleDoor(door) {
     if (!door.userData.isDoor) return;
 
-    const isOpen = door.userData.isOpen;
-    door.userData.isOpen = !isOpen;
-
-    if (!isOpen) {
-      // Opening door - rotate 90 degrees around pivot
-      const pivot = door.userData.doorPivot;
-      const angle = Math.PI / 2; // 90 degrees
-
-      // Calculate new position after rotation
-      const dx = door.userData.closedPosition.x - pivot.x;
-      const dz = door.userData.closedPosition.z - pivot.z;
+    this.setDoorOpen(door, !door.userData.isOpen);
+  }
 
-      door.position.x = pivot.x + dx * Math.cos(angle) - dz * Math.sin(angle);
-      door.position.z = pivot.z + dx * Math.sin(angle) + dz * Math.cos(angle);
-      door.rotation.y = angle;
-    } else {
-      // Closing door - restore original position
-      door.position.copy(door.userData.closedPosition);
-      door.rotation.copy(door.userData.closedRotation);
-    }
+  /**
+   * Swings a door we opened or closed and tells the server, which passes
+   * it on to everyone in our world state (or swings it back if refused)
+   */
+  setDoorOpen(door, open) {
+    const doorId = this.doors.getDoorId(door);
+    this.doors.setDoorOpen(doorId, open);
+    this.networkManager.sendDoorToggle(doorId, open);
   }
 
   /**
@@ -1106,29 +1275,9 @@ export class Game {
       this.networkManager.sendWorldChange(this.transitionTargetState);
 
       // Switch world visuals
-      this.world.switchWorldState(this.transitionTargetState, () => {
-        this.worldState = this.transitionTargetState;
-
-        // Update graphics manager for new world state
-        if (this.graphicsManager) {
-          this.graphicsManager.setWorldState(this.transitionTargetState);
-        }
-
-        // Update local player appearance for new world state
-        if (this.localPlayer) {
-          this.localPlayer.setWorldState(this.transitionTargetState);
-        }
-
-        // Update remote players appearance
-        this.remotePlayers.forEach((player) => {
-          if (player.setWorldState) {
-            player.setWorldState(this.transitionTargetState);
-          }
-        });
-
-        // Update UI
-        this.updateWorldStateUI();
-      });
+      this.world.switchWorldState(this.transitionTargetState, () =>
+        this.applyWorldState(this.transitionTargetState),
+      );
     }
 
     // Complete transition
@@ -1148,6 +1297,49 @@ export class Game {
     }
   }
 
+  /**
+   * Applies a world state to the game, player visuals and UI
+   * Called once the world itself has switched
+   */
+  applyWorldState(worldState) {
+    this.worldState = worldState;
+
+    // Update graphics manager for new world state
+    if (this.graphicsManager) {
+      this.graphicsManager.setWorldState(worldState);
+    }
+
+    // Update local player appearance for new world state
+    if (this.localPlayer) {
+      this.localPlayer.setWorldState(worldState);
+    }
+
+    // Update remote players appearance
+    this.remotePlayers.forEach((player) => {
+      if (player.setWorldState) {
+        player.setWorldState(worldState);
+      }
+    });
+
+    // Shouting through the wall only works from the Upside Down
+    this.chatPanel.setWallAvailable(worldState === "upsideDown");
+
+    // Update UI
+    this.updateWorldStateUI();
+  }
+
+  /**
+   * Jumps straight to a world state held by the server (session resume),
+   * skipping the portal transition
+   */
+  restoreWorldState(worldState) {
+    if (worldState === this.worldState) return;
+
+    this.world.switchWorldState(worldState, () =>
+      this.applyWorldState(worldState),
+    );
+  }
+
   /**
    * Updates UI to reflect current world state
    */
@@ -1168,6 +1360,151 @@ export class Game {
     }
   }
 
+  /**
+   * Shows the room name and invite code
+   */
+  updateRoomUI(room) {
+    const roomInfo = document.getElementById("room-info");
+    if (roomInfo) {
+      roomInfo.textContent = room
+        ? `${room.name} · Code: ${room.inviteCode}`
+        : "";
+    }
+
+    // Host may have changed - refresh kick buttons
+    const playerList = document.getElementById("player-list");
+    if (playerList && playerList.classList.contains("visible")) {
+      this.networkManager.requestRoster();
+    }
+  }
+
+  /**
+   * Turns voice chat on (asking for the microphone) or off
+   * Needs the audio system, which starts on the first click into the game
+   */
+  async toggleVoice() {
+    if (this.spectating || !this.networkManager.connected) return;
+
+    const audioSystem =
+      this.graphicsManager && this.graphicsManager.audioSystem;
+    if (!audioSystem || !audioSystem.isInitialized) return;
+
+    if (!this.voiceChat) {
+      this.voiceChat = new VoiceChat(audioSystem, (to, type, data) =>
+        this.networkManager.sendVoiceSignal(to, type, data),
+      );
+    }
+
+    if (this.voiceChat.enabled) {
+      this.voiceChat.disable();
+      this.networkManager.setVoice(false);
+    } else if (await this.voiceChat.enable()) {
+      this.networkManager.setVoice(true);
+    } else {
+      this.chatPanel.addNotice("No microphone - voice chat is off");
+    }
+
+    this.updateVoiceUI();
+  }
+
+  /**
+   * Shows whether voice chat is on
+   */
+  updateVoiceUI() {
+    const indicator = document.getElementById("voice-indicator");
+    if (!indicator) return;
+
+    const on = !!this.voiceChat && this.voiceChat.enabled;
+    indicator.textContent = on ? "🎙 Voice on (T)" : "";
+  }
+
+  /**
+   * Opens or closes the level editor - it has the mouse while open, so the
+   * pointer is released and clicks don't lock it again
+   */
+  toggleLevelEditor() {
+    if (!this.levelEditor) return;
+
+    this.debugMode = !this.debugMode;
+    this.inputManager.setPointerLockEnabled(!this.debugMode);
+    this.levelEditor.setOpen(this.debugMode);
+    console.log(`[Game] Level editor ${this.debugMode ? "open" : "closed"}`);
+  }
+
+  /**
+   * Opens (fetching the roster) or closes the player list
+   */
+  togglePlayerList() {
+    const playerList = document.getElementById("player-list");
+    if (!playerList) return;
+
+    if (playerList.classList.contains("visible")) {
+      playerList.classList.remove("visible");
+    } else {
+      this.networkManager.requestRoster();
+    }
+  }
+
+  /**
+   * Shows the player list with chat block buttons,
+   * plus mute and kick buttons for the host
+   */
+  showPlayerList(roster, isHost) {
+    const playerList = document.getElementById("player-list");
+    const items = document.getElementById("player-list-items");
+    if (!playerList || !items) return;
+
+    const addButton = (item, label, onClick) => {
+      const button = document.createElement("button");
+      button.className = "kick-btn";
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      item.appendChild(button);
+    };
+
+    items.innerHTML = "";
+    roster.players.forEach((player) => {
+      const item = document.createElement("li");
+      const name = document.createElement("span");
+      name.textContent = player.username; // Player-chosen - text, not HTML
+      item.appendChild(name);
+
+      if (player.id === roster.hostId) {
+        const badge = document.createElement("span");
+        badge.className = "host-badge";
+        badge.textContent = "HOST";
+        item.appendChild(badge);
+      }
+
+      if (player.id !== this.networkManager.playerId) {
+        addButton(item, player.blocked ? "Unblock" : "Block", () => {
+          this.networkManager.blockPlayer(player.id, !player.blocked);
+          this.networkManager.requestRoster();
+        });
+      }
+
+      if (isHost && player.id !== roster.hostId) {
+        addButton(item, player.muted ? "Unmute" : "Mute", () => {
+          this.networkManager.mutePlayer(player.id, !player.muted);
+          this.networkManager.requestRoster();
+        });
+        addButton(item, "Kick", () => {
+          this.networkManager.kickPlayer(player.id);
+          item.remove();
+        });
+      }
+
+      items.appendChild(item);
+    });
+
+    playerList.classList.add("visible");
+
+    // Free the mouse so the buttons can be clicked
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+  }
+
   /**
    * Renders the scene
    */
@@ -1321,6 +1658,8 @@ export class Game {
 
     if (this.inputManager) this.inputManager.dispose();
     if (this.networkManager) this.networkManager.disconnect();
+    this.chatPanel.dispose();
+    if (this.voiceChat) this.voiceChat.dispose();
     if (this.localPlayer) this.localPlayer.dispose();
 
     this.remotePlayers.forEach((player) => player.dispose());
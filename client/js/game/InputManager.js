@@ -15,6 +15,7 @@ export class InputManager {
     this.keysPressed = {}; // Track new key presses (not held)
     this.mouseMovement = { x: 0, y: 0 };
     this.isPointerLocked = false;
+    this.pointerLockEnabled = true; // Off while the level editor has the mouse
 
     // Mobile detection - be strict to avoid triggering on desktop with touch screens
     this.isMobile = this.detectMobile();
@@ -582,6 +583,14 @@ export class InputManager {
    * Handles keydown events
    */
   handleKeyDown(event) {
+    // Typing in a text field (chat) isn't game input
+    if (
+      event.target instanceof HTMLInputElement ||
+      event.target instanceof HTMLTextAreaElement
+    ) {
+      return;
+    }
+
     // Track if this is a new key press (wasn't already held)
     if (!this.keys[event.code]) {
       this.keysPressed[event.code] = true;
@@ -635,6 +644,8 @@ export class InputManager {
    * Handles canvas click - requests pointer lock
    */
   handleClick() {
+    if (!this.pointerLockEnabled) return;
+
     // On mobile, simulate pointer lock
     if (this.isMobile) {
       this.isPointerLocked = true;
@@ -650,6 +661,16 @@ export class InputManager {
     }
   }
 
+  /**
+   * Lets clicks lock the pointer (or not, releasing it)
+   */
+  setPointerLockEnabled(enabled) {
+    this.pointerLockEnabled = enabled;
+    if (!enabled && document.pointerLockElement === this.canvas) {
+      document.exitPointerLock();
+    }
+  }
+
   /**
    * Handles pointer lock state changes
    */
@@ -750,10 +771,15 @@ export class InputManager {
   }
 
   /**
-   * Checks if door open key (G) is pressed
+   * Checks if door open key (G) was just pressed
+   * (holding it must not toggle the door every frame)
    */
   isDoorOpening() {
-    return this.isKeyPressed("OPEN_DOOR");
+    const justPressed = this.wasKeyJustPressed("OPEN_DOOR");
+    if (justPressed) {
+      this.consumeKeyPress("OPEN_DOOR");
+    }
+    return justPressed;
   }
 
   /**
@@ -767,6 +793,17 @@ export class InputManager {
     return justPressed;
   }
 
+  /**
+   * Checks if bicycle lock key (L) was just pressed
+   */
+  isLockingBicycle() {
+    const justPressed = this.wasKeyJustPressed("LOCK_BICYCLE");
+    if (justPressed) {
+      this.consumeKeyPress("LOCK_BICYCLE");
+    }
+    return justPressed;
+  }
+
   /**
    * Checks if jump key (Space) was just pressed
    */
@@ -26,6 +26,8 @@ export class Player {
     this.verticalVelocity = 0;
     this.animationTime = 0;
     this.isTransitioning = false; // Lock movement during portal transition
+    this.riding = false; // On a bicycle (set by BicycleManager)
+    this.pedalPhase = 0;
 
     // Mesh components
     this.mesh = null;
@@ -197,6 +199,13 @@ export class Player {
     }
   }
 
+  /**
+   * Puts the player on or off a bicycle (changes the animation to pedaling)
+   */
+  setRiding(riding) {
+    this.riding = riding;
+  }
+
   /**
    * Updates player appearance for world state (normal vs upside down)
    */
@@ -239,7 +248,29 @@ export class Player {
     const rightLeg = this.mesh.getObjectByName("rightLeg");
     const body = this.mesh.children[0]; // Get body mesh
 
-    if (this.animation === ANIMATIONS.IDLE) {
+    if (this.riding) {
+      // On a bicycle - hands on the handlebars, legs pedal while moving
+      if (this.animation === ANIMATIONS.WALK) {
+        this.pedalPhase += deltaTime * 9;
+      } else if (this.animation === ANIMATIONS.RUN) {
+        this.pedalPhase += deltaTime * 14;
+      }
+      const pedal = Math.sin(this.pedalPhase);
+
+      if (leftArm) {
+        leftArm.rotation.x = -1.0;
+        leftArm.rotation.z = 0.1;
+      }
+      if (rightArm) {
+        rightArm.rotation.x = -1.0;
+        rightArm.rotation.z = -0.1;
+      }
+
+      // Legs go round opposite each other
+      if (leftLeg) leftLeg.rotation.x = -0.9 + pedal * 0.5;
+      if (rightLeg) rightLeg.rotation.x = -0.9 - pedal * 0.5;
+      if (body) body.position.y = 0.8;
+    } else if (this.animation === ANIMATIONS.IDLE) {
       // Subtle breathing animation
       const breathe = Math.sin(this.animationTime * 2) * 0.02;
       if (leftArm) {
@@ -2,12 +2,17 @@
  * AudioSystem Class
  * Manages ambient sounds and audio for atmosphere
  * Handles spatial audio and state-based sound switching
+ * Remote voices (VoiceChat) play through PannerNodes on their own gain,
+ * so the ambience volume doesn't turn players down
  */
 
+import { GAME_CONFIG } from "../utils/constants.js";
+
 export class AudioSystem {
   constructor() {
     this.audioContext = null;
     this.masterGain = null;
+    this.voiceGain = null;
     this.sounds = new Map();
     this.currentAmbient = null;
     this.isUpsideDown = false;
@@ -39,6 +44,9 @@ export class AudioSystem {
       this.masterGain.gain.value = 0.3;
       this.masterGain.connect(this.audioContext.destination);
 
+      this.voiceGain = this.audioContext.createGain();
+      this.voiceGain.connect(this.audioContext.destination);
+
       // Create ambient drones using oscillators (placeholder for real audio)
       this.createAmbientDrone("normal");
 
@@ -189,6 +197,106 @@ export class AudioSystem {
     }
   }
 
+  /**
+   * Set remote voice volume
+   */
+  setVoiceVolume(volume) {
+    if (this.voiceGain) {
+      this.voiceGain.gain.value = Math.max(0, Math.min(1, volume));
+    }
+  }
+
+  /**
+   * Routes a remote player's voice through a PannerNode
+   * source -> lowpass (world state muffling) -> panner -> voice gain
+   * @param {MediaStream} stream - Remote audio from an RTCPeerConnection
+   * @returns {Object|null} { source, filter, panner } for the other voice methods
+   */
+  createVoiceOutput(stream) {
+    if (!this.audioContext) return null;
+
+    const source = this.audioContext.createMediaStreamSource(stream);
+
+    const filter = this.audioContext.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = this.audioContext.sampleRate / 2; // Open
+
+    const panner = this.audioContext.createPanner();
+    panner.panningModel = "HRTF";
+    panner.distanceModel = "linear";
+    panner.refDistance = GAME_CONFIG.VOICE_REF_DISTANCE;
+    panner.maxDistance = GAME_CONFIG.VOICE_MAX_DISTANCE;
+    panner.rolloffFactor = 1;
+
+    source.connect(filter);
+    filter.connect(panner);
+    panner.connect(this.voiceGain);
+
+    return { source, filter, panner };
+  }
+
+  /**
+   * Moves a voice to its player's position
+   */
+  setVoicePosition(output, position) {
+    const time = this.audioContext.currentTime;
+    output.panner.positionX.setValueAtTime(position.x, time);
+    output.panner.positionY.setValueAtTime(position.y, time);
+    output.panner.positionZ.setValueAtTime(position.z, time);
+  }
+
+  /**
+   * Applies the world state's falloff - the Upside Down carries voices a
+   * shorter distance and muffles them
+   */
+  setVoiceWorldState(output, worldState) {
+    const upsideDown = worldState === "upsideDown";
+    output.panner.maxDistance = upsideDown
+      ? GAME_CONFIG.VOICE_MAX_DISTANCE_UPSIDE
+      : GAME_CONFIG.VOICE_MAX_DISTANCE;
+    output.filter.frequency.value = upsideDown
+      ? GAME_CONFIG.VOICE_UPSIDE_LOWPASS
+      : this.audioContext.sampleRate / 2;
+  }
+
+  /**
+   * Disconnects a voice
+   */
+  removeVoiceOutput(output) {
+    output.source.disconnect();
+    output.filter.disconnect();
+    output.panner.disconnect();
+  }
+
+  /**
+   * Puts the listener where the camera is, facing the same way
+   * @param {THREE.Camera} camera - Camera with an up-to-date world matrix
+   */
+  updateListener(camera) {
+    if (!this.audioContext) return;
+
+    const listener = this.audioContext.listener;
+    const time = this.audioContext.currentTime;
+    const e = camera.matrixWorld.elements;
+
+    // Camera looks down its local -Z; columns of the matrix are its axes
+    if (listener.positionX) {
+      listener.positionX.setValueAtTime(e[12], time);
+      listener.positionY.setValueAtTime(e[13], time);
+      listener.positionZ.setValueAtTime(e[14], time);
+      listener.forwardX.setValueAtTime(-e[8], time);
+      listener.forwardY.setValueAtTime(-e[9], time);
+      listener.forwardZ.setValueAtTime(-e[10], time);
+      listener.upX.setValueAtTime(e[4], time);
+      listener.upY.setValueAtTime(e[5], time);
+      listener.upZ.setValueAtTime(e[6], time);
+    } else {
+      // Firefox only has the older setters
+      listener.setPosition(e[12], e[13], e[14]);
+      listener.setOrientation(-e[8], -e[9], -e[10], e[4], e[5], e[6]);
+    }
+  }
+
   /**
    * Resume audio context (required after user gesture)
    */
@@ -0,0 +1,99 @@
+/**
+ * SpectatorCamera Class
+ * Cinematic camera for spectators - flies freely or follows a player
+ * Free-fly orbits an invisible rig that the movement keys move around
+ */
+
+import * as THREE from "three";
+import { GAME_CONFIG } from "../utils/constants.js";
+import { CinematicCamera } from "./CinematicCamera.js";
+
+export class SpectatorCamera extends CinematicCamera {
+  constructor(renderer) {
+    super(renderer);
+
+    // Free-fly rig - stands in for a player as the camera target
+    this.rig = {
+      position: new THREE.Vector3(0, GAME_CONFIG.SPECTATOR_MIN_HEIGHT, 0),
+      getPosition() {
+        return this.position.clone();
+      },
+    };
+
+    // "free" (fly the rig) or "follow" (orbit a remote player)
+    this.mode = "free";
+    this.followId = null;
+
+    // Nobody is walking - no sway or look-ahead
+    this.swayEnabled = false;
+    this.lookAheadEnabled = false;
+
+    this.setTarget(this.rig);
+  }
+
+  /**
+   * Switches to free-fly, optionally starting from a position
+   */
+  freeFly(position = null) {
+    if (position) {
+      this.rig.position.copy(position);
+      this.rig.position.y = Math.max(this.rig.position.y, this.getMinHeight());
+    }
+
+    this.mode = "free";
+    this.followId = null;
+    this.setTarget(this.rig);
+  }
+
+  /**
+   * Follows a remote player
+   * @param {string} playerId - ID of the followed player
+   * @param {Player} player - Their Player (anything with getPosition)
+   */
+  follow(playerId, player) {
+    this.mode = "follow";
+    this.followId = playerId;
+    this.setTarget(player);
+  }
+
+  /**
+   * Moves the free-fly rig relative to where the camera is looking
+   * @param {{x: number, z: number}} movement - From InputManager.getMovementInput
+   * @param {number} vertical - 1 up, -1 down, 0 level
+   * @param {boolean} fast - Fly at double speed
+   */
+  fly(deltaTime, movement, vertical, fast) {
+    if (this.mode !== "free") return;
+
+    const speed = GAME_CONFIG.SPECTATOR_FLY_SPEED * (fast ? 2 : 1) * deltaTime;
+    const forward = this.getForwardDirection();
+    const right = this.getRightDirection();
+
+    this.rig.position.x +=
+      (forward.x * movement.z + right.x * movement.x) * speed;
+    this.rig.position.z +=
+      (forward.z * movement.z + right.z * movement.x) * speed;
+    this.rig.position.y = THREE.MathUtils.clamp(
+      this.rig.position.y + vertical * speed,
+      this.getMinHeight(),
+      GAME_CONFIG.SPECTATOR_MAX_HEIGHT,
+    );
+  }
+
+  /**
+   * Lowest the rig may fly where it is (SPECTATOR_MIN_HEIGHT above hills)
+   */
+  getMinHeight() {
+    const { x, z } = this.rig.position;
+    const ground = this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    return ground + GAME_CONFIG.SPECTATOR_MIN_HEIGHT;
+  }
+
+  /**
+   * Gets the point the camera orbits (rig or followed player)
+   * Sent to the server so it knows which players to stream
+   */
+  getFocusPosition() {
+    return this.target.getPosition();
+  }
+}
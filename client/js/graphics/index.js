@@ -9,4 +9,5 @@ export { AtmosphereSystem } from "./AtmosphereSystem.js";
 export { LightingSystem } from "./LightingSystem.js";
 export { AudioSystem } from "./AudioSystem.js";
 export { CinematicCamera } from "./CinematicCamera.js";
+export { SpectatorCamera } from "./SpectatorCamera.js";
 export { MaterialFactory, getMaterialFactory } from "./MaterialFactory.js";
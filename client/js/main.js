@@ -17,12 +17,14 @@
 import { Game } from "./game/Game.js";
 import { FirebaseManager } from "./firebase/FirebaseManager.js";
 import { NetworkManager } from "./network/NetworkManager.js";
+import { LobbyClient } from "./network/LobbyClient.js";
 import { CHARACTERS, CHARACTER_LIST } from "./utils/constants.js";
 import { CharacterPreview } from "./ui/CharacterPreview.js";
 
 // Global instances
 let game = null;
 let firebaseManager = null;
+const lobbyClient = new LobbyClient(); // Room list/create before the game connects
 let currentRoomId = null;
 let currentPlayerName = null;
 let characterPreview = null;
@@ -188,22 +190,63 @@ function showLobbyScreen(playerName) {
       return;
     }
 
-    await createLobby(lobbyName, maxPlayers, playerName);
+    const access = {
+      visibility: document.getElementById("lobby-private").checked
+        ? "private"
+        : "public",
+      password: document.getElementById("lobby-password").value,
+    };
+
+    // World generation - the server picks a seed if none is given
+    const seed = document.getElementById("world-seed").value.trim();
+    const world = {
+      seed: seed === "" ? null : Number(seed),
+      townSize: Number(document.getElementById("world-town-size").value),
+      roadShape: document.getElementById("world-road-shape").value,
+      forestDensity: Number(
+        document.getElementById("world-forest-density").value
+      ),
+      portalCount: Number(document.getElementById("world-portal-count").value),
+    };
+
+    await createLobby(lobbyName, maxPlayers, playerName, access, world);
   });
 
+  // Setup join (or watch) by invite code
+  const joinByCode = async (spectator) => {
+    const code = document.getElementById("invite-code").value.trim();
+    if (!code) {
+      alert("Please enter an invite code");
+      return;
+    }
+
+    try {
+      const room = await lobbyClient.lookupRoom(code);
+      await joinLobby(room, { inviteCode: code, spectator });
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+  document
+    .getElementById("join-code-btn")
+    .addEventListener("click", () => joinByCode(false));
+  document
+    .getElementById("watch-code-btn")
+    .addEventListener("click", () => joinByCode(true));
+
   // Load lobbies initially
   loadLobbies();
 }
 
 /**
- * Loads available lobbies from Firestore
+ * Loads available lobbies from the game server (live player counts)
  */
 async function loadLobbies() {
   const lobbyList = document.getElementById("lobby-list");
   lobbyList.innerHTML = '<div class="loading-lobbies">Loading lobbies...</div>';
 
   try {
-    const rooms = await firebaseManager.getAvailableRooms();
+    const rooms = await lobbyClient.listRooms();
 
     if (rooms.length === 0) {
       lobbyList.innerHTML =
@@ -213,20 +256,32 @@ async function loadLobbies() {
 
     lobbyList.innerHTML = "";
     rooms.forEach((room) => {
+      const isFull = room.playerCount >= room.maxPlayers;
       const lobbyItem = document.createElement("div");
       lobbyItem.className = "lobby-item";
       lobbyItem.innerHTML = `
         <div class="lobby-info">
-          <h4>${room.name}</h4>
-          <p>Hawkins, Indiana</p>
+          <h4></h4>
+          <p>Hawkins, Indiana - ${describeWorld(room.world)}</p>
         </div>
-        <span class="lobby-players">${room.playerCount || 0}/${
+        <span class="lobby-players">${room.playerCount}/${
         room.maxPlayers
       }</span>
-        <button class="lobby-btn secondary" onclick="joinLobby('${room.id}', '${
-        room.name
-      }')">Join</button>
+        <button class="lobby-btn secondary join-btn"${
+          isFull ? " disabled" : ""
+        }>${isFull ? "Full" : "Join"}</button>
+        <button class="lobby-btn secondary watch-btn">Watch</button>
       `;
+
+      // Room names are player-chosen - set as text, not HTML
+      lobbyItem.querySelector("h4").textContent = room.name;
+      lobbyItem
+        .querySelector(".join-btn")
+        .addEventListener("click", () => joinLobby(room));
+      lobbyItem
+        .querySelector(".watch-btn")
+        .addEventListener("click", () => joinLobby(room, { spectator: true }));
+
       lobbyList.appendChild(lobbyItem);
     });
   } catch (error) {
@@ -237,25 +292,38 @@ async function loadLobbies() {
 }
 
 /**
- * Creates a new lobby
+ * Sums up a room's world config for the lobby list
+ */
+function describeWorld({ seed, townSize, roadShape, portalCount }) {
+  const size = ["small", "medium", "large"][townSize - 1];
+  return `${size} town, ${roadShape} roads, ${portalCount} portals (seed ${seed})`;
+}
+
+/**
+ * Creates a new lobby on the game server
+ * @param {Object} access - { visibility, password }
+ * @param {Object} world - World generation parameters (see LobbyClient.createRoom)
  */
-async function createLobby(lobbyName, maxPlayers, playerName) {
+async function createLobby(lobbyName, maxPlayers, playerName, access, world) {
   const loadingScreen = document.getElementById("loading");
-  const lobbyScreen = document.getElementById("lobby-screen");
 
   try {
     loadingScreen.style.display = "flex";
     document.getElementById("loading-text").textContent = "Creating lobby...";
 
-    // Create room ID from lobby name
-    const roomId =
-      lobbyName.toLowerCase().replace(/[^a-z0-9]/g, "-") + "-" + Date.now();
-
-    // Create room in Firestore
-    await firebaseManager.createRoom(roomId, lobbyName, maxPlayers);
-
-    // Join the lobby
-    await startGame(roomId, playerName);
+    // Server picks the room ID and invite code
+    const room = await lobbyClient.createRoom(
+      lobbyName,
+      maxPlayers,
+      access,
+      world
+    );
+
+    // Join the lobby (private rooms are only reachable by their code)
+    await startGame(room.id, playerName, {
+      inviteCode: room.inviteCode,
+      password: access.password,
+    });
   } catch (error) {
     console.error("Failed to create lobby:", error);
     loadingScreen.style.display = "none";
@@ -264,19 +332,28 @@ async function createLobby(lobbyName, maxPlayers, playerName) {
 }
 
 /**
- * Joins an existing lobby
+ * Joins an existing lobby, asking for its password if it has one
+ * @param {Object} room - Room from the lobby list or an invite code lookup
+ * @param {Object} access - { inviteCode } when joining by code,
+ *   { spectator: true } to watch
  */
-window.joinLobby = async function (roomId, roomName) {
+window.joinLobby = async function (room, access = {}) {
   const playerName = document.getElementById("user-name").textContent;
   const loadingScreen = document.getElementById("loading");
 
+  let password;
+  if (room.hasPassword) {
+    password = prompt(`Password for ${room.name}:`);
+    if (password === null) return;
+  }
+
   try {
     loadingScreen.style.display = "flex";
-    document.getElementById(
-      "loading-text"
-    ).textContent = `Joining ${roomName}...`;
+    document.getElementById("loading-text").textContent = `${
+      access.spectator ? "Watching" : "Joining"
+    } ${room.name}...`;
 
-    await startGame(roomId, playerName);
+    await startGame(room.id, playerName, { ...access, password });
   } catch (error) {
     console.error("Failed to join lobby:", error);
     loadingScreen.style.display = "none";
@@ -287,8 +364,10 @@ window.joinLobby = async function (roomId, roomName) {
 /**
  * Starts the game with the selected room
  * Now shows character selection first before starting the game
+ * @param {Object} access - { inviteCode, password } for private or locked rooms,
+ *   { spectator: true } to watch without picking a character
  */
-async function startGame(roomId, playerName) {
+async function startGame(roomId, playerName, access = {}) {
   const lobbyScreen = document.getElementById("lobby-screen");
   const loadingScreen = document.getElementById("loading");
 
@@ -302,6 +381,9 @@ async function startGame(roomId, playerName) {
     currentRoomId = roomId;
     currentPlayerName = playerName;
 
+    // The game opens its own connection
+    lobbyClient.disconnect();
+
     // Create and initialize game (but don't start yet)
     game = new Game();
     game.firebaseManager = firebaseManager;
@@ -310,11 +392,26 @@ async function startGame(roomId, playerName) {
     game.networkManager = game.networkManager || new NetworkManager(game);
     game.networkManager.setFirebaseUid(firebaseManager.getUid());
 
+    // Connection dropped and the session couldn't be resumed - start over
+    game.networkManager.onSessionLost = (reason) => {
+      alert("Connection lost: " + reason);
+      window.location.reload();
+    };
+
+    // Spectators skip character selection and go straight into the world
+    if (access.spectator) {
+      await game.networkManager.connect(playerName, roomId, access);
+      document.getElementById("loading-text").textContent = "Loading world...";
+      await game.initWithNetwork();
+      game.networkManager.sendSpectatorReady();
+      return;
+    }
+
     // Set up character selection callbacks
     setupCharacterSelectionCallbacks(game.networkManager, roomId);
 
     // Connect to server - this will trigger character selection screen
-    await game.networkManager.connect(playerName, roomId);
+    await game.networkManager.connect(playerName, roomId, access);
 
     // Hide loading, character selection will be shown by callback
     loadingScreen.style.display = "none";
@@ -0,0 +1,133 @@
+/**
+ * LobbyClient Class
+ * Lightweight socket connection for the lobby screen
+ * Lists and creates rooms on the game server before the game connects
+ * When rooms are sharded across processes, follows the server's redirect to
+ * the process a new room should be created on
+ */
+
+const REQUEST_TIMEOUT = 3000; // ms to wait for a lobby response
+
+export class LobbyClient {
+  constructor() {
+    this.socket = null;
+    this.url = undefined; // Server to talk to (same origin until redirected)
+  }
+
+  /**
+   * Connects to the server if not already connected
+   */
+  connect() {
+    if (this.socket && this.socket.connected) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      this.socket = io(this.url, { timeout: 2000, reconnection: false });
+      this.socket.once("connect", () => resolve());
+      this.socket.once("connect_error", (error) => {
+        this.socket = null;
+        reject(new Error("Server unavailable: " + error.message));
+      });
+    });
+  }
+
+  /**
+   * Sends a lobby request and waits for its response event
+   * @param {string} event - Request event
+   * @param {Object} data - Request payload
+   * @param {string} successEvent - Resolves with this event's payload
+   * @param {string} [failureEvent] - Rejects with this event's error
+   */
+  async request(event, data, successEvent, failureEvent) {
+    await this.connect();
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.socket.off(successEvent, onSuccess);
+        this.socket.off("room:redirect", onRedirect);
+        if (failureEvent) this.socket.off(failureEvent, onFailure);
+      };
+      const onSuccess = (response) => {
+        cleanup();
+        resolve(response);
+      };
+      const onFailure = (response) => {
+        cleanup();
+        reject(new Error(response.error));
+      };
+      // Another server process should handle this - ask it there (once)
+      const onRedirect = ({ url, shardId }) => {
+        cleanup();
+        if (data.shardId) {
+          reject(new Error("Server could not place the room"));
+          return;
+        }
+
+        this.disconnect();
+        this.url = url;
+        resolve(
+          this.request(event, { ...data, shardId }, successEvent, failureEvent),
+        );
+      };
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error("Server did not respond"));
+      }, REQUEST_TIMEOUT);
+
+      this.socket.on(successEvent, onSuccess);
+      this.socket.on("room:redirect", onRedirect);
+      if (failureEvent) this.socket.on(failureEvent, onFailure);
+      this.socket.emit(event, data);
+    });
+  }
+
+  /**
+   * Gets all public rooms with live player counts
+   * @returns {Promise<Array>} [{ id, name, playerCount, maxPlayers, hasPassword }]
+   */
+  async listRooms() {
+    const { rooms } = await this.request("room:list", {}, "room:listed");
+    return rooms;
+  }
+
+  /**
+   * Creates a room on the server
+   * @param {Object} access - { visibility: "public"|"private", password }
+   * @param {Object} world - { seed, townSize, roadShape, forestDensity,
+   *   portalCount }, any left out take the server's defaults (a random seed)
+   * @returns {Promise<Object>} The new room { id, name, ..., inviteCode }
+   */
+  async createRoom(name, maxPlayers, access = {}, world = {}) {
+    const { room } = await this.request(
+      "room:create",
+      { name, maxPlayers, ...access, world },
+      "room:created",
+      "room:createFailed",
+    );
+    return room;
+  }
+
+  /**
+   * Finds a room (public or private) by its invite code
+   * @returns {Promise<Object>} The room { id, name, playerCount, maxPlayers, hasPassword }
+   */
+  async lookupRoom(code) {
+    const { room } = await this.request(
+      "room:lookup",
+      { code },
+      "room:found",
+      "room:lookupFailed",
+    );
+    return room;
+  }
+
+  /**
+   * Closes the lobby connection (the game opens its own)
+   */
+  disconnect() {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+  }
+}
@@ -11,29 +11,50 @@
  * ║  - Player rotation and animation state                                        ║
  * ║  - Low-latency game loop synchronization                                      ║
  * ║  - Player join/leave notifications                                            ║
+ * ║  - Room list, creation and live player counts (lobby)                         ║
  * ║                                                                                ║
  * ║  Firebase handles (via FirebaseManager):                                      ║
  * ║  - Player authentication (UID-based identity)                                 ║
  * ║  - Persistent player profiles                                                 ║
- * ║  - Room/lobby metadata                                                        ║
  * ║  - Global world state (low-frequency changes)                                 ║
  * ╚═══════════════════════════════════════════════════════════════════════════════╝
  */
 
 import { GAME_CONFIG, CHARACTERS } from "../utils/constants.js";
+import { SnapshotReceiver, dequantizeState } from "../shared/SnapshotCodec.js";
+import { SnapshotBuffer } from "./SnapshotBuffer.js";
 
 export class NetworkManager {
   constructor(game) {
     this.game = game;
     this.socket = null;
+    this.serverUrl = undefined; // Server process to connect to (same origin unless redirected)
     this.playerId = null;
     this.firebaseUid = null; // Firebase UID for persistent identity
     this.connected = false;
     this.selectedCharacterId = null; // Currently selected character
     this.singlePlayerMode = false; // Single-player fallback mode
+    this.session = null; // { username, roomId } once in game - resumed after a drop
+    this.room = null; // Room we're in: { id, name, inviteCode, hostId, ... }
+    this.worldConfig = null; // Room's world seed and generation parameters (sent on join)
+    this.spectating = false; // Watching without a character (invisible to players)
+    this.voiceEnabled = false; // Voice chat on - announced again after a resume
 
     // Remote players data with interpolation buffers
-    this.remotePlayers = new Map(); // playerId -> { data, mesh, interpolation }
+    this.remotePlayers = new Map(); // playerId -> { data, mesh, buffer }
+    this.netIds = new Map(); // netId -> playerId (binary snapshots)
+
+    // Binary delta snapshots; ?snapshots=json asks for readable JSON updates
+    this.snapshotFormat =
+      new URLSearchParams(window.location.search).get("snapshots") === "json"
+        ? "json"
+        : "binary";
+    this.snapshotReceiver = new SnapshotReceiver();
+    this.snapshotResetPending = false; // Waiting for a full snapshot
+
+    // Server clock estimate (remote players render INTERPOLATION_DELAY behind it)
+    this.serverTimeOffset = null; // Server time minus performance.now(), ms
+    this.tickInterval = 1000 / GAME_CONFIG.NETWORK_TICK_RATE;
 
     // Movement update throttling
     this.lastSentPosition = { x: 0, y: 0, z: 0 };
@@ -41,11 +62,16 @@ export class NetworkManager {
     this.lastSendTime = 0;
     this.sendInterval = 1000 / GAME_CONFIG.NETWORK_TICK_RATE;
 
+    // Client-side prediction - inputs the server hasn't acknowledged yet
+    this.inputSeq = 0;
+    this.pendingInputs = []; // { input, position } oldest first
+
     // Callbacks for character selection
     this.onCharacterSelectScreen = null;
     this.onCharacterSelected = null;
     this.onCharacterSelectFailed = null;
     this.onCharacterStateChanged = null;
+    this.onSessionLost = null; // Called if a dropped session can't be resumed
   }
 
   /**
@@ -62,8 +88,12 @@ export class NetworkManager {
    * Connects to the game server
    * @param {string} username - Player display name
    * @param {string} roomId - Room to join (defaults to 'hawkins-1')
+   * @param {Object} access - { inviteCode, password } for private or locked rooms,
+   *   { spectator: true } to watch without a character
+   * If the room lives on another server process, the server redirects and
+   * this connects there instead
    */
-  connect(username = "Player", roomId = "hawkins-1") {
+  connect(username = "Player", roomId = "hawkins-1", access = {}) {
     return new Promise((resolve, reject) => {
       // Try to connect to server with timeout
       const connectionTimeout = setTimeout(() => {
@@ -80,8 +110,8 @@ export class NetworkManager {
       }, 3000); // 3 second timeout
 
       try {
-        // Connect to server (same origin in production)
-        this.socket = io({
+        // Connect to server (same origin unless a redirect moved us)
+        this.socket = io(this.serverUrl, {
           timeout: 2000,
           reconnection: false,
         });
@@ -91,15 +121,32 @@ export class NetworkManager {
           console.log("[Network] Connected to server");
           this.connected = true;
 
+          // Reconnected after a drop - pick the session back up
+          if (this.session) {
+            this.socket.emit("player:resume", {
+              uid: this.firebaseUid,
+              roomId: this.session.roomId,
+              snapshotFormat: this.snapshotFormat,
+            });
+            return;
+          }
+
           // Request to join game with Firebase UID for identity
-          this.socket.emit("player:join", {
+          this.socket.emit("room:join", {
             username,
             uid: this.firebaseUid, // Send Firebase UID for persistent identity
             roomId: roomId,
+            inviteCode: access.inviteCode,
+            password: access.password,
+            spectator: !!access.spectator,
+            snapshotFormat: this.snapshotFormat,
           });
         });
 
         this.socket.on("connect_error", (error) => {
+          // A reconnect attempt failed - socket.io keeps retrying
+          if (this.session) return;
+
           clearTimeout(connectionTimeout);
           console.warn(
             "[Network] Connection error - switching to single-player mode:",
@@ -114,17 +161,47 @@ export class NetworkManager {
           });
         });
 
+        // Handle the room being on another server process - join it there
+        this.socket.on("room:redirect", (data) => {
+          clearTimeout(connectionTimeout);
+          this.socket.off();
+          this.socket.disconnect();
+
+          if (access.redirected) {
+            reject(new Error("Room could not be found"));
+            return;
+          }
+
+          console.log(`[Network] Room is on ${data.url} - reconnecting`);
+          this.serverUrl = data.url;
+          resolve(
+            this.connect(username, roomId, { ...access, redirected: true }),
+          );
+        });
+
         // Handle character selection screen (new flow)
         this.socket.on("player:selectCharacterScreen", (data) => {
           clearTimeout(connectionTimeout);
           console.log("[Network] Character selection screen:", data);
           this.playerId = data.id;
+          this.worldConfig = data.world;
           if (this.onCharacterSelectScreen) {
             this.onCharacterSelectScreen(data);
           }
           resolve(data);
         });
 
+        // Handle joining as a spectator (no character selection)
+        this.socket.on("spectator:welcome", (data) => {
+          clearTimeout(connectionTimeout);
+          console.log("[Network] Joined as spectator:", data);
+          this.playerId = data.id;
+          this.spectating = true;
+          this.worldConfig = data.world;
+          this.setRoom(data.room);
+          resolve(data);
+        });
+
         // Handle successful character selection
         this.socket.on("character:selected", (data) => {
           console.log("[Network] Character selected:", data.characterId);
@@ -171,17 +248,128 @@ export class NetworkManager {
 
         // Initialize local player with server position
         this.game.initLocalPlayer(data.player);
+        this.game.doors.setOpenDoors(data.doors);
+        this.game.bicycles.setBicycles(data.bicycles);
 
         // Add existing players
         data.players.forEach((playerData) => {
           this.addRemotePlayer(playerData);
         });
+
+        this.setRoom(data.room);
+
+        // From now on a dropped connection retries and resumes the session
+        this.session = { username, roomId: data.room.id };
+        this.socket.io.reconnection(true);
+        this.socket.io.reconnectionAttempts(GAME_CONFIG.RECONNECT_ATTEMPTS);
+      });
+
+      // Handle the server restoring our session after a reconnect
+      this.socket.on("player:resumed", (data) => {
+        this.handleSessionResumed(data);
+      });
+
+      // Handle the session being gone (grace period over or room full)
+      this.socket.on("player:resumeFailed", (data) => {
+        console.warn("[Network] Could not resume session:", data.error);
+        this.endSession(data.error);
+      });
+
+      // Handle running out of reconnect attempts
+      this.socket.io.on("reconnect_failed", () => {
+        console.warn("[Network] Could not reconnect to server");
+        this.endSession("Could not reconnect to server");
+      });
+
+      // Handle the server starting to stream players to us as a spectator
+      this.socket.on("spectator:joined", (data) => {
+        this.handleSpectatorJoined(data);
+      });
+
+      // Handle switching the world state we watch
+      this.socket.on("spectator:observed", (data) => {
+        console.log("[Network] Now watching:", data.worldState);
+        this.remotePlayers.forEach((_, id) => this.removeRemotePlayer(id));
+        this.game.restoreWorldState(data.worldState);
+        this.game.doors.setOpenDoors(data.doors);
+        this.game.bicycles.setBicycles(data.bicycles);
+        data.players.forEach((playerData) => {
+          this.addRemotePlayer(playerData);
+        });
+      });
+
+      // Handle chat messages and the room's recent history
+      this.socket.on("player:chat", (data) => {
+        this.game.chatPanel.addMessage(data);
+      });
+
+      this.socket.on("chat:history", (data) => {
+        this.game.chatPanel.setHistory(data.messages);
+      });
+
+      // Handle the server refusing a message (rate limit, mute, filter)
+      this.socket.on("chat:rejected", (data) => {
+        this.game.chatPanel.addNotice(data.error);
+      });
+
+      this.socket.on("chat:muted", (data) => {
+        const minutes = Math.ceil((data.until - Date.now()) / 60000);
+        this.game.chatPanel.addNotice(
+          `The host muted you for ${minutes} minute${minutes === 1 ? "" : "s"}`,
+        );
+      });
+
+      this.socket.on("chat:unmuted", () => {
+        this.game.chatPanel.addNotice("The host unmuted you");
+      });
+
+      // Handle announcements from the server admin
+      this.socket.on("server:announce", (data) => {
+        this.game.chatPanel.addNotice(`[Server] ${data.message}`);
+      });
+
+      // Handle voice chat: who has it on, WebRTC signals, and hang-ups
+      // when a player is blocked
+      this.socket.on("voice:state", (data) => {
+        const remote = this.remotePlayers.get(data.id);
+        if (remote) remote.data.voice = data.voice;
+      });
+
+      this.socket.on("voice:signal", (data) => {
+        if (this.game.voiceChat) this.game.voiceChat.handleSignal(data);
+      });
+
+      this.socket.on("voice:hangup", (data) => {
+        if (this.game.voiceChat) this.game.voiceChat.hangUp(data.id);
+      });
+
+      // Handle the host leaving (the longest-present player takes over)
+      this.socket.on("room:hostChanged", (data) => {
+        if (!this.room) return;
+        this.setRoom({ ...this.room, hostId: data.hostId });
+      });
+
+      // Handle the player list for the in-game roster
+      this.socket.on("room:roster", (data) => {
+        this.game.showPlayerList(data, this.isHost());
+      });
+
+      // Handle being kicked by the host (the server closes the connection)
+      this.socket.on("room:kicked", () => {
+        console.warn("[Network] Removed from the room by the host");
+        this.endSession("You were removed from the room");
+      });
+
+      // Handle players coming within range (interest management)
+      this.socket.on("interest:enter", (data) => {
+        data.players.forEach((playerData) => {
+          this.addRemotePlayer(playerData);
+        });
       });
 
-      // Handle new player spawning
-      this.socket.on("player:spawned", (data) => {
-        console.log("[Network] Player spawned:", data.player.username);
-        this.addRemotePlayer(data.player);
+      // Handle players moving out of range or into another world state
+      this.socket.on("interest:leave", (data) => {
+        data.ids.forEach((id) => this.removeRemotePlayer(id));
       });
 
       // Handle player leaving
@@ -192,7 +380,12 @@ export class NetworkManager {
 
       // Handle player updates (position, rotation, animation)
       this.socket.on("players:update", (data) => {
-        this.handlePlayersUpdate(data.players);
+        this.handlePlayersUpdate(data);
+      });
+
+      // Handle server acknowledging our movement (authoritative position)
+      this.socket.on("player:ack", (data) => {
+        this.handleMoveAck(data);
       });
 
       // Handle world state change confirmation
@@ -206,6 +399,30 @@ export class NetworkManager {
         data.players.forEach((playerData) => {
           this.addRemotePlayer(playerData);
         });
+
+        // Doors and bicycles as they are in the new world state
+        this.game.doors.setOpenDoors(data.doors);
+        this.game.bicycles.setBicycles(data.bicycles);
+      });
+
+      // Handle a door opening or closing in our world state
+      this.socket.on("door:state", (data) => {
+        this.game.doors.setDoorOpen(data.doorId, data.open);
+      });
+
+      // Handle bicycles being ridden, parked or locked in our world state
+      this.socket.on("bicycle:state", (data) => {
+        this.game.bicycles.updateBicycle(data);
+      });
+
+      // Handle a bicycle being ridden off to the other world state
+      this.socket.on("bicycle:removed", (data) => {
+        this.game.bicycles.removeBicycle(data.id);
+      });
+
+      // Handle the server turning down a bicycle request
+      this.socket.on("bicycle:rejected", (data) => {
+        this.game.chatPanel.addNotice(data.error);
       });
 
       // Handle errors
@@ -215,7 +432,11 @@ export class NetworkManager {
       });
 
       this.socket.on("disconnect", () => {
-        console.log("[Network] Disconnected from server");
+        console.log(
+          `[Network] Disconnected from server${
+            this.session ? " - trying to resume" : ""
+          }`,
+        );
         this.connected = false;
       });
 
@@ -237,6 +458,9 @@ export class NetworkManager {
     this.connected = false;
     this.playerId = "single-player";
 
+    // Nobody to share them with - park bicycles locally
+    this.game.bicycles.spawnParked();
+
     // Show notification to user
     this.showSinglePlayerNotification();
   }
@@ -313,6 +537,175 @@ export class NetworkManager {
     this.socket.emit("player:ready", {});
   }
 
+  /**
+   * Picks the game back up after the server restored our session
+   * Remote players and snapshot state start over on the new connection
+   */
+  handleSessionResumed(data) {
+    console.log("[Network] Session resumed:", data);
+    this.playerId = data.id;
+    this.setRoom(data.room);
+
+    this.remotePlayers.forEach((_, id) => this.removeRemotePlayer(id));
+    this.snapshotReceiver.reset();
+    this.snapshotResetPending = false;
+    this.pendingInputs = [];
+
+    // Everyone calls us again on the new connection
+    if (this.voiceEnabled) {
+      if (this.game.voiceChat) this.game.voiceChat.reset();
+      this.socket.emit("voice:join");
+    }
+
+    // Back to the character, position and world the server held for us
+    this.lastSentPosition = { ...data.player.position };
+    this.lastSentRotation = data.player.rotation;
+    this.game.applyPositionCorrection(
+      data.player.position,
+      data.player.rotation,
+    );
+    this.game.restoreWorldState(data.player.worldState);
+    this.game.doors.setOpenDoors(data.doors);
+    this.game.bicycles.setBicycles(data.bicycles);
+
+    data.players.forEach((playerData) => {
+      this.addRemotePlayer(playerData);
+    });
+  }
+
+  /**
+   * Tells the server our game has loaded and we're ready to watch
+   */
+  sendSpectatorReady() {
+    if (!this.connected) return;
+    this.socket.emit("spectator:ready");
+  }
+
+  /**
+   * Starts watching: camera at the server's starting point, nearby players
+   */
+  handleSpectatorJoined(data) {
+    console.log("[Network] Spectating:", data);
+    this.setRoom(data.room);
+    this.game.restoreWorldState(data.worldState);
+    this.game.doors.setOpenDoors(data.doors);
+    this.game.bicycles.setBicycles(data.bicycles);
+    this.game.startSpectating(data.position);
+
+    data.players.forEach((playerData) => {
+      this.addRemotePlayer(playerData);
+    });
+  }
+
+  /**
+   * Sends where the spectator camera is (throttled to the network tick rate)
+   */
+  sendSpectatorPosition(position) {
+    if (!this.connected) return;
+
+    const now = performance.now();
+    if (now - this.lastSendTime < this.sendInterval) return;
+
+    this.lastSendTime = now;
+    this.socket.emit("spectator:move", {
+      position: { x: position.x, y: position.y, z: position.z },
+    });
+  }
+
+  /**
+   * Asks to watch another world state (answered by spectator:observed)
+   */
+  observeWorldState(worldState) {
+    if (!this.connected || !this.spectating) return;
+    this.socket.emit("spectator:observe", { worldState });
+  }
+
+  /**
+   * Stores the room we're in and updates its HUD
+   */
+  setRoom(room) {
+    this.room = room;
+    this.game.updateRoomUI(room);
+  }
+
+  /**
+   * Checks if we're the room's host (can kick players)
+   */
+  isHost() {
+    return !!this.room && this.room.hostId === this.playerId;
+  }
+
+  /**
+   * Asks the server for the room's player list (answered by room:roster)
+   */
+  requestRoster() {
+    if (!this.connected) return;
+    this.socket.emit("room:players");
+  }
+
+  /**
+   * Removes a player from the room (host only)
+   */
+  kickPlayer(playerId) {
+    if (!this.connected || !this.isHost()) return;
+    this.socket.emit("room:kick", { playerId });
+  }
+
+  /**
+   * Sends a chat message (the server filters and rate limits it)
+   * @param {string} channel - One of CHAT_CHANNELS
+   */
+  sendChat(message, channel) {
+    if (!this.connected) return;
+    this.socket.emit("player:chat", { message, channel });
+  }
+
+  /**
+   * Blocks or unblocks a player's chat messages for us
+   */
+  blockPlayer(playerId, blocked) {
+    if (!this.connected) return;
+    this.socket.emit(blocked ? "chat:block" : "chat:unblock", { playerId });
+  }
+
+  /**
+   * Mutes or unmutes a player's chat (host only)
+   */
+  mutePlayer(playerId, muted) {
+    if (!this.connected || !this.isHost()) return;
+    this.socket.emit(muted ? "chat:mute" : "chat:unmute", { playerId });
+  }
+
+  /**
+   * Tells the room we turned voice chat on or off
+   */
+  setVoice(enabled) {
+    this.voiceEnabled = enabled;
+    if (!this.connected) return;
+    this.socket.emit(enabled ? "voice:join" : "voice:leave");
+  }
+
+  /**
+   * Relays a WebRTC offer, answer or ICE candidate to another player
+   */
+  sendVoiceSignal(to, type, data) {
+    if (!this.connected) return;
+    this.socket.emit("voice:signal", { to, type, data });
+  }
+
+  /**
+   * Gives up on resuming the session
+   */
+  endSession(reason) {
+    this.session = null;
+    if (this.socket) {
+      this.socket.io.reconnection(false);
+    }
+    if (this.onSessionLost) {
+      this.onSessionLost(reason);
+    }
+  }
+
   /**
    * Adds a remote player to the scene
    */
@@ -323,18 +716,15 @@ export class NetworkManager {
     // Create player mesh through game
     const mesh = this.game.createPlayerMesh(playerData);
 
-    // Store player with interpolation data
+    if (playerData.netId != null) {
+      this.netIds.set(playerData.netId, playerData.id);
+    }
+
+    // Store player with an empty snapshot buffer (filled by players:update)
     this.remotePlayers.set(playerData.id, {
       data: playerData,
       mesh: mesh,
-      interpolation: {
-        startPos: { ...playerData.position },
-        endPos: { ...playerData.position },
-        startRot: playerData.rotation,
-        endRot: playerData.rotation,
-        startTime: Date.now(),
-        duration: this.sendInterval,
-      },
+      buffer: new SnapshotBuffer(),
     });
 
     console.log(`[Network] Added remote player: ${playerData.username}`);
@@ -348,39 +738,120 @@ export class NetworkManager {
     if (player) {
       this.game.removePlayerMesh(player.mesh);
       this.remotePlayers.delete(playerId);
+      this.netIds.delete(player.data.netId);
     }
   }
 
   /**
    * Handles batch player updates from server
+   * Every remote player gets a snapshot at the server tick - players not
+   * listed in the update held still
+   * @param {ArrayBuffer|Object} data - Binary snapshot or JSON { tick, players }
    */
-  handlePlayersUpdate(updates) {
-    updates.forEach((update) => {
+  handlePlayersUpdate(data) {
+    const snapshot =
+      data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+        ? this.decodeSnapshot(data)
+        : { tick: data.tick, updates: data.players };
+    if (!snapshot) return;
+
+    const serverTime = snapshot.tick * this.tickInterval;
+    this.syncServerClock(serverTime);
+
+    snapshot.updates.forEach((update) => {
       const player = this.remotePlayers.get(update.id);
       if (!player) return;
 
-      // Update interpolation targets
-      player.interpolation.startPos = { ...player.interpolation.endPos };
-      player.interpolation.endPos = update.position;
-      player.interpolation.startRot = player.interpolation.endRot;
-      player.interpolation.endRot = update.rotation;
-      player.interpolation.startTime = Date.now();
-
-      // Update animation state
+      player.data.position = update.position;
+      player.data.rotation = update.rotation;
       if (update.animation) {
         player.data.animation = update.animation;
-        // TODO: Trigger animation change on mesh
       }
     });
+
+    this.remotePlayers.forEach((player) => {
+      player.buffer.push(
+        serverTime,
+        player.data.position,
+        player.data.rotation,
+        player.data.animation,
+      );
+    });
+  }
+
+  /**
+   * Updates the server clock estimate from a snapshot's server time
+   * Smoothed so network jitter doesn't make remote players stutter
+   */
+  syncServerClock(serverTime) {
+    const offset = serverTime - performance.now();
+
+    // First snapshot, or far off (e.g. tab was in the background) - snap to it
+    if (
+      this.serverTimeOffset === null ||
+      Math.abs(offset - this.serverTimeOffset) > 1000
+    ) {
+      this.serverTimeOffset = offset;
+      return;
+    }
+
+    this.serverTimeOffset += (offset - this.serverTimeOffset) * 0.05;
+  }
+
+  /**
+   * Decodes a binary snapshot and acknowledges it
+   * @returns {{ tick: number, updates: Object[] }|null} Updates for players that changed
+   */
+  decodeSnapshot(data) {
+    const snapshot = this.snapshotReceiver.receive(data);
+
+    if (!snapshot) {
+      // Baseline is gone - start over from a full snapshot
+      if (!this.snapshotResetPending) {
+        console.warn("[Network] Snapshot baseline missing, requesting reset");
+        this.snapshotReceiver.reset();
+        this.socket.emit("snapshot:reset");
+        this.snapshotResetPending = true;
+      }
+      return null;
+    }
+
+    this.snapshotResetPending = false;
+    this.socket.emit("snapshot:ack", { seq: snapshot.seq });
+
+    const updates = [];
+    snapshot.changed.forEach((state, netId) => {
+      const id = this.netIds.get(netId);
+      if (id) updates.push({ id, ...dequantizeState(state) });
+    });
+    return { tick: snapshot.tick, updates };
+  }
+
+  /**
+   * Creates a numbered input command for the local player
+   * @param {Object} fields - { dt, moveX, moveZ, run, jump, riding }
+   */
+  createInput(fields) {
+    this.inputSeq++;
+    return { seq: this.inputSeq, ...fields };
   }
 
   /**
    * Sends local player movement to server (throttled)
+   * Every input is kept with its predicted position until the server acks it
    */
-  sendMovement(position, rotation, animation) {
+  sendMovement(input, position, rotation, animation) {
     if (this.singlePlayerMode) return; // Skip in single-player mode
     if (!this.connected) return;
 
+    this.pendingInputs.push({
+      input,
+      position: { x: position.x, y: position.y, z: position.z },
+    });
+    if (this.pendingInputs.length > GAME_CONFIG.MAX_PENDING_INPUTS) {
+      this.pendingInputs.shift();
+    }
+
     const now = Date.now();
     if (now - this.lastSendTime < this.sendInterval) return;
 
@@ -394,6 +865,7 @@ export class NetworkManager {
     if (posDelta < 0.01 && rotDelta < 0.01) return;
 
     this.socket.emit("player:move", {
+      seq: input.seq, // Latest input this position includes
       position: { x: position.x, y: position.y, z: position.z },
       rotation: rotation,
       animation: animation,
@@ -404,6 +876,38 @@ export class NetworkManager {
     this.lastSendTime = now;
   }
 
+  /**
+   * Reconciles the local player with the server's authoritative position
+   * Acked inputs are dropped; if the server disagrees with what we predicted
+   * for the acked input, restart from its position and replay the rest
+   */
+  handleMoveAck(data) {
+    const acked = this.pendingInputs.find(
+      (entry) => entry.input.seq === data.seq,
+    );
+    this.pendingInputs = this.pendingInputs.filter(
+      (entry) => entry.input.seq > data.seq,
+    );
+    if (!acked) return;
+
+    const dx = acked.position.x - data.position.x;
+    const dy = acked.position.y - data.position.y;
+    const dz = acked.position.z - data.position.z;
+    const threshold = GAME_CONFIG.RECONCILE_THRESHOLD;
+    if (dx * dx + dy * dy + dz * dz <= threshold * threshold) return;
+
+    console.warn("[Network] Position corrected by server, replaying inputs");
+    this.game.reconcileLocalPlayer(
+      data.position,
+      data.rotation,
+      this.pendingInputs,
+    );
+
+    // Make sure the replayed position gets sent
+    this.lastSentPosition = { ...data.position };
+    this.lastSentRotation = data.rotation;
+  }
+
   /**
    * Sends world state change to server
    */
@@ -414,34 +918,68 @@ export class NetworkManager {
     this.socket.emit("player:worldChange", { worldState });
   }
 
+  /**
+   * Sends a door we opened or closed to the server
+   */
+  sendDoorToggle(doorId, open) {
+    if (this.singlePlayerMode) return; // Skip in single-player mode
+    if (!this.connected) return;
+
+    this.socket.emit("door:toggle", { doorId, open });
+  }
+
+  /**
+   * Asks to get on a bicycle (answered by bicycle:state or bicycle:rejected)
+   */
+  sendBicycleMount(bicycleId) {
+    if (!this.connected) return;
+    this.socket.emit("bicycle:mount", { bicycleId });
+  }
+
+  /**
+   * Gets off our bicycle
+   */
+  sendBicycleDismount() {
+    if (!this.connected) return;
+    this.socket.emit("bicycle:dismount");
+  }
+
+  /**
+   * Asks to lock or unlock a parked bicycle
+   */
+  sendBicycleLock(bicycleId, locked) {
+    if (!this.connected) return;
+    this.socket.emit("bicycle:lock", { bicycleId, locked });
+  }
+
   /**
    * Updates remote player interpolation
-   * Called every frame for smooth movement
+   * Called every frame - renders remote players INTERPOLATION_DELAY in the
+   * past so there is usually a snapshot on either side of the render time
    */
   updateInterpolation() {
-    const now = Date.now();
-
-    this.remotePlayers.forEach((player) => {
-      const interp = player.interpolation;
-      let t = (now - interp.startTime) / interp.duration;
-      t = Math.min(1, Math.max(0, t));
-
-      // Smooth interpolation using ease-out
-      const smoothT = 1 - Math.pow(1 - t, 2);
-
-      // Interpolate position
-      player.mesh.position.x =
-        interp.startPos.x + (interp.endPos.x - interp.startPos.x) * smoothT;
-      player.mesh.position.y =
-        interp.startPos.y + (interp.endPos.y - interp.startPos.y) * smoothT;
-      player.mesh.position.z =
-        interp.startPos.z + (interp.endPos.z - interp.startPos.z) * smoothT;
-
-      // Interpolate rotation (handle wrapping)
-      let rotDiff = interp.endRot - interp.startRot;
-      if (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
-      if (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
-      player.mesh.rotation.y = interp.startRot + rotDiff * smoothT;
+    if (this.serverTimeOffset === null) return;
+
+    const renderTime =
+      performance.now() +
+      this.serverTimeOffset -
+      GAME_CONFIG.INTERPOLATION_DELAY;
+
+    this.remotePlayers.forEach((player, id) => {
+      const state = player.buffer.sample(renderTime);
+      if (!state) return;
+
+      player.mesh.position.set(
+        state.position.x,
+        state.position.y,
+        state.position.z,
+      );
+      player.mesh.rotation.y = state.rotation;
+
+      const remote = this.game.remotePlayers.get(id);
+      if (remote) {
+        remote.setAnimation(state.animation);
+      }
     });
   }
 
@@ -454,6 +992,14 @@ export class NetworkManager {
       this.socket = null;
     }
     this.connected = false;
+    this.serverUrl = undefined;
+    this.session = null;
+    this.room = null;
+    this.spectating = false;
+    this.voiceEnabled = false;
     this.remotePlayers.clear();
+    this.netIds.clear();
+    this.snapshotReceiver.reset();
+    this.serverTimeOffset = null;
   }
 }
@@ -0,0 +1,111 @@
+/**
+ * SnapshotBuffer Class
+ * Ring buffer of server-timestamped states for one remote player
+ * Samples a past moment by interpolating between the two snapshots around it,
+ * or briefly extrapolates past the newest one when snapshots stop arriving
+ */
+
+import { GAME_CONFIG } from "../utils/constants.js";
+
+/**
+ * Interpolates between two angles along the shortest arc
+ */
+function lerpAngle(a, b, t) {
+  let diff = b - a;
+  while (diff > Math.PI) diff -= Math.PI * 2;
+  while (diff < -Math.PI) diff += Math.PI * 2;
+  return a + diff * t;
+}
+
+export class SnapshotBuffer {
+  constructor(capacity = GAME_CONFIG.SNAPSHOT_BUFFER_SIZE) {
+    this.capacity = capacity;
+    this.samples = new Array(capacity);
+    this.start = 0; // Index of the oldest sample
+    this.count = 0;
+  }
+
+  /**
+   * Gets the i-th sample, oldest first
+   */
+  get(i) {
+    return this.samples[(this.start + i) % this.capacity];
+  }
+
+  /**
+   * Adds a snapshot (older or duplicate timestamps are ignored)
+   * @param {number} time - Server time in ms
+   */
+  push(time, position, rotation, animation) {
+    if (this.count > 0 && time <= this.get(this.count - 1).time) return;
+
+    this.samples[(this.start + this.count) % this.capacity] = {
+      time,
+      position: { ...position },
+      rotation,
+      animation,
+    };
+
+    if (this.count < this.capacity) {
+      this.count++;
+    } else {
+      this.start = (this.start + 1) % this.capacity; // Overwrite the oldest
+    }
+  }
+
+  /**
+   * Samples the state at a server time
+   * @returns {{ position, rotation, animation }|null} null if empty
+   */
+  sample(time) {
+    if (this.count === 0) return null;
+
+    const oldest = this.get(0);
+    if (this.count === 1 || time <= oldest.time) {
+      return this.blend(oldest, oldest, 0);
+    }
+
+    // Past the newest snapshot - extrapolate along the last segment
+    const newest = this.get(this.count - 1);
+    if (time >= newest.time) {
+      const previous = this.get(this.count - 2);
+      const ahead = Math.min(time - newest.time, GAME_CONFIG.MAX_EXTRAPOLATION);
+      const t = 1 + ahead / (newest.time - previous.time);
+      return this.blend(previous, newest, t);
+    }
+
+    // Find the pair of snapshots bracketing the time (newest first)
+    for (let i = this.count - 2; i >= 0; i--) {
+      const from = this.get(i);
+      if (from.time <= time) {
+        const to = this.get(i + 1);
+        return this.blend(from, to, (time - from.time) / (to.time - from.time));
+      }
+    }
+
+    return this.blend(oldest, oldest, 0);
+  }
+
+  /**
+   * Linearly blends two samples (t > 1 extrapolates)
+   */
+  blend(from, to, t) {
+    return {
+      position: {
+        x: from.position.x + (to.position.x - from.position.x) * t,
+        y: from.position.y + (to.position.y - from.position.y) * t,
+        z: from.position.z + (to.position.z - from.position.z) * t,
+      },
+      rotation: lerpAngle(from.rotation, to.rotation, t),
+      animation: t < 1 ? from.animation : to.animation,
+    };
+  }
+
+  /**
+   * Removes all samples
+   */
+  clear() {
+    this.start = 0;
+    this.count = 0;
+  }
+}
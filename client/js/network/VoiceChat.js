@@ -0,0 +1,277 @@
+/**
+ * VoiceChat Class
+ * Peer-to-peer positional voice over WebRTC
+ * Offers, answers and ICE candidates are relayed by the game server
+ * (voice:signal); audio goes straight between browsers and plays through
+ * AudioSystem, panned to the speaking player's mesh
+ *
+ * Only voice players within interest range (NetworkManager.remotePlayers)
+ * are connected - anyone further away is out of earshot anyway. The player
+ * with the lower ID makes the offer so two players never call each other
+ * at once.
+ */
+
+import { GAME_CONFIG } from "../utils/constants.js";
+
+export class VoiceChat {
+  /**
+   * @param {AudioSystem} audioSystem - Initialized audio system voices play through
+   * @param {Function} sendSignal - Called with (to, type, data) to relay a signal
+   * @param {Object} options - { getUserMedia, iceServers }; getUserMedia
+   *   returns a Promise of the MediaStream to send (fake streams for testing)
+   */
+  constructor(audioSystem, sendSignal, options = {}) {
+    this.audioSystem = audioSystem;
+    this.sendSignal = sendSignal;
+    this.getUserMedia =
+      options.getUserMedia ||
+      (() =>
+        navigator.mediaDevices.getUserMedia({
+          audio: { echoCancellation: true, noiseSuppression: true },
+        }));
+    this.iceServers = options.iceServers || GAME_CONFIG.VOICE_ICE_SERVERS;
+
+    this.enabled = false;
+    this.localStream = null;
+    this.worldState = "normal";
+    this.peers = new Map(); // playerId -> { connection, output, element, queue }
+
+    // Peers we hung up on (blocked, or the connection failed) - not called
+    // again until they leave range or turn voice off and on
+    this.hungUp = new Set();
+  }
+
+  /**
+   * Turns the microphone on
+   * @returns {Promise<boolean>} false if there is no microphone (or no permission)
+   */
+  async enable() {
+    if (this.enabled) return true;
+
+    try {
+      this.localStream = await this.getUserMedia();
+    } catch (error) {
+      console.warn("[VoiceChat] Microphone unavailable:", error);
+      return false;
+    }
+
+    this.enabled = true;
+    console.log("[VoiceChat] Enabled");
+    return true;
+  }
+
+  /**
+   * Hangs up on everyone and turns the microphone off
+   */
+  disable() {
+    if (!this.enabled) return;
+
+    this.enabled = false;
+    this.reset();
+    this.localStream.getTracks().forEach((track) => track.stop());
+    this.localStream = null;
+    console.log("[VoiceChat] Disabled");
+  }
+
+  /**
+   * Hangs up on everyone but keeps the microphone (e.g. after a reconnect)
+   */
+  reset() {
+    this.peers.forEach((_, id) => this.closePeer(id));
+    this.hungUp.clear();
+  }
+
+  /**
+   * Calls voice players that came into range, hangs up on those that left
+   * and moves every voice to its player's mesh
+   * @param {string} localId - Our player ID
+   * @param {Map} remotePlayers - NetworkManager.remotePlayers
+   * @param {THREE.Camera} camera - Where we hear from
+   * @param {string} worldState - World state we're in
+   */
+  update(localId, remotePlayers, camera, worldState) {
+    if (!this.enabled) return;
+
+    this.peers.forEach((_, id) => {
+      const remote = remotePlayers.get(id);
+      if (!remote || !remote.data.voice) this.closePeer(id);
+    });
+
+    this.hungUp.forEach((id) => {
+      const remote = remotePlayers.get(id);
+      if (!remote || !remote.data.voice) this.hungUp.delete(id);
+    });
+
+    remotePlayers.forEach((remote, id) => {
+      if (!remote.data.voice || this.peers.has(id) || this.hungUp.has(id)) {
+        return;
+      }
+      if (localId < id) this.call(id);
+    });
+
+    if (worldState !== this.worldState) {
+      this.worldState = worldState;
+      this.peers.forEach((peer) => {
+        if (peer.output) {
+          this.audioSystem.setVoiceWorldState(peer.output, worldState);
+        }
+      });
+    }
+
+    this.audioSystem.updateListener(camera);
+    this.peers.forEach((peer, id) => {
+      if (peer.output) {
+        this.audioSystem.setVoicePosition(
+          peer.output,
+          remotePlayers.get(id).mesh.position,
+        );
+      }
+    });
+  }
+
+  /**
+   * Handles an offer, answer or ICE candidate relayed by the server
+   * @param {Object} signal - { from, type, data }
+   */
+  handleSignal({ from, type, data }) {
+    if (!this.enabled || this.hungUp.has(from)) return;
+
+    let peer = this.peers.get(from);
+    if (!peer && type === "offer") peer = this.createPeer(from);
+    if (!peer) return;
+
+    const { connection } = peer;
+    this.enqueue(from, peer, async () => {
+      if (type === "offer") {
+        await connection.setRemoteDescription(data);
+        await connection.setLocalDescription(await connection.createAnswer());
+        this.sendSignal(from, "answer", {
+          type: connection.localDescription.type,
+          sdp: connection.localDescription.sdp,
+        });
+      } else if (type === "answer") {
+        await connection.setRemoteDescription(data);
+      } else if (type === "ice") {
+        await connection.addIceCandidate(data);
+      }
+    });
+  }
+
+  /**
+   * Offers a connection to a player
+   */
+  call(id) {
+    const peer = this.createPeer(id);
+    const { connection } = peer;
+
+    this.enqueue(id, peer, async () => {
+      await connection.setLocalDescription(await connection.createOffer());
+      this.sendSignal(id, "offer", {
+        type: connection.localDescription.type,
+        sdp: connection.localDescription.sdp,
+      });
+    });
+  }
+
+  /**
+   * Runs a signaling step after the previous one for the same peer
+   * (a candidate can't be added before the description it belongs to)
+   */
+  enqueue(id, peer, step) {
+    peer.queue = peer.queue.then(step).catch((error) => {
+      console.warn(`[VoiceChat] Signaling with ${id} failed:`, error);
+      this.hangUp(id);
+    });
+  }
+
+  /**
+   * Creates the connection to a player, sending our microphone
+   */
+  createPeer(id) {
+    const connection = new RTCPeerConnection({ iceServers: this.iceServers });
+    const peer = {
+      connection,
+      output: null,
+      element: null,
+      queue: Promise.resolve(),
+    };
+
+    this.localStream
+      .getTracks()
+      .forEach((track) => connection.addTrack(track, this.localStream));
+
+    connection.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.sendSignal(id, "ice", event.candidate.toJSON());
+      }
+    };
+
+    connection.ontrack = (event) => {
+      if (!peer.output) this.attachStream(peer, event.streams[0]);
+    };
+
+    connection.onconnectionstatechange = () => {
+      if (connection.connectionState === "failed") {
+        console.warn(`[VoiceChat] Connection to ${id} failed`);
+        this.hangUp(id);
+      }
+    };
+
+    this.peers.set(id, peer);
+    return peer;
+  }
+
+  /**
+   * Plays a player's voice through the audio system
+   */
+  attachStream(peer, stream) {
+    // Chrome only feeds a remote WebRTC stream into Web Audio while a
+    // media element is playing it (muted - the panner is what we hear)
+    peer.element = new Audio();
+    peer.element.muted = true;
+    peer.element.srcObject = stream;
+    peer.element.play().catch(() => {});
+
+    peer.output = this.audioSystem.createVoiceOutput(stream);
+    if (peer.output) {
+      this.audioSystem.setVoiceWorldState(peer.output, this.worldState);
+    }
+  }
+
+  /**
+   * Closes the connection and stops playing the player's voice
+   */
+  closePeer(id) {
+    const peer = this.peers.get(id);
+    if (!peer) return;
+
+    peer.connection.close();
+    if (peer.output) this.audioSystem.removeVoiceOutput(peer.output);
+    if (peer.element) peer.element.srcObject = null;
+    this.peers.delete(id);
+  }
+
+  /**
+   * Closes a connection and doesn't call the player back
+   * (blocked, or the connection failed)
+   */
+  hangUp(id) {
+    this.closePeer(id);
+    this.hungUp.add(id);
+  }
+
+  /**
+   * Checks if we're connected to a player (for the HUD)
+   */
+  isConnected(id) {
+    const peer = this.peers.get(id);
+    return !!peer && peer.connection.connectionState === "connected";
+  }
+
+  /**
+   * Cleans up voice chat
+   */
+  dispose() {
+    this.disable();
+  }
+}
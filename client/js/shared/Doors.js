@@ -0,0 +1,36 @@
+/**
+ * Doors (shared)
+ * Door IDs and swing settings, used by the client's DoorManager and by the
+ * server when it checks door:toggle requests
+ *
+ * A door's ID is where it stands when closed, in world coordinates rounded
+ * to 0.1 ("x,z"). Every client generates the room's world the same way, and
+ * the server plans the same world to know which doors exist (see
+ * generateWorldDoors in WorldLayout.js), so all arrive at the same IDs.
+ * Portal doors (inside the crack buildings) are prefixed "portal@" - they
+ * join the two world states, so opening one opens it in both.
+ */
+
+export const DOOR = {
+  swingAngle: Math.PI / 2, // Radians a door turns about its hinge when open
+  swingDuration: 0.4, // Seconds to swing fully open or closed
+  reach: 6, // Furthest a player may be from a door they toggle (prompt shows at 3)
+};
+
+const PORTAL_PREFIX = "portal@";
+
+/**
+ * Formats a coordinate for a door ID (no "-0.0", so IDs match everywhere)
+ */
+function formatCoordinate(value) {
+  const text = value.toFixed(1);
+  return text === "-0.0" ? "0.0" : text;
+}
+
+/**
+ * Builds the ID of the door that stands at (x, z) when closed
+ * @param {boolean} portal - Portal doors open in both world states
+ */
+export function doorIdAt(x, z, portal = false) {
+  return `${portal ? PORTAL_PREFIX : ""}${formatCoordinate(x)},${formatCoordinate(z)}`;
+}
@@ -0,0 +1,853 @@
+/**
+ * Road Network (shared)
+ * The world's roads as a graph - nodes where roads meet, bend or end, and
+ * named edges between them with a centerline. Town streets run along the
+ * edges of town chunks, roads run out of town through road chunks (meeting
+ * the town's streets at T-junctions) and lanes curve off them into the
+ * forest.
+ *
+ * The generator also lays out everything along the roads - surfaces,
+ * sidewalks, lamps, stop signs at junctions and street-name signs - cut up
+ * per chunk for chunks to build, and the graph answers navigation queries
+ * (nearest node, routes, which street a position is on).
+ *
+ * Loaded by the browser and by the server (the terrain is flat along the
+ * roads), so it must not import Three.js or touch the DOM; everything is
+ * drawn from the world seed.
+ */
+
+import { GAME_CONFIG, CHUNK_TYPES } from "../utils/constants.js";
+import { createSeededRandom, hashCode, roadLinks } from "./WorldLayout.js";
+
+/**
+ * Road kinds - surface width, sidewalk width (each side) and lamp spacing
+ */
+export const ROAD_KINDS = {
+  street: { width: 6, sidewalk: 1.5, lampSpacing: 40 }, // Town, on chunk edges
+  road: { width: 8, sidewalk: 0, lampSpacing: 40 }, // Out of town, chunk centers
+  lane: { width: 5, sidewalk: 0, lampSpacing: 0 }, // Into the forest, unlit
+};
+
+/**
+ * Lanes into the forest - one from every road that ends, and from some
+ * straight road chunks into the forest beside them
+ */
+const LANES = {
+  spurChance: 0.35, // Straight road chunks with a lane off to one side
+  length: { min: 70, max: 90 }, // From the road chunk's center
+  drift: 16, // Furthest the lane's end wanders sideways
+  bend: 12, // Furthest the curve's middle wanders sideways
+  sampleSpacing: 6, // Units between centerline points
+};
+
+const SHOULDER = 1; // Signs and unpaved roads' lamps stand this far off the edge
+
+const STREET_NAMES = [
+  "Maple Street",
+  "Cherry Lane",
+  "Oak Street",
+  "Elm Street",
+  "Main Street",
+  "Kerley Avenue",
+  "Holly Street",
+  "Cornwallis Avenue",
+  "Birch Street",
+  "Sycamore Street",
+  "Walnut Street",
+  "Chestnut Street",
+  "Spruce Street",
+  "Willow Avenue",
+  "Poplar Street",
+  "Hickory Street",
+  "Jefferson Avenue",
+  "Lincoln Street",
+  "Washington Avenue",
+  "Franklin Street",
+];
+
+const ROAD_NAMES = [
+  "Route 9",
+  "Mirkwood Road",
+  "Old Cedar Road",
+  "Quarry Road",
+  "Loch Nora Road",
+  "County Road 12",
+  "Hawkins Pike",
+  "Roane Road",
+  "Lake Road",
+  "Mill Road",
+  "Ridge Road",
+  "Pine Hill Road",
+];
+
+const LANE_NAMES = [
+  "Lovers Lane",
+  "Hollow Lane",
+  "Fox Run",
+  "Deer Track",
+  "Creek Lane",
+  "Timber Lane",
+  "Owl Lane",
+  "Bramble Way",
+  "Hunter's Trail",
+  "Mossy Lane",
+  "Fern Hollow",
+  "Stump Road",
+  "Crow Lane",
+  "Birchwood Trail",
+  "Shadow Lane",
+  "Old Mill Trail",
+];
+
+const DIRECTIONS = [
+  { name: "north", dx: 0, dz: -1 },
+  { name: "south", dx: 0, dz: 1 },
+  { name: "east", dx: 1, dz: 0 },
+  { name: "west", dx: -1, dz: 0 },
+];
+
+export class RoadNetwork {
+  constructor() {
+    this.nodes = new Map(); // id -> { id, x, z, edges: [edgeId] }
+    this.edges = new Map(); // id -> { id, kind, name, from, to, points, width, length }
+    this.pieces = new Map(); // "x,z" chunk -> flat strips and joints to build
+    this.furniture = new Map(); // "x,z" chunk -> lamps and signs to build
+  }
+
+  /**
+   * Adds a node (or gets the one already there with that id)
+   */
+  addNode(id, x, z) {
+    if (!this.nodes.has(id)) {
+      this.nodes.set(id, { id, x, z, edges: [] });
+    }
+    return this.nodes.get(id);
+  }
+
+  /**
+   * Adds an edge between two nodes
+   * @param {string} kind - A ROAD_KINDS key
+   * @param {Array<{ x, z }>} points - Centerline, from node to to node
+   *   (straight between them if left out)
+   */
+  addEdge(kind, fromId, toId, points = null) {
+    const from = this.nodes.get(fromId);
+    const to = this.nodes.get(toId);
+    const line = points || [
+      { x: from.x, z: from.z },
+      { x: to.x, z: to.z },
+    ];
+
+    const edge = {
+      id: this.edges.size,
+      kind,
+      name: null,
+      from: fromId,
+      to: toId,
+      points: line,
+      width: ROAD_KINDS[kind].width,
+      length: polylineLength(line),
+    };
+    this.edges.set(edge.id, edge);
+    from.edges.push(edge.id);
+    to.edges.push(edge.id);
+    return edge;
+  }
+
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  getEdge(id) {
+    return this.edges.get(id) || null;
+  }
+
+  /**
+   * The edges leaving a node
+   * @returns {Array<{ edge, node, dx, dz }>} node is the id at the edge's
+   *   far end, (dx, dz) the unit direction the edge leaves in
+   */
+  getExits(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return [];
+
+    return node.edges.map((edgeId) => {
+      const edge = this.edges.get(edgeId);
+      const forward = edge.from === nodeId;
+      const points = edge.points;
+      const next = forward ? points[1] : points[points.length - 2];
+      const length = Math.hypot(next.x - node.x, next.z - node.z) || 1;
+
+      return {
+        edge,
+        node: forward ? edge.to : edge.from,
+        dx: (next.x - node.x) / length,
+        dz: (next.z - node.z) / length,
+      };
+    });
+  }
+
+  /**
+   * Nodes where three or more edges meet
+   */
+  getJunctions() {
+    return [...this.nodes.values()].filter((node) => node.edges.length >= 3);
+  }
+
+  /**
+   * The node closest to a position
+   */
+  nearestNode(x, z) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.nodes.forEach((node) => {
+      const distance = Math.hypot(node.x - x, node.z - z);
+      if (distance < nearestDistance) {
+        nearest = node;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * The edge whose surface is closest to a position, searching the chunks
+   * around it
+   * @returns {Object|null} { edge, distance } - distance from the
+   *   surface's edge (0 on it), or null if no road is near
+   */
+  nearestEdge(x, z) {
+    let nearest = null;
+    this.forEachSurfaceNear(x, z, (piece) => {
+      const distance = Math.max(
+        distanceToSegment(x, z, piece) - piece.width / 2,
+        0,
+      );
+      if (!nearest || distance < nearest.distance) {
+        nearest = { edge: this.edges.get(piece.edge), distance };
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Distance from a position to the nearest road surface (0 on one,
+   * Infinity if none is within a chunk)
+   */
+  distanceToRoad(x, z) {
+    const nearest = this.nearestEdge(x, z);
+    return nearest ? nearest.distance : Infinity;
+  }
+
+  /**
+   * Name of the street a position is on - its road or sidewalk
+   * @returns {string|null}
+   */
+  getStreetName(x, z) {
+    const nearest = this.nearestEdge(x, z);
+    if (!nearest) return null;
+
+    const reach = ROAD_KINDS[nearest.edge.kind].sidewalk || SHOULDER;
+    return nearest.distance <= reach ? nearest.edge.name : null;
+  }
+
+  /**
+   * Finds the shortest way along the roads between two positions (A* from
+   * the node nearest each)
+   * @returns {Object|null} { nodes, edges, points, streets, length } -
+   *   node and edge ids in order, the centerline to follow, the street
+   *   names passed (each once per stretch), or null if no road connects them
+   */
+  findRoute(fromX, fromZ, toX, toZ) {
+    const start = this.nearestNode(fromX, fromZ);
+    const goal = this.nearestNode(toX, toZ);
+    if (!start || !goal) return null;
+
+    const estimate = (node) => Math.hypot(node.x - goal.x, node.z - goal.z);
+    const cost = new Map([[start.id, 0]]);
+    const cameFrom = new Map();
+    const open = new Map([[start.id, estimate(start)]]);
+
+    while (open.size > 0) {
+      let currentId = null;
+      open.forEach((score, id) => {
+        if (currentId === null || score < open.get(currentId)) currentId = id;
+      });
+      if (currentId === goal.id) break;
+      open.delete(currentId);
+
+      this.getExits(currentId).forEach(({ edge, node }) => {
+        const total = cost.get(currentId) + edge.length;
+        if (total >= (cost.get(node) ?? Infinity)) return;
+
+        cost.set(node, total);
+        cameFrom.set(node, { node: currentId, edge });
+        open.set(node, total + estimate(this.nodes.get(node)));
+      });
+    }
+
+    if (!cost.has(goal.id)) return null;
+
+    // Walk back from the goal
+    const nodes = [goal.id];
+    const edges = [];
+    while (cameFrom.has(nodes[0])) {
+      const step = cameFrom.get(nodes[0]);
+      nodes.unshift(step.node);
+      edges.unshift(step.edge);
+    }
+
+    const points = [{ x: start.x, z: start.z }];
+    const streets = [];
+    edges.forEach((edge, index) => {
+      const line =
+        edge.from === nodes[index] ? edge.points : [...edge.points].reverse();
+      points.push(...line.slice(1));
+      if (streets[streets.length - 1] !== edge.name) streets.push(edge.name);
+    });
+
+    return {
+      nodes,
+      edges: edges.map((edge) => edge.id),
+      points,
+      streets,
+      length: cost.get(goal.id),
+    };
+  }
+
+  /**
+   * What to build in a chunk - flat pieces:
+   *   { kind: "street" | "road" | "lane" | "sidewalk", ax, az, bx, bz, width, edge }
+   *   { kind: "joint", x, z, radius, edge } (round patch where a lane bends)
+   */
+  getChunkPieces(chunkX, chunkZ) {
+    return this.pieces.get(`${chunkX},${chunkZ}`) || [];
+  }
+
+  /**
+   * Lamps and signs to build in a chunk:
+   *   { type: "lamp", x, z }
+   *   { type: "stopSign", x, z, rotation } (facing the traffic it stops)
+   *   { type: "streetSign", x, z, blades: [{ name, rotation }] }
+   */
+  getChunkFurniture(chunkX, chunkZ) {
+    return this.furniture.get(`${chunkX},${chunkZ}`) || [];
+  }
+
+  /**
+   * Calls back with every road surface piece in the chunks around a position
+   */
+  forEachSurfaceNear(x, z, callback) {
+    const size = GAME_CONFIG.CHUNK_SIZE;
+    const chunkX = Math.floor(x / size);
+    const chunkZ = Math.floor(z / size);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        this.getChunkPieces(chunkX + dx, chunkZ + dz).forEach((piece) => {
+          if (ROAD_KINDS[piece.kind]) callback(piece);
+        });
+      }
+    }
+  }
+
+  addPiece(piece) {
+    const size = GAME_CONFIG.CHUNK_SIZE;
+    const x = piece.x ?? (piece.ax + piece.bx) / 2;
+    const z = piece.z ?? (piece.az + piece.bz) / 2;
+    addToChunk(this.pieces, x, z, size, piece);
+  }
+
+  addFurniture(item) {
+    addToChunk(this.furniture, item.x, item.z, GAME_CONFIG.CHUNK_SIZE, item);
+  }
+}
+
+/**
+ * Generates a world's road network from its layout
+ * @param {Map<string, string>} layout - generateWorldLayout() result
+ * @param {number} seed - The room's world seed (names and lanes)
+ * @param {Set<string>} keepClear - "x,z" chunks lanes must not run into
+ *   (portal clearings)
+ * @returns {RoadNetwork}
+ */
+export function generateRoadNetwork(layout, seed, keepClear = new Set()) {
+  const network = new RoadNetwork();
+  const random = createSeededRandom(hashCode(`${seed}:roads`));
+
+  const joins = addTownStreets(network, layout);
+  addRoads(network, layout, joins);
+  addLanes(network, layout, random, keepClear);
+  nameWays(network, random);
+
+  network.edges.forEach((edge) => {
+    addSurface(network, edge);
+    if (ROAD_KINDS[edge.kind].sidewalk) addSidewalks(network, edge);
+    if (ROAD_KINDS[edge.kind].lampSpacing) addLamps(network, edge);
+  });
+  network.getJunctions().forEach((node) => addJunctionSigns(network, node));
+
+  return network;
+}
+
+/**
+ * Streets along every edge of the town's chunks, meeting at the chunk
+ * corners; an edge a road arrives at gets a node halfway along for it
+ * @returns {Map<string, string>} Street edge key -> the road chunk joining it
+ */
+function addTownStreets(network, layout) {
+  const size = GAME_CONFIG.CHUNK_SIZE;
+  const streets = new Map(); // "x1,z1:x2,z2" corners -> [x1, z1, x2, z2]
+  const joins = new Map();
+
+  layout.forEach((type, key) => {
+    const [x, z] = key.split(",").map(Number);
+
+    if (type === CHUNK_TYPES.TOWN) {
+      [
+        [x, z, x + 1, z],
+        [x, z + 1, x + 1, z + 1],
+        [x, z, x, z + 1],
+        [x + 1, z, x + 1, z + 1],
+      ].forEach((corners) => streets.set(cornerKey(...corners), corners));
+    } else if (type === CHUNK_TYPES.ROAD) {
+      DIRECTIONS.forEach(({ dx, dz }) => {
+        if (layout.get(`${x + dx},${z + dz}`) !== CHUNK_TYPES.TOWN) return;
+        joins.set(sharedEdgeKey(x, z, dx, dz), key);
+      });
+    }
+  });
+
+  streets.forEach(([x1, z1, x2, z2], key) => {
+    const from = network.addNode(`c${x1},${z1}`, x1 * size, z1 * size);
+    const to = network.addNode(`c${x2},${z2}`, x2 * size, z2 * size);
+
+    if (joins.has(key)) {
+      const join = network.addNode(
+        `j${key}`,
+        (from.x + to.x) / 2,
+        (from.z + to.z) / 2,
+      );
+      network.addEdge("street", from.id, join.id);
+      network.addEdge("street", join.id, to.id);
+    } else {
+      network.addEdge("street", from.id, to.id);
+    }
+  });
+
+  return joins;
+}
+
+/**
+ * Roads from the center of each road chunk to its neighbours' (or to the
+ * town's street it joins)
+ */
+function addRoads(network, layout, joins) {
+  const size = GAME_CONFIG.CHUNK_SIZE;
+
+  layout.forEach((type, key) => {
+    if (type !== CHUNK_TYPES.ROAD) return;
+    const [x, z] = key.split(",").map(Number);
+    network.addNode(`r${key}`, x * size + size / 2, z * size + size / 2);
+  });
+
+  layout.forEach((type, key) => {
+    if (type !== CHUNK_TYPES.ROAD) return;
+    const [x, z] = key.split(",").map(Number);
+
+    // East and south only, so each pair is joined once
+    [`${x + 1},${z}`, `${x},${z + 1}`].forEach((neighbour) => {
+      if (layout.get(neighbour) === CHUNK_TYPES.ROAD) {
+        network.addEdge("road", `r${key}`, `r${neighbour}`);
+      }
+    });
+  });
+
+  joins.forEach((roadKey, streetKey) => {
+    network.addEdge("road", `r${roadKey}`, `j${streetKey}`);
+  });
+}
+
+/**
+ * Lanes curving out of road chunks into the forest chunk beyond - straight
+ * on where a road ends, off to one side of some straight stretches
+ */
+function addLanes(network, layout, random, keepClear) {
+  const size = GAME_CONFIG.CHUNK_SIZE;
+  const taken = new Set(keepClear);
+
+  layout.forEach((type, key) => {
+    if (type !== CHUNK_TYPES.ROAD) return;
+    const [x, z] = key.split(",").map(Number);
+
+    const links = roadLinks(layout, x, z);
+    const linked = DIRECTIONS.filter(({ name }) => links[name]);
+    let direction = null;
+
+    if (linked.length === 1) {
+      direction = { dx: -linked[0].dx, dz: -linked[0].dz };
+    } else if (
+      linked.length === 2 &&
+      linked[0].dx === -linked[1].dx &&
+      linked[0].dz === -linked[1].dz
+    ) {
+      const spur = random() < LANES.spurChance;
+      const side = random() < 0.5 ? 1 : -1;
+      if (spur) {
+        direction = { dx: linked[0].dz * side, dz: -linked[0].dx * side };
+      }
+    }
+    if (!direction) return;
+
+    const target = `${x + direction.dx},${z + direction.dz}`;
+    if (layout.get(target) !== CHUNK_TYPES.FOREST || taken.has(target)) return;
+    taken.add(target);
+
+    const { min, max } = LANES.length;
+    const length = min + random() * (max - min);
+    const bend = (random() - 0.5) * 2 * LANES.bend;
+    const drift = (random() - 0.5) * 2 * LANES.drift;
+
+    // Leaves the road chunk straight, then wanders in the forest
+    const start = network.getNode(`r${key}`);
+    const along = { x: direction.dx, z: direction.dz };
+    const across = { x: -direction.dz, z: direction.dx };
+    const at = (forward, sideways) => ({
+      x: start.x + along.x * forward + across.x * sideways,
+      z: start.z + along.z * forward + across.z * sideways,
+    });
+    const curve = [
+      at(0, 0),
+      at(size / 2, 0),
+      at(length * 0.6, bend),
+      at(length, drift),
+    ];
+
+    const samples = Math.ceil(length / LANES.sampleSpacing);
+    const points = [];
+    for (let i = 0; i <= samples; i++) {
+      points.push(bezierPoint(curve, i / samples));
+    }
+
+    const end = points[points.length - 1];
+    network.addNode(`l${target}`, end.x, end.z);
+    network.addEdge("lane", start.id, `l${target}`, points);
+  });
+}
+
+/**
+ * Names every way - a street or road is named once along its whole line,
+ * each lane on its own - from seeded shuffles of the name lists
+ */
+function nameWays(network, random) {
+  const ways = new Map(); // Way key -> its edges
+
+  network.edges.forEach((edge) => {
+    const from = network.getNode(edge.from);
+    const to = network.getNode(edge.to);
+    let key = `${edge.kind}:${edge.id}`;
+    if (edge.kind !== "lane" && from.x === to.x)
+      key = `${edge.kind}:x${from.x}`;
+    if (edge.kind !== "lane" && from.z === to.z)
+      key = `${edge.kind}:z${from.z}`;
+
+    if (!ways.has(key)) ways.set(key, { kind: edge.kind, edges: [] });
+    ways.get(key).edges.push(edge);
+  });
+
+  const pools = {
+    street: shuffle(STREET_NAMES, random),
+    road: shuffle(ROAD_NAMES, random),
+    lane: shuffle(LANE_NAMES, random),
+  };
+  const used = { street: 0, road: 0, lane: 0 };
+
+  ways.forEach(({ kind, edges }) => {
+    const pool = pools[kind];
+    const index = used[kind]++;
+    // Out of names - start the list again, numbered
+    const round = Math.floor(index / pool.length);
+    const name = pool[index % pool.length] + (round ? ` ${round + 1}` : "");
+    edges.forEach((edge) => {
+      edge.name = name;
+    });
+  });
+}
+
+/**
+ * The edge's surface, run half its width past each end node so corners
+ * and dead ends close; bends in a lane get a round joint
+ */
+function addSurface(network, edge) {
+  const points = edge.points.map(({ x, z }) => ({ x, z }));
+  const reach = edge.width / 2;
+  extendEnd(points[0], points[1], reach);
+  extendEnd(points[points.length - 1], points[points.length - 2], reach);
+
+  addStrip(network, points, {
+    kind: edge.kind,
+    width: edge.width,
+    edge: edge.id,
+  });
+  edge.points.slice(1, -1).forEach(({ x, z }) => {
+    network.addPiece({ kind: "joint", x, z, radius: reach, edge: edge.id });
+  });
+}
+
+/**
+ * Sidewalks down both sides of a (straight) street, stopping where another
+ * street crosses them and running on round outside corners
+ */
+function addSidewalks(network, edge) {
+  const { sidewalk } = ROAD_KINDS[edge.kind];
+  const from = network.getNode(edge.from);
+  const to = network.getNode(edge.to);
+  const along = {
+    x: (to.x - from.x) / edge.length,
+    z: (to.z - from.z) / edge.length,
+  };
+  const offset = edge.width / 2 + sidewalk / 2;
+
+  [1, -1].forEach((sign) => {
+    const side = { x: -along.z * sign, z: along.x * sign };
+    const start = sidewalkTrim(network, from, edge, side);
+    const end = edge.length - sidewalkTrim(network, to, edge, side);
+    if (end - start < 0.1) return;
+
+    const point = (distance) => ({
+      x: from.x + along.x * distance + side.x * offset,
+      z: from.z + along.z * distance + side.z * offset,
+    });
+    addStrip(network, [point(start), point(end)], {
+      kind: "sidewalk",
+      width: sidewalk,
+      edge: edge.id,
+    });
+  });
+}
+
+/**
+ * How far one side of a street's sidewalk stops short of a node - clear of
+ * any road leaving on that side, or negative (running past the node) to
+ * close an outside corner
+ */
+function sidewalkTrim(network, node, edge, side) {
+  const others = network.getExits(node.id).filter((exit) => exit.edge !== edge);
+
+  let trim = 0;
+  let outsideCorner = others.length > 0;
+  others.forEach((exit) => {
+    const toward = exit.dx * side.x + exit.dz * side.z;
+    if (toward > 0.1) trim = Math.max(trim, exit.edge.width / 2);
+    if (toward >= -0.1) outsideCorner = false;
+  });
+
+  if (trim > 0) return trim;
+  return outsideCorner ? -(edge.width / 2 + ROAD_KINDS[edge.kind].sidewalk) : 0;
+}
+
+/**
+ * Street lamps down the right-hand side of a (straight) street or road
+ */
+function addLamps(network, edge) {
+  const { sidewalk, lampSpacing } = ROAD_KINDS[edge.kind];
+  const from = network.getNode(edge.from);
+  const to = network.getNode(edge.to);
+  const along = {
+    x: (to.x - from.x) / edge.length,
+    z: (to.z - from.z) / edge.length,
+  };
+  const offset = edge.width / 2 + (sidewalk ? sidewalk / 2 : SHOULDER);
+
+  for (
+    let distance = lampSpacing / 2;
+    distance < edge.length - lampSpacing / 4;
+    distance += lampSpacing
+  ) {
+    network.addFurniture({
+      type: "lamp",
+      x: from.x + along.x * distance - along.z * offset,
+      z: from.z + along.z * distance + along.x * offset,
+    });
+  }
+}
+
+/**
+ * Signs at a junction - a stop sign on the right of every way in (only the
+ * road that ends at a T stops), and the names of the crossing ways on one
+ * corner
+ */
+function addJunctionSigns(network, node) {
+  const exits = network.getExits(node.id);
+  const isStraightOn = (exit, other) =>
+    other !== exit && exit.dx * other.dx + exit.dz * other.dz < -0.9;
+  const ending = exits.filter(
+    (exit) => !exits.some((other) => isStraightOn(exit, other)),
+  );
+  const stopping = ending.length > 0 ? ending : exits;
+  const curb = (edge) =>
+    edge.width / 2 + (ROAD_KINDS[edge.kind].sidewalk / 2 || SHOULDER);
+
+  stopping.forEach((exit) => {
+    // Back from the widest road crossing this one, on the arriving
+    // traffic's right
+    const back = Math.max(
+      ...exits
+        .filter((other) => other !== exit)
+        .map(({ edge }) => edge.width / 2 + ROAD_KINDS[edge.kind].sidewalk),
+    );
+    const distance = back + SHOULDER;
+    network.addFurniture({
+      type: "stopSign",
+      x: node.x + exit.dx * distance + exit.dz * curb(exit.edge),
+      z: node.z + exit.dz * distance - exit.dx * curb(exit.edge),
+      rotation: Math.atan2(exit.dx, exit.dz),
+    });
+  });
+
+  // Name sign on the corner between the first way and one across it
+  const first = exits[0];
+  const across =
+    exits.find(
+      (exit) => Math.abs(exit.dx * first.dx + exit.dz * first.dz) < 0.3,
+    ) || exits[1];
+  const blades = [first, across]
+    .filter((exit, index, list) => list.indexOf(exit) === index)
+    .filter(
+      (exit, index, list) =>
+        list.findIndex((other) => other.edge.name === exit.edge.name) === index,
+    )
+    .map((exit) => ({
+      name: exit.edge.name,
+      rotation: Math.atan2(-exit.dz, exit.dx), // Blade along the way it names
+    }));
+
+  network.addFurniture({
+    type: "streetSign",
+    x: node.x + across.dx * curb(first.edge) + first.dx * curb(across.edge),
+    z: node.z + across.dz * curb(first.edge) + first.dz * curb(across.edge),
+    blades,
+  });
+}
+
+/**
+ * Adds a polyline as flat strips, cut where it crosses chunk edges so each
+ * strip belongs to one chunk
+ */
+function addStrip(network, points, piece) {
+  for (let i = 0; i < points.length - 1; i++) {
+    splitAtChunkEdges(points[i], points[i + 1]).forEach(([a, b]) => {
+      network.addPiece({ ...piece, ax: a.x, az: a.z, bx: b.x, bz: b.z });
+    });
+  }
+}
+
+/**
+ * Cuts a segment where it crosses chunk edges
+ * @returns {Array<[{ x, z }, { x, z }]>}
+ */
+function splitAtChunkEdges(a, b) {
+  const size = GAME_CONFIG.CHUNK_SIZE;
+  const cuts = [0, 1];
+
+  [
+    ["x", b.x - a.x],
+    ["z", b.z - a.z],
+  ].forEach(([axis, delta]) => {
+    if (delta === 0) return;
+    const low = Math.min(a[axis], b[axis]);
+    const high = Math.max(a[axis], b[axis]);
+    for (let line = Math.ceil(low / size) * size; line < high; line += size) {
+      const t = (line - a[axis]) / delta;
+      if (t > 0 && t < 1) cuts.push(t);
+    }
+  });
+
+  cuts.sort((p, q) => p - q);
+  const at = (t) => ({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+  const segments = [];
+  for (let i = 0; i < cuts.length - 1; i++) {
+    if (cuts[i + 1] - cuts[i] > 1e-6) {
+      segments.push([at(cuts[i]), at(cuts[i + 1])]);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Moves a polyline's end point further out, away from its neighbour
+ */
+function extendEnd(end, neighbour, distance) {
+  const dx = end.x - neighbour.x;
+  const dz = end.z - neighbour.z;
+  const length = Math.hypot(dx, dz) || 1;
+  end.x += (dx / length) * distance;
+  end.z += (dz / length) * distance;
+}
+
+function bezierPoint([p0, p1, p2, p3], t) {
+  const u = 1 - t;
+  const a = u * u * u;
+  const b = 3 * u * u * t;
+  const c = 3 * u * t * t;
+  const d = t * t * t;
+  return {
+    x: round(a * p0.x + b * p1.x + c * p2.x + d * p3.x),
+    z: round(a * p0.z + b * p1.z + c * p2.z + d * p3.z),
+  };
+}
+
+function distanceToSegment(x, z, { ax, az, bx, bz }) {
+  const dx = bx - ax;
+  const dz = bz - az;
+  const lengthSq = dx * dx + dz * dz;
+  const t =
+    lengthSq > 0
+      ? Math.min(Math.max(((x - ax) * dx + (z - az) * dz) / lengthSq, 0), 1)
+      : 0;
+  return Math.hypot(x - (ax + dx * t), z - (az + dz * t));
+}
+
+function polylineLength(points) {
+  let length = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    length += Math.hypot(
+      points[i + 1].x - points[i].x,
+      points[i + 1].z - points[i].z,
+    );
+  }
+  return length;
+}
+
+/**
+ * Key of the street edge between a chunk and its neighbour (dx, dz)
+ */
+function sharedEdgeKey(x, z, dx, dz) {
+  if (dx === 1) return cornerKey(x + 1, z, x + 1, z + 1);
+  if (dx === -1) return cornerKey(x, z, x, z + 1);
+  if (dz === 1) return cornerKey(x, z + 1, x + 1, z + 1);
+  return cornerKey(x, z, x + 1, z);
+}
+
+function cornerKey(x1, z1, x2, z2) {
+  return `${x1},${z1}:${x2},${z2}`;
+}
+
+function addToChunk(index, x, z, size, item) {
+  const key = `${Math.floor(x / size)},${Math.floor(z / size)}`;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(item);
+}
+
+function shuffle(list, random) {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,351 @@
+/**
+ * Snapshot Codec (shared)
+ * Compact binary format for players:update, delta-encoded against the last
+ * snapshot the client acknowledged
+ *
+ * Layout (big-endian):
+ *   u8 version | u16 seq | u16 baselineSeq (NO_BASELINE = full) |
+ *   u32 serverTick | u16 entityCount | u16 removedCount | u16 removedNetId × removedCount |
+ *   entities: u16 netId | u8 fieldMask | changed fields
+ *
+ * Fields, in order: x, y, z (i16, or i8 deltas when FIELD.SMALL is set),
+ * yaw (u16), animation (u8 index into ANIMATIONS)
+ */
+
+import { ANIMATIONS } from "../utils/constants.js";
+
+export const SNAPSHOT_VERSION = 2;
+export const NO_BASELINE = 0xffff;
+export const SNAPSHOT_HISTORY = 32; // Snapshots kept while waiting for acks
+
+const POSITION_SCALE = 32; // 1/32 unit precision, ±1024 unit range
+const YAW_STEPS = 65536;
+const TWO_PI = Math.PI * 2;
+const ANIMATION_IDS = Object.values(ANIMATIONS);
+
+const FIELD = {
+  X: 1,
+  Y: 2,
+  Z: 4,
+  YAW: 8,
+  ANIM: 16,
+  SMALL: 32, // Position fields are i8 deltas from the baseline
+};
+
+const HEADER_SIZE = 13;
+
+/**
+ * Converts a float to a clamped 16-bit fixed-point position
+ */
+function quantizePosition(value) {
+  const q = Math.round(value * POSITION_SCALE);
+  return Math.max(-32768, Math.min(32767, q));
+}
+
+/**
+ * Quantizes player state for the wire
+ * @param {{ position, rotation, animation }} player
+ */
+export function quantizeState(player) {
+  const normalizedYaw = ((player.rotation % TWO_PI) + TWO_PI) % TWO_PI;
+  const anim = ANIMATION_IDS.indexOf(player.animation);
+
+  return {
+    x: quantizePosition(player.position.x),
+    y: quantizePosition(player.position.y),
+    z: quantizePosition(player.position.z),
+    yaw: Math.round((normalizedYaw / TWO_PI) * YAW_STEPS) % YAW_STEPS,
+    anim: anim === -1 ? 0 : anim,
+  };
+}
+
+/**
+ * Converts quantized state back to position/rotation/animation
+ */
+export function dequantizeState(state) {
+  return {
+    position: {
+      x: state.x / POSITION_SCALE,
+      y: state.y / POSITION_SCALE,
+      z: state.z / POSITION_SCALE,
+    },
+    rotation: (state.yaw / YAW_STEPS) * TWO_PI,
+    animation: ANIMATION_IDS[state.anim] || ANIMATIONS.IDLE,
+  };
+}
+
+/**
+ * Checks if two quantized states are identical
+ */
+function sameState(a, b) {
+  return (
+    a.x === b.x &&
+    a.y === b.y &&
+    a.z === b.z &&
+    a.yaw === b.yaw &&
+    a.anim === b.anim
+  );
+}
+
+/**
+ * Encodes a snapshot
+ * @param {number} seq - Snapshot sequence number
+ * @param {number} tick - Server tick the states belong to
+ * @param {{ seq: number, states: Map }|null} baseline - Acked baseline, null for full
+ * @param {Map<number, Object>} states - netId -> quantized state
+ * @returns {Uint8Array|null} null when there are no players to describe
+ */
+export function encodeSnapshot(seq, tick, baseline, states) {
+  const baseStates = baseline ? baseline.states : new Map();
+
+  const removed = [];
+  baseStates.forEach((_, netId) => {
+    if (!states.has(netId)) removed.push(netId);
+  });
+
+  const changed = [];
+  states.forEach((state, netId) => {
+    const base = baseStates.get(netId);
+    if (!base || !sameState(base, state)) changed.push([netId, state, base]);
+  });
+
+  // Unchanged players still get a (header-only) snapshot so clients
+  // know they held still for this tick
+  if (states.size === 0 && removed.length === 0) return null;
+
+  // Worst case: netId + mask + 3 × i16 + u16 + u8 per entity
+  const buffer = new ArrayBuffer(
+    HEADER_SIZE + removed.length * 2 + changed.length * 12,
+  );
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  view.setUint8(offset, SNAPSHOT_VERSION);
+  view.setUint16(offset + 1, seq);
+  view.setUint16(offset + 3, baseline ? baseline.seq : NO_BASELINE);
+  view.setUint32(offset + 5, tick);
+  view.setUint16(offset + 9, changed.length);
+  view.setUint16(offset + 11, removed.length);
+  offset += HEADER_SIZE;
+
+  removed.forEach((netId) => {
+    view.setUint16(offset, netId);
+    offset += 2;
+  });
+
+  changed.forEach(([netId, state, base]) => {
+    let mask = 0;
+    if (!base || state.x !== base.x) mask |= FIELD.X;
+    if (!base || state.y !== base.y) mask |= FIELD.Y;
+    if (!base || state.z !== base.z) mask |= FIELD.Z;
+    if (!base || state.yaw !== base.yaw) mask |= FIELD.YAW;
+    if (!base || state.anim !== base.anim) mask |= FIELD.ANIM;
+
+    // Small moves fit in one byte per axis
+    if (
+      base &&
+      [state.x - base.x, state.y - base.y, state.z - base.z].every(
+        (delta) => delta >= -128 && delta <= 127,
+      )
+    ) {
+      mask |= FIELD.SMALL;
+    }
+
+    view.setUint16(offset, netId);
+    view.setUint8(offset + 2, mask);
+    offset += 3;
+
+    ["x", "y", "z"].forEach((axis, i) => {
+      if (!(mask & (FIELD.X << i))) return;
+      if (mask & FIELD.SMALL) {
+        view.setInt8(offset, state[axis] - base[axis]);
+        offset += 1;
+      } else {
+        view.setInt16(offset, state[axis]);
+        offset += 2;
+      }
+    });
+
+    if (mask & FIELD.YAW) {
+      view.setUint16(offset, state.yaw);
+      offset += 2;
+    }
+    if (mask & FIELD.ANIM) {
+      view.setUint8(offset, state.anim);
+      offset += 1;
+    }
+  });
+
+  return new Uint8Array(buffer, 0, offset);
+}
+
+/**
+ * Decodes a snapshot into the full set of states it describes
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @param {function(number): Map|undefined} getBaseline - seq -> states
+ * @returns {{ seq: number, tick: number, states: Map }|null} null if the baseline is unknown
+ */
+export function decodeSnapshot(data, getBaseline) {
+  const view = ArrayBuffer.isView(data)
+    ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+    : new DataView(data);
+  let offset = 0;
+
+  const version = view.getUint8(offset);
+  if (version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${version}`);
+  }
+
+  const seq = view.getUint16(offset + 1);
+  const baselineSeq = view.getUint16(offset + 3);
+  const tick = view.getUint32(offset + 5);
+  const entityCount = view.getUint16(offset + 9);
+  const removedCount = view.getUint16(offset + 11);
+  offset += HEADER_SIZE;
+
+  let baseStates = new Map();
+  if (baselineSeq !== NO_BASELINE) {
+    baseStates = getBaseline(baselineSeq);
+    if (!baseStates) return null;
+  }
+
+  const states = new Map(baseStates);
+
+  for (let i = 0; i < removedCount; i++) {
+    states.delete(view.getUint16(offset));
+    offset += 2;
+  }
+
+  for (let i = 0; i < entityCount; i++) {
+    const netId = view.getUint16(offset);
+    const mask = view.getUint8(offset + 2);
+    offset += 3;
+
+    const base = baseStates.get(netId) || { x: 0, y: 0, z: 0, yaw: 0, anim: 0 };
+    const state = { ...base };
+
+    ["x", "y", "z"].forEach((axis, j) => {
+      if (!(mask & (FIELD.X << j))) return;
+      if (mask & FIELD.SMALL) {
+        state[axis] = base[axis] + view.getInt8(offset);
+        offset += 1;
+      } else {
+        state[axis] = view.getInt16(offset);
+        offset += 2;
+      }
+    });
+
+    if (mask & FIELD.YAW) {
+      state.yaw = view.getUint16(offset);
+      offset += 2;
+    }
+    if (mask & FIELD.ANIM) {
+      state.anim = view.getUint8(offset);
+      offset += 1;
+    }
+
+    states.set(netId, state);
+  }
+
+  return { seq, tick, states };
+}
+
+/**
+ * SnapshotSender Class
+ * Server-side, one per client: numbers snapshots, remembers what was sent
+ * and encodes each new snapshot against the latest acknowledged one
+ */
+export class SnapshotSender {
+  constructor() {
+    this.seq = 0;
+    this.history = new Map(); // seq -> states (sent, not yet acked)
+    this.baseline = null; // { seq, states } last acked by the client
+  }
+
+  /**
+   * Encodes the current states for this client
+   * @returns {Uint8Array|null} null when there is nothing to send
+   */
+  encode(states, tick) {
+    const nextSeq = (this.seq + 1) % NO_BASELINE;
+    const packet = encodeSnapshot(nextSeq, tick, this.baseline, states);
+    if (!packet) return null;
+
+    this.seq = nextSeq;
+    this.history.set(nextSeq, states);
+
+    // Drop the oldest unacked snapshots if the client falls far behind
+    while (this.history.size > SNAPSHOT_HISTORY) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    return packet;
+  }
+
+  /**
+   * Records a client acknowledgement; later snapshots use it as baseline
+   */
+  ack(seq) {
+    const states = this.history.get(seq);
+    if (!states) return;
+
+    this.baseline = { seq, states };
+
+    // Anything sent before the acked snapshot is no longer needed
+    for (const sentSeq of this.history.keys()) {
+      this.history.delete(sentSeq);
+      if (sentSeq === seq) break;
+    }
+  }
+
+  /**
+   * Forgets the baseline so the next snapshot is sent in full
+   */
+  reset() {
+    this.baseline = null;
+    this.history.clear();
+  }
+}
+
+/**
+ * SnapshotReceiver Class
+ * Client-side: rebuilds full snapshots from deltas and reports which
+ * entities changed since the previous snapshot
+ */
+export class SnapshotReceiver {
+  constructor() {
+    this.history = new Map(); // seq -> states
+    this.latest = new Map(); // netId -> state from the newest snapshot
+  }
+
+  /**
+   * Decodes a snapshot packet
+   * @returns {{ seq: number, tick: number, changed: Map }|null} null if it could not be decoded
+   */
+  receive(data) {
+    const snapshot = decodeSnapshot(data, (seq) => this.history.get(seq));
+    if (!snapshot) return null;
+
+    this.history.set(snapshot.seq, snapshot.states);
+    while (this.history.size > SNAPSHOT_HISTORY) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    const changed = new Map();
+    snapshot.states.forEach((state, netId) => {
+      const previous = this.latest.get(netId);
+      if (!previous || !sameState(previous, state)) changed.set(netId, state);
+    });
+    this.latest = snapshot.states;
+
+    return { seq: snapshot.seq, tick: snapshot.tick, changed };
+  }
+
+  /**
+   * Clears all decoded history (after asking the server for a full snapshot)
+   */
+  reset() {
+    this.history.clear();
+    this.latest = new Map();
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Terrain Class (shared)
+ * Ground height of the world: seeded noise hills in forest chunks, flat in
+ * town, in road chunks, along lanes and in clearings (around forest
+ * portals), rising gradually from their edges
+ *
+ * Loaded by the browser (ground meshes, trees, players and cameras stand on
+ * it) and by the server (it checks moves against it), so both must compute
+ * exactly the same heights - only integer hashing and plain arithmetic here,
+ * no Math.random or Three.js.
+ */
+
+import { GAME_CONFIG, CHUNK_TYPES } from "../utils/constants.js";
+
+/**
+ * Terrain settings
+ */
+export const TERRAIN = {
+  maxHeight: 8, // Tallest hilltop
+  blendDistance: 24, // Hills rise to full height this far from a flat chunk
+  roadShoulder: 1, // Flat ground either side of a road
+  // Noise layers - cell size in units and share of maxHeight
+  octaves: [
+    { scale: 48, weight: 0.6 },
+    { scale: 24, weight: 0.3 },
+    { scale: 12, weight: 0.1 },
+  ],
+};
+
+export class Terrain {
+  /**
+   * @param {Map<string, string>} layout - generateWorldLayout() result
+   * @param {number} seed - Same seed, same hills (the room's world seed)
+   * @param {Array<{ x, z, radius }>} clearings - Flat circles in the forest
+   * @param {RoadNetwork} roads - The world's roads (lanes run into the
+   *   forest), or null
+   */
+  constructor(layout, seed, clearings = [], roads = null) {
+    this.layout = layout;
+    this.seed = seed;
+    this.clearings = clearings;
+    this.roads = roads;
+  }
+
+  /**
+   * Gets the ground height at a world position
+   */
+  getHeightAt(x, z) {
+    const hilliness = this.getHilliness(x, z);
+    if (hilliness === 0) return 0;
+
+    let height = 0;
+    TERRAIN.octaves.forEach(({ scale, weight }, index) => {
+      height +=
+        weight * valueNoise(x / scale, z / scale, this.seed + index * 1013);
+    });
+    return height * hilliness * TERRAIN.maxHeight;
+  }
+
+  /**
+   * How much of the hills' height a position gets - 0 in town, on roads,
+   * in clearings and at their edges, rising to 1 blendDistance into the
+   * forest
+   */
+  getHilliness(x, z) {
+    const size = GAME_CONFIG.CHUNK_SIZE;
+    const chunkX = Math.floor(x / size);
+    const chunkZ = Math.floor(z / size);
+    if (!this.isForest(chunkX, chunkZ)) return 0;
+
+    // Distance to the nearest flat chunk around this one
+    let distance = TERRAIN.blendDistance;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        if (this.isForest(chunkX + dx, chunkZ + dz)) continue;
+
+        const minX = (chunkX + dx) * size;
+        const minZ = (chunkZ + dz) * size;
+        const outX = Math.max(minX - x, 0, x - (minX + size));
+        const outZ = Math.max(minZ - z, 0, z - (minZ + size));
+        distance = Math.min(distance, Math.sqrt(outX * outX + outZ * outZ));
+      }
+    }
+
+    this.clearings.forEach((clearing) => {
+      distance = Math.min(distance, this.distanceToClearing(clearing, x, z));
+    });
+
+    if (this.roads) {
+      const road = this.roads.distanceToRoad(x, z) - TERRAIN.roadShoulder;
+      distance = Math.min(distance, Math.max(road, 0));
+    }
+
+    return smoothstep(distance / TERRAIN.blendDistance);
+  }
+
+  /**
+   * Checks if a position is inside a clearing (nothing grows there)
+   * @param {number} margin - Extra distance around each clearing
+   */
+  isInClearing(x, z, margin = 0) {
+    return this.clearings.some(
+      (clearing) => this.distanceToClearing(clearing, x, z) <= margin,
+    );
+  }
+
+  /**
+   * Distance from a position to a clearing's edge (0 inside it)
+   */
+  distanceToClearing({ x, z, radius }, pointX, pointZ) {
+    const dx = pointX - x;
+    const dz = pointZ - z;
+    return Math.max(Math.sqrt(dx * dx + dz * dz) - radius, 0);
+  }
+
+  /**
+   * Chunks outside the layout count as forest so hills don't drop at the
+   * world's edge
+   */
+  isForest(chunkX, chunkZ) {
+    const type = this.layout.get(`${chunkX},${chunkZ}`);
+    return type === undefined || type === CHUNK_TYPES.FOREST;
+  }
+}
+
+/**
+ * Smooth 2D value noise, 0 to 1, with a lattice point every unit
+ */
+function valueNoise(x, z, seed) {
+  const cellX = Math.floor(x);
+  const cellZ = Math.floor(z);
+  const tx = smoothstep(x - cellX);
+  const tz = smoothstep(z - cellZ);
+
+  const a = latticeValue(cellX, cellZ, seed);
+  const b = latticeValue(cellX + 1, cellZ, seed);
+  const c = latticeValue(cellX, cellZ + 1, seed);
+  const d = latticeValue(cellX + 1, cellZ + 1, seed);
+
+  const top = a + (b - a) * tx;
+  const bottom = c + (d - c) * tx;
+  return top + (bottom - top) * tz;
+}
+
+/**
+ * Hashes a lattice point to a value from 0 to 1 (32-bit integer math, so
+ * every JavaScript engine agrees)
+ */
+function latticeValue(cellX, cellZ, seed) {
+  let hash =
+    Math.imul(cellX, 374761393) +
+    Math.imul(cellZ, 668265263) +
+    Math.imul(seed, 2246822519);
+  hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 4294967296;
+}
+
+function smoothstep(t) {
+  const clamped = Math.min(Math.max(t, 0), 1);
+  return clamped * clamped * (3 - 2 * clamped);
+}
@@ -0,0 +1,514 @@
+/**
+ * Town Map (shared)
+ * Reads a JSON town map (client/maps/*.json) - which chunks are town, what
+ * stands on each lot and what is inside - and checks it as it goes, so a
+ * mistake is reported with where it is instead of showing up as a missing
+ * house
+ *
+ * Loaded by the browser (TownLoader builds the meshes) and by the server
+ * (it builds the same walls for collision), so it must not import Three.js
+ * or touch the DOM.
+ *
+ * Format (lot and chunk prop positions are chunk-local, 0 to CHUNK_SIZE):
+ *   {
+ *     version: 1,
+ *     name: "Hawkins",
+ *     interiors: { name: [prop, ...] },
+ *     archetypes: { name: { builder, interior?, props?: [prop, ...], width?, depth?, height? } },
+ *     chunks: [{ x, z, lots?: [lot, ...], props?: [prop, ...] }]
+ *   }
+ *   lot:  { archetype, x, z, width?, depth?, height? } - building center
+ *   prop: { type, at?, x?, z?, rotation?, ...params } - in a lot, x/z are
+ *         from the "at" anchor on the building (center, front, back-left,
+ *         ...); rotation is in degrees about the prop's own position
+ */
+
+import { GAME_CONFIG } from "../utils/constants.js";
+import { LANDMARKS } from "./WorldLayout.js";
+
+export const TOWN_MAP_VERSION = 1;
+
+/**
+ * Building builders an archetype can use. Houses are sized per lot (or by
+ * their archetype); landmarks always have their LANDMARKS size
+ */
+export const TOWN_BUILDERS = {
+  house: { size: null },
+  school: { size: LANDMARKS.school },
+  policeStation: { size: LANDMARKS.policeStation },
+  church: { size: LANDMARKS.church },
+};
+
+/**
+ * Prop types and the size parameters each one needs (in builder argument
+ * order). A fence wraps its lot's building, so it takes the lot's size -
+ * outside a lot it needs the width and depth it goes around
+ */
+export const PROP_TYPES = {
+  // Outdoors
+  walkway: { params: ["width", "length"] },
+  parkingLot: { params: ["width", "depth"] },
+  mailbox: { params: [] },
+  trashCans: { params: [] },
+  fence: { params: [], wrapsLot: true },
+  flowerBed: { params: [] },
+  bushes: { params: [] },
+  fireHydrant: { params: [] },
+  bench: { params: [] },
+  stopSign: { params: [] },
+  streetLamp: { params: [] },
+  // Indoors
+  bed: { params: [] },
+  table: { params: [] },
+  chair: { params: [] },
+  nightstand: { params: [] },
+  shelf: { params: [] },
+  kitchen: { params: [] },
+  couch: { params: [] },
+  coffeeTable: { params: [] },
+  tv: { params: [] },
+  bathroom: { params: [] },
+  lamp: { params: [] },
+  rug: { params: [] },
+  classroom: { params: ["width", "depth"] },
+  pew: { params: [] },
+};
+
+/**
+ * Points on a building a prop can be placed from, as [x, z] in half-sizes
+ * (front is +Z, where the door is)
+ */
+const ANCHORS = {
+  center: [0, 0],
+  front: [0, 1],
+  back: [0, -1],
+  left: [-1, 0],
+  right: [1, 0],
+  "front-left": [-1, 1],
+  "front-right": [1, 1],
+  "back-left": [-1, -1],
+  "back-right": [1, -1],
+};
+
+const SIZE_FIELDS = ["width", "depth", "height"];
+
+/**
+ * A problem with a town map - the message starts with where it is
+ * (e.g. "chunks[2].lots[0].archetype")
+ */
+export class TownMapError extends Error {
+  constructor(path, message) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = "TownMapError";
+    this.path = path;
+  }
+}
+
+/**
+ * Checks a town map and works out where everything goes
+ * @param {Object} data - The parsed JSON
+ * @returns {Object} { name, chunks, catalog } - chunks maps "x,z" to
+ *   { x, z, lots, props }; lots are { archetype, builder, x, z, width,
+ *   depth, height, interior, props } and props { type, x, z, rotation,
+ *   args }, all in world coordinates (rotation in radians). catalog holds
+ *   the checked archetypes and interiors, for parseTownChunk
+ * @throws {TownMapError} On the first problem found
+ */
+export function parseTownMap(data) {
+  expectObject(data, "");
+  expectFields(
+    data,
+    ["version", "name", "interiors", "archetypes", "chunks"],
+    "",
+  );
+
+  if (data.version !== TOWN_MAP_VERSION) {
+    throw new TownMapError(
+      "version",
+      `expected ${TOWN_MAP_VERSION}, got ${JSON.stringify(data.version)}`,
+    );
+  }
+  if (data.name !== undefined && typeof data.name !== "string") {
+    throw new TownMapError("name", "must be a string");
+  }
+
+  const interiors = parseInteriors(data.interiors);
+  const catalog = parseArchetypes(data.archetypes, interiors);
+
+  if (!Array.isArray(data.chunks)) {
+    throw new TownMapError("chunks", "must be an array");
+  }
+
+  const chunks = new Map();
+  data.chunks.forEach((entry, index) => {
+    const chunk = parseChunk(entry, `chunks[${index}]`, catalog);
+    const key = `${chunk.x},${chunk.z}`;
+    if (chunks.has(key)) {
+      throw new TownMapError(
+        `chunks[${index}]`,
+        `chunk ${key} is already in the map`,
+      );
+    }
+    chunks.set(key, chunk);
+  });
+
+  return { name: data.name || "Town", chunks, catalog };
+}
+
+/**
+ * Checks one chunk entry (as in the map's chunks) against a parsed map's
+ * catalog and works out where everything goes - for town chunks that are
+ * generated instead of drawn
+ * @returns {Object} { x, z, lots, props }, as in parseTownMap's chunks
+ * @throws {TownMapError} If the entry is malformed
+ */
+export function parseTownChunk(entry, catalog, path = "chunk") {
+  return parseChunk(entry, path, catalog);
+}
+
+/**
+ * Checks the named interiors (furniture lists)
+ * @returns {Map<string, Object[]>} Name -> raw props (checked)
+ */
+function parseInteriors(interiors = {}) {
+  expectObject(interiors, "interiors");
+
+  const parsed = new Map();
+  Object.entries(interiors).forEach(([name, props]) => {
+    const path = `interiors.${name}`;
+    if (!Array.isArray(props)) {
+      throw new TownMapError(path, "must be an array of props");
+    }
+    props.forEach((prop, index) => checkProp(prop, `${path}[${index}]`, true));
+    parsed.set(name, props);
+  });
+  return parsed;
+}
+
+/**
+ * Checks the building archetypes
+ * @returns {Object} { archetypes, interiors } - name -> checked entry maps,
+ *   for placing lots
+ */
+function parseArchetypes(archetypes, interiors) {
+  if (archetypes === undefined) {
+    throw new TownMapError("archetypes", "is missing");
+  }
+  expectObject(archetypes, "archetypes");
+
+  const parsed = new Map();
+  Object.entries(archetypes).forEach(([name, archetype]) => {
+    const path = `archetypes.${name}`;
+    expectObject(archetype, path);
+    expectFields(
+      archetype,
+      ["builder", "interior", "props", ...SIZE_FIELDS],
+      path,
+    );
+
+    const builder = TOWN_BUILDERS[archetype.builder];
+    if (!builder) {
+      throw new TownMapError(
+        `${path}.builder`,
+        `${JSON.stringify(archetype.builder)} is not a builder (${listOf(
+          TOWN_BUILDERS,
+        )})`,
+      );
+    }
+    checkSize(archetype, path, builder, archetype.builder);
+
+    if (
+      archetype.interior !== undefined &&
+      !interiors.has(archetype.interior)
+    ) {
+      throw new TownMapError(
+        `${path}.interior`,
+        `${JSON.stringify(archetype.interior)} is not an interior (${listOf(
+          interiors,
+        )})`,
+      );
+    }
+
+    const props = archetype.props || [];
+    if (!Array.isArray(props)) {
+      throw new TownMapError(`${path}.props`, "must be an array of props");
+    }
+    props.forEach((prop, index) =>
+      checkProp(prop, `${path}.props[${index}]`, true),
+    );
+
+    parsed.set(name, archetype);
+  });
+  return { archetypes: parsed, interiors };
+}
+
+/**
+ * Checks one chunk and places its lots and props in the world
+ */
+function parseChunk(entry, path, { archetypes, interiors }) {
+  expectObject(entry, path);
+  expectFields(entry, ["x", "z", "lots", "props"], path);
+
+  const worldSize = GAME_CONFIG.WORLD_SIZE;
+  const size = GAME_CONFIG.CHUNK_SIZE;
+  const chunkX = expectNumber(entry.x, `${path}.x`, {
+    integer: true,
+    min: -worldSize,
+    max: worldSize,
+  });
+  const chunkZ = expectNumber(entry.z, `${path}.z`, {
+    integer: true,
+    min: -worldSize,
+    max: worldSize,
+  });
+  const worldX = chunkX * size;
+  const worldZ = chunkZ * size;
+
+  const lotEntries = entry.lots || [];
+  if (!Array.isArray(lotEntries)) {
+    throw new TownMapError(`${path}.lots`, "must be an array of lots");
+  }
+
+  const lots = lotEntries.map((lot, index) => {
+    const lotPath = `${path}.lots[${index}]`;
+    expectObject(lot, lotPath);
+    expectFields(lot, ["archetype", "x", "z", ...SIZE_FIELDS], lotPath);
+
+    const archetype = archetypes.get(lot.archetype);
+    if (!archetype) {
+      throw new TownMapError(
+        `${lotPath}.archetype`,
+        `${JSON.stringify(lot.archetype)} is not an archetype (${listOf(
+          archetypes,
+        )})`,
+      );
+    }
+
+    const builder = TOWN_BUILDERS[archetype.builder];
+    checkSize(lot, lotPath, builder, archetype.builder);
+    const dimensions = builder.size || {};
+    const [width, depth, height] = SIZE_FIELDS.map(
+      (field) => lot[field] ?? archetype[field] ?? dimensions[field],
+    );
+    if ([width, depth, height].some((value) => value === undefined)) {
+      throw new TownMapError(
+        lotPath,
+        `a ${lot.archetype} needs width, depth and height (on the lot or its archetype)`,
+      );
+    }
+
+    const x = expectNumber(lot.x, `${lotPath}.x`, { min: 0, max: size });
+    const z = expectNumber(lot.z, `${lotPath}.z`, { min: 0, max: size });
+    if (
+      x - width / 2 < 0 ||
+      x + width / 2 > size ||
+      z - depth / 2 < 0 ||
+      z + depth / 2 > size
+    ) {
+      throw new TownMapError(
+        lotPath,
+        `the ${width} x ${depth} building sticks out of the chunk (0 to ${size})`,
+      );
+    }
+
+    const placed = {
+      archetype: lot.archetype,
+      builder: archetype.builder,
+      x: worldX + x,
+      z: worldZ + z,
+      width,
+      depth,
+      height,
+    };
+    const interior = interiors.get(archetype.interior) || [];
+    placed.interior = interior.map((prop) => placeProp(prop, placed));
+    placed.props = (archetype.props || []).map((prop) =>
+      placeProp(prop, placed),
+    );
+    return placed;
+  });
+
+  lots.forEach((lot, index) => {
+    const other = lots.findIndex(
+      (earlier, earlierIndex) => earlierIndex < index && overlaps(lot, earlier),
+    );
+    if (other !== -1) {
+      throw new TownMapError(
+        `${path}.lots[${index}]`,
+        `the ${lot.archetype} overlaps lots[${other}] (a ${lots[other].archetype})`,
+      );
+    }
+  });
+
+  const propEntries = entry.props || [];
+  if (!Array.isArray(propEntries)) {
+    throw new TownMapError(`${path}.props`, "must be an array of props");
+  }
+  const props = propEntries.map((prop, index) => {
+    checkProp(prop, `${path}.props[${index}]`, false);
+    return placeProp(prop, { x: worldX, z: worldZ, width: 0, depth: 0 }, false);
+  });
+
+  return { x: chunkX, z: chunkZ, lots, props };
+}
+
+/**
+ * Checks a prop
+ * @param {boolean} inLot - Lot props may use anchors and wrap the lot
+ */
+function checkProp(prop, path, inLot) {
+  expectObject(prop, path);
+
+  const type = PROP_TYPES[prop.type];
+  if (!type) {
+    throw new TownMapError(
+      `${path}.type`,
+      `${JSON.stringify(prop.type)} is not a prop type (${listOf(PROP_TYPES)})`,
+    );
+  }
+  const params = propParams(type, inLot);
+  expectFields(prop, ["type", "at", "x", "z", "rotation", ...params], path);
+
+  if (prop.at !== undefined) {
+    if (!inLot) {
+      throw new TownMapError(
+        `${path}.at`,
+        "only props in a lot (archetype or interior) have anchors",
+      );
+    }
+    if (!ANCHORS[prop.at]) {
+      throw new TownMapError(
+        `${path}.at`,
+        `${JSON.stringify(prop.at)} is not an anchor (${listOf(ANCHORS)})`,
+      );
+    }
+  }
+
+  if (prop.x !== undefined) expectNumber(prop.x, `${path}.x`);
+  if (prop.z !== undefined) expectNumber(prop.z, `${path}.z`);
+  if (prop.rotation !== undefined) {
+    expectNumber(prop.rotation, `${path}.rotation`);
+  }
+  params.forEach((param) => {
+    if (prop[param] === undefined) {
+      throw new TownMapError(path, `a ${prop.type} needs ${param}`);
+    }
+    expectNumber(prop[param], `${path}.${param}`, { min: 0, exclusive: true });
+  });
+}
+
+/**
+ * Size parameters a prop gives - a fence outside a lot has no lot to wrap,
+ * so it gives its own width and depth
+ */
+function propParams(type, inLot) {
+  return type.wrapsLot && !inLot
+    ? [...type.params, "width", "depth"]
+    : type.params;
+}
+
+/**
+ * Works out a (checked) prop's world position and builder arguments
+ * @param {Object} lot - { x, z, width, depth } in world coordinates
+ * @param {boolean} inLot - False for chunk props (lot is the chunk corner)
+ */
+function placeProp(prop, lot, inLot = true) {
+  const type = PROP_TYPES[prop.type];
+  const [anchorX, anchorZ] = ANCHORS[prop.at || "center"];
+  const args = propParams(type, inLot).map((param) => prop[param]);
+  if (type.wrapsLot && inLot) args.push(lot.width, lot.depth);
+
+  return {
+    type: prop.type,
+    x: lot.x + (anchorX * lot.width) / 2 + (prop.x || 0),
+    z: lot.z + (anchorZ * lot.depth) / 2 + (prop.z || 0),
+    rotation: ((prop.rotation || 0) * Math.PI) / 180,
+    args,
+  };
+}
+
+/**
+ * Checks the size fields of a lot or archetype against its builder
+ */
+function checkSize(entry, path, builder, builderName) {
+  SIZE_FIELDS.forEach((field) => {
+    if (entry[field] === undefined) return;
+    if (builder.size) {
+      throw new TownMapError(
+        `${path}.${field}`,
+        `a ${builderName} is always ${builder.size.width} x ${builder.size.depth} x ${builder.size.height} - leave out ${field}`,
+      );
+    }
+    expectNumber(entry[field], `${path}.${field}`, {
+      min: 0,
+      exclusive: true,
+    });
+  });
+}
+
+/**
+ * Checks whether two placed lots' buildings overlap
+ */
+function overlaps(a, b) {
+  return (
+    Math.abs(a.x - b.x) < (a.width + b.width) / 2 &&
+    Math.abs(a.z - b.z) < (a.depth + b.depth) / 2
+  );
+}
+
+function expectObject(value, path) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new TownMapError(
+      path,
+      `${path ? "must be" : "the town map must be"} an object`,
+    );
+  }
+}
+
+/**
+ * Rejects fields that aren't in the format (usually typos)
+ */
+function expectFields(object, allowed, path) {
+  Object.keys(object).forEach((field) => {
+    if (!allowed.includes(field)) {
+      throw new TownMapError(
+        path ? `${path}.${field}` : field,
+        `unknown field (expected ${allowed.join(", ")})`,
+      );
+    }
+  });
+}
+
+/**
+ * Checks a number, with optional integer and range rules
+ * @returns {number} The value
+ */
+function expectNumber(value, path, { integer, min, max, exclusive } = {}) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new TownMapError(
+      path,
+      `must be a number, got ${JSON.stringify(value)}`,
+    );
+  }
+  if (integer && !Number.isInteger(value)) {
+    throw new TownMapError(path, `must be a whole number, got ${value}`);
+  }
+  if (min !== undefined && (exclusive ? value <= min : value < min)) {
+    throw new TownMapError(
+      path,
+      `must be ${exclusive ? "more than" : "at least"} ${min}, got ${value}`,
+    );
+  }
+  if (max !== undefined && value > max) {
+    throw new TownMapError(path, `must be at most ${max}, got ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Lists the names in a Map or object, for error messages
+ */
+function listOf(names) {
+  const keys = names instanceof Map ? [...names.keys()] : Object.keys(names);
+  return keys.length > 0 ? keys.join(", ") : "none defined";
+}
@@ -0,0 +1,150 @@
+/**
+ * WallCollider Class (shared)
+ * Axis-aligned wall boxes bucketed into a grid for fast collision queries
+ * Mirrors Game.checkWallCollision: the player is a sphere centered 1 unit
+ * above the ground, so walls entirely above or below that band never block
+ */
+
+import { GAME_CONFIG } from "../utils/constants.js";
+
+// Height of the player's collision sphere center (see Game.checkWallCollision)
+const COLLISION_HEIGHT = 1;
+
+export class WallCollider {
+  constructor(walls = [], cellSize = GAME_CONFIG.CHUNK_SIZE) {
+    this.cellSize = cellSize;
+    this.boxes = [];
+    this.cells = new Map(); // "cx,cz" -> box[]
+
+    walls.forEach((wall) => this.addWall(wall));
+  }
+
+  /**
+   * Adds a wall ({ x, y, z, width, height, depth }) to the grid
+   */
+  addWall(wall) {
+    const box = {
+      minX: wall.x - wall.width / 2,
+      maxX: wall.x + wall.width / 2,
+      minY: wall.y - wall.height / 2,
+      maxY: wall.y + wall.height / 2,
+      minZ: wall.z - wall.depth / 2,
+      maxZ: wall.z + wall.depth / 2,
+    };
+    this.boxes.push(box);
+
+    this.forEachCell(box.minX, box.minZ, box.maxX, box.maxZ, (key) => {
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(box);
+    });
+  }
+
+  /**
+   * Calls fn with the key of every grid cell overlapping a rectangle
+   */
+  forEachCell(minX, minZ, maxX, maxZ, fn) {
+    const x0 = Math.floor(minX / this.cellSize);
+    const x1 = Math.floor(maxX / this.cellSize);
+    const z0 = Math.floor(minZ / this.cellSize);
+    const z1 = Math.floor(maxZ / this.cellSize);
+
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        fn(`${cx},${cz}`);
+      }
+    }
+  }
+
+  /**
+   * Gets the boxes that may overlap a rectangle
+   */
+  getCandidates(minX, minZ, maxX, maxZ) {
+    const candidates = new Set();
+    this.forEachCell(minX, minZ, maxX, maxZ, (key) => {
+      const boxes = this.cells.get(key);
+      if (boxes) boxes.forEach((box) => candidates.add(box));
+    });
+    return candidates;
+  }
+
+  /**
+   * Checks if a player sphere at (x, z) overlaps any wall
+   */
+  collides(x, z, radius = GAME_CONFIG.PLAYER_RADIUS) {
+    const y = COLLISION_HEIGHT;
+
+    for (const box of this.getCandidates(
+      x - radius,
+      z - radius,
+      x + radius,
+      z + radius,
+    )) {
+      // Closest point on the box to the sphere center (Box3.intersectsSphere)
+      const cx = Math.max(box.minX, Math.min(x, box.maxX));
+      const cy = Math.max(box.minY, Math.min(y, box.maxY));
+      const cz = Math.max(box.minZ, Math.min(z, box.maxZ));
+      const dx = cx - x;
+      const dy = cy - y;
+      const dz = cz - z;
+
+      if (dx * dx + dy * dy + dz * dz <= radius * radius) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Checks if the straight path between two points crosses a wall
+   * Catches moves that skip over a thin wall in a single update
+   */
+  segmentHitsWall(fromX, fromZ, toX, toZ) {
+    const candidates = this.getCandidates(
+      Math.min(fromX, toX),
+      Math.min(fromZ, toZ),
+      Math.max(fromX, toX),
+      Math.max(fromZ, toZ),
+    );
+
+    const dx = toX - fromX;
+    const dz = toZ - fromZ;
+
+    for (const box of candidates) {
+      if (box.minY > COLLISION_HEIGHT || box.maxY < COLLISION_HEIGHT) {
+        continue;
+      }
+
+      // Slab test in X and Z
+      let tMin = 0;
+      let tMax = 1;
+      let hit = true;
+
+      for (const [start, delta, min, max] of [
+        [fromX, dx, box.minX, box.maxX],
+        [fromZ, dz, box.minZ, box.maxZ],
+      ]) {
+        if (Math.abs(delta) < 1e-9) {
+          if (start < min || start > max) {
+            hit = false;
+            break;
+          }
+        } else {
+          let t1 = (min - start) / delta;
+          let t2 = (max - start) / delta;
+          if (t1 > t2) [t1, t2] = [t2, t1];
+          tMin = Math.max(tMin, t1);
+          tMax = Math.min(tMax, t2);
+          if (tMin > tMax) {
+            hit = false;
+            break;
+          }
+        }
+      }
+
+      if (hit) return true;
+    }
+
+    return false;
+  }
+}
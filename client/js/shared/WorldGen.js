@@ -0,0 +1,309 @@
+/**
+ * World Generation (shared)
+ * A room's world config - its seed and generation parameters - and the
+ * world made from it and the town map: the layout, town chunks generated
+ * around the map's, the portals, the road network and the hills
+ *
+ * The server picks each room's config and sends it to everyone who joins;
+ * the browser and the server then plan the world from it. Everything here
+ * draws from seeded generators (no Math.random), so the same config and
+ * map always plan the same world.
+ */
+
+import { GAME_CONFIG, CHUNK_TYPES } from "../utils/constants.js";
+import {
+  PORTAL_LOCATIONS,
+  createSeededRandom,
+  generateWorldLayout,
+  hashCode,
+} from "./WorldLayout.js";
+import { parseTownChunk } from "./TownMap.js";
+import { generateRoadNetwork } from "./RoadNetwork.js";
+import { Terrain } from "./Terrain.js";
+
+/**
+ * Road network shapes (see generateWorldLayout)
+ */
+export const ROAD_SHAPES = ["cross", "grid", "ring"];
+
+/**
+ * Forest portals - portals past the town's stand in clearings
+ */
+const FOREST_PORTALS = {
+  names: [
+    "Mirkwood Crack",
+    "Loch Nora Crack",
+    "Quarry Crack",
+    "Creel House Crack",
+    "Lovers Lake Crack",
+  ],
+  clearingRadius: 12, // Flat ground around the building
+  minDistance: 1, // Chunks past the town
+  maxDistance: 3,
+  jitter: 16, // Furthest from the chunk center
+};
+
+/**
+ * Generation parameters: defaults (the classic Hawkins) and allowed ranges
+ */
+export const WORLD_GENERATION = {
+  seed: { default: 1983, min: 0, max: 2147483647 },
+  townSize: { default: 1, min: 1, max: 3 }, // Town chunks out from the center (1 = 3 x 3)
+  roadShape: { default: "cross" },
+  forestDensity: { default: 1, min: 0, max: 2 }, // Trees per forest chunk, times
+  portalCount: {
+    default: 3,
+    min: 1,
+    max: PORTAL_LOCATIONS.length + FOREST_PORTALS.names.length,
+  },
+};
+
+/**
+ * Generated houses (the map's house archetype on random lots)
+ */
+const GENERATED_HOUSES = {
+  perChunk: { min: 2, max: 3 },
+  width: { min: 6, max: 10 },
+  depth: { min: 5, max: 10 },
+  height: { min: 4, max: 7 },
+  margin: 10, // Clear of the chunk edge (streets and sidewalks)
+  spacing: 6, // Between houses (yards and fences)
+  attempts: 30, // Lot positions tried per house
+};
+
+/**
+ * A world config that can't be used - the message is shown to whoever
+ * asked for it
+ */
+export class WorldConfigError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = "WorldConfigError";
+    this.field = field;
+  }
+}
+
+/**
+ * Fills in and checks a world config
+ * @param {Object} options - { seed, townSize, roadShape, forestDensity,
+ *   portalCount }, each optional (missing ones take their default)
+ * @returns {Object} The complete config
+ * @throws {WorldConfigError} If a parameter is out of range
+ */
+export function createWorldConfig(options = {}) {
+  const value = (field) => options[field] ?? WORLD_GENERATION[field].default;
+
+  const config = {
+    seed: expectInteger("seed", value("seed"), "World seed"),
+    townSize: expectInteger("townSize", value("townSize"), "Town size"),
+    roadShape: value("roadShape"),
+    forestDensity: value("forestDensity"),
+    portalCount: expectInteger(
+      "portalCount",
+      value("portalCount"),
+      "Portal count",
+    ),
+  };
+
+  if (!ROAD_SHAPES.includes(config.roadShape)) {
+    throw new WorldConfigError(
+      "roadShape",
+      `Road shape must be one of ${ROAD_SHAPES.join(", ")}`,
+    );
+  }
+
+  const { min, max } = WORLD_GENERATION.forestDensity;
+  if (
+    typeof config.forestDensity !== "number" ||
+    !(config.forestDensity >= min && config.forestDensity <= max)
+  ) {
+    throw new WorldConfigError(
+      "forestDensity",
+      `Forest density must be a number from ${min} to ${max}`,
+    );
+  }
+
+  return config;
+}
+
+/**
+ * Seed for one chunk's generator - the world seed mixed with the chunk's
+ * coordinates, so every room's forest is its own
+ */
+export function chunkSeed(worldSeed, chunkX, chunkZ) {
+  return hashCode(`${worldSeed}:${chunkX},${chunkZ}`);
+}
+
+/**
+ * Plans a room's world
+ * @param {Object} townMap - parseTownMap() result
+ * @param {Object} config - createWorldConfig() result
+ * @returns {Object} { config, town, layout, portals, roads, terrain } -
+ *   town is the map with the generated town chunks added (same shape as
+ *   townMap), portals are { x, z, rotation, name }, roads the RoadNetwork
+ */
+export function planWorld(townMap, config) {
+  const layout = generateWorldLayout(townMap, config);
+  const town = generateTown(townMap, layout, config);
+  const portals = placePortals(layout, config);
+  const clearings = portals
+    .filter(({ x, z }) => layout.get(chunkKey(x, z)) === CHUNK_TYPES.FOREST)
+    .map(({ x, z }) => ({ x, z, radius: FOREST_PORTALS.clearingRadius }));
+  // Lanes keep out of the portals' chunks
+  const roads = generateRoadNetwork(
+    layout,
+    config.seed,
+    new Set(portals.map(({ x, z }) => chunkKey(x, z))),
+  );
+
+  return {
+    config,
+    town,
+    layout,
+    portals,
+    roads,
+    terrain: new Terrain(layout, config.seed, clearings, roads),
+  };
+}
+
+/**
+ * Adds a generated chunk of houses for every town chunk the map doesn't
+ * draw, built from the map's house archetype
+ */
+function generateTown(townMap, layout, config) {
+  const chunks = new Map(townMap.chunks);
+  const house = [...townMap.catalog.archetypes].find(
+    ([, archetype]) => archetype.builder === "house",
+  );
+
+  layout.forEach((type, key) => {
+    if (type !== CHUNK_TYPES.TOWN || chunks.has(key)) return;
+
+    const [chunkX, chunkZ] = key.split(",").map(Number);
+    const random = createSeededRandom(chunkSeed(config.seed, chunkX, chunkZ));
+    const entry = {
+      x: chunkX,
+      z: chunkZ,
+      lots: house ? generateLots(house[0], random) : [],
+      props: [{ type: "bench", x: 8, z: 8 }],
+    };
+    chunks.set(key, parseTownChunk(entry, townMap.catalog, `chunk ${key}`));
+  });
+
+  return { ...townMap, chunks };
+}
+
+/**
+ * Picks house lots for a generated chunk, clear of each other
+ */
+function generateLots(archetype, random) {
+  const { perChunk, margin, spacing, attempts } = GENERATED_HOUSES;
+  const size = GAME_CONFIG.CHUNK_SIZE;
+  const between = ({ min, max }) => round(min + random() * (max - min));
+
+  const count =
+    perChunk.min + Math.floor(random() * (perChunk.max - perChunk.min + 1));
+  const lots = [];
+
+  for (let i = 0; i < count; i++) {
+    const width = between(GENERATED_HOUSES.width);
+    const depth = between(GENERATED_HOUSES.depth);
+    const height = between(GENERATED_HOUSES.height);
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const x = between({
+        min: margin + width / 2,
+        max: size - margin - width / 2,
+      });
+      const z = between({
+        min: margin + depth / 2,
+        max: size - margin - depth / 2,
+      });
+      const clear = lots.every(
+        (lot) =>
+          Math.abs(lot.x - x) >= (lot.width + width) / 2 + spacing ||
+          Math.abs(lot.z - z) >= (lot.depth + depth) / 2 + spacing,
+      );
+
+      if (clear) {
+        lots.push({ archetype, x, z, width, depth, height });
+        break;
+      }
+    }
+  }
+
+  return lots;
+}
+
+/**
+ * Places the room's portals - the first of the town's PORTAL_LOCATIONS,
+ * then clearings in forest chunks a little way out of town
+ */
+function placePortals(layout, { seed, townSize, portalCount }) {
+  const portals = PORTAL_LOCATIONS.slice(0, portalCount);
+  const extra = portalCount - portals.length;
+  if (extra <= 0) return portals;
+
+  const size = GAME_CONFIG.CHUNK_SIZE;
+  const random = createSeededRandom(hashCode(`${seed}:portals`));
+  const { minDistance, maxDistance, jitter } = FOREST_PORTALS;
+
+  // Candidate chunks in layout order, shuffled by the seed
+  const candidates = [];
+  layout.forEach((type, key) => {
+    if (type !== CHUNK_TYPES.FOREST) return;
+    const [chunkX, chunkZ] = key.split(",").map(Number);
+    const distance = Math.max(Math.abs(chunkX), Math.abs(chunkZ)) - townSize;
+    if (distance >= minDistance && distance <= maxDistance) {
+      candidates.push({ chunkX, chunkZ, order: random() });
+    }
+  });
+  candidates.sort((a, b) => a.order - b.order);
+
+  // One per chunk, never in neighbouring chunks
+  const taken = [];
+  for (const { chunkX, chunkZ } of candidates) {
+    if (taken.length === extra) break;
+    const crowded = taken.some(
+      (other) =>
+        Math.abs(other.chunkX - chunkX) <= 1 &&
+        Math.abs(other.chunkZ - chunkZ) <= 1,
+    );
+    if (!crowded) taken.push({ chunkX, chunkZ });
+  }
+
+  taken.forEach(({ chunkX, chunkZ }, index) => {
+    portals.push({
+      x: round(chunkX * size + size / 2 + (random() - 0.5) * 2 * jitter),
+      z: round(chunkZ * size + size / 2 + (random() - 0.5) * 2 * jitter),
+      rotation: (Math.floor(random() * 4) * Math.PI) / 2,
+      name: FOREST_PORTALS.names[index],
+    });
+  });
+
+  return portals;
+}
+
+/**
+ * Checks a whole-number parameter against its range
+ * @returns {number} The value
+ */
+function expectInteger(field, value, label) {
+  const { min, max } = WORLD_GENERATION[field];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new WorldConfigError(
+      field,
+      `${label} must be a whole number from ${min} to ${max}`,
+    );
+  }
+  return value;
+}
+
+function chunkKey(x, z) {
+  const size = GAME_CONFIG.CHUNK_SIZE;
+  return `${Math.floor(x / size)},${Math.floor(z / size)}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
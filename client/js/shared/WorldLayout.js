@@ -0,0 +1,597 @@
+/**
+ * World Layout (shared)
+ * Renderer-independent description of the world: which chunk holds what,
+ * where town buildings stand, and the walls they are made of
+ * The town itself comes from a town map (see TownMap.js) - functions that
+ * need it take the parsed map. How big the town is and how its roads run
+ * are the room's world config (see WorldGen.js).
+ *
+ * Loaded by the browser as an ES module and by the server via require(),
+ * so it must not import Three.js or touch the DOM.
+ * Walls are plain boxes { x, y, z, width, height, depth } - center + size,
+ * matching THREE.BoxGeometry + mesh.position.
+ */
+
+import { GAME_CONFIG, CHUNK_TYPES } from "../utils/constants.js";
+
+/**
+ * Residential house dimensions (doors are on the front, +Z side)
+ */
+export const HOUSE = {
+  wallThickness: 0.3,
+  doorWidth: 2,
+  doorHeight: 3,
+};
+
+/**
+ * Landmark building dimensions
+ */
+export const LANDMARKS = {
+  school: { width: 30, depth: 35, height: 12, wallThickness: 0.4 },
+  policeStation: { width: 18, depth: 22, height: 8, wallThickness: 0.4 },
+  church: { width: 14, depth: 24, height: 16, wallThickness: 0.5 },
+};
+
+/**
+ * Portal ("crack") building dimensions, in the building's local space
+ */
+export const PORTAL_BUILDING = {
+  width: 12,
+  depth: 12,
+  height: 5,
+  wallThickness: 0.4,
+  doorWidth: 2.5,
+  doorHeight: 3.5,
+  crackWidth: 3.5,
+  crackHeight: 4.5,
+};
+
+/**
+ * Portal building locations in town - a room with fewer portals uses the
+ * first ones, one with more adds clearings in the forest (WorldGen.js)
+ */
+export const PORTAL_LOCATIONS = [
+  { x: 25, z: 25, rotation: 0, name: "Hawkins Lab Crack" },
+  { x: -35, z: 45, rotation: Math.PI / 2, name: "Byers House Crack" },
+  { x: 12, z: -46, rotation: Math.PI, name: "School Basement Crack" },
+];
+
+/**
+ * Road chunk settings (in chunks) - the roads on them are RoadNetwork.js's
+ */
+export const ROADS = {
+  reach: 3, // Roads run this far past the town
+  gridSpacing: 3, // Chunks between "grid" roads
+  ringGap: 1, // Forest between the town and the "ring" road
+};
+
+/**
+ * Generates a hash code for seeded random
+ */
+export function hashCode(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = (hash << 5) - hash + char;
+    hash = hash & hash;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Creates a seeded random number generator (same LCG as Chunk.seededRandom)
+ * Seeds up to 2^31 stay exact in floating point
+ */
+export function createSeededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 9301 + 49297) % 233280;
+    return state / 233280;
+  };
+}
+
+/**
+ * Generates the world layout - defines what each chunk contains
+ * The town map's chunks and every chunk within townSize of the center are
+ * town, surrounded by forest with roads out in the room's road shape:
+ *   cross - one road out of each side of town
+ *   grid  - roads every ROADS.gridSpacing chunks, both ways
+ *   ring  - the cross, plus a road around the town
+ * @param {Object} townMap - parseTownMap() result
+ * @param {Object} config - { townSize, roadShape } from the room's world config
+ */
+export function generateWorldLayout(townMap, { townSize, roadShape }) {
+  const layout = new Map();
+  const worldSize = GAME_CONFIG.WORLD_SIZE;
+  const reach = townSize + ROADS.reach;
+  const ring = townSize + ROADS.ringGap + 1;
+
+  const isRoad = (x, z) => {
+    const distance = Math.max(Math.abs(x), Math.abs(z));
+    if (distance > reach) return false;
+
+    switch (roadShape) {
+      case "grid":
+        return x % ROADS.gridSpacing === 0 || z % ROADS.gridSpacing === 0;
+      case "ring":
+        return x === 0 || z === 0 || distance === ring;
+      default:
+        return x === 0 || z === 0;
+    }
+  };
+
+  for (let x = -worldSize; x <= worldSize; x++) {
+    for (let z = -worldSize; z <= worldSize; z++) {
+      const key = `${x},${z}`;
+
+      // Town chunks - the map's, and generated ones out to townSize
+      if (
+        townMap.chunks.has(key) ||
+        (Math.abs(x) <= townSize && Math.abs(z) <= townSize)
+      ) {
+        layout.set(key, CHUNK_TYPES.TOWN);
+      }
+      // Roads extending from town
+      else if (isRoad(x, z)) {
+        layout.set(key, CHUNK_TYPES.ROAD);
+      }
+      // Forest everywhere else
+      else {
+        layout.set(key, CHUNK_TYPES.FOREST);
+      }
+    }
+  }
+
+  return layout;
+}
+
+/**
+ * Which sides of a chunk a road leads out of - towards neighbouring road
+ * and town chunks
+ * @returns {Object} { north, south, east, west } booleans (north is -Z)
+ */
+export function roadLinks(layout, chunkX, chunkZ) {
+  const leadsTo = (x, z) => {
+    const type = layout.get(`${x},${z}`);
+    return type === CHUNK_TYPES.ROAD || type === CHUNK_TYPES.TOWN;
+  };
+
+  return {
+    north: leadsTo(chunkX, chunkZ - 1),
+    south: leadsTo(chunkX, chunkZ + 1),
+    east: leadsTo(chunkX + 1, chunkZ),
+    west: leadsTo(chunkX - 1, chunkZ),
+  };
+}
+
+/**
+ * Where bicycles are parked when a room starts - one on the sidewalk inside
+ * the top street of every town chunk, near its corner (buildings keep 10
+ * units from the chunk edge), lying along the sidewalk
+ * @returns {Array<{ id, x, z, rotation }>}
+ */
+export function bicycleSpawnPoints(layout) {
+  const size = GAME_CONFIG.CHUNK_SIZE;
+  const spawns = [];
+
+  layout.forEach((type, key) => {
+    if (type !== CHUNK_TYPES.TOWN) return;
+    const [chunkX, chunkZ] = key.split(",").map(Number);
+
+    spawns.push({
+      id: `bicycle-${key}`,
+      x: chunkX * size + size - 8,
+      z: chunkZ * size + 3.75, // Half a street (3) and half a sidewalk (0.75) in
+      rotation: Math.PI / 2,
+    });
+  });
+
+  return spawns;
+}
+
+/**
+ * Gets a town chunk's lots and props from the town map
+ * @returns {Object|null} { x, z, lots, props }, or null if it isn't town
+ */
+export function planTownChunk(townMap, chunkX, chunkZ) {
+  return townMap.chunks.get(`${chunkX},${chunkZ}`) || null;
+}
+
+/**
+ * Four solid walls around a rectangular footprint
+ */
+function outerWalls(x, z, width, depth, height, thickness) {
+  return [
+    // Front
+    { x, y: height / 2, z: z + depth / 2, width, height, depth: thickness },
+    // Back
+    { x, y: height / 2, z: z - depth / 2, width, height, depth: thickness },
+    // Left
+    { x: x - width / 2, y: height / 2, z, width: thickness, height, depth },
+    // Right
+    { x: x + width / 2, y: height / 2, z, width: thickness, height, depth },
+  ];
+}
+
+/**
+ * Walls of a residential house, with a door opening in the front wall
+ */
+export function houseWalls(x, z, width, depth, height) {
+  const { wallThickness, doorWidth, doorHeight } = HOUSE;
+  const frontSideWidth = (width - doorWidth) / 2;
+
+  return [
+    // Left part of front wall
+    {
+      x: x - width / 2 + frontSideWidth / 2,
+      y: height / 2,
+      z: z + depth / 2,
+      width: frontSideWidth,
+      height,
+      depth: wallThickness,
+    },
+    // Right part of front wall
+    {
+      x: x + width / 2 - frontSideWidth / 2,
+      y: height / 2,
+      z: z + depth / 2,
+      width: frontSideWidth,
+      height,
+      depth: wallThickness,
+    },
+    // Top part above door
+    {
+      x,
+      y: height - (height - doorHeight) / 2,
+      z: z + depth / 2,
+      width: doorWidth,
+      height: height - doorHeight,
+      depth: wallThickness,
+    },
+    // Back, left and right walls
+    ...outerWalls(x, z, width, depth, height, wallThickness).slice(1),
+  ];
+}
+
+/**
+ * Walls of the school: outer walls plus the hallway wall down the middle
+ */
+export function schoolWalls(x, z) {
+  const { width, depth, height, wallThickness } = LANDMARKS.school;
+  return [
+    ...outerWalls(x, z, width, depth, height, wallThickness),
+    {
+      x,
+      y: height / 2,
+      z,
+      width: width - 2,
+      height: height - 0.2,
+      depth: 0.3,
+    },
+  ];
+}
+
+/**
+ * Walls of the police station: outer walls plus the three holding cells
+ */
+export function policeStationWalls(x, z) {
+  const { width, depth, height, wallThickness } = LANDMARKS.policeStation;
+  const walls = outerWalls(x, z, width, depth, height, wallThickness);
+
+  for (let i = 0; i < 3; i++) {
+    const cellX = x - 5 + i * 5;
+    const cellZ = z - depth / 3;
+
+    // Back wall
+    walls.push({
+      x: cellX,
+      y: 1.5,
+      z: cellZ - 2,
+      width: 3,
+      height: 3,
+      depth: 0.2,
+    });
+
+    // Side walls (shared walls between cells only)
+    if (i > 0) {
+      walls.push({
+        x: cellX - 1.5,
+        y: 1.5,
+        z: cellZ,
+        width: 0.2,
+        height: 3,
+        depth: 4,
+      });
+    }
+    if (i < 2) {
+      walls.push({
+        x: cellX + 1.5,
+        y: 1.5,
+        z: cellZ,
+        width: 0.2,
+        height: 3,
+        depth: 4,
+      });
+    }
+  }
+
+  return walls;
+}
+
+/**
+ * Walls of the church
+ */
+export function churchWalls(x, z) {
+  const { width, depth, height, wallThickness } = LANDMARKS.church;
+  return outerWalls(x, z, width, depth, height, wallThickness);
+}
+
+/**
+ * Walls of a portal building in its local space
+ * Crack opening on the front (+Z), portal doorway on the back (-Z)
+ */
+export function portalBuildingLocalWalls() {
+  const {
+    width,
+    depth,
+    height,
+    wallThickness,
+    doorWidth,
+    doorHeight,
+    crackWidth,
+    crackHeight,
+  } = PORTAL_BUILDING;
+  const backSideWidth = (width - doorWidth) / 2;
+  const frontSideWidth = (width - crackWidth) / 2;
+
+  return [
+    // Back wall, either side of the doorway
+    {
+      x: -width / 2 + backSideWidth / 2,
+      y: height / 2,
+      z: -depth / 2,
+      width: backSideWidth,
+      height,
+      depth: wallThickness,
+    },
+    {
+      x: width / 2 - backSideWidth / 2,
+      y: height / 2,
+      z: -depth / 2,
+      width: backSideWidth,
+      height,
+      depth: wallThickness,
+    },
+    // Back wall above door
+    {
+      x: 0,
+      y: height - (height - doorHeight) / 2,
+      z: -depth / 2,
+      width: doorWidth,
+      height: height - doorHeight,
+      depth: wallThickness,
+    },
+    // Solid side walls
+    {
+      x: -width / 2,
+      y: height / 2,
+      z: 0,
+      width: wallThickness,
+      height,
+      depth,
+    },
+    {
+      x: width / 2,
+      y: height / 2,
+      z: 0,
+      width: wallThickness,
+      height,
+      depth,
+    },
+    // Front wall, either side of the crack
+    {
+      x: -width / 2 + frontSideWidth / 2,
+      y: height / 2,
+      z: depth / 2,
+      width: frontSideWidth,
+      height,
+      depth: wallThickness,
+    },
+    {
+      x: width / 2 - frontSideWidth / 2,
+      y: height / 2,
+      z: depth / 2,
+      width: frontSideWidth,
+      height,
+      depth: wallThickness,
+    },
+    // Top of crack opening
+    {
+      x: 0,
+      y: height - (height - crackHeight) / 2,
+      z: depth / 2,
+      width: crackWidth,
+      height: height - crackHeight,
+      depth: wallThickness,
+    },
+  ];
+}
+
+/**
+ * Moves a local-space wall into world space around a building origin
+ * Uses the same Y rotation as Object3D.rotation.y; the result is the
+ * axis-aligned box enclosing the rotated wall
+ */
+export function transformWall(wall, originX, originZ, rotation) {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  return {
+    ...wall,
+    x: originX + wall.x * cos + wall.z * sin,
+    z: originZ - wall.x * sin + wall.z * cos,
+    width: Math.abs(cos) * wall.width + Math.abs(sin) * wall.depth,
+    depth: Math.abs(sin) * wall.width + Math.abs(cos) * wall.depth,
+  };
+}
+
+/**
+ * Walls of every building in a town chunk
+ */
+export function townChunkWalls(townMap, chunkX, chunkZ) {
+  const walls = [];
+  const plan = planTownChunk(townMap, chunkX, chunkZ);
+  if (!plan) return walls;
+
+  plan.lots.forEach((building) => {
+    switch (building.builder) {
+      case "school":
+        walls.push(...schoolWalls(building.x, building.z));
+        break;
+      case "policeStation":
+        walls.push(...policeStationWalls(building.x, building.z));
+        break;
+      case "church":
+        walls.push(...churchWalls(building.x, building.z));
+        break;
+      case "house":
+        walls.push(
+          ...houseWalls(
+            building.x,
+            building.z,
+            building.width,
+            building.depth,
+            building.height,
+          ),
+        );
+        break;
+    }
+  });
+
+  return walls;
+}
+
+/**
+ * Where a residential house's front door stands when closed (the panel
+ * sits just proud of the front wall)
+ */
+export function houseDoor(x, z, depth) {
+  return { x, z: z + depth / 2 + 0.1 };
+}
+
+/**
+ * Where the school's double entrance doors stand when closed
+ */
+export function schoolDoors(x, z) {
+  const doorZ = z + LANDMARKS.school.depth / 2 + 0.15;
+  return [
+    { x: x - 1, z: doorZ },
+    { x: x + 1, z: doorZ },
+  ];
+}
+
+/**
+ * Where the police station's entrance door stands when closed
+ */
+export function policeStationDoor(x, z) {
+  return { x, z: z + LANDMARKS.policeStation.depth / 2 + 0.15 };
+}
+
+/**
+ * Where the church's entrance door stands when closed
+ */
+export function churchDoor(x, z) {
+  return { x, z: z + LANDMARKS.church.depth / 2 + 0.15 };
+}
+
+/**
+ * Where each door of a town chunk's buildings stands when closed - the
+ * Chunk builders place their doors from the same functions, so the
+ * positions (and door IDs, see Doors.js) match the client's exactly
+ * @returns {Array<{ x, z }>}
+ */
+export function townChunkDoors(townMap, chunkX, chunkZ) {
+  const doors = [];
+  const plan = planTownChunk(townMap, chunkX, chunkZ);
+  if (!plan) return doors;
+
+  plan.lots.forEach(({ builder, x, z, depth }) => {
+    switch (builder) {
+      case "house":
+        doors.push(houseDoor(x, z, depth));
+        break;
+      case "school":
+        doors.push(...schoolDoors(x, z));
+        break;
+      case "policeStation":
+        doors.push(policeStationDoor(x, z));
+        break;
+      case "church":
+        doors.push(churchDoor(x, z));
+        break;
+    }
+  });
+
+  return doors;
+}
+
+/**
+ * Where a portal building's door stands when closed, in world space
+ * (in front of the doorway in its back wall)
+ */
+export function portalDoorPosition({ x, z, rotation }) {
+  const { depth, wallThickness } = PORTAL_BUILDING;
+  const door = transformWall(
+    { x: 0, z: -depth / 2 + wallThickness / 2 + 0.1, width: 0, depth: 0 },
+    x,
+    z,
+    rotation,
+  );
+  return { x: door.x, z: door.z };
+}
+
+/**
+ * Collects every door in the world (town buildings + portal buildings)
+ * @returns {Array<{ x, z, portal }>} portal doors join the two world states
+ */
+export function generateWorldDoors(townMap, layout, portals) {
+  const doors = [];
+
+  layout.forEach((type, key) => {
+    if (type !== CHUNK_TYPES.TOWN) return;
+    const [chunkX, chunkZ] = key.split(",").map(Number);
+    townChunkDoors(townMap, chunkX, chunkZ).forEach((door) => {
+      doors.push({ ...door, portal: false });
+    });
+  });
+
+  portals.forEach((loc) => {
+    doors.push({ ...portalDoorPosition(loc), portal: true });
+  });
+
+  return doors;
+}
+
+/**
+ * Collects every static wall in the world (town buildings + portal buildings)
+ * Doors are not included - their open/closed state is not static
+ * @param {Object} townMap - The room's town (planWorld's town)
+ * @param {Array<{ x, z, rotation }>} portals - The room's portal buildings
+ */
+export function generateWorldWalls(townMap, layout, portals) {
+  const walls = [];
+
+  layout.forEach((type, key) => {
+    if (type !== CHUNK_TYPES.TOWN) return;
+    const [chunkX, chunkZ] = key.split(",").map(Number);
+    walls.push(...townChunkWalls(townMap, chunkX, chunkZ));
+  });
+
+  portals.forEach((loc) => {
+    portalBuildingLocalWalls().forEach((wall) => {
+      walls.push(transformWall(wall, loc.x, loc.z, loc.rotation));
+    });
+  });
+
+  return walls;
+}
@@ -0,0 +1,190 @@
+/**
+ * ChatPanel Class
+ * In-game chat: a rolling message log and an input opened with Enter
+ * Messages arrive through NetworkManager; sending goes back through it
+ * Tab cycles the channel while typing (local, room, through the wall)
+ */
+
+import { CHAT_CHANNELS } from "../utils/constants.js";
+
+const MAX_MESSAGES = 100; // Oldest lines are dropped past this
+
+const CHANNEL_LABELS = {
+  [CHAT_CHANNELS.LOCAL]: "Local",
+  [CHAT_CHANNELS.ROOM]: "Room",
+  [CHAT_CHANNELS.WALL]: "Through the wall",
+};
+
+export class ChatPanel {
+  /**
+   * @param {Function} onSend - Called with (text, channel) when the player sends
+   */
+  constructor(onSend) {
+    this.onSend = onSend;
+    this.panel = document.getElementById("chat-panel");
+    this.list = document.getElementById("chat-messages");
+    this.input = document.getElementById("chat-input");
+    this.channelLabel = document.getElementById("chat-channel");
+    this.isOpen = false;
+
+    // Channel to send on; the wall only exists from the Upside Down
+    this.channel = CHAT_CHANNELS.LOCAL;
+    this.wallAvailable = false;
+    this.updateChannelLabel();
+
+    this.handleInputKeyDown = this.handleInputKeyDown.bind(this);
+    if (this.input) {
+      this.input.addEventListener("keydown", this.handleInputKeyDown);
+    }
+  }
+
+  /**
+   * Focuses the input so the player can type
+   */
+  open() {
+    if (!this.panel || this.isOpen) return;
+
+    this.isOpen = true;
+    this.panel.classList.add("open");
+    this.input.focus();
+  }
+
+  /**
+   * Clears and leaves the input (game keys work again)
+   */
+  close() {
+    if (!this.panel) return;
+
+    this.isOpen = false;
+    this.panel.classList.remove("open");
+    this.input.value = "";
+    this.input.blur();
+  }
+
+  /**
+   * Enter sends, Escape cancels, Tab switches channel
+   */
+  handleInputKeyDown(event) {
+    if (event.code === "Enter") {
+      event.preventDefault();
+      const text = this.input.value.trim();
+      if (text) this.onSend(text, this.channel);
+      this.close();
+    } else if (event.code === "Escape") {
+      this.close();
+    } else if (event.code === "Tab") {
+      event.preventDefault();
+      this.cycleChannel();
+    }
+  }
+
+  /**
+   * Moves to the next channel (skipping the wall outside the Upside Down)
+   */
+  cycleChannel() {
+    const channels = Object.values(CHAT_CHANNELS).filter(
+      (channel) => channel !== CHAT_CHANNELS.WALL || this.wallAvailable,
+    );
+    const index = channels.indexOf(this.channel);
+    this.channel = channels[(index + 1) % channels.length];
+    this.updateChannelLabel();
+  }
+
+  /**
+   * Offers the "through the wall" channel only while in the Upside Down
+   */
+  setWallAvailable(available) {
+    this.wallAvailable = available;
+    if (!available && this.channel === CHAT_CHANNELS.WALL) {
+      this.channel = CHAT_CHANNELS.LOCAL;
+    }
+    this.updateChannelLabel();
+  }
+
+  /**
+   * Shows the channel next to the input
+   */
+  updateChannelLabel() {
+    if (this.channelLabel) {
+      this.channelLabel.textContent = CHANNEL_LABELS[this.channel];
+    }
+  }
+
+  /**
+   * Adds a player's message to the log
+   * @param {Object} message - { id, username, message, channel, time, garbled }
+   *   garbled messages came through the wall from the Upside Down
+   */
+  addMessage({ username, message, channel, time, garbled }) {
+    const item = document.createElement("li");
+    item.className = `chat-${channel || CHAT_CHANNELS.LOCAL}`;
+    if (garbled) item.classList.add("chat-garbled");
+
+    const timestamp = document.createElement("span");
+    timestamp.className = "chat-time";
+    timestamp.textContent = new Date(time).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+    // Names and messages are player-written - text, not HTML
+    const name = document.createElement("span");
+    name.className = "chat-name";
+    name.textContent = `${username}:`;
+
+    const text = document.createElement("span");
+    text.textContent = message;
+
+    item.append(timestamp);
+    if (channel && channel !== CHAT_CHANNELS.LOCAL) {
+      const tag = document.createElement("span");
+      tag.className = "chat-tag";
+      tag.textContent = `[${CHANNEL_LABELS[channel]}]`;
+      item.append(tag);
+    }
+    item.append(name, text);
+    this.append(item);
+  }
+
+  /**
+   * Adds a server notice (rate limit, mute, ...) to the log
+   */
+  addNotice(text) {
+    const item = document.createElement("li");
+    item.className = "chat-notice";
+    item.textContent = text;
+    this.append(item);
+  }
+
+  /**
+   * Replaces the log with the room's recent messages
+   */
+  setHistory(messages) {
+    if (!this.list) return;
+
+    this.list.innerHTML = "";
+    messages.forEach((message) => this.addMessage(message));
+  }
+
+  /**
+   * Appends a line, dropping the oldest past MAX_MESSAGES
+   */
+  append(item) {
+    if (!this.list) return;
+
+    this.list.appendChild(item);
+    while (this.list.children.length > MAX_MESSAGES) {
+      this.list.firstChild.remove();
+    }
+    this.list.scrollTop = this.list.scrollHeight;
+  }
+
+  /**
+   * Removes event listeners
+   */
+  dispose() {
+    if (this.input) {
+      this.input.removeEventListener("keydown", this.handleInputKeyDown);
+    }
+  }
+}
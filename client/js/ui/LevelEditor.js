@@ -0,0 +1,503 @@
+/**
+ * LevelEditor Class
+ * Places, moves, turns and deletes the town's street props (the chunk props
+ * in the town map) in the running game, then exports the edited map
+ * Opened with F3 (KEY_BINDINGS.TOGGLE_DEBUG) - the mouse is freed for the
+ * gizmo while WASD still walks the player around town
+ *
+ * Edits go into a copy of the town map JSON, which is checked again with
+ * parseTownMap and the chunk rebuilt from it after every change. Export
+ * downloads that JSON; saved over the map file it is what the game (and the
+ * server) load next time.
+ */
+
+import * as THREE from "three";
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import { GAME_CONFIG } from "../utils/constants.js";
+import { parseTownMap } from "../shared/TownMap.js";
+import { rotateProp } from "../world/TownLoader.js";
+
+// Prop types the palette offers (Chunk builders that stand on their own)
+const PALETTE = {
+  mailbox: "Mailbox",
+  bench: "Bench",
+  stopSign: "Stop Sign",
+  fireHydrant: "Fire Hydrant",
+  streetLamp: "Street Lamp",
+  fence: "Fence",
+  trashCans: "Trash Cans",
+};
+
+const FENCE_SIZE = 6; // Width and depth a new fence goes around
+const MOVE_SNAP = 0.25; // Meters
+const TURN_SNAP = 15; // Degrees
+
+const GROUND = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+export class LevelEditor {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {World} world - Loaded world (its town map has the JSON source)
+   * @param {THREE.Camera} camera - The camera the game renders with
+   * @param {HTMLCanvasElement} canvas - The renderer's canvas
+   */
+  constructor(scene, world, camera, canvas) {
+    this.world = world;
+    this.camera = camera;
+    this.canvas = canvas;
+    this.isOpen = false;
+
+    this.source = structuredClone(world.townMap.source); // Edited map JSON
+    this.placing = null; // Prop type the next click on the ground places
+    this.selected = null; // { chunkX, chunkZ, index, meshes, base, start }
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    // The gizmo moves an empty pivot and the selected prop's meshes follow
+    this.pivot = new THREE.Object3D();
+    scene.add(this.pivot);
+
+    this.gizmo = new TransformControls(camera, canvas);
+    this.gizmo.enabled = false;
+    this.gizmo.setTranslationSnap(MOVE_SNAP);
+    this.gizmo.setRotationSnap(THREE.MathUtils.degToRad(TURN_SNAP));
+    this.gizmo.addEventListener("objectChange", () => this.followPivot());
+    this.gizmo.addEventListener("mouseUp", () => this.commitTransform());
+    scene.add(this.gizmo);
+
+    this.panel = document.getElementById("level-editor");
+    this.status = document.getElementById("editor-status");
+    this.modeButton = document.getElementById("editor-mode");
+    this.createPalette();
+    this.setMode("translate");
+
+    this.bindButton("editor-mode", () =>
+      this.setMode(this.gizmo.mode === "translate" ? "rotate" : "translate"),
+    );
+    this.bindButton("editor-delete", () => this.deleteSelected());
+    this.bindButton("editor-export", () => this.exportMap());
+
+    // Registered after the gizmo's, so a grab on the gizmo is seen first
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    canvas.addEventListener("pointerdown", this.handlePointerDown);
+    document.addEventListener("keydown", this.handleKeyDown);
+  }
+
+  /**
+   * Adds a button for each prop type to the panel
+   */
+  createPalette() {
+    const palette = document.getElementById("editor-palette");
+    if (!palette) return;
+
+    Object.entries(PALETTE).forEach(([type, label]) => {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.dataset.prop = type;
+      button.addEventListener("click", () => {
+        button.blur(); // Keep Space/Enter for the game
+        this.setPlacing(this.placing === type ? null : type);
+      });
+      palette.appendChild(button);
+    });
+  }
+
+  /**
+   * Wires a panel button (blurred after a click so keys go to the game)
+   */
+  bindButton(id, onClick) {
+    const button = document.getElementById(id);
+    if (!button) return;
+
+    button.addEventListener("click", () => {
+      button.blur();
+      onClick();
+    });
+  }
+
+  /**
+   * Opens or closes the editor (closing drops the selection)
+   */
+  setOpen(open) {
+    this.isOpen = open;
+    this.gizmo.enabled = open;
+    if (this.panel) this.panel.classList.toggle("open", open);
+
+    if (!open) {
+      this.select(null);
+      this.setPlacing(null);
+    }
+    this.showHint();
+  }
+
+  /**
+   * Picks the prop type placed by the next ground click (null for none)
+   */
+  setPlacing(type) {
+    this.placing = type;
+    if (this.panel) {
+      this.panel.querySelectorAll("[data-prop]").forEach((button) => {
+        button.classList.toggle("selected", button.dataset.prop === type);
+      });
+    }
+    this.showHint();
+  }
+
+  /**
+   * Switches the gizmo between moving ("translate") and turning ("rotate")
+   * Props stay on the ground and only turn about the vertical axis
+   */
+  setMode(mode) {
+    this.gizmo.setMode(mode);
+    this.gizmo.showX = mode === "translate";
+    this.gizmo.showZ = mode === "translate";
+    this.gizmo.showY = mode === "rotate";
+
+    if (this.modeButton) {
+      this.modeButton.textContent = mode === "translate" ? "Move" : "Turn";
+    }
+  }
+
+  /**
+   * Clicking a street prop selects it; with a type picked, clicking the
+   * ground places one; clicking anything else drops the selection
+   */
+  handlePointerDown(event) {
+    if (!this.isOpen || event.button !== 0) return;
+    if (this.gizmo.dragging || this.gizmo.axis !== null) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    const hit = this.pickProp();
+    if (hit) {
+      this.select(hit);
+      return;
+    }
+
+    const point = new THREE.Vector3();
+    if (this.placing && this.raycaster.ray.intersectPlane(GROUND, point)) {
+      this.placeProp(point);
+      return;
+    }
+
+    this.select(null);
+  }
+
+  /**
+   * R switches move/turn, Delete removes the selected prop, Escape drops
+   * the selection and the picked type
+   */
+  handleKeyDown(event) {
+    if (!this.isOpen || event.target instanceof HTMLInputElement) return;
+
+    switch (event.code) {
+      case "KeyR":
+        this.setMode(this.gizmo.mode === "translate" ? "rotate" : "translate");
+        break;
+      case "Delete":
+      case "Backspace":
+        event.preventDefault();
+        this.deleteSelected();
+        break;
+      case "Escape":
+        this.select(null);
+        this.setPlacing(null);
+        break;
+    }
+  }
+
+  /**
+   * Finds the street prop under the pointer
+   * @returns {Object|null} { chunkX, chunkZ, index }
+   */
+  pickProp() {
+    const chunkOf = new Map();
+    this.world.chunkManager.chunks.forEach((chunk) => {
+      chunk.buildings.forEach((mesh) => {
+        if (mesh.userData.townProp !== undefined) chunkOf.set(mesh, chunk);
+      });
+    });
+
+    const [hit] = this.raycaster.intersectObjects([...chunkOf.keys()], false);
+    if (!hit) return null;
+
+    const chunk = chunkOf.get(hit.object);
+    return {
+      chunkX: chunk.chunkX,
+      chunkZ: chunk.chunkZ,
+      index: hit.object.userData.townProp,
+    };
+  }
+
+  /**
+   * Places the picked prop type on the ground and selects it
+   */
+  placeProp(point) {
+    const size = GAME_CONFIG.CHUNK_SIZE;
+    const chunkX = Math.floor(point.x / size);
+    const chunkZ = Math.floor(point.z / size);
+    if (!findChunk(this.source, chunkX, chunkZ)) {
+      this.setStatus(notInTown(chunkX, chunkZ));
+      return;
+    }
+
+    const prop = {
+      type: this.placing,
+      x: snap(point.x - chunkX * size),
+      z: snap(point.z - chunkZ * size),
+    };
+    if (this.placing === "fence") {
+      prop.width = FENCE_SIZE;
+      prop.depth = FENCE_SIZE;
+    }
+
+    let index = null;
+    this.edit([{ chunkX, chunkZ }], (entry) => {
+      entry.props = entry.props || [];
+      index = entry.props.push(prop) - 1;
+    });
+    if (index !== null) this.select({ chunkX, chunkZ, index });
+  }
+
+  /**
+   * Selects a street prop and puts the gizmo on it (null to deselect)
+   * @param {Object|null} target - { chunkX, chunkZ, index }
+   */
+  select(target) {
+    this.selected = null;
+    this.gizmo.detach();
+
+    const entry =
+      target && findChunk(this.source, target.chunkX, target.chunkZ);
+    const prop = entry && entry.props && entry.props[target.index];
+    if (prop) {
+      const { chunkX, chunkZ, index } = target;
+      const chunk = this.world.chunkManager.chunks.get(`${chunkX},${chunkZ}`);
+      const meshes = chunk
+        ? chunk.buildings.filter((mesh) => mesh.userData.townProp === index)
+        : [];
+
+      const size = GAME_CONFIG.CHUNK_SIZE;
+      const angle = THREE.MathUtils.degToRad(prop.rotation || 0);
+      this.pivot.position.set(
+        chunkX * size + (prop.x || 0),
+        0,
+        chunkZ * size + (prop.z || 0),
+      );
+      this.pivot.rotation.set(0, angle, 0);
+
+      this.selected = {
+        chunkX,
+        chunkZ,
+        index,
+        meshes,
+        base: meshes.map((mesh) => ({
+          position: mesh.position.clone(),
+          quaternion: mesh.quaternion.clone(),
+        })),
+        start: { x: this.pivot.position.x, z: this.pivot.position.z, angle },
+      };
+      this.gizmo.attach(this.pivot);
+    }
+
+    this.showHint();
+  }
+
+  /**
+   * Moves the selected prop's meshes with the gizmo while it is dragged
+   * (the chunk is rebuilt from the map when the drag ends)
+   */
+  followPivot() {
+    if (!this.selected) return;
+
+    const { meshes, base, start } = this.selected;
+    const { x, z } = this.pivot.position;
+    meshes.forEach((mesh, i) => {
+      mesh.position.copy(base[i].position);
+      mesh.quaternion.copy(base[i].quaternion);
+      mesh.position.x += x - start.x;
+      mesh.position.z += z - start.z;
+    });
+    rotateProp(meshes, x, z, this.pivotAngle() - start.angle);
+  }
+
+  /**
+   * Writes where the gizmo left the selected prop into the map
+   * Dragged into another town chunk, the prop moves to that chunk's props
+   */
+  commitTransform() {
+    if (!this.selected) return;
+
+    const from = this.selected;
+    const size = GAME_CONFIG.CHUNK_SIZE;
+    const { x: worldX, z: worldZ } = this.pivot.position;
+    const to = {
+      chunkX: Math.floor(worldX / size),
+      chunkZ: Math.floor(worldZ / size),
+    };
+    if (!findChunk(this.source, to.chunkX, to.chunkZ)) {
+      this.undoTransform();
+      this.setStatus(notInTown(to.chunkX, to.chunkZ));
+      return;
+    }
+
+    const x = snap(worldX - to.chunkX * size);
+    const z = snap(worldZ - to.chunkZ * size);
+    const degrees = Math.round(THREE.MathUtils.radToDeg(this.pivotAngle()));
+    const rotation = ((degrees % 360) + 360) % 360;
+    const moved = to.chunkX !== from.chunkX || to.chunkZ !== from.chunkZ;
+
+    let index = from.index;
+    const edited = this.edit(moved ? [from, to] : [from], (entry, target) => {
+      const prop = entry.props[from.index];
+      prop.x = x;
+      prop.z = z;
+      if (rotation) {
+        prop.rotation = rotation;
+      } else {
+        delete prop.rotation;
+      }
+
+      if (target) {
+        entry.props.splice(from.index, 1);
+        target.props = target.props || [];
+        index = target.props.push(prop) - 1;
+      }
+    });
+
+    // Put the meshes back if the map refused the change - the chunks weren't
+    // rebuilt so the selection still holds, and the status keeps the error
+    if (!edited) {
+      this.undoTransform();
+      return;
+    }
+    this.select({ ...to, index });
+  }
+
+  /**
+   * Puts the selected prop's meshes back where the drag started
+   */
+  undoTransform() {
+    const { start } = this.selected;
+    this.pivot.position.set(start.x, 0, start.z);
+    this.pivot.rotation.set(0, start.angle, 0);
+    this.followPivot();
+  }
+
+  /**
+   * Removes the selected prop from the map
+   */
+  deleteSelected() {
+    if (!this.selected) return;
+
+    const { chunkX, chunkZ, index } = this.selected;
+    this.select(null);
+    this.edit([{ chunkX, chunkZ }], (entry) => entry.props.splice(index, 1));
+  }
+
+  /**
+   * Changes chunk entries in a copy of the map, checks the copy and
+   * rebuilds the chunks from it
+   * @param {Array<{ chunkX, chunkZ }>} chunks - Chunks the change touches
+   * @param {Function} change - Called with their entries in the copy
+   * @returns {boolean} False if the map refused the change (see the status)
+   */
+  edit(chunks, change) {
+    const source = structuredClone(this.source);
+    change(
+      ...chunks.map(({ chunkX, chunkZ }) => findChunk(source, chunkX, chunkZ)),
+    );
+
+    let townMap;
+    try {
+      townMap = parseTownMap(source);
+    } catch (error) {
+      console.warn("[LevelEditor] Edit refused:", error.message);
+      this.setStatus(error.message);
+      return false;
+    }
+
+    this.source = source;
+    this.world.setTownMap({ ...townMap, source }, chunks);
+    return true;
+  }
+
+  /**
+   * Downloads the edited town map - saved over the map file, the game
+   * loads it back
+   */
+  exportMap() {
+    const json = `${JSON.stringify(this.source, null, 2)}\n`;
+    const url = URL.createObjectURL(
+      new Blob([json], { type: "application/json" }),
+    );
+    const fileName = GAME_CONFIG.TOWN_MAP_FILE.split("/").pop();
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    this.setStatus(
+      `Exported ${fileName} - save it over client/${GAME_CONFIG.TOWN_MAP_FILE} and reload`,
+    );
+  }
+
+  /**
+   * The pivot's turn about the vertical axis, in radians
+   * (rotation.y folds back past 90 degrees, the quaternion doesn't)
+   */
+  pivotAngle() {
+    const { y, w } = this.pivot.quaternion;
+    return 2 * Math.atan2(y, w);
+  }
+
+  /**
+   * Shows what the mouse does right now
+   */
+  showHint() {
+    if (this.selected) {
+      const { chunkX, chunkZ, index } = this.selected;
+      const { type } = findChunk(this.source, chunkX, chunkZ).props[index];
+      this.setStatus(
+        `${PALETTE[type] || type} in chunk ${chunkX},${chunkZ} - drag the gizmo, R: move/turn, Delete: remove`,
+      );
+    } else if (this.placing) {
+      this.setStatus(`Click the ground to place a ${PALETTE[this.placing]}`);
+    } else {
+      this.setStatus("Click a street prop to select it, or pick one to place");
+    }
+  }
+
+  setStatus(text) {
+    if (this.status) this.status.textContent = text;
+  }
+}
+
+/**
+ * Finds a chunk's entry in town map JSON
+ */
+function findChunk(source, chunkX, chunkZ) {
+  return source.chunks.find(
+    (entry) => entry.x === chunkX && entry.z === chunkZ,
+  );
+}
+
+/**
+ * Status shown when a prop would land outside the town
+ */
+function notInTown(chunkX, chunkZ) {
+  return `Chunk ${chunkX},${chunkZ} isn't in the town map - props go in town chunks`;
+}
+
+function snap(value) {
+  return Math.round(value / MOVE_SNAP) * MOVE_SNAP;
+}
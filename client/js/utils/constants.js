@@ -8,6 +8,7 @@ export const GAME_CONFIG = {
   CHUNK_SIZE: 64, // Size of each terrain chunk
   RENDER_DISTANCE: 3, // Number of chunks to render around player
   WORLD_SIZE: 8, // Total chunks in each direction
+  TOWN_MAP_FILE: "maps/hawkins.json", // Town layout, under client/ (the server reads it too)
 
   // Player settings
   PLAYER_SPEED: 8, // Walking speed
@@ -23,10 +24,32 @@ export const GAME_CONFIG = {
   CAMERA_HEIGHT: 2.5, // Height above player
   CAMERA_LERP_SPEED: 0.1, // Camera smoothing factor
   CAMERA_ROTATION_SPEED: 0.002, // Mouse sensitivity
+  CAMERA_GROUND_CLEARANCE: 0.5, // Closest the camera gets to a hillside
+
+  // Spectator settings
+  SPECTATOR_FLY_SPEED: 15, // Free-fly speed (doubled while running)
+  SPECTATOR_MIN_HEIGHT: 1, // Free-fly rig height limits
+  SPECTATOR_MAX_HEIGHT: 80,
 
   // Network settings
   NETWORK_TICK_RATE: 20, // Updates per second
   INTERPOLATION_DELAY: 100, // ms delay for smooth interpolation
+  MAX_EXTRAPOLATION: 250, // ms to keep moving remote players when snapshots stop
+  SNAPSHOT_BUFFER_SIZE: 32, // Snapshots kept per remote player
+  MAX_PENDING_INPUTS: 256, // Unacknowledged local inputs kept for replay
+  RECONCILE_THRESHOLD: 0.05, // Prediction error (units) that triggers a replay
+  RECONNECT_ATTEMPTS: 10, // Retries after a drop (server holds the session 30s)
+
+  // Chat settings
+  CHAT_LOCAL_RADIUS: 30, // Local chat reaches players this close
+  CHAT_WALL_RADIUS: 6, // "Through the wall" reaches the same spot in the normal world
+
+  // Voice chat settings (peer-to-peer, positional)
+  VOICE_REF_DISTANCE: 3, // Full volume this close
+  VOICE_MAX_DISTANCE: 40, // Silent past this in the normal world
+  VOICE_MAX_DISTANCE_UPSIDE: 20, // The Upside Down swallows sound sooner
+  VOICE_UPSIDE_LOWPASS: 1200, // Hz - voices are muffled in the Upside Down
+  VOICE_ICE_SERVERS: [{ urls: "stun:stun.l.google.com:19302" }],
 
   // Performance settings
   FOG_NEAR: 40, // Normal world fog start
@@ -101,6 +124,19 @@ export const ANIMATIONS = {
   JUMP: "jump",
 };
 
+/**
+ * Chat Channels
+ * local - nearby players in the same world state
+ * room - everyone in the room, both world states
+ * wall - from the Upside Down to whoever stands at the same spot in the
+ *        normal world, arriving garbled
+ */
+export const CHAT_CHANNELS = {
+  LOCAL: "local",
+  ROOM: "room",
+  WALL: "wall",
+};
+
 /**
  * Input Key Bindings
  */
@@ -114,7 +150,15 @@ export const KEY_BINDINGS = {
   INTERACT: ["KeyE"],
   OPEN_DOOR: ["KeyG"],
   RIDE_BICYCLE: ["KeyF"],
-  TOGGLE_DEBUG: ["KeyF3"],
+  LOCK_BICYCLE: ["KeyL"], // Lock/unlock the bicycle in front of you
+  TOGGLE_DEBUG: ["F3"], // Level editor
+  PLAYER_LIST: ["Tab"],
+  CHAT: ["Enter"],
+  SPECTATE_NEXT: ["KeyN"], // Follow the next player
+  SPECTATE_FREE: ["KeyV"], // Back to free-fly
+  SPECTATE_WORLD: ["KeyU"], // Watch the other world state
+  FLY_DOWN: ["KeyC"], // Free-fly descend (JUMP ascends)
+  VOICE: ["KeyT"], // Turn voice chat on/off
 };
 
 /**
@@ -0,0 +1,180 @@
+/**
+ * Voice Chat Loopback Harness (voice-loopback.html)
+ * Runs two VoiceChat instances in one page to check WebRTC signaling and
+ * positional playback without a server or a microphone
+ *
+ * Signals are passed straight between the two (with a little latency) and
+ * each side "speaks" with an oscillator. Alice's AudioSystem is the one you
+ * hear; the measured level of Bob's voice should follow the expected linear
+ * falloff as Bob moves away, and drop off sooner in the Upside Down.
+ */
+
+import * as THREE from "three";
+import { AudioSystem } from "./graphics/AudioSystem.js";
+import { VoiceChat } from "./network/VoiceChat.js";
+import { GAME_CONFIG } from "./utils/constants.js";
+
+const SIGNAL_LATENCY = 30; // ms, like a nearby server
+
+/**
+ * Creates a fake microphone - a pulsing tone instead of a voice
+ */
+function createFakeMicrophone(audioContext, frequency) {
+  const oscillator = audioContext.createOscillator();
+  oscillator.frequency.value = frequency;
+
+  // Pulse the volume a few times a second so it sounds like speech
+  const gain = audioContext.createGain();
+  gain.gain.value = 0.5;
+  const pulse = audioContext.createOscillator();
+  pulse.frequency.value = 3;
+  const pulseDepth = audioContext.createGain();
+  pulseDepth.gain.value = 0.3;
+  pulse.connect(pulseDepth);
+  pulseDepth.connect(gain.gain);
+
+  const destination = audioContext.createMediaStreamDestination();
+  oscillator.connect(gain);
+  gain.connect(destination);
+  oscillator.start();
+  pulse.start();
+
+  return destination.stream;
+}
+
+/**
+ * Expected gain of PannerNode's linear distance model
+ */
+function expectedGain(distance, maxDistance) {
+  const ref = GAME_CONFIG.VOICE_REF_DISTANCE;
+  const clamped = Math.min(Math.max(distance, ref), maxDistance);
+  return 1 - (clamped - ref) / (maxDistance - ref);
+}
+
+/**
+ * Sets up both sides and runs the update loop
+ */
+async function start() {
+  const aliceAudio = new AudioSystem();
+  const bobAudio = new AudioSystem();
+  await aliceAudio.init();
+  await bobAudio.init();
+  bobAudio.setVoiceVolume(0); // Only Alice's side is audible
+
+  // Level meter on everything Alice hears from other players
+  const analyser = aliceAudio.audioContext.createAnalyser();
+  analyser.fftSize = 2048;
+  aliceAudio.voiceGain.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+
+  // Signals arrive on the other side after a delay, as plain JSON
+  let alice = null;
+  let bob = null;
+  const relay = (from, getTarget) => (to, type, data) => {
+    const copy = JSON.parse(JSON.stringify(data));
+    setTimeout(
+      () => getTarget().handleSignal({ from, type, data: copy }),
+      SIGNAL_LATENCY,
+    );
+  };
+
+  alice = new VoiceChat(
+    aliceAudio,
+    relay("alice", () => bob),
+    {
+      getUserMedia: async () =>
+        createFakeMicrophone(aliceAudio.audioContext, 220),
+      iceServers: [], // Host candidates are enough on one machine
+    },
+  );
+  bob = new VoiceChat(
+    bobAudio,
+    relay("bob", () => alice),
+    {
+      getUserMedia: async () =>
+        createFakeMicrophone(bobAudio.audioContext, 330),
+      iceServers: [],
+    },
+  );
+  await alice.enable();
+  await bob.enable();
+
+  // What each side's NetworkManager.remotePlayers would hold
+  const aliceMesh = new THREE.Object3D();
+  const bobMesh = new THREE.Object3D();
+  const aliceRemotes = new Map([
+    ["bob", { data: { voice: true }, mesh: bobMesh }],
+  ]);
+  const bobRemotes = new Map([
+    ["alice", { data: { voice: true }, mesh: aliceMesh }],
+  ]);
+
+  // Both stand at head height looking down -Z
+  const aliceCamera = new THREE.PerspectiveCamera();
+  aliceCamera.position.set(0, 1.6, 0);
+  const bobCamera = new THREE.PerspectiveCamera();
+
+  const distanceInput = document.getElementById("loopback-distance");
+  const sideInput = document.getElementById("loopback-side");
+  const worldSelect = document.getElementById("loopback-world");
+  const voiceInput = document.getElementById("loopback-voice");
+  const status = document.getElementById("loopback-status");
+
+  // Bob turning voice off is announced to Alice (voice:state on the server)
+  voiceInput.addEventListener("change", async () => {
+    if (voiceInput.checked) {
+      await bob.enable();
+    } else {
+      bob.disable();
+    }
+    aliceRemotes.get("bob").data.voice = bob.enabled;
+  });
+
+  const loop = () => {
+    requestAnimationFrame(loop);
+
+    // Bob stands in front of Alice, swung left or right
+    const distance = Number(distanceInput.value);
+    const angle = (Number(sideInput.value) * Math.PI) / 2;
+    bobMesh.position.set(
+      Math.sin(angle) * distance,
+      1.6,
+      -Math.cos(angle) * distance,
+    );
+    aliceMesh.position.copy(aliceCamera.position);
+    bobCamera.position.copy(bobMesh.position);
+    aliceCamera.updateMatrixWorld();
+    bobCamera.updateMatrixWorld();
+
+    const worldState = worldSelect.value;
+
+    alice.update("alice", aliceRemotes, aliceCamera, worldState);
+    bob.update("bob", bobRemotes, bobCamera, worldState);
+
+    analyser.getFloatTimeDomainData(samples);
+    const rms = Math.sqrt(
+      samples.reduce((sum, sample) => sum + sample * sample, 0) /
+        samples.length,
+    );
+    const maxDistance =
+      worldState === "upsideDown"
+        ? GAME_CONFIG.VOICE_MAX_DISTANCE_UPSIDE
+        : GAME_CONFIG.VOICE_MAX_DISTANCE;
+
+    document.getElementById("loopback-distance-value").textContent = distance;
+    status.textContent = [
+      `Alice -> Bob: ${alice.isConnected("bob") ? "connected" : "not connected"}`,
+      `Bob -> Alice: ${bob.isConnected("alice") ? "connected" : "not connected"}`,
+      `Expected gain: ${expectedGain(distance, maxDistance).toFixed(2)}`,
+      `Measured level (RMS): ${rms.toFixed(3)}`,
+    ].join("\n");
+  };
+  loop();
+}
+
+document.getElementById("loopback-start").addEventListener("click", (e) => {
+  e.target.disabled = true;
+  start().catch((error) => {
+    document.getElementById("loopback-status").textContent = error.message;
+  });
+});
@@ -6,14 +6,39 @@
 
 import * as THREE from "three";
 import { GAME_CONFIG, CHUNK_TYPES } from "../utils/constants.js";
+import {
+  HOUSE,
+  LANDMARKS,
+  houseWalls,
+  schoolWalls,
+  policeStationWalls,
+  churchWalls,
+  houseDoor,
+  schoolDoors,
+  policeStationDoor,
+  churchDoor,
+} from "../shared/WorldLayout.js";
+import { chunkSeed } from "../shared/WorldGen.js";
+import { rotateProp } from "./TownLoader.js";
+
+// Ground mesh squares per side on hilly (forest) chunks
+const TERRAIN_SEGMENTS = 32;
+
+// Street-name sign materials by name (shared by every chunk, never disposed)
+const streetSignMaterials = new Map();
 
 export class Chunk {
-  constructor(chunkX, chunkZ, type, scene, materials) {
+  /**
+   * @param {Object} world - The room's planWorld() result (shared/WorldGen.js)
+   */
+  constructor(chunkX, chunkZ, type, scene, materials, world) {
     this.chunkX = chunkX;
     this.chunkZ = chunkZ;
     this.type = type;
     this.scene = scene;
     this.materials = materials;
+    this.world = world;
+    this.terrain = world.terrain; // Ground heights (shared/Terrain.js)
 
     // World position of chunk corner
     this.worldX = chunkX * GAME_CONFIG.CHUNK_SIZE;
@@ -27,25 +52,12 @@ export class Chunk {
     this.lampPositions = []; // For instanced rendering
     this.pointLights = []; // Street lamp lights
 
-    // Seeded random for consistent generation
-    this.seed = this.hashCode(`${chunkX},${chunkZ}`);
-  }
-
-  /**
-   * Generates a hash code for seeded random
-   */
-  hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash);
+    // Seeded random for consistent generation (same world seed, same chunk)
+    this.seed = chunkSeed(world.config.seed, chunkX, chunkZ);
   }
 
   /**
-   * Seeded random number generator
+   * Seeded random number generator (same LCG as WorldLayout's)
    */
   seededRandom() {
     this.seed = (this.seed * 9301 + 49297) % 233280;
@@ -71,162 +83,67 @@ export class Chunk {
         this.generateRoad();
         break;
     }
+
+    // Roads, sidewalks and their signs (any chunk type - lanes run into
+    // the forest)
+    this.generateRoads();
   }
 
   /**
    * Creates the ground plane for this chunk
+   * Forest ground is subdivided and raised to the terrain's hills; town and
+   * road chunks are flat
    */
   createGround() {
     const size = GAME_CONFIG.CHUNK_SIZE;
-    const geometry = new THREE.PlaneGeometry(size, size, 1, 1);
+    const segments = this.type === CHUNK_TYPES.FOREST ? TERRAIN_SEGMENTS : 1;
+    const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
     geometry.rotateX(-Math.PI / 2);
 
+    const centerX = this.worldX + size / 2;
+    const centerZ = this.worldZ + size / 2;
+    if (segments > 1) {
+      const positions = geometry.attributes.position;
+      for (let i = 0; i < positions.count; i++) {
+        positions.setY(
+          i,
+          this.terrain.getHeightAt(
+            centerX + positions.getX(i),
+            centerZ + positions.getZ(i),
+          ),
+        );
+      }
+      geometry.computeVertexNormals();
+    }
+
     this.groundMesh = new THREE.Mesh(geometry, this.materials.ground);
-    this.groundMesh.position.set(
-      this.worldX + size / 2,
-      0,
-      this.worldZ + size / 2,
-    );
+    this.groundMesh.position.set(centerX, 0, centerZ);
     this.groundMesh.receiveShadow = true;
 
     this.scene.add(this.groundMesh);
   }
 
   /**
-   * Generates town buildings and street lamps
+   * Generates town ground details and hydrants
+   * The streets come from the road network (generateRoads), the buildings
+   * and props from the town map (ChunkManager builds them with TownLoader
+   * once the chunk is generated)
    */
   generateTown() {
     const size = GAME_CONFIG.CHUNK_SIZE;
 
-    // Create sidewalks around perimeter
-    this.createSidewalks();
-
     // Add grass patches and dirt spots for variety
     this.createGroundDetails();
 
-    // Determine which special building to create (if any)
-    const specialRandom = this.seededRandom();
-
-    if (this.chunkX === 0 && this.chunkZ === 0) {
-      // Center chunk - create school
-      const schoolX = this.worldX + size / 2;
-      const schoolZ = this.worldZ + size / 2;
-      this.createSchool(schoolX, schoolZ);
-      // Walkway to school entrance
-      this.createWalkway(schoolX, schoolZ + 17.5, 4, 8);
-    } else if (this.chunkX === 1 && this.chunkZ === 0) {
-      // Right of center - create police station
-      const policeX = this.worldX + size / 2;
-      const policeZ = this.worldZ + size / 2;
-      this.createPoliceStation(policeX, policeZ);
-      // Parking lot in front
-      this.createParkingLot(policeX, policeZ + 15, 12, 8);
-    } else if (this.chunkX === -1 && this.chunkZ === 0) {
-      // Left of center - create church
-      const churchX = this.worldX + size / 2;
-      const churchZ = this.worldZ + size / 2;
-      this.createChurch(churchX, churchZ);
-      // Stone pathway to church
-      this.createWalkway(churchX, churchZ + 12, 3, 6);
-    } else {
-      // Regular residential buildings
-      const buildingCount = 2 + Math.floor(this.seededRandom() * 2);
-
-      for (let i = 0; i < buildingCount; i++) {
-        const width = 5 + this.seededRandom() * 5;
-        const depth = 5 + this.seededRandom() * 5;
-        const height = 4 + this.seededRandom() * 3;
-
-        const x = this.worldX + 10 + this.seededRandom() * (size - 20);
-        const z = this.worldZ + 10 + this.seededRandom() * (size - 20);
-
-        this.createBuilding(x, z, width, depth, height);
-
-        // Add walkway from sidewalk to front door
-        this.createWalkway(x, z + depth / 2 + 2, 1.5, 3);
-
-        // Add realistic details around house
-        this.createMailbox(x + width / 2 + 1, z + depth / 2 + 3);
-        this.createTrashCans(x - width / 2 - 1.5, z + depth / 2 + 1);
-        this.createFence(x, z, width, depth);
-        this.createFlowerBed(x + width / 2 - 2, z + depth / 2 + 1.5);
-        this.createBushes(x - width / 2 - 1, z - depth / 2 - 1);
-      }
-
-      // Add street furniture
-      this.createStreetFurniture();
-    }
-
-    // Generate street lamps along edges - REDUCED for performance
-    // Only add lamps on two edges to avoid uniform limit
-    const lampSpacing = 32; // Increased spacing to reduce lamp count
-    for (let offset = lampSpacing / 2; offset < size; offset += lampSpacing) {
-      // Only lamps on top and left edges (reduce by 50%)
-      this.createStreetLamp(this.worldX + offset, this.worldZ + 3);
-      this.createStreetLamp(this.worldX + 3, this.worldZ + offset);
-    }
-
-    // Add fire hydrants along streets
+    // Add fire hydrants on the sidewalks inside the top and left streets
     const hydrantSpacing = 20;
+    const curb = 3.75; // Half a street and half a sidewalk in
     for (let offset = 10; offset < size; offset += hydrantSpacing) {
-      this.createFireHydrant(this.worldX + offset, this.worldZ + 1.5);
-      this.createFireHydrant(this.worldX + 1.5, this.worldZ + offset);
+      this.createFireHydrant(this.worldX + offset, this.worldZ + curb);
+      this.createFireHydrant(this.worldX + curb, this.worldZ + offset);
     }
   }
 
-  /**
-   * Creates sidewalks around town perimeter
-   */
-  createSidewalks() {
-    const size = GAME_CONFIG.CHUNK_SIZE;
-    const sidewalkWidth = 3;
-    const sidewalkMat = new THREE.MeshBasicMaterial({ color: 0xa9a9a9 });
-
-    // Top sidewalk
-    const topGeo = new THREE.PlaneGeometry(size, sidewalkWidth);
-    topGeo.rotateX(-Math.PI / 2);
-    const topSidewalk = new THREE.Mesh(topGeo, sidewalkMat);
-    topSidewalk.position.set(
-      this.worldX + size / 2,
-      0.01,
-      this.worldZ + sidewalkWidth / 2,
-    );
-    this.scene.add(topSidewalk);
-    this.buildings.push(topSidewalk);
-
-    // Bottom sidewalk
-    const bottomSidewalk = new THREE.Mesh(topGeo, sidewalkMat);
-    bottomSidewalk.position.set(
-      this.worldX + size / 2,
-      0.01,
-      this.worldZ + size - sidewalkWidth / 2,
-    );
-    this.scene.add(bottomSidewalk);
-    this.buildings.push(bottomSidewalk);
-
-    // Left sidewalk
-    const sideGeo = new THREE.PlaneGeometry(sidewalkWidth, size);
-    sideGeo.rotateX(-Math.PI / 2);
-    const leftSidewalk = new THREE.Mesh(sideGeo, sidewalkMat);
-    leftSidewalk.position.set(
-      this.worldX + sidewalkWidth / 2,
-      0.01,
-      this.worldZ + size / 2,
-    );
-    this.scene.add(leftSidewalk);
-    this.buildings.push(leftSidewalk);
-
-    // Right sidewalk
-    const rightSidewalk = new THREE.Mesh(sideGeo, sidewalkMat);
-    rightSidewalk.position.set(
-      this.worldX + size - sidewalkWidth / 2,
-      0.01,
-      this.worldZ + size / 2,
-    );
-    this.scene.add(rightSidewalk);
-    this.buildings.push(rightSidewalk);
-  }
-
   /**
    * Creates ground details like grass patches and dirt spots
    */
@@ -534,19 +451,6 @@ export class Chunk {
     this.buildings.push(rightOutlet);
   }
 
-  /**
-   * Creates street furniture (benches, signs)
-   */
-  createStreetFurniture() {
-    const size = GAME_CONFIG.CHUNK_SIZE;
-
-    // Bench near corner
-    this.createBench(this.worldX + 8, this.worldZ + 8);
-
-    // Stop sign at intersection
-    this.createStopSign(this.worldX + 2, this.worldZ + 2);
-  }
-
   /**
    * Creates a park bench
    */
@@ -619,21 +523,10 @@ export class Chunk {
     // Store building data for vessel placement and collisions
     this.buildingData.push({ x, z, width, depth, height });
 
-    const wallThickness = 0.3;
-    const doorWidth = 2;
-    const doorHeight = 3;
+    const { doorWidth, doorHeight } = HOUSE;
 
     // Create walls with door opening on front
-    this.createWalls(
-      x,
-      z,
-      width,
-      depth,
-      height,
-      wallThickness,
-      doorWidth,
-      doorHeight,
-    );
+    this.createWalls(x, z, width, depth, height);
 
     // Add roof
     this.createRoof(x, z, width, depth, height);
@@ -641,9 +534,6 @@ export class Chunk {
     // Add windows
     this.createWindows(x, z, width, depth, height);
 
-    // Add interior furniture
-    this.createInterior(x, z, width, depth, height);
-
     // Add door
     this.createDoor(x, z, width, depth, doorWidth, doorHeight);
   }
@@ -651,16 +541,7 @@ export class Chunk {
   /**
    * Creates walls with door opening
    */
-  createWalls(
-    x,
-    z,
-    width,
-    depth,
-    height,
-    wallThickness,
-    doorWidth,
-    doorHeight,
-  ) {
+  createWalls(x, z, width, depth, height) {
     // Varied wall colors for realism (brick red, tan, gray, white)
     const wallColors = [0x8b4513, 0xd2b48c, 0x808080, 0xe8e8e8, 0xa0522d];
     const wallColor =
@@ -668,76 +549,14 @@ export class Chunk {
     const wallMaterial = new THREE.MeshBasicMaterial({ color: wallColor });
     const trimMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
 
-    // Front wall (with door opening) - split into two parts
-    const frontLeftWidth = (width - doorWidth) / 2;
-
-    // Left part of front wall
-    const frontLeftGeo = new THREE.BoxGeometry(
-      frontLeftWidth,
-      height,
-      wallThickness,
-    );
-    const frontLeft = new THREE.Mesh(frontLeftGeo, wallMaterial);
-    frontLeft.position.set(
-      x - width / 2 + frontLeftWidth / 2,
-      height / 2,
-      z + depth / 2,
-    );
-    frontLeft.userData.isBuilding = true;
-    frontLeft.userData.isWall = true;
-    this.scene.add(frontLeft);
-    this.buildings.push(frontLeft);
-
-    // Right part of front wall
-    const frontRight = new THREE.Mesh(frontLeftGeo, wallMaterial);
-    frontRight.position.set(
-      x + width / 2 - frontLeftWidth / 2,
-      height / 2,
-      z + depth / 2,
-    );
-    frontRight.userData.isBuilding = true;
-    frontRight.userData.isWall = true;
-    this.scene.add(frontRight);
-    this.buildings.push(frontRight);
-
-    // Top part above door
-    const doorTopGeo = new THREE.BoxGeometry(
-      doorWidth,
-      height - doorHeight,
-      wallThickness,
+    // Front wall (split around the door), back, left and right walls
+    this.createWallMeshes(
+      houseWalls(x, z, width, depth, height),
+      wallMaterial,
+      {
+        isBuilding: true,
+      },
     );
-    const doorTop = new THREE.Mesh(doorTopGeo, wallMaterial);
-    doorTop.position.set(x, height - (height - doorHeight) / 2, z + depth / 2);
-    doorTop.userData.isBuilding = true;
-    doorTop.userData.isWall = true;
-    this.scene.add(doorTop);
-    this.buildings.push(doorTop);
-
-    // Back wall
-    const backWallGeo = new THREE.BoxGeometry(width, height, wallThickness);
-    const backWall = new THREE.Mesh(backWallGeo, wallMaterial);
-    backWall.position.set(x, height / 2, z - depth / 2);
-    backWall.userData.isBuilding = true;
-    backWall.userData.isWall = true;
-    this.scene.add(backWall);
-    this.buildings.push(backWall);
-
-    // Left wall
-    const sideWallGeo = new THREE.BoxGeometry(wallThickness, height, depth);
-    const leftWall = new THREE.Mesh(sideWallGeo, wallMaterial);
-    leftWall.position.set(x - width / 2, height / 2, z);
-    leftWall.userData.isBuilding = true;
-    leftWall.userData.isWall = true;
-    this.scene.add(leftWall);
-    this.buildings.push(leftWall);
-
-    // Right wall
-    const rightWall = new THREE.Mesh(sideWallGeo, wallMaterial);
-    rightWall.position.set(x + width / 2, height / 2, z);
-    rightWall.userData.isBuilding = true;
-    rightWall.userData.isWall = true;
-    this.scene.add(rightWall);
-    this.buildings.push(rightWall);
 
     // Floor
     const floorGeo = new THREE.BoxGeometry(width, 0.1, depth);
@@ -764,6 +583,25 @@ export class Chunk {
     this.buildings.push(trim);
   }
 
+  /**
+   * Creates collidable wall meshes from shared wall boxes
+   */
+  createWallMeshes(walls, material, userData = {}) {
+    walls.forEach((wall) => {
+      const geometry = new THREE.BoxGeometry(
+        wall.width,
+        wall.height,
+        wall.depth,
+      );
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.set(wall.x, wall.y, wall.z);
+      Object.assign(mesh.userData, userData);
+      mesh.userData.isWall = true;
+      this.scene.add(mesh);
+      this.buildings.push(mesh);
+    });
+  }
+
   /**
    * Creates roof
    */
@@ -858,14 +696,15 @@ export class Chunk {
       doorColors[Math.floor(this.seededRandom() * doorColors.length)];
     const doorMaterial = new THREE.MeshBasicMaterial({ color: doorColor });
     const door = new THREE.Mesh(doorGeo, doorMaterial);
-    door.position.set(x, doorHeight / 2, z + depth / 2 + 0.1);
+    const doorPos = houseDoor(x, z, depth);
+    door.position.set(doorPos.x, doorHeight / 2, doorPos.z);
     door.userData.isDoor = true;
     door.userData.isOpen = false;
     door.userData.closedPosition = door.position.clone();
     door.userData.closedRotation = door.rotation.clone();
     door.userData.doorPivot = {
-      x: x - doorWidth / 2 + 0.1,
-      z: z + depth / 2 + 0.1,
+      x: doorPos.x - doorWidth / 2 + 0.1,
+      z: doorPos.z,
     };
     door.userData.buildingPosition = { x, z, width, depth };
     this.scene.add(door);
@@ -944,38 +783,6 @@ export class Chunk {
     this.buildings.push(knob);
   }
 
-  /**
-   * Creates interior furniture
-   */
-  createInterior(x, z, width, depth, height) {
-    // Bedroom area - back corner
-    this.createBed(x - width / 2 + 2, z - depth / 2 + 2);
-    this.createShelf(x + width / 2 - 0.5, z - depth / 2 + 2);
-    this.createNightstand(x - width / 2 + 3.5, z - depth / 2 + 1);
-
-    // Dining area - center
-    this.createTable(x, z + 1);
-    this.createChair(x - 1.2, z + 1.8);
-    this.createChair(x + 1.2, z + 1.8);
-    this.createChair(x - 1.2, z + 0.2);
-    this.createChair(x + 1.2, z + 0.2);
-
-    // Kitchen area - front corner
-    this.createKitchen(x - width / 2 + 3, z + depth / 2 - 3, width);
-
-    // Living room - side area
-    this.createCouch(x + width / 2 - 2, z + 2);
-    this.createCoffeeTable(x + width / 2 - 2.5, z);
-    this.createTV(x + width / 2 - 0.3, z - 1);
-
-    // Bathroom - corner
-    this.createBathroom(x + width / 2 - 2, z - depth / 2 + 2);
-
-    // Decorations
-    this.createLamp(x, z + 1); // Table lamp
-    this.createRug(x, z); // Floor rug
-  }
-
   /**
    * Creates a bed
    */
@@ -1534,126 +1341,189 @@ export class Chunk {
   }
 
   /**
-   * Generates dense forest with trees
+   * Generates dense forest with trees (as many as the room's forest
+   * density asks for, none in clearings or on lanes)
    */
   generateForest() {
     const size = GAME_CONFIG.CHUNK_SIZE;
-    const treeCount = 20 + Math.floor(this.seededRandom() * 30);
+    const treeCount = Math.round(
+      (20 + Math.floor(this.seededRandom() * 30)) *
+        this.world.config.forestDensity,
+    );
 
     for (let i = 0; i < treeCount; i++) {
       const x = this.worldX + this.seededRandom() * size;
       const z = this.worldZ + this.seededRandom() * size;
-
-      this.treePositions.push({ x, y: 0, z });
+      const scale = 0.8 + this.seededRandom() * 0.4;
+      if (this.terrain.isInClearing(x, z, 2)) continue;
+      if (this.world.roads.distanceToRoad(x, z) < 2) continue;
+
+      this.treePositions.push({
+        x,
+        y: this.terrain.getHeightAt(x, z),
+        z,
+        scale,
+      });
     }
   }
 
   /**
-   * Generates road with sparse trees and lamps
+   * Generates sparse trees beside the road (the road itself is laid by
+   * generateRoads)
    */
   generateRoad() {
     const size = GAME_CONFIG.CHUNK_SIZE;
+    const treeCount = 5 + Math.floor(this.seededRandom() * 5);
 
-    // Create road surface - use MeshBasicMaterial for visibility
-    const roadWidth = 8;
-    const roadGeometry = new THREE.PlaneGeometry(roadWidth, size);
-    roadGeometry.rotateX(-Math.PI / 2);
+    for (let i = 0; i < treeCount; i++) {
+      const x = this.worldX + this.seededRandom() * size;
+      const z = this.worldZ + this.seededRandom() * size;
+      const scale = 0.8 + this.seededRandom() * 0.4;
+      if (this.world.roads.distanceToRoad(x, z) < 6) continue;
+
+      this.treePositions.push({ x, y: 0, z, scale });
+    }
+  }
 
-    const roadMaterial = new THREE.MeshBasicMaterial({
-      color: 0x2a2a2a,
+  /**
+   * Lays the road network's pieces in this chunk - road surfaces,
+   * sidewalks, lamps, stop signs and street-name signs
+   */
+  generateRoads() {
+    const roads = this.world.roads;
+    const roadMaterial = new THREE.MeshBasicMaterial({ color: 0x2a2a2a });
+    const sidewalkMaterial = new THREE.MeshBasicMaterial({ color: 0xa9a9a9 });
+
+    roads.getChunkPieces(this.chunkX, this.chunkZ).forEach((piece) => {
+      const mesh =
+        piece.kind === "sidewalk"
+          ? this.createRoadStrip(piece, sidewalkMaterial, 0.015)
+          : piece.kind === "joint"
+            ? this.createRoadJoint(piece, roadMaterial)
+            : this.createRoadStrip(piece, roadMaterial, 0.01);
+      // Road surfaces (not sidewalks) follow world state changes
+      if (piece.kind !== "sidewalk") mesh.userData.isRoad = true;
     });
 
-    const road = new THREE.Mesh(roadGeometry, roadMaterial);
-    road.position.set(this.worldX + size / 2, 0.01, this.worldZ + size / 2);
-    road.userData.isRoad = true; // Mark for world state updates
+    roads.getChunkFurniture(this.chunkX, this.chunkZ).forEach((item) => {
+      switch (item.type) {
+        case "lamp":
+          this.createStreetLamp(item.x, item.z);
+          break;
+        case "stopSign": {
+          const first = this.buildings.length;
+          this.createStopSign(item.x, item.z);
+          rotateProp(
+            this.buildings.slice(first),
+            item.x,
+            item.z,
+            item.rotation,
+          );
+          break;
+        }
+        case "streetSign":
+          this.createStreetNameSign(item.x, item.z, item.blades);
+          break;
+      }
+    });
+  }
 
-    this.scene.add(road);
-    this.buildings.push(road);
+  /**
+   * Creates a flat strip of road or sidewalk from (ax, az) to (bx, bz)
+   */
+  createRoadStrip({ ax, az, bx, bz, width }, material, height) {
+    const length = Math.hypot(bx - ax, bz - az);
+    const geometry = new THREE.PlaneGeometry(width, length);
+    geometry.rotateX(-Math.PI / 2);
 
-    // Street lamps along road - REDUCED for performance
-    const lampSpacing = 40; // Increased spacing
-    for (let offset = 0; offset < size; offset += lampSpacing) {
-      this.createStreetLamp(this.worldX + size / 2 + 5, this.worldZ + offset);
-      // Only one side to reduce lamp count further
-    }
+    const strip = new THREE.Mesh(geometry, material);
+    strip.position.set((ax + bx) / 2, height, (az + bz) / 2);
+    strip.rotation.y = Math.atan2(bx - ax, bz - az);
+    this.scene.add(strip);
+    this.buildings.push(strip);
+    return strip;
+  }
 
-    // Sparse trees on sides
-    const treeCount = 5 + Math.floor(this.seededRandom() * 5);
-    for (let i = 0; i < treeCount; i++) {
-      const side = this.seededRandom() > 0.5 ? 1 : -1;
-      const x = this.worldX + size / 2 + side * (10 + this.seededRandom() * 20);
-      const z = this.worldZ + this.seededRandom() * size;
+  /**
+   * Creates a round patch of road where a lane bends
+   */
+  createRoadJoint({ x, z, radius }, material) {
+    const geometry = new THREE.CircleGeometry(radius, 12);
+    geometry.rotateX(-Math.PI / 2);
 
-      this.treePositions.push({ x, y: 0, z });
-    }
+    const joint = new THREE.Mesh(geometry, material);
+    joint.position.set(x, 0.01, z);
+    this.scene.add(joint);
+    this.buildings.push(joint);
+    return joint;
+  }
+
+  /**
+   * Creates a street-name sign - a post with a green blade for each street
+   * @param {Array<{ name, rotation }>} blades - Each blade runs along its
+   *   street (rotation about Y)
+   */
+  createStreetNameSign(x, z, blades) {
+    const postMat = new THREE.MeshBasicMaterial({ color: 0x888888 });
+
+    // Post
+    const postGeo = new THREE.CylinderGeometry(0.05, 0.05, 3, 8);
+    const post = new THREE.Mesh(postGeo, postMat);
+    post.position.set(x, 1.5, z);
+    this.scene.add(post);
+    this.buildings.push(post);
+
+    // Blades, one above the other
+    blades.forEach(({ name, rotation }, index) => {
+      const bladeGeo = new THREE.BoxGeometry(1.8, 0.3, 0.04);
+      const blade = new THREE.Mesh(bladeGeo, streetSignMaterial(name));
+      blade.position.set(x, 2.85 + index * 0.35, z);
+      blade.rotation.y = rotation;
+      this.scene.add(blade);
+      this.buildings.push(blade);
+    });
   }
 
   /**
    * Creates a school building with multiple rooms
    */
   createSchool(x, z) {
-    const width = 30;
-    const depth = 35;
-    const height = 12;
+    const { width, depth, height } = LANDMARKS.school;
+    const walls = schoolWalls(x, z);
 
     // Red brick material for school
     const brickMat = new THREE.MeshBasicMaterial({ color: 0xa0522d });
-    const wallThickness = 0.4;
-
-    // Create main walls manually with brick color
-    const frontWallGeo = new THREE.BoxGeometry(width, height, wallThickness);
-    const frontWall = new THREE.Mesh(frontWallGeo, brickMat);
-    frontWall.position.set(x, height / 2, z + depth / 2);
-    frontWall.userData.isWall = true;
-    this.scene.add(frontWall);
-    this.buildings.push(frontWall);
-
-    const backWallGeo = new THREE.BoxGeometry(width, height, wallThickness);
-    const backWall = new THREE.Mesh(backWallGeo, brickMat);
-    backWall.position.set(x, height / 2, z - depth / 2);
-    backWall.userData.isWall = true;
-    this.scene.add(backWall);
-    this.buildings.push(backWall);
-
-    const sideWallGeo = new THREE.BoxGeometry(wallThickness, height, depth);
-    const leftWall = new THREE.Mesh(sideWallGeo, brickMat);
-    leftWall.position.set(x - width / 2, height / 2, z);
-    leftWall.userData.isWall = true;
-    this.scene.add(leftWall);
-    this.buildings.push(leftWall);
-
-    const rightWall = new THREE.Mesh(sideWallGeo, brickMat);
-    rightWall.position.set(x + width / 2, height / 2, z);
-    rightWall.userData.isWall = true;
-    this.scene.add(rightWall);
-    this.buildings.push(rightWall);
+
+    // Outer walls (the last wall is the interior hallway wall)
+    this.createWallMeshes(walls.slice(0, 4), brickMat);
 
     // Large entrance doors (double doors)
     const doorGeo = new THREE.BoxGeometry(1.8, 3.5, 0.2);
     const doorMat = new THREE.MeshBasicMaterial({ color: 0x2a2a2a });
+    const [leftPos, rightPos] = schoolDoors(x, z);
     const leftDoor = new THREE.Mesh(doorGeo, doorMat);
-    leftDoor.position.set(x - 1, 1.75, z + depth / 2 + 0.15);
+    leftDoor.position.set(leftPos.x, 1.75, leftPos.z);
     leftDoor.userData.isDoor = true;
     leftDoor.userData.isOpen = false;
     leftDoor.userData.closedPosition = leftDoor.position.clone();
     leftDoor.userData.closedRotation = leftDoor.rotation.clone();
     leftDoor.userData.doorPivot = {
-      x: x - 1.9,
-      z: z + depth / 2 + 0.15,
+      x: leftPos.x - 0.9,
+      z: leftPos.z,
     };
     leftDoor.userData.buildingPosition = { x, z, width, depth };
     this.scene.add(leftDoor);
     this.buildings.push(leftDoor);
 
     const rightDoor = new THREE.Mesh(doorGeo, doorMat);
-    rightDoor.position.set(x + 1, 1.75, z + depth / 2 + 0.15);
+    rightDoor.position.set(rightPos.x, 1.75, rightPos.z);
     rightDoor.userData.isDoor = true;
     rightDoor.userData.isOpen = false;
     rightDoor.userData.closedPosition = rightDoor.position.clone();
     rightDoor.userData.closedRotation = rightDoor.rotation.clone();
     rightDoor.userData.doorPivot = {
-      x: x + 0.1,
-      z: z + depth / 2 + 0.15,
+      x: rightPos.x - 0.9,
+      z: rightPos.z,
     };
     rightDoor.userData.buildingPosition = { x, z, width, depth };
     this.scene.add(rightDoor);
@@ -1754,25 +1624,9 @@ export class Chunk {
     this.scene.add(sign);
     this.buildings.push(sign);
 
-    // Interior - Hallway down middle
-    const hallwayWall1Geo = new THREE.BoxGeometry(width - 2, height - 0.2, 0.3);
+    // Interior - Hallway down middle (classrooms are in the town map)
     const hallwayMat = new THREE.MeshBasicMaterial({ color: 0xd2b48c });
-    const hallwayWall1 = new THREE.Mesh(hallwayWall1Geo, hallwayMat);
-    hallwayWall1.position.set(x, height / 2, z);
-    hallwayWall1.userData.isWall = true;
-    this.scene.add(hallwayWall1);
-    this.buildings.push(hallwayWall1);
-
-    // Classrooms - 4 rooms (2 on each side)
-    for (let i = 0; i < 2; i++) {
-      const offsetZ = -10 + i * 20;
-
-      // Left classroom
-      this.createClassroom(x - width / 4, z + offsetZ, 12, 12);
-
-      // Right classroom
-      this.createClassroom(x + width / 4, z + offsetZ, 12, 12);
-    }
+    this.createWallMeshes(walls.slice(4), hallwayMat);
   }
 
   /**
@@ -1817,42 +1671,15 @@ export class Chunk {
    * Creates a police station with cells and desk
    */
   createPoliceStation(x, z) {
-    const width = 18;
-    const depth = 22;
-    const height = 8;
+    const { width, depth, height } = LANDMARKS.policeStation;
+    const walls = policeStationWalls(x, z);
 
     // White walls with blue trim for police station
     const wallMat = new THREE.MeshBasicMaterial({ color: 0xe8e8e8 });
     const blueTrimMat = new THREE.MeshBasicMaterial({ color: 0x0033aa });
-    const wallThickness = 0.4;
-
-    // Walls
-    const frontWallGeo = new THREE.BoxGeometry(width, height, wallThickness);
-    const frontWall = new THREE.Mesh(frontWallGeo, wallMat);
-    frontWall.position.set(x, height / 2, z + depth / 2);
-    frontWall.userData.isWall = true;
-    this.scene.add(frontWall);
-    this.buildings.push(frontWall);
-
-    const backWallGeo = new THREE.BoxGeometry(width, height, wallThickness);
-    const backWall = new THREE.Mesh(backWallGeo, wallMat);
-    backWall.position.set(x, height / 2, z - depth / 2);
-    backWall.userData.isWall = true;
-    this.scene.add(backWall);
-    this.buildings.push(backWall);
-
-    const sideWallGeo = new THREE.BoxGeometry(wallThickness, height, depth);
-    const leftWall = new THREE.Mesh(sideWallGeo, wallMat);
-    leftWall.position.set(x - width / 2, height / 2, z);
-    leftWall.userData.isWall = true;
-    this.scene.add(leftWall);
-    this.buildings.push(leftWall);
-
-    const rightWall = new THREE.Mesh(sideWallGeo, wallMat);
-    rightWall.position.set(x + width / 2, height / 2, z);
-    rightWall.userData.isWall = true;
-    this.scene.add(rightWall);
-    this.buildings.push(rightWall);
+
+    // Outer walls (the rest are holding cell walls)
+    this.createWallMeshes(walls.slice(0, 4), wallMat);
 
     // Blue stripe around building
     const stripeGeo = new THREE.BoxGeometry(width + 0.5, 0.8, depth + 0.5);
@@ -1896,14 +1723,15 @@ export class Chunk {
     const doorGeo = new THREE.BoxGeometry(2, 3, 0.2);
     const doorMat = new THREE.MeshBasicMaterial({ color: 0x0033aa });
     const door = new THREE.Mesh(doorGeo, doorMat);
-    door.position.set(x, 1.5, z + depth / 2 + 0.15);
+    const doorPos = policeStationDoor(x, z);
+    door.position.set(doorPos.x, 1.5, doorPos.z);
     door.userData.isDoor = true;
     door.userData.isOpen = false;
     door.userData.closedPosition = door.position.clone();
     door.userData.closedRotation = door.rotation.clone();
     door.userData.doorPivot = {
-      x: x - 1,
-      z: z + depth / 2 + 0.15,
+      x: doorPos.x - 1,
+      z: doorPos.z,
     };
     door.userData.buildingPosition = { x, z, width, depth };
     this.scene.add(door);
@@ -1971,6 +1799,9 @@ export class Chunk {
     this.buildings.push(desk);
 
     // Holding cells in back (3 cells)
+    const cellWallMat = new THREE.MeshBasicMaterial({ color: 0x808080 });
+    this.createWallMeshes(walls.slice(4), cellWallMat);
+
     for (let i = 0; i < 3; i++) {
       const cellX = x - 5 + i * 5;
       const cellZ = z - depth / 3;
@@ -1985,34 +1816,6 @@ export class Chunk {
         this.buildings.push(bar);
       }
 
-      // Cell walls
-      const cellWallGeo = new THREE.BoxGeometry(3, 3, 0.2);
-      const cellWallMat = new THREE.MeshBasicMaterial({ color: 0x808080 });
-
-      // Back wall
-      const backCellWall = new THREE.Mesh(cellWallGeo, cellWallMat);
-      backCellWall.position.set(cellX, 1.5, cellZ - 2);
-      backCellWall.userData.isWall = true;
-      this.scene.add(backCellWall);
-      this.buildings.push(backCellWall);
-
-      // Side walls
-      const sideWallGeo = new THREE.BoxGeometry(0.2, 3, 4);
-      if (i > 0) {
-        const leftCellWall = new THREE.Mesh(sideWallGeo, cellWallMat);
-        leftCellWall.position.set(cellX - 1.5, 1.5, cellZ);
-        leftCellWall.userData.isWall = true;
-        this.scene.add(leftCellWall);
-        this.buildings.push(leftCellWall);
-      }
-      if (i < 2) {
-        const rightCellWall = new THREE.Mesh(sideWallGeo, cellWallMat);
-        rightCellWall.position.set(cellX + 1.5, 1.5, cellZ);
-        rightCellWall.userData.isWall = true;
-        this.scene.add(rightCellWall);
-        this.buildings.push(rightCellWall);
-      }
-
       // Simple bed in cell
       this.createBed(cellX, cellZ - 1);
     }
@@ -2022,41 +1825,11 @@ export class Chunk {
    * Creates a church with pews and altar
    */
   createChurch(x, z) {
-    const width = 14;
-    const depth = 24;
-    const height = 16;
+    const { width, depth, height } = LANDMARKS.church;
 
     // Stone walls for church
     const stoneMat = new THREE.MeshBasicMaterial({ color: 0x8a8a8a });
-    const wallThickness = 0.5;
-
-    // Walls
-    const frontWallGeo = new THREE.BoxGeometry(width, height, wallThickness);
-    const frontWall = new THREE.Mesh(frontWallGeo, stoneMat);
-    frontWall.position.set(x, height / 2, z + depth / 2);
-    frontWall.userData.isWall = true;
-    this.scene.add(frontWall);
-    this.buildings.push(frontWall);
-
-    const backWallGeo = new THREE.BoxGeometry(width, height, wallThickness);
-    const backWall = new THREE.Mesh(backWallGeo, stoneMat);
-    backWall.position.set(x, height / 2, z - depth / 2);
-    backWall.userData.isWall = true;
-    this.scene.add(backWall);
-    this.buildings.push(backWall);
-
-    const sideWallGeo = new THREE.BoxGeometry(wallThickness, height, depth);
-    const leftWall = new THREE.Mesh(sideWallGeo, stoneMat);
-    leftWall.position.set(x - width / 2, height / 2, z);
-    leftWall.userData.isWall = true;
-    this.scene.add(leftWall);
-    this.buildings.push(leftWall);
-
-    const rightWall = new THREE.Mesh(sideWallGeo, stoneMat);
-    rightWall.position.set(x + width / 2, height / 2, z);
-    rightWall.userData.isWall = true;
-    this.scene.add(rightWall);
-    this.buildings.push(rightWall);
+    this.createWallMeshes(churchWalls(x, z), stoneMat);
 
     // Arched doorway
     const archGeo = new THREE.CylinderGeometry(
@@ -2079,14 +1852,15 @@ export class Chunk {
     const doorGeo = new THREE.BoxGeometry(2, 3, 0.2);
     const doorMat = new THREE.MeshBasicMaterial({ color: 0x3a2a1a });
     const door = new THREE.Mesh(doorGeo, doorMat);
-    door.position.set(x, 1.5, z + depth / 2 + 0.15);
+    const doorPos = churchDoor(x, z);
+    door.position.set(doorPos.x, 1.5, doorPos.z);
     door.userData.isDoor = true;
     door.userData.isOpen = false;
     door.userData.closedPosition = door.position.clone();
     door.userData.closedRotation = door.rotation.clone();
     door.userData.doorPivot = {
-      x: x - 1,
-      z: z + depth / 2 + 0.15,
+      x: doorPos.x - 1,
+      z: doorPos.z,
     };
     door.userData.buildingPosition = { x, z, width, depth };
     this.scene.add(door);
@@ -2204,18 +1978,7 @@ export class Chunk {
     this.scene.add(bell);
     this.buildings.push(bell);
 
-    // Pews - 6 rows of benches
-    for (let row = 0; row < 6; row++) {
-      const pewZ = z + 4 - row * 3.5;
-
-      // Left pew
-      this.createPew(x - 3.5, pewZ);
-
-      // Right pew
-      this.createPew(x + 3.5, pewZ);
-    }
-
-    // Altar at front
+    // Altar at front (the pews are in the town map)
     const altarGeo = new THREE.BoxGeometry(8, 1.5, 3);
     const altarMat = new THREE.MeshBasicMaterial({ color: 0x8a7a6a });
     const altar = new THREE.Mesh(altarGeo, altarMat);
@@ -2301,3 +2064,35 @@ export class Chunk {
     this.lampPositions = [];
   }
 }
+
+/**
+ * Gets the material for a street-name blade - the name in white on green,
+ * drawn on a canvas
+ */
+function streetSignMaterial(name) {
+  if (!streetSignMaterials.has(name)) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 256;
+    canvas.height = 40;
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#1f6b32";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = "#ffffff";
+    context.font = "bold 26px Arial";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(
+      name,
+      canvas.width / 2,
+      canvas.height / 2,
+      canvas.width - 12,
+    );
+
+    const texture = new THREE.CanvasTexture(canvas);
+    streetSignMaterials.set(
+      name,
+      new THREE.MeshBasicMaterial({ map: texture }),
+    );
+  }
+  return streetSignMaterials.get(name);
+}
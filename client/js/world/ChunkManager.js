@@ -2,16 +2,26 @@
  * ChunkManager Class
  * Handles chunk-based terrain loading and unloading
  * Uses instanced meshes for trees to optimize performance
+ * Town chunks are built from the town map (see TownLoader)
+ * What goes where comes from the room's world plan (shared/WorldGen.js)
  */
 
 import * as THREE from "three";
 import { GAME_CONFIG, CHUNK_TYPES } from "../utils/constants.js";
 import { Chunk } from "./Chunk.js";
+import { planTownChunk } from "../shared/WorldLayout.js";
+import { buildTownChunk } from "./TownLoader.js";
 
 export class ChunkManager {
-  constructor(scene, materials) {
+  /**
+   * @param {Object} world - planWorld() result for the room's town map and
+   *   world config
+   */
+  constructor(scene, materials, world) {
     this.scene = scene;
     this.materials = materials;
+    this.world = world;
+    this.townMap = world.town; // The map plus generated town chunks
 
     // Chunk storage
     this.chunks = new Map(); // "x,z" -> Chunk
@@ -23,11 +33,17 @@ export class ChunkManager {
     this.maxTreeInstances = 2000;
     this.maxLampInstances = 100;
 
-    // World layout (predefined for small town + forest)
-    this.worldLayout = this.generateWorldLayout();
+    // World layout (town, roads and forest, shared with server)
+    this.worldLayout = world.layout;
+
+    // Ground heights - hills in the forest (shared with server)
+    this.terrain = world.terrain;
 
     // Current player chunk
     this.currentPlayerChunk = { x: 0, z: 0 };
+
+    // Called with each chunk after it is generated (set by DoorManager)
+    this.onChunkLoaded = null;
   }
 
   /**
@@ -45,39 +61,6 @@ export class ChunkManager {
     console.log("[ChunkManager] Ready");
   }
 
-  /**
-   * Generates the world layout - defines what each chunk contains
-   * Creates a small town in the center surrounded by forest
-   */
-  generateWorldLayout() {
-    const layout = new Map();
-    const worldSize = GAME_CONFIG.WORLD_SIZE;
-
-    for (let x = -worldSize; x <= worldSize; x++) {
-      for (let z = -worldSize; z <= worldSize; z++) {
-        const key = `${x},${z}`;
-
-        // Town center (3x3 chunks)
-        if (Math.abs(x) <= 1 && Math.abs(z) <= 1) {
-          layout.set(key, CHUNK_TYPES.TOWN);
-        }
-        // Roads extending from town
-        else if (
-          (x === 0 && Math.abs(z) <= 4) ||
-          (z === 0 && Math.abs(x) <= 4)
-        ) {
-          layout.set(key, CHUNK_TYPES.ROAD);
-        }
-        // Forest everywhere else
-        else {
-          layout.set(key, CHUNK_TYPES.FOREST);
-        }
-      }
-    }
-
-    return layout;
-  }
-
   /**
    * Creates instanced meshes for trees and lamps
    * Instancing allows rendering many objects with single draw calls
@@ -200,12 +183,20 @@ export class ChunkManager {
       chunkZ,
       chunkType,
       this.scene,
-      this.materials
+      this.materials,
+      this.world
     );
     chunk.generate();
 
+    // Town buildings and props come from the town map
+    if (chunkType === CHUNK_TYPES.TOWN) {
+      buildTownChunk(chunk, planTownChunk(this.townMap, chunkX, chunkZ));
+    }
+
     this.chunks.set(key, chunk);
     this.loadedChunks.add(key);
+
+    if (this.onChunkLoaded) this.onChunkLoaded(chunk);
   }
 
   /**
@@ -220,6 +211,25 @@ export class ChunkManager {
     this.loadedChunks.delete(key);
   }
 
+  /**
+   * Swaps in a world planned from an edited town map (same town chunks)
+   * and rebuilds the loaded ones of the given chunks from it
+   * @param {Array<{ chunkX, chunkZ }>} chunks
+   */
+  reloadTownChunks(world, chunks) {
+    this.world = world;
+    this.townMap = world.town;
+
+    chunks.forEach(({ chunkX, chunkZ }) => {
+      const key = `${chunkX},${chunkZ}`;
+      if (!this.loadedChunks.has(key)) return;
+
+      this.unloadChunk(key);
+      this.loadChunk(chunkX, chunkZ);
+    });
+    this.rebuildInstances();
+  }
+
   /**
    * Rebuilds instanced mesh buffers from loaded chunks
    */
@@ -234,9 +244,8 @@ export class ChunkManager {
       // Add trees from this chunk
       chunk.treePositions.forEach((pos) => {
         if (treeIndex < this.maxTreeInstances) {
-          // Random scale variation
-          const scale = 0.8 + Math.random() * 0.4;
-          matrix.makeScale(scale, scale, scale);
+          // Scale variation (seeded by the chunk)
+          matrix.makeScale(pos.scale, pos.scale, pos.scale);
           matrix.setPosition(pos.x, pos.y, pos.z);
 
           this.treeInstances.setMatrixAt(treeIndex, matrix);
@@ -272,8 +281,7 @@ export class ChunkManager {
    * Gets terrain height at a position (for player placement)
    */
   getHeightAt(x, z) {
-    // Flat terrain for MVP
-    return 0;
+    return this.terrain.getHeightAt(x, z);
   }
 
   /**
@@ -0,0 +1,167 @@
+/**
+ * DoorManager Class
+ * Holds which doors are open in the world state we're in and swings the
+ * door meshes (chunk doors and portal doors) to match
+ *
+ * The server owns door state: it sends the open doors when we join or
+ * arrive in a world state, then a door:state for every change. Doors are
+ * matched by ID (see shared/Doors.js), so doors in chunks that load later
+ * come in already open.
+ */
+
+import { DOOR, doorIdAt } from "../shared/Doors.js";
+
+/**
+ * Eases a swing so doors start and stop gently
+ */
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+export class DoorManager {
+  constructor() {
+    this.world = null;
+    this.openDoors = new Set(); // IDs of the doors open in our world state
+    this.swinging = new Set(); // Door meshes still moving
+  }
+
+  /**
+   * Starts managing a world's doors (once it has loaded)
+   */
+  setWorld(world) {
+    this.world = world;
+    world.chunkManager.onChunkLoaded = (chunk) => this.applyToChunk(chunk);
+    this.forEachDoor((door) => this.snapDoor(door));
+  }
+
+  /**
+   * Gets a door's ID (worked out from its closed position the first time)
+   */
+  getDoorId(door) {
+    if (!door.userData.doorId) {
+      // Portal doors are positioned inside their building's group
+      const position = door.userData.closedPosition.clone();
+      if (door.parent) {
+        door.parent.updateWorldMatrix(true, false);
+        door.parent.localToWorld(position);
+      }
+      door.userData.doorId = doorIdAt(
+        position.x,
+        position.z,
+        !!door.userData.isPortalDoor,
+      );
+    }
+    return door.userData.doorId;
+  }
+
+  /**
+   * Calls fn for every door in the world - loaded chunks and portal buildings
+   */
+  forEachDoor(fn) {
+    if (!this.world) return;
+
+    this.world.chunkManager.chunks.forEach((chunk) =>
+      this.forEachChunkDoor(chunk, fn),
+    );
+    (this.world.portalDoors || []).forEach(({ door }) => fn(door));
+  }
+
+  /**
+   * Calls fn for every door in one chunk
+   */
+  forEachChunkDoor(chunk, fn) {
+    chunk.buildings.forEach((mesh) => {
+      if (mesh.userData.isDoor) fn(mesh);
+    });
+  }
+
+  /**
+   * Replaces the open doors - on joining, or arriving in another world state
+   * Doors jump straight to their state instead of swinging
+   * @param {string[]} doorIds
+   */
+  setOpenDoors(doorIds) {
+    this.openDoors = new Set(doorIds);
+    this.forEachDoor((door) => this.snapDoor(door));
+  }
+
+  /**
+   * Opens or closes one door, swinging it
+   */
+  setDoorOpen(doorId, open) {
+    if (open) {
+      this.openDoors.add(doorId);
+    } else {
+      this.openDoors.delete(doorId);
+    }
+
+    this.forEachDoor((door) => {
+      if (this.getDoorId(door) !== doorId) return;
+
+      this.setDoorFlags(door, open);
+      this.swinging.add(door);
+    });
+  }
+
+  /**
+   * Brings a freshly loaded chunk's doors in line with the open doors
+   */
+  applyToChunk(chunk) {
+    this.forEachChunkDoor(chunk, (door) => this.snapDoor(door));
+  }
+
+  /**
+   * Puts a door straight into its open or closed position
+   */
+  snapDoor(door) {
+    const open = this.openDoors.has(this.getDoorId(door));
+    this.setDoorFlags(door, open);
+    door.userData.swing = open ? 1 : 0;
+    this.poseDoor(door);
+    this.swinging.delete(door);
+  }
+
+  /**
+   * Sets the flags interaction and collision look at - they change as soon
+   * as the door starts to move
+   */
+  setDoorFlags(door, open) {
+    door.userData.isOpen = open;
+    if (door.userData.isPortalDoor) {
+      door.userData.isWall = !open; // A closed portal door blocks the doorway
+    }
+  }
+
+  /**
+   * Moves swinging doors towards open or closed
+   */
+  update(deltaTime) {
+    const step = deltaTime / DOOR.swingDuration;
+
+    this.swinging.forEach((door) => {
+      const target = door.userData.isOpen ? 1 : 0;
+      const swing = door.userData.swing || 0;
+      door.userData.swing =
+        target > swing
+          ? Math.min(target, swing + step)
+          : Math.max(target, swing - step);
+      this.poseDoor(door);
+
+      if (door.userData.swing === target) this.swinging.delete(door);
+    });
+  }
+
+  /**
+   * Places a door part way round its hinge (swing 0 = closed, 1 = open)
+   */
+  poseDoor(door) {
+    const { closedPosition, closedRotation, doorPivot, swing } = door.userData;
+    const angle = DOOR.swingAngle * easeInOut(swing || 0);
+
+    const dx = closedPosition.x - doorPivot.x;
+    const dz = closedPosition.z - doorPivot.z;
+    door.position.x = doorPivot.x + dx * Math.cos(angle) - dz * Math.sin(angle);
+    door.position.z = doorPivot.z + dx * Math.sin(angle) + dz * Math.cos(angle);
+    door.rotation.y = closedRotation.y + angle;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Town Loader
+ * Fetches the town map (GAME_CONFIG.TOWN_MAP_FILE) and builds town chunks
+ * from it - each lot's building, its interior and its props - through the
+ * Chunk's create* builders
+ *
+ * The map is checked by the shared parseTownMap (the server reads the same
+ * file for its walls), so everything here can assume it is well formed.
+ */
+
+import * as THREE from "three";
+import { GAME_CONFIG } from "../utils/constants.js";
+import { parseTownMap } from "../shared/TownMap.js";
+
+/**
+ * Chunk method that builds each prop type (PROP_TYPES in shared/TownMap.js)
+ * Each is called with (x, z, ...args)
+ */
+const PROP_BUILDERS = {
+  walkway: "createWalkway",
+  parkingLot: "createParkingLot",
+  mailbox: "createMailbox",
+  trashCans: "createTrashCans",
+  fence: "createFence",
+  flowerBed: "createFlowerBed",
+  bushes: "createBushes",
+  fireHydrant: "createFireHydrant",
+  bench: "createBench",
+  stopSign: "createStopSign",
+  streetLamp: "createStreetLamp",
+  bed: "createBed",
+  table: "createTable",
+  chair: "createChair",
+  nightstand: "createNightstand",
+  shelf: "createShelf",
+  kitchen: "createKitchen",
+  couch: "createCouch",
+  coffeeTable: "createCoffeeTable",
+  tv: "createTV",
+  bathroom: "createBathroom",
+  lamp: "createLamp",
+  rug: "createRug",
+  classroom: "createClassroom",
+  pew: "createPew",
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Loads and checks a town map
+ * @returns {Promise<Object>} parseTownMap() result, with the JSON it was read
+ *   from as source (the level editor edits and exports that)
+ * @throws {TownMapError} If the map is malformed (the message says where)
+ */
+export async function fetchTownMap(url = GAME_CONFIG.TOWN_MAP_FILE) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load town map ${url} (${response.status})`);
+  }
+
+  const source = await response.json();
+  try {
+    return { ...parseTownMap(source), source };
+  } catch (error) {
+    console.error(`[TownLoader] ${url} is not a usable town map:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Builds a town chunk's lots and props into the chunk
+ * The chunk's own props are tagged with userData.townProp (their index in
+ * the chunk's props) so the level editor can pick them
+ * @param {Chunk} chunk - A generated town chunk (streets already laid)
+ * @param {Object} plan - Its entry in the town map (planTownChunk)
+ */
+export function buildTownChunk(chunk, plan) {
+  plan.lots.forEach((lot) => {
+    buildLot(chunk, lot);
+    lot.interior.forEach((prop) => buildProp(chunk, prop));
+    lot.props.forEach((prop) => buildProp(chunk, prop));
+  });
+
+  plan.props.forEach((prop, index) => {
+    buildProp(chunk, prop).forEach((mesh) => {
+      mesh.userData.townProp = index;
+    });
+  });
+}
+
+/**
+ * Turns a prop's meshes about the vertical axis through (x, z)
+ * @param {number} angle - Radians
+ */
+export function rotateProp(meshes, x, z, angle) {
+  const origin = new THREE.Vector3(x, 0, z);
+  meshes.forEach((mesh) => {
+    mesh.position.sub(origin).applyAxisAngle(UP, angle).add(origin);
+    mesh.rotateOnWorldAxis(UP, angle);
+  });
+}
+
+/**
+ * Builds a lot's building with its archetype's builder
+ */
+function buildLot(chunk, lot) {
+  const { x, z } = lot;
+
+  switch (lot.builder) {
+    case "house":
+      chunk.createBuilding(x, z, lot.width, lot.depth, lot.height);
+      break;
+    case "school":
+      chunk.createSchool(x, z);
+      break;
+    case "policeStation":
+      chunk.createPoliceStation(x, z);
+      break;
+    case "church":
+      chunk.createChurch(x, z);
+      break;
+  }
+}
+
+/**
+ * Builds one placed prop
+ * @returns {THREE.Mesh[]} The meshes it added to the chunk
+ */
+function buildProp(chunk, { type, x, z, rotation, args }) {
+  const first = chunk.buildings.length;
+  chunk[PROP_BUILDERS[type]](x, z, ...args);
+
+  const meshes = chunk.buildings.slice(first);
+  if (rotation) rotateProp(meshes, x, z, rotation);
+  return meshes;
+}
@@ -10,13 +10,28 @@ import { ChunkManager } from "./ChunkManager.js";
 import { Environment } from "./Environment.js";
 import { Portal } from "./Portal.js";
 import { UpsideDownEffects } from "./UpsideDownEffects.js";
+import { fetchTownMap } from "./TownLoader.js";
+import {
+  PORTAL_BUILDING,
+  portalBuildingLocalWalls,
+  portalDoorPosition,
+} from "../shared/WorldLayout.js";
+import { createWorldConfig, planWorld } from "../shared/WorldGen.js";
+import { doorIdAt } from "../shared/Doors.js";
 
 export class World {
-  constructor(scene) {
+  /**
+   * @param {Object|null} worldConfig - The room's seed and generation
+   *   parameters, as the server sent them (null for the default world)
+   */
+  constructor(scene, worldConfig = null) {
     this.scene = scene;
     this.currentState = "normal";
 
     // World components
+    this.config = createWorldConfig(worldConfig || {});
+    this.townMap = null; // Parsed town map (buildings, lots and props)
+    this.plan = null; // planWorld() result - layout, town, portals, hills
     this.chunkManager = null;
     this.environment = null;
     this.upsideDownEffects = null;
@@ -50,8 +65,19 @@ export class World {
     this.environment = new Environment(this.scene);
     this.environment.init(WORLD_STATES[this.currentState]);
 
-    // Initialize chunk manager for terrain and objects
-    this.chunkManager = new ChunkManager(this.scene, this.worldMaterials);
+    // Load the town map and plan the room's world around it (the same
+    // world on every client with this config), then the chunk manager for
+    // terrain and objects
+    this.townMap = await fetchTownMap();
+    this.plan = planWorld(this.townMap, this.config);
+    console.log(
+      `[World] Seed ${this.config.seed}: town size ${this.config.townSize}, ${this.config.roadShape} roads, ${this.plan.portals.length} portals`
+    );
+    this.chunkManager = new ChunkManager(
+      this.scene,
+      this.worldMaterials,
+      this.plan
+    );
     await this.chunkManager.init();
 
     // Initialize Upside Down effects (starts inactive)
@@ -63,6 +89,17 @@ export class World {
     console.log("[World] Initialization complete");
   }
 
+  /**
+   * Swaps in an edited town map (from the level editor) and rebuilds the
+   * town chunks that changed
+   * @param {Array<{ chunkX, chunkZ }>} chunks
+   */
+  setTownMap(townMap, chunks) {
+    this.townMap = townMap;
+    this.plan = planWorld(townMap, this.config);
+    this.chunkManager.reloadTownChunks(this.plan, chunks);
+  }
+
   /**
    * Creates materials that will swap between world states
    */
@@ -105,20 +142,17 @@ export class World {
    * Opening the door takes you to the Upside Down
    */
   createPortals() {
-    // Create portal buildings with cracks on their walls
-    const portalLocations = [
-      { x: 25, z: 25, rotation: 0, name: "Hawkins Lab Crack" },
-      { x: -35, z: 45, rotation: Math.PI / 2, name: "Byers House Crack" },
-      { x: 5, z: -55, rotation: Math.PI, name: "School Basement Crack" },
-    ];
-
     // Store portal doors for interaction
     this.portalDoors = [];
 
-    portalLocations.forEach((loc) => {
+    // Create portal buildings with cracks on their walls
+    this.plan.portals.forEach((loc) => {
       // Create portal building structure with interior door
       const portalDoor = this.createPortalBuilding(loc.x, loc.z, loc.rotation);
       if (portalDoor) {
+        // ID from the shared position, exactly as the server works it out
+        const { x, z } = portalDoorPosition(loc);
+        portalDoor.userData.doorId = doorIdAt(x, z, true);
         this.portalDoors.push({
           door: portalDoor,
           location: loc,
@@ -145,10 +179,8 @@ export class World {
    * Opening the door inside takes you to the Upside Down
    */
   createPortalBuilding(x, z, rotation) {
-    const width = 12;
-    const depth = 12;
-    const height = 5;
-    const wallThickness = 0.4;
+    const { width, depth, height, wallThickness, doorWidth, doorHeight } =
+      PORTAL_BUILDING;
 
     // Dark, abandoned-looking material
     const wallMat = new THREE.MeshBasicMaterial({ color: 0x3a3a3a });
@@ -165,107 +197,20 @@ export class World {
     floor.position.y = 0.05;
     group.add(floor);
 
-    // Door dimensions for the back wall opening
-    const doorWidth = 2.5;
-    const doorHeight = 3.5;
-
-    // Back wall with doorway opening (left side of door)
-    const backSideWidth = (width - doorWidth) / 2;
-    const backSideGeo = new THREE.BoxGeometry(
-      backSideWidth,
-      height,
-      wallThickness
-    );
-
-    const backLeft = new THREE.Mesh(backSideGeo, wallMat);
-    backLeft.position.set(
-      -width / 2 + backSideWidth / 2,
-      height / 2,
-      -depth / 2
-    );
-    backLeft.userData.isWall = true;
-    backLeft.userData.isBuilding = true;
-    group.add(backLeft);
-
-    // Back wall (right side of door)
-    const backRight = new THREE.Mesh(backSideGeo, wallMat);
-    backRight.position.set(
-      width / 2 - backSideWidth / 2,
-      height / 2,
-      -depth / 2
-    );
-    backRight.userData.isWall = true;
-    backRight.userData.isBuilding = true;
-    group.add(backRight);
-
-    // Back wall above door
-    const backTopGeo = new THREE.BoxGeometry(
-      doorWidth,
-      height - doorHeight,
-      wallThickness
-    );
-    const backTop = new THREE.Mesh(backTopGeo, wallMat);
-    backTop.position.set(0, height - (height - doorHeight) / 2, -depth / 2);
-    backTop.userData.isWall = true;
-    backTop.userData.isBuilding = true;
-    group.add(backTop);
-
-    // Left wall (SOLID)
-    const sideWallGeo = new THREE.BoxGeometry(wallThickness, height, depth);
-    const leftWall = new THREE.Mesh(sideWallGeo, wallMat);
-    leftWall.position.set(-width / 2, height / 2, 0);
-    leftWall.userData.isWall = true;
-    leftWall.userData.isBuilding = true;
-    group.add(leftWall);
-
-    // Right wall (SOLID)
-    const rightWall = new THREE.Mesh(sideWallGeo, wallMat);
-    rightWall.position.set(width / 2, height / 2, 0);
-    rightWall.userData.isWall = true;
-    rightWall.userData.isBuilding = true;
-    group.add(rightWall);
-
-    // Front wall with crack opening (entrance)
-    const crackWidth = 3.5;
-    const frontSideWidth = (width - crackWidth) / 2;
-    const frontSideGeo = new THREE.BoxGeometry(
-      frontSideWidth,
-      height,
-      wallThickness
-    );
-
-    const frontLeft = new THREE.Mesh(frontSideGeo, wallMat);
-    frontLeft.position.set(
-      -width / 2 + frontSideWidth / 2,
-      height / 2,
-      depth / 2
-    );
-    frontLeft.userData.isWall = true;
-    frontLeft.userData.isBuilding = true;
-    group.add(frontLeft);
-
-    const frontRight = new THREE.Mesh(frontSideGeo, wallMat);
-    frontRight.position.set(
-      width / 2 - frontSideWidth / 2,
-      height / 2,
-      depth / 2
-    );
-    frontRight.userData.isWall = true;
-    frontRight.userData.isBuilding = true;
-    group.add(frontRight);
-
-    // Top of crack opening
-    const crackHeight = 4.5;
-    const topGeo = new THREE.BoxGeometry(
-      crackWidth,
-      height - crackHeight,
-      wallThickness
-    );
-    const topWall = new THREE.Mesh(topGeo, wallMat);
-    topWall.position.set(0, height - (height - crackHeight) / 2, depth / 2);
-    topWall.userData.isWall = true;
-    topWall.userData.isBuilding = true;
-    group.add(topWall);
+    // Walls: back wall with doorway opening, solid sides, front wall with
+    // crack opening (entrance) - shared with the server for collision
+    portalBuildingLocalWalls().forEach((wall) => {
+      const wallGeo = new THREE.BoxGeometry(
+        wall.width,
+        wall.height,
+        wall.depth
+      );
+      const wallMesh = new THREE.Mesh(wallGeo, wallMat);
+      wallMesh.position.set(wall.x, wall.y, wall.z);
+      wallMesh.userData.isWall = true;
+      wallMesh.userData.isBuilding = true;
+      group.add(wallMesh);
+    });
 
     // Roof
     const roofGeo = new THREE.BoxGeometry(width + 0.5, 0.2, depth + 0.5);
@@ -275,7 +220,7 @@ export class World {
     group.add(roof);
 
     // === INTERIOR DOOR at the back (this is the PORTAL DOOR) ===
-    // doorWidth and doorHeight already defined above for back wall opening
+    // doorWidth and doorHeight come from PORTAL_BUILDING (back wall opening)
     const doorThickness = 0.15;
     const doorMat = new THREE.MeshBasicMaterial({ color: 0x880000 }); // Dark red door
 
@@ -0,0 +1,205 @@
+/**
+ * Admin Routes
+ * Password-protected /admin page listing rooms and players, with kick and
+ * announce actions backed by GameServer
+ *
+ * Uses HTTP Basic auth (any username, the ADMIN_PASSWORD as password), so
+ * it should only be served over HTTPS outside local development.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+
+/**
+ * Escapes text for HTML (room and player names are player-chosen)
+ */
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+}
+
+/**
+ * Compares passwords without leaking how much matched through timing
+ */
+function passwordMatches(given, expected) {
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Renders the admin page
+ */
+function renderPage(rooms, notice) {
+  const playerRow = (player) => `
+        <tr>
+          <td>${escapeHtml(player.username)}${
+    player.spectator ? " <em>(spectator)</em>" : ""
+  }</td>
+          <td>${escapeHtml(player.characterId || "-")}</td>
+          <td>${escapeHtml(player.worldState)}</td>
+          <td><code>${escapeHtml(player.uid || "-")}</code></td>
+          <td>${Math.round((Date.now() - player.joinedAt) / 60000)} min</td>
+          <td>${
+            player.spectator
+              ? ""
+              : `<form method="post" action="/admin/kick">
+              <input type="hidden" name="playerId" value="${escapeHtml(
+                player.id
+              )}" />
+              <button>Kick</button>
+            </form>`
+          }</td>
+        </tr>`;
+
+  const roomSection = (room) => `
+    <section>
+      <h2>${escapeHtml(room.name)} <small>${escapeHtml(room.id)} &middot; ${
+    room.visibility
+  }${room.hasPassword ? ", password" : ""} &middot; invite ${escapeHtml(
+    room.inviteCode || "-"
+  )} &middot; ${room.playerCount}/${room.maxPlayers} players, ${
+    room.spectatorCount
+  } spectators</small></h2>
+      <table>
+        <tr><th>Name</th><th>Character</th><th>World</th><th>UID</th><th>Joined</th><th></th></tr>
+        ${room.players.concat(room.spectators).map(playerRow).join("")}
+      </table>
+    </section>`;
+
+  const roomOptions = rooms
+    .map(
+      (room) =>
+        `<option value="${escapeHtml(room.id)}">${escapeHtml(
+          room.name
+        )}</option>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Admin - Stranger Things Multiplayer</title>
+    <style>
+      body { font-family: sans-serif; margin: 20px; background: #111; color: #ddd; }
+      h2 small { color: #888; font-weight: normal; font-size: 0.6em; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #333; }
+      .notice { padding: 8px; background: #243; border: 1px solid #4a6; }
+      a { color: #8af; }
+    </style>
+  </head>
+  <body>
+    <h1>Admin</h1>
+    ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ""}
+    <p><a href="/admin">Refresh</a> &middot; <a href="/metrics">Metrics</a></p>
+
+    <form method="post" action="/admin/announce">
+      <input name="message" maxlength="${MAX_ANNOUNCEMENT_LENGTH}" size="60" placeholder="Announcement" required />
+      <select name="roomId">
+        <option value="">All rooms</option>
+        ${roomOptions}
+      </select>
+      <button>Announce</button>
+    </form>
+
+    ${rooms.map(roomSection).join("")}
+  </body>
+</html>`;
+}
+
+/**
+ * Creates the /admin router
+ * @param {GameServer} gameServer - Provides the overview, kick and announce
+ * @param {string} password - Required to see the page or act on it
+ */
+function createAdminRouter(gameServer, password) {
+  const router = express.Router();
+
+  // Basic auth on every admin route
+  router.use((req, res, next) => {
+    const [scheme, encoded] = (req.headers.authorization || "").split(" ");
+    const credentials =
+      scheme === "Basic" && encoded
+        ? Buffer.from(encoded, "base64").toString()
+        : "";
+    const given = credentials.slice(credentials.indexOf(":") + 1);
+
+    if (credentials && passwordMatches(given, password)) {
+      next();
+      return;
+    }
+
+    res.set("WWW-Authenticate", 'Basic realm="admin"');
+    res.status(401).send("Authentication required");
+  });
+
+  // Browsers send Basic credentials with any form post to this site -
+  // only accept actions submitted from this site's own pages
+  router.use((req, res, next) => {
+    if (req.method !== "POST") {
+      next();
+      return;
+    }
+
+    const origin = req.headers.origin || req.headers.referer;
+    let sameSite = false;
+    try {
+      sameSite = !!origin && new URL(origin).host === req.headers.host;
+    } catch (error) {
+      // Unparseable origin - treated as cross-site
+    }
+
+    if (!sameSite) {
+      res.status(403).send("Cross-site request refused");
+      return;
+    }
+    next();
+  });
+
+  router.use(express.urlencoded({ extended: false }));
+
+  router.get("/", (req, res) => {
+    const notice = typeof req.query.notice === "string" ? req.query.notice : "";
+    res.send(renderPage(gameServer.getAdminOverview(), notice));
+  });
+
+  router.post("/kick", (req, res) => {
+    const playerId = String(req.body.playerId || "");
+    const notice = gameServer.adminKick(playerId)
+      ? "Player kicked"
+      : "Player not found";
+    res.redirect(`/admin?notice=${encodeURIComponent(notice)}`);
+  });
+
+  router.post("/announce", (req, res) => {
+    const message = String(req.body.message || "")
+      .trim()
+      .slice(0, MAX_ANNOUNCEMENT_LENGTH);
+    const roomId = String(req.body.roomId || "") || null;
+
+    let notice = "Announcement is empty";
+    if (message) {
+      notice = gameServer.announce(message, roomId)
+        ? "Announcement sent"
+        : "Room not found";
+    }
+    res.redirect(`/admin?notice=${encodeURIComponent(notice)}`);
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
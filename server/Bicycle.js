@@ -0,0 +1,123 @@
+/**
+ * Bicycle Class
+ * Server-side state of a shared bicycle: where it is parked, who is riding
+ * it and who has locked it
+ *
+ * A bicycle is in one world state at a time - it goes along with its rider
+ * through a portal. Locks belong to the player's Firebase UID (socket ID for
+ * guests) and run out after LOCK_DURATION, so a bicycle can't stay locked
+ * by someone who has left for good.
+ */
+
+const LOCK_DURATION = 10 * 60 * 1000; // ms a lock holds
+
+class Bicycle {
+  constructor(id, position, rotation = 0, worldState = "normal") {
+    this.id = id;
+    this.position = { ...position };
+    this.rotation = rotation; // Y-axis rotation only (radians)
+    this.worldState = worldState;
+    this.riderId = null; // Player ID of the rider, null when parked
+    this.lockKey = null; // Firebase UID (or socket ID) of whoever locked it
+    this.lockedUntil = 0; // ms
+  }
+
+  /**
+   * Checks if the bicycle is locked (locks run out on their own)
+   */
+  isLocked(now = Date.now()) {
+    return this.lockKey !== null && now < this.lockedUntil;
+  }
+
+  /**
+   * Checks if a player may ride or unlock the bicycle
+   * @param {string} key - The player's Firebase UID (or socket ID)
+   */
+  isAvailableTo(key, now = Date.now()) {
+    return !this.isLocked(now) || this.lockKey === key;
+  }
+
+  /**
+   * Locks the bicycle for LOCK_DURATION
+   */
+  lock(key, now = Date.now()) {
+    this.lockKey = key;
+    this.lockedUntil = now + LOCK_DURATION;
+  }
+
+  /**
+   * Unlocks the bicycle
+   */
+  unlock() {
+    this.lockKey = null;
+    this.lockedUntil = 0;
+  }
+
+  /**
+   * Moves the bicycle to where its rider is, on the ground there
+   * @param {Terrain} terrain - The room's ground heights (room.world.terrain)
+   */
+  moveWith(player, terrain) {
+    const { x, z } = player.position;
+    this.position = { x, y: terrain.getHeightAt(x, z), z };
+    this.rotation = player.rotation;
+  }
+
+  /**
+   * Serializes the bicycle for clients (without who holds the lock)
+   */
+  serialize() {
+    return {
+      id: this.id,
+      position: { ...this.position },
+      rotation: this.rotation,
+      riderId: this.riderId,
+      locked: this.isLocked(),
+    };
+  }
+
+  /**
+   * Captures what should survive a server restart (riders get off)
+   */
+  toSnapshot() {
+    return {
+      id: this.id,
+      position: this.position,
+      rotation: this.rotation,
+      worldState: this.worldState,
+      lockKey: this.lockKey,
+      lockedUntil: this.lockedUntil,
+    };
+  }
+
+  /**
+   * Rebuilds a bicycle from toSnapshot() output
+   * @returns {Bicycle|null} null if the snapshot is unusable
+   */
+  static fromSnapshot(data) {
+    const { id, position, rotation, worldState, lockKey, lockedUntil } =
+      data || {};
+    if (
+      typeof id !== "string" ||
+      !position ||
+      !Number.isFinite(position.x) ||
+      !Number.isFinite(position.z)
+    ) {
+      return null;
+    }
+
+    const bicycle = new Bicycle(
+      id,
+      { x: position.x, y: 0, z: position.z },
+      Number.isFinite(rotation) ? rotation : 0,
+      worldState === "upsideDown" ? "upsideDown" : "normal"
+    );
+    if (typeof lockKey === "string" && Number.isFinite(lockedUntil)) {
+      bicycle.lockKey = lockKey;
+      bicycle.lockedUntil = lockedUntil;
+    }
+    return bicycle;
+  }
+}
+
+module.exports = Bicycle;
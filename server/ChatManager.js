@@ -0,0 +1,293 @@
+/**
+ * ChatManager Class
+ * Server-side chat pipeline: validation, rate limiting, word filtering,
+ * host mutes, per-player block lists and per-room rolling history
+ *
+ * Messages go out on a channel (see CHAT_CHANNELS): local proximity,
+ * room-wide, or "through the wall" from the Upside Down.
+ * Players are identified by Firebase UID where available so mutes and
+ * blocks survive a reconnect.
+ */
+
+const TokenBucket = require("./TokenBucket");
+const WordFilter = require("./WordFilter");
+const {
+  GAME_CONFIG,
+  CHAT_CHANNELS,
+} = require("../client/js/utils/constants.js");
+
+const CHAT_CONFIG = {
+  LOCAL_RADIUS: GAME_CONFIG.CHAT_LOCAL_RADIUS,
+  WALL_RADIUS: GAME_CONFIG.CHAT_WALL_RADIUS,
+  WALL_GARBLE_CHANCE: 0.35, // Share of letters lost passing through the wall
+  MAX_MESSAGE_LENGTH: 200,
+  HISTORY_SIZE: 50, // Messages kept per room and sent on join
+  BURST: 5, // Messages allowed back to back
+  REFILL_PER_SECOND: 0.5, // Sustained rate: one message every 2 seconds
+  DEFAULT_MUTE_MINUTES: 5,
+  MAX_MUTE_MINUTES: 60,
+};
+
+const GARBLE_GLYPHS = "▓▒░#%&@*";
+
+/**
+ * Corrupts a message the way it sounds through the wall
+ * (letters randomly replaced, spaces kept so words still have a shape)
+ */
+function garble(text) {
+  return Array.from(text, (char) =>
+    char !== " " && Math.random() < CHAT_CONFIG.WALL_GARBLE_CHANCE
+      ? GARBLE_GLYPHS[Math.floor(Math.random() * GARBLE_GLYPHS.length)]
+      : char
+  ).join("");
+}
+
+/**
+ * Checks if two positions are within a radius (ground plane)
+ */
+function isWithin(a, b, radius) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return dx * dx + dz * dz <= radius * radius;
+}
+
+class ChatManager {
+  /**
+   * @param {Object} options - { filter } any object with clean(text)
+   */
+  constructor(io, { filter = new WordFilter() } = {}) {
+    this.io = io;
+    this.filter = filter;
+  }
+
+  /**
+   * Gets the stable identity mutes and blocks are keyed by
+   */
+  static keyOf(player) {
+    return player.firebaseUid || player.id;
+  }
+
+  /**
+   * Replaces the word filter
+   */
+  setFilter(filter) {
+    this.filter = filter;
+  }
+
+  /**
+   * Validates, filters and delivers a chat message
+   * @param {string} channel - One of CHAT_CHANNELS (defaults to local)
+   */
+  handleMessage(room, player, message, channel = CHAT_CHANNELS.LOCAL) {
+    if (typeof message !== "string") return;
+
+    if (player.spectator) {
+      this.reject(player, "Spectators can't chat");
+      return;
+    }
+
+    if (!Object.values(CHAT_CHANNELS).includes(channel)) {
+      this.reject(player, "Unknown chat channel");
+      return;
+    }
+
+    if (channel === CHAT_CHANNELS.WALL && player.worldState !== "upsideDown") {
+      this.reject(player, "Only voices from the Upside Down carry through");
+      return;
+    }
+
+    // Strip control characters and surrounding whitespace
+    let text = message
+      .replace(/[\u0000-\u001f\u007f]/g, "")
+      .trim()
+      .substring(0, CHAT_CONFIG.MAX_MESSAGE_LENGTH);
+    if (!text) return;
+
+    const mutedUntil = this.getMutedUntil(room, player);
+    if (mutedUntil) {
+      this.reject(player, "You are muted", { until: mutedUntil });
+      return;
+    }
+
+    if (!player.chatBucket) {
+      player.chatBucket = new TokenBucket(
+        CHAT_CONFIG.BURST,
+        CHAT_CONFIG.REFILL_PER_SECOND
+      );
+    }
+    if (!player.chatBucket.take()) {
+      this.reject(player, "You're sending messages too fast");
+      return;
+    }
+
+    text = this.filter.clean(text);
+    if (!text) {
+      this.reject(player, "Message not allowed");
+      return;
+    }
+
+    const payload = {
+      id: player.id,
+      username: player.username,
+      message: text,
+      channel,
+      time: Date.now(),
+    };
+
+    // Room messages are history for everyone; local and wall messages only
+    // for whoever heard them (in the version they heard)
+    const entry = {
+      senderKey: ChatManager.keyOf(player),
+      payload,
+      heardBy: channel === CHAT_CHANNELS.ROOM ? null : new Map(), // key -> payload
+    };
+
+    room.chatHistory.push(entry);
+    if (room.chatHistory.length > CHAT_CONFIG.HISTORY_SIZE) {
+      room.chatHistory.shift();
+    }
+
+    this.getDeliveries(room, player, channel, payload).forEach(
+      (delivered, recipient) => {
+        if (recipient.blockedChatKeys.has(entry.senderKey)) return;
+
+        if (entry.heardBy) {
+          entry.heardBy.set(ChatManager.keyOf(recipient), delivered);
+        }
+        this.io.to(recipient.id).emit("player:chat", delivered);
+      }
+    );
+  }
+
+  /**
+   * Works out who hears a message on a channel, and what they hear
+   * @returns {Map<Player, Object>} recipient -> payload
+   */
+  getDeliveries(room, player, channel, payload) {
+    const deliveries = new Map();
+    const spectators = room.getAllSpectators();
+
+    if (channel === CHAT_CHANNELS.ROOM) {
+      room.getAllPlayers().forEach((p) => deliveries.set(p, payload));
+      spectators.forEach((p) => deliveries.set(p, payload));
+      return deliveries;
+    }
+
+    const radius =
+      channel === CHAT_CHANNELS.WALL
+        ? CHAT_CONFIG.WALL_RADIUS
+        : CHAT_CONFIG.LOCAL_RADIUS;
+    const hear = (worldState, delivered) => {
+      room
+        .getNearbyPlayers(player.position, radius, worldState)
+        .forEach((p) => deliveries.set(p, delivered));
+      spectators
+        .filter(
+          (p) =>
+            p.worldState === worldState &&
+            isWithin(p.position, player.position, radius)
+        )
+        .forEach((p) => deliveries.set(p, delivered));
+    };
+
+    hear(player.worldState, payload);
+
+    // Through the wall: the normal world at the same spot hears it garbled,
+    // from a voice they can't make out
+    if (channel === CHAT_CHANNELS.WALL) {
+      hear("normal", {
+        ...payload,
+        username: "???",
+        message: garble(payload.message),
+        garbled: true,
+      });
+    }
+
+    deliveries.set(player, payload);
+    return deliveries;
+  }
+
+  /**
+   * Sends a player the room's recent messages they heard
+   * (room-wide messages count for everyone, even late joiners)
+   */
+  sendHistory(room, player) {
+    const key = ChatManager.keyOf(player);
+    const messages = room.chatHistory
+      .filter((entry) => !player.blockedChatKeys.has(entry.senderKey))
+      .map((entry) => (entry.heardBy ? entry.heardBy.get(key) : entry.payload))
+      .filter(Boolean);
+
+    this.io.to(player.id).emit("chat:history", { messages });
+  }
+
+  /**
+   * Tells a player their message wasn't sent
+   */
+  reject(player, error, extra = {}) {
+    this.io.to(player.id).emit("chat:rejected", { error, ...extra });
+  }
+
+  /**
+   * Stops a player seeing messages from another player
+   */
+  block(player, target) {
+    player.blockedChatKeys.add(ChatManager.keyOf(target));
+  }
+
+  /**
+   * Lets a player see messages from a blocked player again
+   */
+  unblock(player, target) {
+    player.blockedChatKeys.delete(ChatManager.keyOf(target));
+  }
+
+  /**
+   * Checks if a player has blocked another
+   */
+  isBlocked(player, target) {
+    return player.blockedChatKeys.has(ChatManager.keyOf(target));
+  }
+
+  /**
+   * Stops a player chatting in a room for a while
+   * @returns {number} When the mute ends (ms)
+   */
+  mute(room, target, minutes = CHAT_CONFIG.DEFAULT_MUTE_MINUTES) {
+    const duration = Math.min(
+      Math.max(Number(minutes) || CHAT_CONFIG.DEFAULT_MUTE_MINUTES, 1),
+      CHAT_CONFIG.MAX_MUTE_MINUTES
+    );
+    const until = Date.now() + duration * 60000;
+
+    room.chatMutes.set(ChatManager.keyOf(target), until);
+    this.io.to(target.id).emit("chat:muted", { until });
+    return until;
+  }
+
+  /**
+   * Lifts a player's mute
+   */
+  unmute(room, target) {
+    if (room.chatMutes.delete(ChatManager.keyOf(target))) {
+      this.io.to(target.id).emit("chat:unmuted");
+    }
+  }
+
+  /**
+   * Gets when a player's mute ends, or null if they aren't muted
+   */
+  getMutedUntil(room, player) {
+    const key = ChatManager.keyOf(player);
+    const until = room.chatMutes.get(key);
+    if (!until) return null;
+
+    if (until <= Date.now()) {
+      room.chatMutes.delete(key);
+      return null;
+    }
+    return until;
+  }
+}
+
+module.exports = ChatManager;
@@ -0,0 +1,174 @@
+/**
+ * Event Schemas
+ * The payload each client event must match before its handler runs
+ * (checked by PayloadValidator in GameServer.handleConnection)
+ *
+ * Limits here are about what is safe to hand a handler; handlers still
+ * apply the game rules (and give the friendly errors) themselves.
+ * Events not listed here are dropped.
+ */
+
+const {
+  ANIMATIONS,
+  CHARACTERS,
+  CHAT_CHANNELS,
+  WORLD_STATES,
+} = require("../client/js/utils/constants.js");
+
+// Events whose handler ignores the payload
+const NO_PAYLOAD = { type: "any", optional: true, nullable: true };
+
+const ID = { type: "string", maxLength: 64 }; // Socket, room and player IDs
+const UID = { type: "string", maxLength: 128, optional: true, nullable: true };
+const SNAPSHOT_FORMAT = {
+  type: "string",
+  enum: ["binary", "json"],
+  optional: true,
+};
+const WORLD_STATE = { type: "string", enum: Object.keys(WORLD_STATES) };
+const POSITION = {
+  type: "object",
+  fields: {
+    x: { type: "number" },
+    y: { type: "number" },
+    z: { type: "number" },
+  },
+};
+
+/**
+ * Builds an object schema (all fields required unless marked optional)
+ */
+function payload(fields) {
+  return { type: "object", fields };
+}
+
+/**
+ * Marks a schema optional
+ */
+function optional(schema) {
+  return { ...schema, optional: true };
+}
+
+const EVENT_SCHEMAS = {
+  // Lobby
+  "room:list": NO_PAYLOAD,
+  "room:create": payload({
+    name: { type: "string", maxLength: 256 },
+    maxPlayers: { type: "number", optional: true, nullable: true },
+    visibility: { type: "string", enum: ["public", "private"], optional: true },
+    password: {
+      type: "string",
+      maxLength: 256,
+      optional: true,
+      nullable: true,
+    },
+    shardId: optional(ID), // Set when a room:redirect sent the client here
+    // World generation (ranges are checked by createWorldConfig)
+    world: optional(
+      payload({
+        seed: { type: "number", optional: true, nullable: true },
+        townSize: { type: "number", optional: true },
+        roadShape: { type: "string", maxLength: 16, optional: true },
+        forestDensity: { type: "number", optional: true },
+        portalCount: { type: "number", optional: true },
+      })
+    ),
+  }),
+  "room:lookup": payload({
+    code: { type: "string", maxLength: 32 },
+  }),
+
+  // Joining and resuming
+  "room:join": payload({
+    username: { type: "string", maxLength: 256, optional: true },
+    uid: UID,
+    roomId: optional(ID),
+    inviteCode: {
+      type: "string",
+      maxLength: 32,
+      optional: true,
+      nullable: true,
+    },
+    password: {
+      type: "string",
+      maxLength: 256,
+      optional: true,
+      nullable: true,
+    },
+    spectator: { type: "boolean", optional: true },
+    snapshotFormat: SNAPSHOT_FORMAT,
+  }),
+  "player:resume": payload({
+    uid: UID,
+    roomId: optional(ID),
+    snapshotFormat: SNAPSHOT_FORMAT,
+  }),
+  "player:selectCharacter": payload({
+    characterId: { type: "string", enum: Object.keys(CHARACTERS) },
+  }),
+  "player:ready": NO_PAYLOAD,
+
+  // Host tools
+  "room:players": NO_PAYLOAD,
+  "room:kick": payload({ playerId: ID }),
+
+  // Spectators
+  "spectator:ready": NO_PAYLOAD,
+  "spectator:move": payload({ position: POSITION }),
+  "spectator:observe": payload({ worldState: WORLD_STATE }),
+
+  // Gameplay
+  "player:move": payload({
+    seq: { type: "integer", min: 0, optional: true },
+    position: optional(POSITION),
+    rotation: { type: "number", optional: true },
+    animation: {
+      type: "string",
+      enum: Object.values(ANIMATIONS),
+      optional: true,
+    },
+  }),
+  "player:worldChange": payload({ worldState: WORLD_STATE }),
+  "player:animation": payload({
+    animation: { type: "string", enum: Object.values(ANIMATIONS) },
+  }),
+  "bicycle:mount": payload({ bicycleId: ID }),
+  "bicycle:dismount": NO_PAYLOAD,
+  "bicycle:lock": payload({ bicycleId: ID, locked: { type: "boolean" } }),
+  "door:toggle": payload({
+    doorId: { type: "string", maxLength: 32 }, // See client/js/shared/Doors.js
+    open: { type: "boolean" },
+  }),
+
+  // Snapshots
+  "snapshot:ack": payload({ seq: { type: "integer", min: 0 } }),
+  "snapshot:reset": NO_PAYLOAD,
+
+  // Chat
+  "player:chat": payload({
+    message: { type: "string", maxLength: 1000 }, // Trimmed to 200 by ChatManager
+    channel: {
+      type: "string",
+      enum: Object.values(CHAT_CHANNELS),
+      optional: true,
+    },
+  }),
+  "chat:block": payload({ playerId: ID }),
+  "chat:unblock": payload({ playerId: ID }),
+  "chat:mute": payload({
+    playerId: ID,
+    minutes: { type: "number", min: 0, optional: true },
+  }),
+  "chat:unmute": payload({ playerId: ID }),
+
+  // Voice (WebRTC signaling - SDP and candidates are passed through as is)
+  "voice:join": NO_PAYLOAD,
+  "voice:leave": NO_PAYLOAD,
+  "voice:signal": payload({
+    to: ID,
+    type: { type: "string", enum: ["offer", "answer", "ice"] },
+    data: { type: "object" },
+  }),
+};
+
+module.exports = EVENT_SCHEMAS;
@@ -0,0 +1,83 @@
+/**
+ * GameLoop Class
+ * Fixed-timestep loop - runs step() a fixed number of times per second on a
+ * schedule anchored to when the loop started, so late timers don't add up
+ * the way they do with setInterval
+ *
+ * If the loop falls behind it runs the missed ticks back to back, up to
+ * maxCatchUpTicks; anything past that is skipped (and reported) so a long
+ * stall doesn't turn into a burst of ticks.
+ */
+
+class GameLoop {
+  /**
+   * @param {number} tickRate - Ticks per second
+   * @param {Object} handlers - { step(dt), onOverrun(durationMs), onSkip(count) }
+   * @param {number} maxCatchUpTicks - Most ticks run back to back when late
+   */
+  constructor(tickRate, { step, onOverrun, onSkip }, maxCatchUpTicks = 5) {
+    this.interval = 1000 / tickRate; // ms
+    this.step = step;
+    this.onOverrun = onOverrun || (() => {});
+    this.onSkip = onSkip || (() => {});
+    this.maxCatchUpTicks = maxCatchUpTicks;
+    this.nextTickAt = 0; // performance.now() the next tick is due
+    this.timer = null;
+  }
+
+  /**
+   * Starts ticking (the first tick runs one interval from now)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.nextTickAt = performance.now() + this.interval;
+    this.schedule();
+  }
+
+  /**
+   * Stops ticking
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sets a timer for the next due tick
+   */
+  schedule() {
+    const delay = Math.max(0, this.nextTickAt - performance.now());
+    this.timer = setTimeout(() => this.run(), delay);
+  }
+
+  /**
+   * Runs every tick that is due, then schedules the next one
+   */
+  run() {
+    let ran = 0;
+
+    while (performance.now() >= this.nextTickAt) {
+      if (ran === this.maxCatchUpTicks) {
+        // Too far behind - drop the backlog and carry on from now
+        const behind =
+          Math.floor((performance.now() - this.nextTickAt) / this.interval) + 1;
+        this.nextTickAt += behind * this.interval;
+        this.onSkip(behind);
+        break;
+      }
+
+      const start = performance.now();
+      this.step(this.interval / 1000);
+      const duration = performance.now() - start;
+      if (duration > this.interval) this.onOverrun(duration);
+
+      this.nextTickAt += this.interval;
+      ran++;
+    }
+
+    if (this.timer) this.schedule();
+  }
+}
+
+module.exports = GameLoop;
@@ -11,11 +11,11 @@
  * ║  - Player rotations and animations                                            ║
  * ║  - Collision detection and physics                                            ║
  * ║  - Join/leave notifications                                                   ║
+ * ║  - Room list, creation and live player counts (lobby)                         ║
  * ║                                                                                ║
  * ║  Firebase handles PERSISTENCE (via client-side FirebaseManager):              ║
  * ║  - Player identity (UID persists across sessions)                             ║
  * ║  - Profile storage (name, preferences)                                        ║
- * ║  - Room metadata (for lobby display)                                          ║
  * ║  - Global world state (low-frequency sync)                                    ║
  * ║                                                                                ║
  * ║  WHY NOT FIREBASE FOR REAL-TIME?                                              ║
@@ -25,16 +25,76 @@
  * ╚═══════════════════════════════════════════════════════════════════════════════╝
  */
 
+const crypto = require("crypto");
 const Room = require("./Room");
+const RoomStore = require("./RoomStore");
 const Player = require("./Player");
+const ChatManager = require("./ChatManager");
+const TokenBucket = require("./TokenBucket");
+const PayloadValidator = require("./PayloadValidator");
+const EVENT_SCHEMAS = require("./EventSchemas");
+const Metrics = require("./Metrics");
+const GameLoop = require("./GameLoop");
 const { v4: uuidv4 } = require("uuid");
 
+// Shared with the browser (ES modules loaded through require)
+const {
+  GAME_CONFIG,
+  WORLD_STATES,
+} = require("../client/js/utils/constants.js");
+const {
+  WORLD_GENERATION,
+  WorldConfigError,
+  createWorldConfig,
+} = require("../client/js/shared/WorldGen.js");
+const { DOOR } = require("../client/js/shared/Doors.js");
+const {
+  SnapshotSender,
+  quantizeState,
+} = require("../client/js/shared/SnapshotCodec.js");
+
 // Server configuration constants
 const CONFIG = {
   MAX_PLAYERS_PER_ROOM: 30,
-  TICK_RATE: 20, // Server updates per second
+  MAX_SPECTATORS_PER_ROOM: 10, // Spectators don't take a character slot
+  DEFAULT_ROOM_ID: "hawkins-1", // Always available, never cleaned up
+  MAX_ROOMS: 50, // Cap on player-created rooms
+  ROOM_NAME_MAX_LENGTH: 32,
+  ROOM_PASSWORD_MAX_LENGTH: 64,
+  INVITE_CODE_LENGTH: 6,
+  INVITE_CODE_ALPHABET: "ABCDEFGHJKLMNPQRSTUVWXYZ23456789", // No 0/O or 1/I
+  EMPTY_ROOM_TIMEOUT: 60000, // ms an empty room lives before it is removed
+  ROOM_CLEANUP_INTERVAL: 10000, // ms between empty room sweeps
+  TICK_RATE: GAME_CONFIG.NETWORK_TICK_RATE, // Server updates per second
+  MAX_CATCH_UP_TICKS: 5, // Ticks run back to back when the loop falls behind
+  OVERRUN_REPORT_INTERVAL: 5000, // ms between slow tick warnings
   POSITION_THRESHOLD: 0.01, // Minimum movement to broadcast
   ROTATION_THRESHOLD: 0.01, // Minimum rotation to broadcast
+  // Movement limits (shared client constants)
+  PLAYER_RUN_SPEED: GAME_CONFIG.PLAYER_RUN_SPEED,
+  BICYCLE_SPEED: GAME_CONFIG.BICYCLE_SPEED,
+  WALL_RADIUS: GAME_CONFIG.PLAYER_RADIUS - 0.1, // Slightly forgiving vs client
+  MAX_JUMP_HEIGHT: 2, // Peak of a jump is ~1.6 units above ground
+  HILL_JUMP_SLACK: 4, // Extra height on hills - a jump down one lands lower
+  SPEED_TOLERANCE: 1.25, // Headroom for network jitter and frame timing
+  MOVE_SLACK: 0.5, // Extra distance allowed on every move
+  MAX_PENDING_MOVES: 10, // Moves queued per player between ticks (oldest dropped)
+  MAX_MOVE_INTERVAL: 1000, // ms - caps elapsed time so idling can't bank distance
+  // Interest management - only sync players within this radius
+  INTEREST_RADIUS: GAME_CONFIG.FOG_FAR + 10, // Just past the fog
+  INTEREST_HYSTERESIS: 20, // Extra distance before a player drops out of interest
+  RESUME_GRACE_PERIOD: 30000, // ms a disconnected player's session is held
+  SHARD_REPORT_INTERVAL: 2000, // ms between room reports to the shard coordinator
+  ROOM_SAVE_INTERVAL: 30000, // ms between room snapshots to the RoomStore
+  // Malformed payloads a client may send (in a burst) before it is disconnected
+  MAX_PAYLOAD_VIOLATIONS: 20,
+  VIOLATIONS_FORGIVEN_PER_SECOND: 0.1, // One every 10 seconds
+  MAX_VOICE_SIGNAL_SIZE: 16384, // Characters of JSON - SDP offers are a few KB
+  DOOR_TOGGLE_BURST: 5, // Door toggles a player may send back to back
+  DOOR_TOGGLES_PER_SECOND: 2,
+  BICYCLE_REACH: 4, // Furthest a player may be from a bicycle they get on or lock
+  BICYCLE_ACTION_BURST: 5, // Bicycle mounts/locks a player may send back to back
+  BICYCLE_ACTIONS_PER_SECOND: 2,
   WORLD_BOUNDS: {
     minX: -500,
     maxX: 500,
@@ -43,16 +103,76 @@ const CONFIG = {
   },
 };
 
+/**
+ * Returns emit arguments with the tick added to the payload
+ * Binary payloads (snapshots) carry their own tick; payloads that already
+ * have one keep it
+ */
+function withTick(args, tick) {
+  const [payload, ...rest] = args;
+  if (payload === undefined) return [{ tick }];
+
+  const isObject =
+    payload !== null &&
+    typeof payload === "object" &&
+    !Array.isArray(payload) &&
+    !ArrayBuffer.isView(payload) &&
+    !(payload instanceof ArrayBuffer);
+  if (!isObject || payload.tick !== undefined) return args;
+
+  return [{ ...payload, tick }, ...rest];
+}
+
 class GameServer {
-  constructor(io) {
+  /**
+   * @param {Object} options
+   *   - townMap: parseTownMap() result - the town every room's world is
+   *     built around
+   *   - shard: { id, url, coordinator, hostsDefaultRoom } to own a share of the
+   *     rooms alongside other processes (null for all of them)
+   *   - store: RoomStore that rooms are saved to and restored from (null to
+   *     keep nothing across restarts)
+   */
+  constructor(io, { townMap, shard = null, store = null } = {}) {
     this.io = io;
+    this.townMap = townMap;
+    this.shard = shard;
+    this.store = store;
     this.rooms = new Map(); // roomId -> Room
     this.players = new Map(); // socketId -> Player
     this.socketToRoom = new Map(); // socketId -> roomId
     this.uidToSocket = new Map(); // Firebase UID -> socketId (for reconnection handling)
+    this.suspendedSessions = new Map(); // Firebase UID -> { player, roomId, timer }
+    this.tick = 0; // Ticks since startup (each room also counts its own)
+    this.systems = []; // { name, update } run for every room on every tick
+    this.systemTimes = new Map(); // System name -> ms spent in the last tick
+    this.overruns = { count: 0, lastReportAt: 0 }; // Slow ticks since last warning
+    this.chat = new ChatManager(io); // Rate limits, word filter, mutes, history
+    this.validator = new PayloadValidator(EVENT_SCHEMAS);
+    this.metrics = new Metrics(); // Served at /metrics
+
+    // Bring back the rooms saved before the last restart
+    this.restoreRooms();
+
+    // Create default room (when sharded, only one shard has it)
+    if (
+      (!shard || shard.hostsDefaultRoom) &&
+      !this.rooms.has(CONFIG.DEFAULT_ROOM_ID)
+    ) {
+      this.createRoom(CONFIG.DEFAULT_ROOM_ID, {
+        name: "Hawkins",
+        persistent: true,
+      });
+    }
+
+    // Per-tick systems, in the order they run
+    this.registerSystem("movement", (room) => this.updateMovement(room));
+    this.registerSystem("interest", (room) => this.updateInterest(room));
+    this.registerSystem("snapshots", (room) => this.broadcastSnapshots(room));
+    this.registerSystem("moveAcks", (room) => this.sendMoveAcks(room));
 
-    // Create default room
-    this.createRoom("hawkins-1");
+    // Stamp broadcasts with the tick (direct emits are stamped per socket)
+    this.stampBroadcasts();
 
     // Set up connection handler
     this.io.on("connection", (socket) => this.handleConnection(socket));
@@ -60,27 +180,253 @@ class GameServer {
     // Start game loop
     this.startGameLoop();
 
-    console.log("[GameServer] Initialized with default room: hawkins-1");
+    // Remove rooms that have been empty for a while
+    setInterval(() => this.cleanupRooms(), CONFIG.ROOM_CLEANUP_INTERVAL);
+
+    // Snapshot rooms so they survive a restart
+    if (store) {
+      setInterval(() => this.saveRooms(), CONFIG.ROOM_SAVE_INTERVAL);
+    }
+
+    // Keep the shard coordinator's room directory current
+    if (shard) {
+      this.reportRooms();
+      setInterval(() => this.reportRooms(), CONFIG.SHARD_REPORT_INTERVAL);
+    }
+
+    console.log(
+      `[GameServer] Initialized with ${
+        this.rooms.has(CONFIG.DEFAULT_ROOM_ID)
+          ? `default room: ${CONFIG.DEFAULT_ROOM_ID}`
+          : "no default room"
+      }${shard ? ` as shard ${shard.id} (${shard.url})` : ""}`
+    );
+  }
+
+  /**
+   * Recreates the rooms in the store
+   * Restored rooms are cleaned up like any other if nobody comes back
+   */
+  restoreRooms() {
+    if (!this.store) return;
+
+    let restored = 0;
+    this.store.load().forEach((data) => {
+      try {
+        const room = Room.fromSnapshot(data, this.townMap);
+        this.rooms.set(room.id, room);
+        restored++;
+      } catch (error) {
+        console.warn(
+          `[GameServer] Skipped saved room ${data && data.id}: ${error.message}`
+        );
+      }
+    });
+
+    if (restored > 0) {
+      console.log(
+        `[GameServer] Restored ${restored} rooms from ${this.store.filePath}`
+      );
+    }
+  }
+
+  /**
+   * Writes every room to the store
+   * Players in a room, or holding a suspended session, are remembered first
+   * @returns {Promise} Resolves once saved (failures are logged, not thrown)
+   */
+  saveRooms() {
+    if (!this.store) return Promise.resolve();
+
+    this.rooms.forEach((room) => {
+      room.getAllPlayers().forEach((player) => room.rememberPlayer(player));
+    });
+    this.suspendedSessions.forEach(({ player, roomId }) => {
+      const room = this.rooms.get(roomId);
+      if (room) room.rememberPlayer(player);
+    });
+
+    return this.store
+      .save(Array.from(this.rooms.values(), (room) => room.toSnapshot()))
+      .catch((error) => {
+        console.warn(`[GameServer] Could not save rooms: ${error.message}`);
+      });
+  }
+
+  /**
+   * Sends this shard's rooms to the coordinator
+   * Also called right after a room is created or removed, so redirects to it
+   * work straight away
+   */
+  reportRooms() {
+    if (!this.shard) return;
+
+    this.shard.coordinator
+      .report({
+        shardId: this.shard.id,
+        url: this.shard.url,
+        acceptingRooms: this.rooms.size < CONFIG.MAX_ROOMS,
+        rooms: Array.from(this.rooms.values(), (room) => ({
+          ...room.serialize(),
+          inviteCode: room.inviteCode,
+        })),
+      })
+      .catch((error) => {
+        console.warn(
+          `[GameServer] Could not report rooms to the coordinator: ${error.message}`
+        );
+      });
+  }
+
+  /**
+   * Asks the coordinator which shard owns a room this shard doesn't have
+   * @param {Object} query - { roomId } or { inviteCode }
+   * @returns {Promise<Object|null>} { shardId, url, room } on another shard,
+   *   null if not sharded, the room is unknown or the coordinator is down
+   */
+  async findRoomElsewhere(query) {
+    if (!this.shard) return null;
+
+    try {
+      const owner = await this.shard.coordinator.findRoom(query);
+      return owner && owner.shardId !== this.shard.id ? owner : null;
+    } catch (error) {
+      console.warn(
+        `[GameServer] Could not reach the coordinator: ${error.message}`
+      );
+      return null;
+    }
   }
 
   /**
    * Creates a new game room
+   * @param {Object} options - { name, maxPlayers, persistent, visibility,
+   *   password, world } - world is a createWorldConfig() result (the
+   *   default world if left out)
    */
-  createRoom(roomId) {
-    const room = new Room(roomId, CONFIG.MAX_PLAYERS_PER_ROOM);
+  createRoom(
+    roomId,
+    {
+      name = roomId,
+      maxPlayers = CONFIG.MAX_PLAYERS_PER_ROOM,
+      persistent = false,
+      visibility = "public",
+      password = null,
+      world = createWorldConfig(),
+    } = {}
+  ) {
+    const room = new Room(
+      roomId,
+      maxPlayers,
+      name,
+      {
+        visibility,
+        inviteCode: this.generateInviteCode(),
+        password,
+      },
+      this.townMap,
+      world
+    );
+    room.persistent = persistent;
     this.rooms.set(roomId, room);
-    console.log(`[GameServer] Room created: ${roomId}`);
+    this.reportRooms();
+    console.log(
+      `[GameServer] Room created: ${roomId} ("${name}", max ${maxPlayers}, seed ${world.seed})`
+    );
     return room;
   }
 
+  /**
+   * Generates a short invite code not used by any room
+   */
+  generateInviteCode() {
+    const alphabet = CONFIG.INVITE_CODE_ALPHABET;
+    let code;
+    do {
+      code = "";
+      for (let i = 0; i < CONFIG.INVITE_CODE_LENGTH; i++) {
+        code += alphabet[crypto.randomInt(alphabet.length)];
+      }
+    } while (this.findRoomByInviteCode(code));
+    return code;
+  }
+
+  /**
+   * Finds a room by invite code (case-insensitive)
+   */
+  findRoomByInviteCode(code) {
+    if (typeof code !== "string") return null;
+
+    const normalized = code.trim().toUpperCase();
+    for (const room of this.rooms.values()) {
+      if (room.inviteCode === normalized) return room;
+    }
+    return null;
+  }
+
+  /**
+   * Removes rooms nobody has been in for EMPTY_ROOM_TIMEOUT
+   * Players choosing a character or holding a suspended session count as inside
+   */
+  cleanupRooms() {
+    const now = Date.now();
+    const occupied = new Set(this.socketToRoom.values());
+    this.suspendedSessions.forEach((session) => occupied.add(session.roomId));
+
+    this.rooms.forEach((room, roomId) => {
+      if (room.persistent) return;
+
+      if (room.getPlayerCount() > 0 || occupied.has(roomId)) {
+        room.emptySince = null;
+        return;
+      }
+
+      if (room.emptySince === null) {
+        room.emptySince = now;
+        return;
+      }
+
+      if (now - room.emptySince >= CONFIG.EMPTY_ROOM_TIMEOUT) {
+        this.rooms.delete(roomId);
+        this.reportRooms();
+        console.log(`[GameServer] Removed empty room: ${roomId}`);
+      }
+    });
+  }
+
   /**
    * Handles new player connection
    */
   handleConnection(socket) {
     console.log(`[GameServer] Player connected: ${socket.id}`);
 
-    // Handle player join request
-    socket.on("player:join", (data) => this.handlePlayerJoin(socket, data));
+    // Drop malformed payloads before any handler sees them
+    socket.use((packet, next) => this.validatePacket(socket, packet, next));
+
+    // Stamp everything sent to this socket with its room's tick
+    const emit = socket.emit.bind(socket);
+    socket.emit = (event, ...args) =>
+      emit(event, ...withTick(args, this.getTickFor(socket.id)));
+
+    // Count outgoing traffic for bytes-per-tick metrics
+    socket.conn.on("packetCreate", (packet) =>
+      this.metrics.countPacket(packet)
+    );
+
+    // Handle lobby requests
+    socket.on("room:list", () => this.handleRoomList(socket));
+    socket.on("room:create", (data) => this.handleRoomCreate(socket, data));
+    socket.on("room:lookup", (data) => this.handleRoomLookup(socket, data));
+
+    // Handle player joining a room
+    socket.on("room:join", (data) => this.handlePlayerJoin(socket, data));
+
+    // Handle host tools (roster and kicking)
+    socket.on("room:players", () => this.handleRoomPlayers(socket));
+    socket.on("room:kick", (data) => this.handleRoomKick(socket, data));
+
+    // Handle session resume after a dropped connection
+    socket.on("player:resume", (data) => this.handlePlayerResume(socket, data));
 
     // Handle character selection
     socket.on("player:selectCharacter", (data) =>
@@ -90,6 +436,15 @@ class GameServer {
     // Handle player ready (after character selection)
     socket.on("player:ready", (data) => this.handlePlayerReady(socket, data));
 
+    // Handle spectators (watching without a character)
+    socket.on("spectator:ready", () => this.handleSpectatorReady(socket));
+    socket.on("spectator:move", (data) =>
+      this.handleSpectatorMove(socket, data)
+    );
+    socket.on("spectator:observe", (data) =>
+      this.handleSpectatorObserve(socket, data)
+    );
+
     // Handle player movement updates
     socket.on("player:move", (data) => this.handlePlayerMove(socket, data));
 
@@ -103,32 +458,284 @@ class GameServer {
       this.handleAnimationChange(socket, data)
     );
 
-    // Handle chat messages (optional feature)
+    // Handle opening and closing doors
+    socket.on("door:toggle", (data) => this.handleDoorToggle(socket, data));
+
+    // Handle getting on and off bicycles and locking them
+    socket.on("bicycle:mount", (data) => this.handleBicycleMount(socket, data));
+    socket.on("bicycle:dismount", () => this.handleBicycleDismount(socket));
+    socket.on("bicycle:lock", (data) => this.handleBicycleLock(socket, data));
+
+    // Handle snapshot acknowledgements (delta baseline for players:update)
+    socket.on("snapshot:ack", (data) => this.handleSnapshotAck(socket, data));
+
+    // Handle requests for a full snapshot (client lost its baseline)
+    socket.on("snapshot:reset", () => this.handleSnapshotReset(socket));
+
+    // Handle chat messages and moderation
     socket.on("player:chat", (data) => this.handleChat(socket, data));
+    socket.on("chat:block", (data) => this.handleChatBlock(socket, data, true));
+    socket.on("chat:unblock", (data) =>
+      this.handleChatBlock(socket, data, false)
+    );
+    socket.on("chat:mute", (data) => this.handleChatMute(socket, data, true));
+    socket.on("chat:unmute", (data) =>
+      this.handleChatMute(socket, data, false)
+    );
+
+    // Handle voice chat (WebRTC signaling relayed between players)
+    socket.on("voice:join", () => this.handleVoiceState(socket, true));
+    socket.on("voice:leave", () => this.handleVoiceState(socket, false));
+    socket.on("voice:signal", (data) => this.handleVoiceSignal(socket, data));
 
     // Handle disconnection
     socket.on("disconnect", () => this.handleDisconnect(socket));
   }
 
+  /**
+   * Checks an incoming event against its schema (see EventSchemas.js)
+   * Malformed payloads are dropped; a client that keeps sending them is
+   * disconnected without a session to resume
+   */
+  validatePacket(socket, [event, data], next) {
+    const error = this.validator.validate(event, data);
+    if (!error) {
+      next();
+      return;
+    }
+
+    this.metrics.countDropped("invalid_payload");
+    if (socket.disconnected) return; // Already thrown out
+    console.warn(`[GameServer] Dropped ${event} from ${socket.id}: ${error}`);
+
+    if (!socket.data.violations) {
+      socket.data.violations = new TokenBucket(
+        CONFIG.MAX_PAYLOAD_VIOLATIONS,
+        CONFIG.VIOLATIONS_FORGIVEN_PER_SECOND
+      );
+    }
+    if (socket.data.violations.take()) return;
+
+    console.warn(
+      `[GameServer] Disconnecting ${socket.id}: too many invalid messages`
+    );
+    socket.data.noResume = true;
+    socket.emit("error", { message: "Too many invalid messages" });
+    socket.disconnect(true);
+  }
+
+  /**
+   * Sends the lobby the list of public rooms with live player counts
+   * (from every shard when sharded - counts there are a few seconds old)
+   */
+  async handleRoomList(socket) {
+    const localRooms = () =>
+      Array.from(this.rooms.values())
+        .filter((room) => !room.isPrivate())
+        .map((room) => room.serialize());
+
+    let rooms;
+    try {
+      rooms = this.shard
+        ? await this.shard.coordinator.listRooms()
+        : localRooms();
+    } catch (error) {
+      console.warn(
+        `[GameServer] Could not reach the coordinator: ${error.message}`
+      );
+      rooms = localRooms();
+    }
+
+    socket.emit("room:listed", { rooms });
+  }
+
+  /**
+   * Finds a room for the lobby's "Join by code"
+   */
+  async handleRoomLookup(socket, data) {
+    const room = this.findRoomByInviteCode(data && data.code);
+    if (room) {
+      socket.emit("room:found", { room: room.serialize() });
+      return;
+    }
+
+    const owner = await this.findRoomElsewhere({ inviteCode: data.code });
+    if (owner) {
+      socket.emit("room:found", { room: owner.room });
+      return;
+    }
+
+    socket.emit("room:lookupFailed", { error: "No room with that code" });
+  }
+
+  /**
+   * Creates a room from the lobby
+   * When sharded, the room goes on the least busy shard - if that's another
+   * one the client is sent there (room:redirect) and asks again with its shardId
+   */
+  async handleRoomCreate(socket, data) {
+    const name =
+      data && typeof data.name === "string"
+        ? data.name.trim().slice(0, CONFIG.ROOM_NAME_MAX_LENGTH)
+        : "";
+    const maxPlayers = data && Number(data.maxPlayers);
+    const visibility =
+      data && data.visibility === "private" ? "private" : "public";
+    const password =
+      data && typeof data.password === "string" && data.password.length > 0
+        ? data.password
+        : null;
+
+    if (!name) {
+      socket.emit("room:createFailed", { error: "Room name is required" });
+      return;
+    }
+
+    if (
+      !Number.isInteger(maxPlayers) ||
+      maxPlayers < 2 ||
+      maxPlayers > CONFIG.MAX_PLAYERS_PER_ROOM
+    ) {
+      socket.emit("room:createFailed", {
+        error: `Max players must be between 2 and ${CONFIG.MAX_PLAYERS_PER_ROOM}`,
+      });
+      return;
+    }
+
+    if (password && password.length > CONFIG.ROOM_PASSWORD_MAX_LENGTH) {
+      socket.emit("room:createFailed", {
+        error: `Password can be at most ${CONFIG.ROOM_PASSWORD_MAX_LENGTH} characters`,
+      });
+      return;
+    }
+
+    // World generation - a random seed unless the creator picked one
+    let world;
+    try {
+      world = createWorldConfig({
+        ...(data && data.world),
+        seed:
+          data && data.world && data.world.seed != null
+            ? data.world.seed
+            : crypto.randomInt(WORLD_GENERATION.seed.max),
+      });
+    } catch (error) {
+      if (!(error instanceof WorldConfigError)) throw error;
+      socket.emit("room:createFailed", { error: error.message });
+      return;
+    }
+
+    if (this.shard && data.shardId !== this.shard.id) {
+      let target = null;
+      try {
+        target = await this.shard.coordinator.pickShard();
+      } catch (error) {
+        console.warn(
+          `[GameServer] Could not reach the coordinator: ${error.message}`
+        );
+      }
+
+      if (target && target.shardId !== this.shard.id) {
+        socket.emit("room:redirect", {
+          url: target.url,
+          shardId: target.shardId,
+        });
+        return;
+      }
+    }
+
+    if (this.rooms.size >= CONFIG.MAX_ROOMS) {
+      socket.emit("room:createFailed", { error: "Too many rooms open" });
+      return;
+    }
+
+    // Readable, unique ID from the name
+    const slug =
+      name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "room";
+    const roomId = `${slug}-${uuidv4().slice(0, 8)}`;
+
+    const room = this.createRoom(roomId, {
+      name,
+      maxPlayers,
+      visibility,
+      password,
+      world,
+    });
+
+    // The creator gets the invite code to share
+    socket.emit("room:created", { room: room.serializeForMembers() });
+  }
+
   /**
    * Handles player joining a room
    * Now accepts Firebase UID for persistent identity
-   * Player joins in "lobby" state until they select a character
+   * Player joins in "lobby" state until they select a character,
+   * or as a spectator that skips character selection
    */
   handlePlayerJoin(socket, data) {
-    const { username = "Player", uid = null, roomId = "hawkins-1" } = data;
-
-    const room = this.rooms.get(roomId);
+    const {
+      username = "Player",
+      uid = null,
+      roomId = CONFIG.DEFAULT_ROOM_ID,
+      inviteCode = null,
+      password = null,
+      spectator = false,
+      snapshotFormat = "binary",
+    } = data;
+
+    // Private rooms can only be found through their invite code
+    const room = inviteCode
+      ? this.findRoomByInviteCode(inviteCode)
+      : this.rooms.get(roomId);
     if (!room) {
+      // Might be on another shard - send the client there to join
+      this.findRoomElsewhere(inviteCode ? { inviteCode } : { roomId }).then(
+        (owner) => {
+          if (owner) {
+            socket.emit("room:redirect", {
+              url: owner.url,
+              shardId: owner.shardId,
+            });
+          } else {
+            socket.emit("error", { message: "Room not found" });
+          }
+        }
+      );
+      return;
+    }
+    if (room.isPrivate() && !inviteCode) {
       socket.emit("error", { message: "Room not found" });
       return;
     }
 
+    if (uid && room.kickedUids.has(uid)) {
+      socket.emit("error", { message: "You were removed from this room" });
+      return;
+    }
+
+    if (!room.checkPassword(password)) {
+      socket.emit("error", { message: "Wrong room password" });
+      return;
+    }
+
+    if (spectator) {
+      this.handleSpectatorJoin(socket, room, { username, uid, snapshotFormat });
+      return;
+    }
+
     if (room.isFull()) {
       socket.emit("error", { message: "Room is full" });
       return;
     }
 
+    // A fresh join gives up any session held for this UID
+    if (uid && this.suspendedSessions.has(uid)) {
+      this.expireSession(uid);
+    }
+
     // Handle reconnection: if UID already connected, disconnect old socket
     if (uid && this.uidToSocket.has(uid)) {
       const oldSocketId = this.uidToSocket.get(uid);
@@ -140,147 +747,516 @@ class GameServer {
       }
     }
 
-    // Create player with spawn position (but don't add to room yet - they need to select character)
-    const spawnPos = this.getSpawnPosition();
-    const player = new Player(socket.id, username, spawnPos);
+    // Create player (but don't add to room yet - they need to select character)
+    // Returning players start where they left off, everyone else at a spawn
+    const saved = room.getSavedPlayer(uid);
+    const player = new Player(
+      socket.id,
+      username,
+      saved ? saved.position : this.getSpawnPosition(room)
+    );
+    if (saved) {
+      player.rotation = saved.rotation;
+      player.worldState = saved.worldState;
+    }
 
-    // Store Firebase UID for identity tracking (not for persistence - that's Firestore's job)
+    // Store Firebase UID for identity tracking (profiles are Firestore's job)
     player.firebaseUid = uid;
 
+    // Binary delta snapshots by default, JSON when the client asks (debugging)
+    player.snapshotFormat = snapshotFormat === "json" ? "json" : "binary";
+    player.snapshotSender = new SnapshotSender();
+
     // Register player (but not in room until character selected)
     this.players.set(socket.id, player);
-    this.socketToRoom.set(socket.id, roomId);
+    this.socketToRoom.set(socket.id, room.id);
     if (uid) {
       this.uidToSocket.set(uid, socket.id);
     }
 
     // Join socket room for broadcasts
-    socket.join(roomId);
+    socket.join(room.id);
 
     // Send player the character selection screen with available characters
+    // (with the room's world config - the client builds the world from it)
     socket.emit("player:selectCharacterScreen", {
       id: socket.id,
       uid: uid,
       characters: room.getCharacterStates(),
+      world: room.world.config,
     });
 
     console.log(
-      `[GameServer] ${username} (UID: ${
-        uid || "none"
-      }) connected to ${roomId}, awaiting character selection`
+      `[GameServer] ${username} (UID: ${uid || "none"}) connected to ${
+        room.id
+      }, awaiting character selection`
     );
   }
 
   /**
-   * Handles character selection
+   * Registers a spectator - no character and not counted against maxPlayers
+   * They start receiving snapshots once their game has loaded (spectator:ready)
    */
-  handleCharacterSelect(socket, data) {
-    const { characterId } = data;
-    const player = this.players.get(socket.id);
-    const roomId = this.socketToRoom.get(socket.id);
-
-    if (!player || !roomId) {
-      socket.emit("error", { message: "Player not found" });
+  handleSpectatorJoin(socket, room, { username, uid, snapshotFormat }) {
+    if (room.spectators.size >= CONFIG.MAX_SPECTATORS_PER_ROOM) {
+      socket.emit("error", { message: "Too many spectators in this room" });
       return;
     }
 
-    const room = this.rooms.get(roomId);
-    if (!room) {
-      socket.emit("error", { message: "Room not found" });
-      return;
-    }
+    const player = new Player(socket.id, username, this.getSpawnPosition(room));
+    player.firebaseUid = uid;
+    player.spectator = true;
+    player.snapshotFormat = snapshotFormat === "json" ? "json" : "binary";
+    player.snapshotSender = new SnapshotSender();
 
-    // Try to select the character
-    const result = room.selectCharacter(socket.id, characterId);
+    // Not mapped by UID - a spectator never takes over or resumes a player
+    this.players.set(socket.id, player);
+    this.socketToRoom.set(socket.id, room.id);
+    socket.join(room.id);
 
-    if (!result.success) {
-      socket.emit("character:selectFailed", {
-        error: result.error,
-        characters: room.getCharacterStates(),
-      });
-      return;
-    }
+    socket.emit("spectator:welcome", {
+      id: socket.id,
+      room: room.serializeForMembers(),
+      world: room.world.config,
+    });
 
-    // Update player with selected character
-    player.setCharacter(characterId);
+    console.log(
+      `[GameServer] ${username} (UID: ${uid || "none"}) spectating ${room.id}`
+    );
+  }
 
-    // Notify the player of successful selection
-    socket.emit("character:selected", {
-      characterId: characterId,
-      characters: room.getCharacterStates(),
+  /**
+   * Starts sending a spectator the players around their camera
+   */
+  handleSpectatorReady(socket) {
+    const player = this.players.get(socket.id);
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    if (!player || !player.spectator || !room) return;
+
+    room.addSpectator(player);
+
+    const { entered } = this.updatePlayerInterest(room, player);
+    socket.emit("spectator:joined", {
+      id: socket.id,
+      position: { ...player.position },
+      worldState: player.worldState,
+      players: entered,
+      doors: room.getOpenDoors(player.worldState),
+      bicycles: room.serializeBicycles(player.worldState),
+      room: room.serializeForMembers(),
     });
+    this.chat.sendHistory(room, player);
+  }
 
-    // Notify all other players in the room about character state change
-    socket.to(roomId).emit("character:stateChanged", {
-      characters: room.getCharacterStates(),
+  /**
+   * Handles a spectator's camera moving (drives their interest area)
+   * Not speed-checked - the camera flies and can't affect the game
+   */
+  handleSpectatorMove(socket, data) {
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    const player = room && room.getSpectator(socket.id);
+    const position = data && data.position;
+    if (!player || !position) return;
+    if (!Number.isFinite(position.x) || !Number.isFinite(position.z)) return;
+
+    player.setPosition({
+      x: Math.max(
+        CONFIG.WORLD_BOUNDS.minX,
+        Math.min(CONFIG.WORLD_BOUNDS.maxX, position.x)
+      ),
+      y: Number.isFinite(position.y) ? position.y : 0,
+      z: Math.max(
+        CONFIG.WORLD_BOUNDS.minZ,
+        Math.min(CONFIG.WORLD_BOUNDS.maxZ, position.z)
+      ),
     });
+  }
 
-    console.log(
-      `[GameServer] ${player.username} selected character: ${characterId}`
-    );
+  /**
+   * Switches which world state a spectator watches
+   */
+  handleSpectatorObserve(socket, data) {
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    const player = room && room.getSpectator(socket.id);
+    const worldState = data && data.worldState;
+    if (!player) return;
+    if (worldState !== "normal" && worldState !== "upsideDown") return;
+    if (player.worldState === worldState) return;
+
+    player.worldState = worldState;
+    player.interest.clear();
+    const { entered } = this.updatePlayerInterest(room, player);
+
+    socket.emit("spectator:observed", {
+      worldState,
+      players: entered,
+      doors: room.getOpenDoors(worldState),
+      bicycles: room.serializeBicycles(worldState),
+    });
   }
 
   /**
-   * Handles player ready (after character selection, start the game)
+   * Handles a reconnecting client resuming its suspended session
+   * Restores the same character, position and world state
    */
-  handlePlayerReady(socket, data) {
-    const player = this.players.get(socket.id);
-    const roomId = this.socketToRoom.get(socket.id);
+  handlePlayerResume(socket, data) {
+    const {
+      uid = null,
+      roomId = CONFIG.DEFAULT_ROOM_ID,
+      snapshotFormat = "binary",
+    } = data || {};
+
+    // The old connection may not have timed out yet - take it over
+    const oldSocketId = uid && this.uidToSocket.get(uid);
+    if (oldSocketId && oldSocketId !== socket.id) {
+      const oldPlayer = this.players.get(oldSocketId);
+      const oldRoom = this.rooms.get(this.socketToRoom.get(oldSocketId));
+      if (oldPlayer && oldRoom && oldRoom.getPlayer(oldSocketId)) {
+        this.suspendPlayer(oldPlayer, oldRoom);
+      }
 
-    if (!player || !roomId) {
-      socket.emit("error", { message: "Player not found" });
-      return;
+      const oldSocket = this.io.sockets.sockets.get(oldSocketId);
+      if (oldSocket) oldSocket.disconnect(true);
     }
 
-    const room = this.rooms.get(roomId);
-    if (!room) {
-      socket.emit("error", { message: "Room not found" });
+    const session = uid && this.suspendedSessions.get(uid);
+    if (!session || session.roomId !== roomId) {
+      socket.emit("player:resumeFailed", { error: "No session to resume" });
       return;
     }
 
-    // Check if player has selected a character
-    if (!player.characterId) {
-      socket.emit("error", { message: "Please select a character first" });
+    const room = this.rooms.get(roomId);
+    if (!room || room.isFull()) {
+      this.expireSession(uid);
+      socket.emit("player:resumeFailed", { error: "Room is full" });
       return;
     }
 
-    // Now add player to the room
+    clearTimeout(session.timer);
+    this.suspendedSessions.delete(uid);
+
+    // Re-key the held player to the new socket
+    const player = session.player;
+    const oldId = player.id;
+    player.id = socket.id;
+    player.interest = new Set();
+    player.snapshotFormat = snapshotFormat === "json" ? "json" : "binary";
+    player.snapshotSender = new SnapshotSender();
+    player.lastInputSeq = null;
+    player.needsAck = false;
+    player.pendingMoves = [];
+    player.lastMoveTime = Date.now();
+    player.voice = false; // Peer connections start over - the client turns it back on
+    room.transferCharacter(oldId, socket.id);
+
+    this.players.set(socket.id, player);
+    this.socketToRoom.set(socket.id, roomId);
+    this.uidToSocket.set(uid, socket.id);
+    socket.join(roomId);
+    const previousHostId = room.hostId;
     room.addPlayer(player);
 
-    // Send player their initial state and existing players
-    socket.emit("player:joined", {
+    const { entered } = this.updatePlayerInterest(room, player);
+    socket.emit("player:resumed", {
       id: socket.id,
-      uid: player.firebaseUid,
+      uid,
       player: player.serialize(),
-      players: room
-        .getPlayersInWorldState(player.worldState)
-        .filter((p) => p.id !== socket.id)
-        .map((p) => p.serialize()),
+      players: entered,
+      doors: room.getOpenDoors(player.worldState),
+      bicycles: room.serializeBicycles(player.worldState),
+      room: room.serializeForMembers(),
     });
+    this.notifyHostChange(room, previousHostId);
+    this.chat.sendHistory(room, player);
 
-    // Notify other players in same world state
-    socket.to(roomId).emit("player:spawned", {
-      player: player.serialize(),
-    });
+    console.log(
+      `[GameServer] ${player.username} (UID: ${uid}) resumed session in ${roomId} as ${player.characterId}`
+    );
+  }
+
+  /**
+   * Sends the room's player list (for the in-game player list)
+   */
+  handleRoomPlayers(socket) {
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    const requester =
+      room && (room.getPlayer(socket.id) || room.getSpectator(socket.id));
+    if (!requester) return;
+
+    socket.emit("room:roster", {
+      hostId: room.hostId,
+      players: room.getAllPlayers().map((p) => ({
+        id: p.id,
+        username: p.username,
+        characterId: p.characterId,
+        blocked: this.chat.isBlocked(requester, p),
+        muted: this.chat.getMutedUntil(room, p) !== null,
+      })),
+    });
+  }
+
+  /**
+   * Handles the host removing a player from the room
+   * Kicked players can't rejoin the room with the same UID
+   */
+  handleRoomKick(socket, data) {
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    const targetId = data && data.playerId;
+    if (!room || room.hostId !== socket.id || targetId === socket.id) return;
+
+    const target = room.getPlayer(targetId);
+    if (!target) return;
+
+    this.kickPlayer(room, target, "by the host");
+  }
+
+  /**
+   * Removes a player from a room and keeps their UID out of it
+   * @param {string} reason - For the log, e.g. "by the host"
+   */
+  kickPlayer(room, target, reason) {
+    const targetId = target.id;
+
+    if (target.firebaseUid) {
+      room.kickedUids.add(target.firebaseUid);
+      if (this.uidToSocket.get(target.firebaseUid) === targetId) {
+        this.uidToSocket.delete(target.firebaseUid);
+      }
+    }
+
+    // Remove outright - a kick must not leave a session to resume
+    const releasedCharacter = room.removePlayer(targetId);
+    this.notifyPlayerLeft(room, targetId);
+    this.players.delete(targetId);
+    this.socketToRoom.delete(targetId);
+
+    if (releasedCharacter) {
+      this.io.to(room.id).emit("character:stateChanged", {
+        characters: room.getCharacterStates(),
+      });
+    }
+
+    const targetSocket = this.io.sockets.sockets.get(targetId);
+    if (targetSocket) {
+      targetSocket.emit("room:kicked", { roomId: room.id });
+      targetSocket.leave(room.id);
+      targetSocket.disconnect(true);
+    }
+
+    room.addWorldEvent("playerKicked", { username: target.username, reason });
+    console.log(
+      `[GameServer] ${target.username} was kicked from ${room.id} ${reason}`
+    );
+  }
+
+  /**
+   * Kicks a player from whichever room they're in (admin page)
+   * @returns {boolean} false if no such player is in a room
+   */
+  adminKick(playerId) {
+    const room = this.rooms.get(this.socketToRoom.get(playerId));
+    const target = room && room.getPlayer(playerId);
+    if (!target) return false;
+
+    this.kickPlayer(room, target, "by an admin");
+    return true;
+  }
+
+  /**
+   * Sends a server announcement to one room, or every room
+   * @param {string|null} roomId - null for everyone
+   * @returns {boolean} false if the room doesn't exist
+   */
+  announce(message, roomId = null) {
+    if (roomId && !this.rooms.has(roomId)) return false;
+
+    const payload = { message, time: Date.now() };
+    if (roomId) {
+      this.io.to(roomId).emit("server:announce", payload);
+    } else {
+      this.io.emit("server:announce", payload);
+    }
+
+    console.log(
+      `[GameServer] Announcement to ${roomId || "all rooms"}: ${message}`
+    );
+    return true;
+  }
+
+  /**
+   * Lists rooms with their players and spectators (admin page)
+   */
+  getAdminOverview() {
+    const describe = (player) => ({
+      id: player.id,
+      username: player.username,
+      uid: player.firebaseUid || null,
+      characterId: player.characterId,
+      worldState: player.worldState,
+      spectator: player.spectator,
+      joinedAt: player.joinedAt,
+    });
+
+    return Array.from(this.rooms.values(), (room) => ({
+      ...room.serializeForMembers(),
+      players: room.getAllPlayers().map(describe),
+      spectators: room.getAllSpectators().map(describe),
+    }));
+  }
+
+  /**
+   * Handles character selection
+   */
+  handleCharacterSelect(socket, data) {
+    const { characterId } = data;
+    const player = this.players.get(socket.id);
+    const roomId = this.socketToRoom.get(socket.id);
+
+    if (!player || !roomId) {
+      socket.emit("error", { message: "Player not found" });
+      return;
+    }
+
+    // Spectators never take a character
+    if (player.spectator) return;
+
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      socket.emit("error", { message: "Room not found" });
+      return;
+    }
+
+    // Try to select the character
+    const result = room.selectCharacter(socket.id, characterId);
+
+    if (!result.success) {
+      socket.emit("character:selectFailed", {
+        error: result.error,
+        characters: room.getCharacterStates(),
+      });
+      return;
+    }
+
+    // Update player with selected character
+    player.setCharacter(characterId);
+
+    // Notify the player of successful selection
+    socket.emit("character:selected", {
+      characterId: characterId,
+      characters: room.getCharacterStates(),
+    });
+
+    // Notify all other players in the room about character state change
+    socket.to(roomId).emit("character:stateChanged", {
+      characters: room.getCharacterStates(),
+    });
+
+    console.log(
+      `[GameServer] ${player.username} selected character: ${characterId}`
+    );
+  }
+
+  /**
+   * Handles player ready (after character selection, start the game)
+   */
+  handlePlayerReady(socket, data) {
+    const player = this.players.get(socket.id);
+    const roomId = this.socketToRoom.get(socket.id);
+
+    if (!player || !roomId) {
+      socket.emit("error", { message: "Player not found" });
+      return;
+    }
+
+    // Spectators start watching with spectator:ready instead
+    if (player.spectator) return;
+
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      socket.emit("error", { message: "Room not found" });
+      return;
+    }
+
+    // Check if player has selected a character
+    if (!player.characterId) {
+      socket.emit("error", { message: "Please select a character first" });
+      return;
+    }
+
+    // Now add player to the room (the first one in becomes host)
+    const previousHostId = room.hostId;
+    room.addPlayer(player);
+
+    // Movement validation starts from the spawn position
+    player.lastMoveTime = Date.now();
+
+    // Send player their initial state and nearby players
+    // (other players pick up the newcomer on their next interest update)
+    const { entered } = this.updatePlayerInterest(room, player);
+    socket.emit("player:joined", {
+      id: socket.id,
+      uid: player.firebaseUid,
+      player: player.serialize(),
+      players: entered,
+      doors: room.getOpenDoors(player.worldState),
+      bicycles: room.serializeBicycles(player.worldState),
+      room: room.serializeForMembers(),
+    });
+    this.notifyHostChange(room, previousHostId);
+    this.chat.sendHistory(room, player);
 
     console.log(
       `[GameServer] ${player.username} (${
         player.characterId
-      }) joined room ${roomId} (${room.getPlayerCount()}/${
-        CONFIG.MAX_PLAYERS_PER_ROOM
-      })`
+      }) joined room ${roomId} (${room.getPlayerCount()}/${room.maxPlayers})`
     );
   }
 
   /**
    * Handles player movement updates
-   * Server validates and broadcasts to relevant players
+   * Queued for the movement system, which validates them on the next tick
    */
   handlePlayerMove(socket, data) {
     const player = this.players.get(socket.id);
-    if (!player) return;
+    if (!player || player.spectator) return;
+
+    if (player.pendingMoves.length >= CONFIG.MAX_PENDING_MOVES) {
+      player.pendingMoves.shift();
+    }
+    player.pendingMoves.push({ ...data, receivedAt: Date.now() });
+  }
+
+  /**
+   * Movement system - applies each player's queued moves in order
+   */
+  updateMovement(room) {
+    room
+      .getAllPlayers()
+      .forEach((player) => this.applyPendingMoves(room, player));
+  }
+
+  /**
+   * Applies a player's queued moves in order
+   */
+  applyPendingMoves(room, player) {
+    player.pendingMoves.forEach((move) => this.applyMove(room, player, move));
+    player.pendingMoves = [];
+  }
 
-    const { position, rotation, animation } = data;
+  /**
+   * Validates one move and applies it to the player
+   * Speed limits use the time the move arrived, not the tick it runs in
+   */
+  applyMove(room, player, move) {
+    const { seq, rotation, animation, receivedAt: now } = move;
+    let { position } = move;
+    const bicycle = player.bicycleId && room.getBicycle(player.bicycleId);
+
+    // Acked at the end of this tick with the authoritative position
+    if (Number.isInteger(seq)) {
+      player.lastInputSeq = seq;
+      player.needsAck = true;
+    }
 
     // Validate position bounds
     if (position) {
@@ -292,6 +1268,13 @@ class GameServer {
         CONFIG.WORLD_BOUNDS.minZ,
         Math.min(CONFIG.WORLD_BOUNDS.maxZ, position.z)
       );
+
+      // Reject moves faster than the player could legitimately travel
+      // (only the position - the rotation and animation still apply)
+      if (!this.isMoveAllowed(room, player, position, !!bicycle, now)) {
+        this.rejectMove(player, now);
+        position = null;
+      }
     }
 
     // Check if update is significant enough to broadcast
@@ -306,23 +1289,112 @@ class GameServer {
     if (!posChanged && !rotChanged && !animChanged) return;
 
     // Update player state
-    if (position) player.setPosition(position);
+    if (position) {
+      player.setPosition(position);
+      player.lastMoveTime = now;
+      room.updatePlayerCell(player);
+    }
     if (rotation !== undefined) player.setRotation(rotation);
     if (animation) player.animation = animation;
+    if (bicycle) bicycle.moveWith(player, room.world.terrain);
 
-    player.lastUpdate = Date.now();
+    player.lastUpdate = now;
 
     // Mark for broadcast
     player.needsBroadcast = true;
   }
 
+  /**
+   * Checks a proposed position against the last accepted position
+   * Allowed distance is max speed × elapsed time (capped), plus tolerance,
+   * and the path must not run into one of the room's walls
+   */
+  isMoveAllowed(room, player, position, riding, now) {
+    const { x, y, z } = position;
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+      return false;
+    }
+
+    // Can't sink below the ground or fly above a jump
+    const { terrain } = room.world;
+    const ground = terrain.getHeightAt(x, z);
+    const ceiling =
+      ground +
+      CONFIG.MAX_JUMP_HEIGHT +
+      CONFIG.HILL_JUMP_SLACK * terrain.getHilliness(x, z);
+    if (y < ground - 0.01 || y > ceiling) return false;
+
+    const elapsed =
+      Math.min(now - player.lastMoveTime, CONFIG.MAX_MOVE_INTERVAL) / 1000;
+    const maxSpeed = riding ? CONFIG.BICYCLE_SPEED : CONFIG.PLAYER_RUN_SPEED;
+    const maxDistance =
+      maxSpeed * elapsed * CONFIG.SPEED_TOLERANCE + CONFIG.MOVE_SLACK;
+
+    const dx = x - player.position.x;
+    const dz = z - player.position.z;
+    if (dx * dx + dz * dz > maxDistance * maxDistance) return false;
+
+    return !this.isMoveBlocked(room, player, position);
+  }
+
+  /**
+   * Checks a proposed position against the room's static walls
+   * Rejects ending inside a wall and stepping through one in a single update
+   */
+  isMoveBlocked(room, player, position) {
+    const { wallCollider } = room;
+    const from = player.position;
+
+    if (wallCollider.collides(position.x, position.z, CONFIG.WALL_RADIUS)) {
+      return true;
+    }
+
+    // If the last accepted position is already inside a wall (e.g. an old
+    // spawn), only the destination matters so the player can walk out
+    if (wallCollider.collides(from.x, from.z, 0)) return false;
+
+    return wallCollider.segmentHitsWall(from.x, from.z, position.x, position.z);
+  }
+
+  /**
+   * Rejects a move - the player stays at their last accepted position,
+   * which the next ack sends back so the client can reconcile
+   */
+  rejectMove(player, now) {
+    // Restart the movement window from the corrected position
+    player.lastMoveTime = now;
+
+    this.metrics.countRejectedMove();
+  }
+
+  /**
+   * Handles a snapshot acknowledgement - it becomes the delta baseline
+   */
+  handleSnapshotAck(socket, data) {
+    const player = this.players.get(socket.id);
+    if (!player || !data || !Number.isInteger(data.seq)) return;
+
+    player.snapshotSender.ack(data.seq);
+  }
+
+  /**
+   * Handles a client that could not decode a snapshot
+   * The next snapshot is sent in full
+   */
+  handleSnapshotReset(socket) {
+    const player = this.players.get(socket.id);
+    if (!player) return;
+
+    player.snapshotSender.reset();
+  }
+
   /**
    * Handles world state change (entering/exiting Upside Down)
    */
   handleWorldChange(socket, data) {
     const player = this.players.get(socket.id);
     const roomId = this.socketToRoom.get(socket.id);
-    if (!player || !roomId) return;
+    if (!player || player.spectator || !roomId) return;
 
     const room = this.rooms.get(roomId);
     const oldWorldState = player.worldState;
@@ -335,30 +1407,34 @@ class GameServer {
     // Update player world state
     player.worldState = newWorldState;
 
-    // Notify players in OLD world state that this player left
-    const oldWorldPlayers = room
-      .getPlayersInWorldState(oldWorldState)
-      .filter((p) => p.id !== socket.id);
-
-    oldWorldPlayers.forEach((p) => {
-      this.io.to(p.id).emit("player:left", { id: socket.id });
-    });
-
-    // Notify players in NEW world state that this player appeared
-    const newWorldPlayers = room
-      .getPlayersInWorldState(newWorldState)
-      .filter((p) => p.id !== socket.id);
+    // A bicycle being ridden comes along to the other world state
+    const bicycle = player.bicycleId && room.getBicycle(player.bicycleId);
+    if (bicycle) {
+      this.emitToWorldState(room, oldWorldState, "bicycle:removed", {
+        id: bicycle.id,
+      });
+      bicycle.worldState = newWorldState;
+      this.sendBicycleState(room, bicycle);
+    }
 
-    newWorldPlayers.forEach((p) => {
-      this.io.to(p.id).emit("player:spawned", { player: player.serialize() });
-    });
+    // Start over with nearby players from the new world state
+    // (players in either world state see the change on their next interest update)
+    player.interest.clear();
+    const { entered } = this.updatePlayerInterest(room, player);
 
     // Send new world players to the switching player
     socket.emit("player:worldChanged", {
       worldState: newWorldState,
-      players: newWorldPlayers.map((p) => p.serialize()),
+      players: entered,
+      doors: room.getOpenDoors(newWorldState),
+      bicycles: room.serializeBicycles(newWorldState),
     });
 
+    room.addWorldEvent("worldStateChanged", {
+      username: player.username,
+      from: oldWorldState,
+      to: newWorldState,
+    });
     console.log(`[GameServer] ${player.username} switched to ${newWorldState}`);
   }
 
@@ -367,72 +1443,424 @@ class GameServer {
    */
   handleAnimationChange(socket, data) {
     const player = this.players.get(socket.id);
-    if (!player) return;
+    if (!player || player.spectator) return;
 
     player.animation = data.animation;
     player.needsBroadcast = true;
   }
 
   /**
-   * Handles chat messages
+   * Handles a player opening or closing a door
+   * The room remembers which doors are open in each world state; everyone
+   * in that world state (players and spectators) swings the door. A request
+   * the server turns down is answered with the door's actual state so the
+   * sender's door swings back.
+   */
+  handleDoorToggle(socket, data) {
+    const player = this.players.get(socket.id);
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    if (!player || player.spectator || !room || !room.getPlayer(socket.id)) {
+      return;
+    }
+
+    // Only doors that exist in the room's world (which also says whether
+    // it is a portal door)
+    const { doorId, open } = data;
+    const door = room.getDoor(doorId);
+    if (!door) return;
+
+    const refuse = () =>
+      socket.emit("door:state", {
+        doorId,
+        open: room.isDoorOpen(player.worldState, doorId),
+      });
+
+    if (!player.doorBucket) {
+      player.doorBucket = new TokenBucket(
+        CONFIG.DOOR_TOGGLE_BURST,
+        CONFIG.DOOR_TOGGLES_PER_SECOND
+      );
+    }
+    if (!player.doorBucket.take()) {
+      refuse();
+      return;
+    }
+
+    // Only doors within arm's reach (with some slack for latency)
+    const dx = door.x - player.position.x;
+    const dz = door.z - player.position.z;
+    if (dx * dx + dz * dz > DOOR.reach * DOOR.reach) {
+      refuse();
+      return;
+    }
+
+    // Portal doors stay open once opened, in both world states
+    if (door.portal && !open) {
+      refuse();
+      return;
+    }
+    const worldStates = door.portal
+      ? Object.keys(WORLD_STATES)
+      : [player.worldState];
+
+    let changed = false;
+    worldStates.forEach((worldState) => {
+      if (!room.setDoor(worldState, doorId, open)) return;
+
+      changed = true;
+      this.emitToWorldState(room, worldState, "door:state", {
+        doorId,
+        open,
+        by: player.id,
+      });
+    });
+    if (changed && door.portal) {
+      room.addWorldEvent("portalOpened", { doorId, username: player.username });
+    }
+
+    // Room full of open doors - the sender's door swings back
+    if (room.isDoorOpen(player.worldState, doorId) !== open) refuse();
+  }
+
+  /**
+   * Handles a player getting on a bicycle
+   * Locked bicycles can only be ridden by whoever locked them (riding one
+   * unlocks it)
+   */
+  handleBicycleMount(socket, data) {
+    const request = this.getBicycleRequest(socket, data.bicycleId);
+    if (!request) return;
+    const { player, room, bicycle } = request;
+
+    if (player.bicycleId) {
+      this.rejectBicycle(socket, bicycle, "You're already on a bicycle");
+      return;
+    }
+    if (bicycle.riderId) {
+      this.rejectBicycle(socket, bicycle, "Someone is riding that bicycle");
+      return;
+    }
+    if (!bicycle.isAvailableTo(this.getBicycleKey(player))) {
+      this.rejectBicycle(socket, bicycle, "That bicycle is locked");
+      return;
+    }
+
+    bicycle.unlock();
+    bicycle.riderId = player.id;
+    bicycle.moveWith(player, room.world.terrain);
+    player.bicycleId = bicycle.id;
+    this.sendBicycleState(room, bicycle);
+  }
+
+  /**
+   * Handles a player getting off their bicycle - it stays where they are
+   */
+  handleBicycleDismount(socket) {
+    const player = this.players.get(socket.id);
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    if (!player || !room || !player.bicycleId) return;
+
+    // Moves sent before getting off were made at bicycle speed
+    this.applyPendingMoves(room, player);
+
+    const bicycle = room.getBicycle(player.bicycleId);
+    if (bicycle) this.parkBicycle(room, bicycle);
+  }
+
+  /**
+   * Handles a player locking or unlocking a parked bicycle
+   * Only whoever locked a bicycle can unlock it (until the lock runs out)
+   */
+  handleBicycleLock(socket, data) {
+    const request = this.getBicycleRequest(socket, data.bicycleId);
+    if (!request) return;
+    const { player, room, bicycle } = request;
+
+    if (bicycle.riderId) {
+      this.rejectBicycle(
+        socket,
+        bicycle,
+        "Bicycles can't be locked while ridden"
+      );
+      return;
+    }
+
+    const key = this.getBicycleKey(player);
+    if (!bicycle.isAvailableTo(key)) {
+      this.rejectBicycle(socket, bicycle, "Someone else locked that bicycle");
+      return;
+    }
+
+    if (data.locked) {
+      bicycle.lock(key);
+    } else {
+      bicycle.unlock();
+    }
+    this.sendBicycleState(room, bicycle);
+  }
+
+  /**
+   * Looks up the bicycle a player wants to use, checking it is within reach
+   * in their world state and that they aren't sending requests too fast
+   * @returns {Object|null} { player, room, bicycle }
+   */
+  getBicycleRequest(socket, bicycleId) {
+    const player = this.players.get(socket.id);
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    if (!player || player.spectator || !room) return null;
+
+    const bicycle = room.getBicycle(bicycleId);
+    if (!bicycle || bicycle.worldState !== player.worldState) return null;
+
+    if (!player.bicycleBucket) {
+      player.bicycleBucket = new TokenBucket(
+        CONFIG.BICYCLE_ACTION_BURST,
+        CONFIG.BICYCLE_ACTIONS_PER_SECOND
+      );
+    }
+    if (!player.bicycleBucket.take()) {
+      this.rejectBicycle(socket, bicycle, "Slow down");
+      return null;
+    }
+
+    const dx = bicycle.position.x - player.position.x;
+    const dz = bicycle.position.z - player.position.z;
+    if (dx * dx + dz * dz > CONFIG.BICYCLE_REACH * CONFIG.BICYCLE_REACH) {
+      this.rejectBicycle(socket, bicycle, "That bicycle is too far away");
+      return null;
+    }
+
+    return { player, room, bicycle };
+  }
+
+  /**
+   * Gets who a player is as far as bicycle locks go - their Firebase UID,
+   * so a lock survives reconnecting (guests use their socket ID)
+   */
+  getBicycleKey(player) {
+    return player.firebaseUid || player.id;
+  }
+
+  /**
+   * Tells a player why they can't use a bicycle
+   */
+  rejectBicycle(socket, bicycle, error) {
+    socket.emit("bicycle:rejected", { id: bicycle.id, error });
+  }
+
+  /**
+   * Leaves a bicycle where its rider is and lets them go
+   */
+  parkBicycle(room, bicycle) {
+    const rider = this.players.get(bicycle.riderId);
+    if (rider && rider.bicycleId === bicycle.id) {
+      bicycle.moveWith(rider, room.world.terrain);
+      rider.bicycleId = null;
+    }
+
+    bicycle.riderId = null;
+    this.sendBicycleState(room, bicycle);
+  }
+
+  /**
+   * Sends a bicycle's state to everyone in its world state
+   */
+  sendBicycleState(room, bicycle) {
+    this.emitToWorldState(
+      room,
+      bicycle.worldState,
+      "bicycle:state",
+      bicycle.serialize()
+    );
+  }
+
+  /**
+   * Sends an event to the players and spectators in one world state of a room
+   */
+  emitToWorldState(room, worldState, event, payload) {
+    room
+      .getPlayersInWorldState(worldState)
+      .concat(room.getSpectatorsInWorldState(worldState))
+      .forEach((p) => this.io.to(p.id).emit(event, payload));
+  }
+
+  /**
+   * Handles chat messages (delivered by ChatManager)
    */
   handleChat(socket, data) {
     const player = this.players.get(socket.id);
-    const roomId = this.socketToRoom.get(socket.id);
-    if (!player || !roomId) return;
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    if (!player || !room) return;
 
-    const room = this.rooms.get(roomId);
+    // Players still choosing a character aren't in the room yet
+    if (!player.spectator && !room.getPlayer(socket.id)) return;
 
-    // Only send to players in same world state
-    room.getPlayersInWorldState(player.worldState).forEach((p) => {
-      this.io.to(p.id).emit("player:chat", {
-        id: socket.id,
-        username: player.username,
-        message: data.message.substring(0, 200), // Limit message length
+    this.chat.handleMessage(
+      room,
+      player,
+      data && data.message,
+      data && data.channel
+    );
+  }
+
+  /**
+   * Handles a player blocking or unblocking another player's messages
+   */
+  handleChatBlock(socket, data, blocked) {
+    const player = this.players.get(socket.id);
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    const target = room && data && room.getPlayer(data.playerId);
+    if (!player || !target || target === player) return;
+
+    if (blocked) {
+      this.chat.block(player, target);
+
+      // Blocking also hangs up voice between the two
+      this.io.to(player.id).emit("voice:hangup", { id: target.id });
+      this.io.to(target.id).emit("voice:hangup", { id: player.id });
+    } else {
+      this.chat.unblock(player, target);
+
+      // Lets each side call the other again
+      this.io.to(player.id).emit("voice:state", {
+        id: target.id,
+        voice: target.voice,
       });
+      this.io.to(target.id).emit("voice:state", {
+        id: player.id,
+        voice: player.voice,
+      });
+    }
+  }
+
+  /**
+   * Handles the host muting or unmuting a player's chat
+   */
+  handleChatMute(socket, data, muted) {
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    if (!room || room.hostId !== socket.id) return;
+
+    const target = data && room.getPlayer(data.playerId);
+    if (!target || target.id === socket.id) return;
+
+    if (muted) {
+      this.chat.mute(room, target, data.minutes);
+      console.log(`[GameServer] ${target.username} was muted in ${room.id}`);
+    } else {
+      this.chat.unmute(room, target);
+    }
+  }
+
+  /**
+   * Handles a player turning voice chat on or off
+   * Everyone in the room learns who can be called; clients only call
+   * voice players within interest range
+   */
+  handleVoiceState(socket, voice) {
+    const player = this.players.get(socket.id);
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    if (!player || !room || !room.getPlayer(socket.id)) return;
+    if (player.voice === voice) return;
+
+    player.voice = voice;
+    room.getAllPlayers().forEach((p) => {
+      if (p !== player) {
+        this.io.to(p.id).emit("voice:state", { id: player.id, voice });
+      }
+    });
+  }
+
+  /**
+   * Relays a WebRTC offer, answer or ICE candidate to another player
+   * Both must have voice on, be in range of each other and not have
+   * blocked each other
+   */
+  handleVoiceSignal(socket, data) {
+    const player = this.players.get(socket.id);
+    const room = this.rooms.get(this.socketToRoom.get(socket.id));
+    if (!player || !room || !player.voice || !data) return;
+
+    const target = room.getPlayer(data.to);
+    if (!target || target === player || !target.voice) return;
+    if (!player.interest.has(target.id)) return;
+    if (
+      this.chat.isBlocked(player, target) ||
+      this.chat.isBlocked(target, player)
+    ) {
+      return;
+    }
+
+    const signal = data.data;
+    if (JSON.stringify(signal).length > CONFIG.MAX_VOICE_SIGNAL_SIZE) {
+      this.metrics.countDropped("voice_signal_too_large");
+      return;
+    }
+
+    this.io.to(target.id).emit("voice:signal", {
+      from: player.id,
+      type: data.type,
+      data: signal,
     });
   }
 
   /**
    * Handles player disconnection
+   * Players in a game with a UID are suspended rather than removed
    */
   handleDisconnect(socket) {
     const player = this.players.get(socket.id);
     const roomId = this.socketToRoom.get(socket.id);
+    const room = roomId && this.rooms.get(roomId);
+
+    if (player && player.spectator) {
+      if (room) room.removeSpectator(socket.id);
+      this.players.delete(socket.id);
+      this.socketToRoom.delete(socket.id);
+      console.log(
+        `[GameServer] Spectator ${player.username} left ${roomId || "lobby"}`
+      );
+      return;
+    }
 
-    if (player && roomId) {
-      const room = this.rooms.get(roomId);
-      if (room) {
-        // Remove player (this also releases their character)
-        const releasedCharacter = room.removePlayer(socket.id);
+    // In-game players with a UID get a grace period to resume
+    // (unless they were thrown out for sending invalid messages)
+    if (
+      player &&
+      room &&
+      player.firebaseUid &&
+      room.getPlayer(socket.id) &&
+      !socket.data.noResume
+    ) {
+      this.suspendPlayer(player, room);
+      return;
+    }
 
-        // Notify other players in same world state that player left
-        room.getPlayersInWorldState(player.worldState).forEach((p) => {
-          this.io.to(p.id).emit("player:left", { id: socket.id });
+    if (player && room) {
+      // Remove player (this also releases their character)
+      const previousHostId = room.hostId;
+      const releasedCharacter = room.removePlayer(socket.id);
+      this.notifyPlayerLeft(room, socket.id);
+      this.notifyHostChange(room, previousHostId);
+
+      // If a character was released, notify all players in room
+      if (releasedCharacter) {
+        this.io.to(roomId).emit("character:stateChanged", {
+          characters: room.getCharacterStates(),
         });
-
-        // If a character was released, notify all players in room
-        if (releasedCharacter) {
-          this.io.to(roomId).emit("character:stateChanged", {
-            characters: room.getCharacterStates(),
-          });
-        }
-
-        console.log(
-          `[GameServer] ${player.username} (UID: ${
-            player.firebaseUid || "none"
-          }) disconnected from ${roomId}${
-            releasedCharacter
-              ? `, released character: ${releasedCharacter}`
-              : ""
-          }`
-        );
       }
 
-      // Clean up UID mapping
-      if (player.firebaseUid) {
-        this.uidToSocket.delete(player.firebaseUid);
-      }
+      console.log(
+        `[GameServer] ${player.username} (UID: ${
+          player.firebaseUid || "none"
+        }) disconnected from ${roomId}${
+          releasedCharacter ? `, released character: ${releasedCharacter}` : ""
+        }`
+      );
+    }
+
+    // Clean up UID mapping (unless it already points at a newer socket)
+    if (player && this.uidToSocket.get(player.firebaseUid) === socket.id) {
+      this.uidToSocket.delete(player.firebaseUid);
     }
 
     this.players.delete(socket.id);
@@ -440,43 +1868,362 @@ class GameServer {
   }
 
   /**
-   * Gets a spawn position for new players
+   * Notifies players who could see a player that they left, and parks the
+   * bicycle they were riding
+   */
+  notifyPlayerLeft(room, playerId) {
+    room.getAllPlayers().forEach((p) => {
+      if (p.interest.delete(playerId)) {
+        this.io.to(p.id).emit("player:left", { id: playerId });
+      }
+    });
+
+    const bicycle = room.getBicycleRiddenBy(playerId);
+    if (bicycle) this.parkBicycle(room, bicycle);
+  }
+
+  /**
+   * Tells the room who the host is if it changed
+   */
+  notifyHostChange(room, previousHostId) {
+    if (room.hostId === previousHostId) return;
+
+    this.io.to(room.id).emit("room:hostChanged", { hostId: room.hostId });
+  }
+
+  /**
+   * Takes a disconnected player out of the game but holds their state and
+   * character for RESUME_GRACE_PERIOD
    */
-  getSpawnPosition() {
-    // Spawn in town center with slight randomization
+  suspendPlayer(player, room) {
+    const uid = player.firebaseUid;
+
+    const previousHostId = room.hostId;
+    room.detachPlayer(player.id);
+    this.notifyPlayerLeft(room, player.id);
+    this.notifyHostChange(room, previousHostId);
+
+    this.players.delete(player.id);
+    this.socketToRoom.delete(player.id);
+    if (this.uidToSocket.get(uid) === player.id) {
+      this.uidToSocket.delete(uid);
+    }
+
+    this.suspendedSessions.set(uid, {
+      player,
+      roomId: room.id,
+      timer: setTimeout(
+        () => this.expireSession(uid),
+        CONFIG.RESUME_GRACE_PERIOD
+      ),
+    });
+
+    console.log(
+      `[GameServer] ${player.username} (UID: ${uid}) disconnected from ${room.id}, holding session for ${CONFIG.RESUME_GRACE_PERIOD}ms`
+    );
+  }
+
+  /**
+   * Ends a suspended session and releases its character
+   */
+  expireSession(uid) {
+    const session = this.suspendedSessions.get(uid);
+    if (!session) return;
+
+    clearTimeout(session.timer);
+    this.suspendedSessions.delete(uid);
+
+    const room = this.rooms.get(session.roomId);
+    if (!room) return;
+
+    const releasedCharacter = room.releaseCharacter(session.player.id);
+    if (releasedCharacter) {
+      this.io.to(session.roomId).emit("character:stateChanged", {
+        characters: room.getCharacterStates(),
+      });
+    }
+
+    console.log(
+      `[GameServer] Session for ${
+        session.player.username
+      } (UID: ${uid}) expired${
+        releasedCharacter ? `, released character: ${releasedCharacter}` : ""
+      }`
+    );
+  }
+
+  /**
+   * Gets a spawn position for new players in a room
+   */
+  getSpawnPosition(room) {
+    // Spawn in town center with slight randomization, clear of walls
+    let position;
+    for (let attempt = 0; attempt < 10; attempt++) {
+      position = {
+        x: (Math.random() - 0.5) * 20,
+        y: 0,
+        z: (Math.random() - 0.5) * 20,
+      };
+      if (!room.wallCollider.collides(position.x, position.z)) break;
+    }
+    return position;
+  }
+
+  /**
+   * Main game loop - advances every room one tick at a fixed rate
+   */
+  startGameLoop() {
+    this.gameLoop = new GameLoop(
+      CONFIG.TICK_RATE,
+      {
+        step: (dt) => this.runTick(dt),
+        onOverrun: (duration) => this.reportOverrun(duration),
+        onSkip: (count) => this.skipTicks(count),
+      },
+      CONFIG.MAX_CATCH_UP_TICKS
+    );
+    this.gameLoop.start();
+  }
+
+  /**
+   * Registers a system to run for every room on every tick, after the ones
+   * already registered (movement, interest, snapshots, move acks)
+   * @param {string} name - Shown in slow tick warnings
+   * @param {Function} update - (room, dt) => void; room.tick is the tick being run
+   */
+  registerSystem(name, update) {
+    this.systems.push({ name, update });
+  }
+
+  /**
+   * Runs one simulation tick: every system, for every room
+   * @param {number} dt - Seconds per tick
+   */
+  runTick(dt) {
+    const start = performance.now();
+    this.tick++;
+    this.systemTimes.clear();
+
+    this.rooms.forEach((room) => {
+      room.tick++;
+
+      this.systems.forEach(({ name, update }) => {
+        const systemStart = performance.now();
+        update(room, dt);
+        this.systemTimes.set(
+          name,
+          (this.systemTimes.get(name) || 0) + performance.now() - systemStart
+        );
+      });
+    });
+
+    this.metrics.recordTick((performance.now() - start) / 1000);
+  }
+
+  /**
+   * Counts a tick that took longer than its slot, and warns (at most every
+   * OVERRUN_REPORT_INTERVAL) with the slowest system
+   */
+  reportOverrun(duration) {
+    this.metrics.countOverrun();
+    this.overruns.count++;
+
+    const now = Date.now();
+    if (now - this.overruns.lastReportAt < CONFIG.OVERRUN_REPORT_INTERVAL) {
+      return;
+    }
+
+    let slowest = null;
+    this.systemTimes.forEach((time, name) => {
+      if (!slowest || time > slowest.time) slowest = { name, time };
+    });
+
+    console.warn(
+      `[GameServer] Tick ${this.tick} took ${duration.toFixed(1)}ms (budget ${(
+        1000 / CONFIG.TICK_RATE
+      ).toFixed(1)}ms, slowest system: ${
+        slowest ? `${slowest.name} ${slowest.time.toFixed(1)}ms` : "none"
+      }) - ${this.overruns.count} slow ticks since last warning`
+    );
+    this.overruns = { count: 0, lastReportAt: now };
+  }
+
+  /**
+   * Advances tick counters past ticks the loop was too far behind to run,
+   * so ticks keep tracking time
+   */
+  skipTicks(count) {
+    this.tick += count;
+    this.rooms.forEach((room) => {
+      room.tick += count;
+    });
+    this.metrics.countSkippedTicks(count);
+
+    console.warn(`[GameServer] Fell behind - skipped ${count} ticks`);
+  }
+
+  /**
+   * Gets the tick to stamp on messages to a socket: its room's, or the
+   * server's while it is in the lobby
+   */
+  getTickFor(socketId) {
+    const room = this.rooms.get(this.socketToRoom.get(socketId));
+    return room ? room.tick : this.tick;
+  }
+
+  /**
+   * Stamps broadcasts (io.to(...).emit) with the tick of the room they go
+   * to - or of the one player they go to
+   * Broadcasts to everyone get the server tick
+   */
+  stampBroadcasts() {
+    const adapter = this.io.of("/").adapter;
+    const broadcast = adapter.broadcast.bind(adapter);
+
+    adapter.broadcast = (packet, opts) => {
+      let tick = this.tick;
+      if (opts.rooms.size === 1) {
+        const [target] = opts.rooms;
+        const room = this.rooms.get(target);
+        tick = room ? room.tick : this.getTickFor(target);
+      }
+
+      const [event, ...args] = packet.data;
+      packet.data = [event, ...withTick(args, tick)];
+      broadcast(packet, opts);
+    };
+  }
+
+  /**
+   * Gets live counts for /metrics and /health
+   */
+  getStats() {
+    const playersByWorldState = { normal: 0, upsideDown: 0 };
+    let spectators = 0;
+
+    this.rooms.forEach((room) => {
+      room.getAllPlayers().forEach((player) => {
+        playersByWorldState[player.worldState]++;
+      });
+      spectators += room.getAllSpectators().length;
+    });
+
     return {
-      x: (Math.random() - 0.5) * 20,
-      y: 0,
-      z: (Math.random() - 0.5) * 20,
+      tick: this.tick,
+      rooms: this.rooms.size,
+      playersByWorldState,
+      spectators,
+      suspendedSessions: this.suspendedSessions.size,
     };
   }
 
   /**
-   * Main game loop - broadcasts player updates at fixed tick rate
+   * Updates interest sets for every player in a room
+   * Sends enter/leave events so clients add and remove remote players
    */
-  startGameLoop() {
-    setInterval(() => {
-      this.rooms.forEach((room, roomId) => {
-        // Group players by world state for efficient broadcasting
-        const normalPlayers = room.getPlayersInWorldState("normal");
-        const upsideDownPlayers = room.getPlayersInWorldState("upsideDown");
-
-        // Broadcast updates within each world state
-        this.broadcastUpdates(normalPlayers, roomId);
-        this.broadcastUpdates(upsideDownPlayers, roomId);
+  updateInterest(room) {
+    const viewers = room.getAllPlayers().concat(room.getAllSpectators());
+    viewers.forEach((player) => {
+      const { entered, left } = this.updatePlayerInterest(room, player);
+
+      if (entered.length > 0) {
+        this.io.to(player.id).emit("interest:enter", { players: entered });
+      }
+      if (left.length > 0) {
+        this.io.to(player.id).emit("interest:leave", { ids: left });
+      }
+    });
+  }
+
+  /**
+   * Recomputes which players one player should know about
+   * Players enter within INTEREST_RADIUS and leave beyond it plus hysteresis
+   * @returns {{ entered: Object[], left: string[] }} serialized new players, removed IDs
+   */
+  updatePlayerInterest(room, player) {
+    const entered = [];
+    const left = [];
+    const interest = new Set();
+    const enterRadiusSq = CONFIG.INTEREST_RADIUS * CONFIG.INTEREST_RADIUS;
+
+    room
+      .getNearbyPlayers(
+        player.position,
+        CONFIG.INTEREST_RADIUS + CONFIG.INTEREST_HYSTERESIS,
+        player.worldState
+      )
+      .forEach((other) => {
+        if (other.id === player.id) return;
+
+        if (player.interest.has(other.id)) {
+          interest.add(other.id);
+          return;
+        }
+
+        const dx = other.position.x - player.position.x;
+        const dz = other.position.z - player.position.z;
+        if (dx * dx + dz * dz <= enterRadiusSq) {
+          interest.add(other.id);
+          entered.push(other.serialize());
+        }
+      });
+
+    player.interest.forEach((id) => {
+      if (!interest.has(id)) left.push(id);
+    });
+
+    player.interest = interest;
+    return { entered, left };
+  }
+
+  /**
+   * Acknowledges processed movement with the authoritative position
+   * Clients replay newer inputs on top of it (client-side prediction)
+   */
+  sendMoveAcks(room) {
+    room.getAllPlayers().forEach((player) => {
+      if (!player.needsAck) return;
+
+      this.io.to(player.id).emit("player:ack", {
+        tick: room.tick,
+        seq: player.lastInputSeq,
+        position: { ...player.position },
+        rotation: player.rotation,
       });
-    }, 1000 / CONFIG.TICK_RATE);
+      player.needsAck = false;
+    });
+  }
+
+  /**
+   * Snapshot system - sends movement within each world state
+   * (spectators get the world state they watch)
+   */
+  broadcastSnapshots(room) {
+    ["normal", "upsideDown"].forEach((worldState) => {
+      this.broadcastUpdates(
+        room,
+        room.getPlayersInWorldState(worldState),
+        room.getSpectatorsInWorldState(worldState)
+      );
+    });
   }
 
   /**
-   * Broadcasts player updates to other players in same world state
+   * Broadcasts player updates to players who have them in interest
+   * Binary clients get a delta snapshot against their last acked one,
+   * JSON clients get the players that changed this tick
+   * Both are stamped with the room tick for client-side interpolation
+   * Spectators receive the same updates but are never part of them
    */
-  broadcastUpdates(players, roomId) {
-    const updates = [];
+  broadcastUpdates(room, players, spectators = []) {
+    const updates = new Map(); // playerId -> JSON update
+    const states = new Map(); // playerId -> [netId, quantized state]
 
     players.forEach((player) => {
+      states.set(player.id, [player.netId, quantizeState(player)]);
+
       if (player.needsBroadcast) {
-        updates.push({
+        updates.set(player.id, {
           id: player.id,
           position: player.position,
           rotation: player.rotation,
@@ -486,17 +2233,36 @@ class GameServer {
       }
     });
 
-    if (updates.length > 0) {
-      // Send updates to all players in this group
-      players.forEach((player) => {
-        const relevantUpdates = updates.filter((u) => u.id !== player.id);
-        if (relevantUpdates.length > 0) {
-          this.io
-            .to(player.id)
-            .emit("players:update", { players: relevantUpdates });
+    players.concat(spectators).forEach((player) => {
+      if (player.snapshotFormat === "json") {
+        // Send each player only the updates they are interested in
+        const relevantUpdates = [];
+        player.interest.forEach((id) => {
+          const update = updates.get(id);
+          if (update) relevantUpdates.push(update);
+        });
+
+        // Sent every tick so clients know unlisted players held still
+        if (player.interest.size > 0) {
+          this.io.to(player.id).emit("players:update", {
+            tick: room.tick,
+            players: relevantUpdates,
+          });
         }
+        return;
+      }
+
+      const visibleStates = new Map(); // netId -> quantized state
+      player.interest.forEach((id) => {
+        const entry = states.get(id);
+        if (entry) visibleStates.set(entry[0], entry[1]);
       });
-    }
+
+      const packet = player.snapshotSender.encode(visibleStates, room.tick);
+      if (packet) {
+        this.io.to(player.id).emit("players:update", packet);
+      }
+    });
   }
 }
 
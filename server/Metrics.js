@@ -0,0 +1,216 @@
+/**
+ * Metrics Class
+ * Collects server tick timings, outgoing traffic and dropped messages and
+ * renders them, with GameServer's live counts, in the Prometheus text format
+ * (served at /metrics)
+ */
+
+// Histogram bucket upper bounds
+const TICK_DURATION_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1]; // seconds
+const TICK_BYTES_BUCKETS = [1024, 4096, 16384, 65536, 262144, 1048576];
+
+/**
+ * Cumulative histogram, as Prometheus expects it
+ */
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.counts = new Array(buckets.length).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Records one observation
+   */
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  /**
+   * Renders the _bucket, _sum and _count lines
+   */
+  render(name) {
+    const lines = this.buckets.map(
+      (bound, i) => `${name}_bucket{le="${bound}"} ${this.counts[i]}`
+    );
+    lines.push(`${name}_bucket{le="+Inf"} ${this.count}`);
+    lines.push(`${name}_sum ${this.sum}`);
+    lines.push(`${name}_count ${this.count}`);
+    return lines;
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.tickDuration = new Histogram(TICK_DURATION_BUCKETS);
+    this.tickBytes = new Histogram(TICK_BYTES_BUCKETS);
+    this.lastTickDuration = 0; // seconds
+    this.lastTickBytes = 0;
+    this.bytesSinceTick = 0; // Sent since the current tick started
+    this.bytesSentTotal = 0;
+    this.ticksRun = 0; // Ticks actually simulated (skipped ones aren't)
+    this.tickOverruns = 0; // Ticks that took longer than their slot
+    this.ticksSkipped = 0; // Ticks dropped because the loop fell behind
+    this.droppedMessages = new Map([["invalid_payload", 0]]); // reason -> count
+    this.movesRejected = 0; // Moves refused by the speed/wall checks
+  }
+
+  /**
+   * Counts an outgoing engine.io packet (hooked to each socket's connection)
+   */
+  countPacket(packet) {
+    const { data } = packet;
+    let bytes = 0;
+    if (typeof data === "string") {
+      bytes = Buffer.byteLength(data);
+    } else if (data && data.byteLength !== undefined) {
+      bytes = data.byteLength;
+    }
+
+    this.bytesSinceTick += bytes;
+    this.bytesSentTotal += bytes;
+  }
+
+  /**
+   * Records a finished tick
+   * Bytes are everything sent since the previous tick started (the tick's
+   * snapshots plus whatever handlers sent in between)
+   * @param {number} duration - Seconds the tick took
+   */
+  recordTick(duration) {
+    this.ticksRun++;
+    this.lastTickDuration = duration;
+    this.lastTickBytes = this.bytesSinceTick;
+    this.tickDuration.observe(duration);
+    this.tickBytes.observe(this.bytesSinceTick);
+    this.bytesSinceTick = 0;
+  }
+
+  /**
+   * Counts a tick that took longer than its slot
+   */
+  countOverrun() {
+    this.tickOverruns++;
+  }
+
+  /**
+   * Counts ticks the loop skipped to catch up
+   */
+  countSkippedTicks(count) {
+    this.ticksSkipped += count;
+  }
+
+  /**
+   * Counts a message the server threw away
+   * @param {string} reason - e.g. "invalid_payload"
+   */
+  countDropped(reason) {
+    this.droppedMessages.set(
+      reason,
+      (this.droppedMessages.get(reason) || 0) + 1
+    );
+  }
+
+  /**
+   * Counts a player move the server refused
+   */
+  countRejectedMove() {
+    this.movesRejected++;
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format
+   * @param {Object} stats - GameServer.getStats()
+   */
+  render(stats) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      lines.push(...samples);
+    };
+
+    metric("game_rooms", "gauge", "Rooms currently open.", [
+      `game_rooms ${stats.rooms}`,
+    ]);
+    metric(
+      "game_players",
+      "gauge",
+      "Players in rooms by world state.",
+      Object.entries(stats.playersByWorldState).map(
+        ([worldState, count]) =>
+          `game_players{world_state="${worldState}"} ${count}`
+      )
+    );
+    metric("game_spectators", "gauge", "Spectators watching rooms.", [
+      `game_spectators ${stats.spectators}`,
+    ]);
+    metric(
+      "game_suspended_sessions",
+      "gauge",
+      "Disconnected sessions waiting to be resumed.",
+      [`game_suspended_sessions ${stats.suspendedSessions}`]
+    );
+    metric(
+      "game_ticks_total",
+      "counter",
+      "Server ticks run since startup (not counting skipped ones).",
+      [`game_ticks_total ${this.ticksRun}`]
+    );
+    metric(
+      "game_tick_duration_seconds",
+      "histogram",
+      "Time spent running a server tick.",
+      this.tickDuration.render("game_tick_duration_seconds")
+    );
+    metric(
+      "game_tick_overruns_total",
+      "counter",
+      "Ticks that took longer than the tick interval.",
+      [`game_tick_overruns_total ${this.tickOverruns}`]
+    );
+    metric(
+      "game_ticks_skipped_total",
+      "counter",
+      "Ticks skipped because the loop fell too far behind.",
+      [`game_ticks_skipped_total ${this.ticksSkipped}`]
+    );
+    metric(
+      "game_tick_bytes_sent",
+      "histogram",
+      "Bytes sent to clients per tick.",
+      this.tickBytes.render("game_tick_bytes_sent")
+    );
+    metric(
+      "game_bytes_sent_total",
+      "counter",
+      "Bytes sent to clients since startup.",
+      [`game_bytes_sent_total ${this.bytesSentTotal}`]
+    );
+    metric(
+      "game_dropped_messages_total",
+      "counter",
+      "Client messages dropped by the server, by reason.",
+      Array.from(
+        this.droppedMessages,
+        ([reason, count]) =>
+          `game_dropped_messages_total{reason="${reason}"} ${count}`
+      )
+    );
+    metric(
+      "game_moves_rejected_total",
+      "counter",
+      "Player moves rejected as too fast or through a wall.",
+      [`game_moves_rejected_total ${this.movesRejected}`]
+    );
+
+    return lines.join("\n") + "\n";
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,97 @@
+/**
+ * PayloadValidator Class
+ * Checks socket event payloads against declarative schemas (EventSchemas.js)
+ * so handlers only ever see the shapes they expect
+ *
+ * A schema is { type, optional, nullable, ... } where type is one of:
+ * - "object": fields maps each known field to its schema (others are ignored)
+ * - "string": maxLength, enum
+ * - "number" / "integer": finite only; min, max
+ * - "boolean"
+ * - "any": not checked
+ */
+
+/**
+ * Checks a value against a schema
+ * @returns {string|null} What's wrong, or null if the value matches
+ */
+function check(schema, value, path) {
+  if (value === undefined) {
+    return schema.optional ? null : `${path} is required`;
+  }
+  if (value === null) {
+    return schema.nullable ? null : `${path} must not be null`;
+  }
+
+  switch (schema.type) {
+    case "any":
+      return null;
+
+    case "string":
+      if (typeof value !== "string") return `${path} must be a string`;
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `${path} is longer than ${schema.maxLength} characters`;
+      }
+      break;
+
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return `${path} must be a number`;
+      }
+      if (schema.type === "integer" && !Number.isInteger(value)) {
+        return `${path} must be an integer`;
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return `${path} must be at least ${schema.min}`;
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return `${path} must be at most ${schema.max}`;
+      }
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") return `${path} must be a boolean`;
+      break;
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return `${path} must be an object`;
+      }
+      for (const [key, field] of Object.entries(schema.fields || {})) {
+        const error = check(field, value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      break;
+    }
+
+    default:
+      return `${path} has an unknown schema type "${schema.type}"`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of: ${schema.enum.join(", ")}`;
+  }
+  return null;
+}
+
+class PayloadValidator {
+  /**
+   * @param {Object} schemas - Event name -> schema for its payload
+   */
+  constructor(schemas) {
+    this.schemas = schemas;
+  }
+
+  /**
+   * Checks an event's payload
+   * @returns {string|null} What's wrong, or null if the payload is valid
+   */
+  validate(event, data) {
+    const schema = this.schemas[event];
+    if (!schema) return `unknown event "${event}"`;
+    return check(schema, data, "payload");
+  }
+}
+
+module.exports = PayloadValidator;
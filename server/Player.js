@@ -8,6 +8,7 @@ class Player {
   constructor(id, username, position = { x: 0, y: 0, z: 0 }) {
     this.id = id;
     this.username = username;
+    this.netId = null; // Compact per-room ID used in binary snapshots
 
     // Transform data
     this.position = { ...position };
@@ -22,12 +23,43 @@ class Player {
     // Character selection (eleven, mike, dustin, lucas, will, max)
     this.characterId = null;
 
+    // Spectators watch without a character and are never shown to players
+    // (position is their camera, worldState the one they observe)
+    this.spectator = false;
+
     // Timestamps
     this.joinedAt = Date.now();
     this.lastUpdate = Date.now();
+    this.lastMoveTime = Date.now(); // When the current position was accepted
 
     // Flag for broadcasting updates
     this.needsBroadcast = false;
+
+    // Client-side prediction: last movement sequence processed, awaiting ack
+    this.lastInputSeq = null;
+    this.needsAck = false;
+    this.pendingMoves = []; // Received moves, validated on the next tick
+
+    // Players this client currently knows about (interest management)
+    this.interest = new Set();
+
+    // Chat: rate limiter (created on first message) and blocked senders
+    this.chatBucket = null;
+    this.blockedChatKeys = new Set(); // Firebase UIDs (or socket IDs) of blocked players
+
+    // Door toggles and bicycle actions rate limiters (created on first use)
+    this.doorBucket = null;
+    this.bicycleBucket = null;
+
+    // Bicycle being ridden (see Bicycle.riderId)
+    this.bicycleId = null;
+
+    // Voice chat turned on (peers connect to each other over WebRTC)
+    this.voice = false;
+
+    // Snapshot delivery: "binary" (delta-encoded) or "json" (debugging)
+    this.snapshotFormat = "binary";
+    this.snapshotSender = null; // Set by GameServer on join
   }
 
   /**
@@ -76,12 +108,14 @@ class Player {
   serialize() {
     return {
       id: this.id,
+      netId: this.netId,
       username: this.username,
       position: { ...this.position },
       rotation: this.rotation,
       worldState: this.worldState,
       animation: this.animation,
       characterId: this.characterId,
+      voice: this.voice,
     };
   }
 }
@@ -4,6 +4,22 @@
  * Manages player lists and world state separation
  */
 
+const crypto = require("crypto");
+const SpatialGrid = require("./SpatialGrid");
+const Bicycle = require("./Bicycle");
+const { GAME_CONFIG } = require("../client/js/utils/constants.js");
+const {
+  bicycleSpawnPoints,
+  generateWorldDoors,
+  generateWorldWalls,
+} = require("../client/js/shared/WorldLayout.js");
+const { doorIdAt } = require("../client/js/shared/Doors.js");
+const {
+  createWorldConfig,
+  planWorld,
+} = require("../client/js/shared/WorldGen.js");
+const { WallCollider } = require("../client/js/shared/WallCollider.js");
+
 // Available characters - must match client constants
 const AVAILABLE_CHARACTERS = [
   "eleven",
@@ -14,18 +30,128 @@ const AVAILABLE_CHARACTERS = [
   "max",
 ];
 
+const MAX_SAVED_PLAYERS = 500; // Returning players remembered (oldest dropped)
+const MAX_WORLD_EVENTS = 100; // Recent world events kept (oldest dropped)
+const MAX_OPEN_DOORS = 2000; // Open doors remembered across both world states
+
+/**
+ * Hashes a room password with a salt
+ */
+function hashPassword(password, salt) {
+  return crypto
+    .createHash("sha256")
+    .update(salt + password)
+    .digest();
+}
+
 class Room {
-  constructor(id, maxPlayers = 30) {
+  /**
+   * @param {Object} access - { visibility: "public"|"private", inviteCode, password }
+   * @param {Object} townMap - parseTownMap() result (the world is built around it)
+   * @param {Object} worldConfig - createWorldConfig() result - the room's seed
+   *   and generation parameters, sent to everyone who joins
+   */
+  constructor(
+    id,
+    maxPlayers = 30,
+    name = id,
+    access = {},
+    townMap,
+    worldConfig = createWorldConfig()
+  ) {
+    const {
+      visibility = "public",
+      inviteCode = null,
+      password = null,
+    } = access;
+
     this.id = id;
+    this.name = name;
     this.maxPlayers = maxPlayers;
+
+    // Access control - private rooms are unlisted and joined by invite code
+    this.visibility = visibility;
+    this.inviteCode = inviteCode;
+    this.passwordSalt = password
+      ? crypto.randomBytes(16).toString("hex")
+      : null;
+    this.passwordHash = password
+      ? hashPassword(password, this.passwordSalt)
+      : null;
+    this.hostId = null; // First player in; can kick others
+    this.kickedUids = new Set(); // Firebase UIDs not allowed back in
+
+    // The room's own world - the same one its clients generate
+    this.world = planWorld(townMap, worldConfig);
+    this.wallCollider = new WallCollider(
+      generateWorldWalls(this.world.town, this.world.layout, this.world.portals)
+    );
+    // Every door in the world by ID - only these can be opened
+    this.worldDoors = new Map();
+    generateWorldDoors(
+      this.world.town,
+      this.world.layout,
+      this.world.portals
+    ).forEach((door) => {
+      this.worldDoors.set(doorIdAt(door.x, door.z, door.portal), door);
+    });
+
+    // Saved with the room (RoomStore) and restored after a restart
+    this.savedPlayers = new Map(); // Firebase UID -> { position, rotation, worldState, savedAt }
+    this.doors = new Map(); // "worldState:doorId" -> true, for open doors only
+    this.worldEvents = []; // { type, data, time }, oldest first (see addWorldEvent)
+    this.bicycles = new Map(); // bicycleId -> Bicycle
+    bicycleSpawnPoints(this.world.layout).forEach(({ id, x, z, rotation }) => {
+      this.bicycles.set(id, new Bicycle(id, { x, y: 0, z }, rotation));
+    });
+
+    // Chat (managed by ChatManager)
+    this.chatHistory = []; // Recent messages, oldest first - sent on join
+    this.chatMutes = new Map(); // Firebase UID (or socket ID) -> muted until (ms)
+
     this.players = new Map(); // playerId -> Player
+    this.spectators = new Map(); // playerId -> Player (watching, not in the grid)
     this.createdAt = Date.now();
+    this.tick = 0; // Simulation ticks run since the room opened
+    this.persistent = false; // Persistent rooms are never cleaned up
+    this.emptySince = Date.now(); // When the room was last seen empty (null if occupied)
+    this.nextNetId = 1; // Next compact ID to hand out (16-bit, 0xffff reserved)
+
+    // Spatial index for proximity (interest management)
+    this.grid = new SpatialGrid(GAME_CONFIG.CHUNK_SIZE);
 
     // Character selection tracking
     // Maps characterId -> playerId (who has selected it)
     this.selectedCharacters = new Map();
   }
 
+  /**
+   * Checks if the room is unlisted (invite code required)
+   */
+  isPrivate() {
+    return this.visibility === "private";
+  }
+
+  /**
+   * Checks if the room needs a password to join
+   */
+  hasPassword() {
+    return this.passwordHash !== null;
+  }
+
+  /**
+   * Checks a join password (always true for rooms without one)
+   */
+  checkPassword(password) {
+    if (!this.hasPassword()) return true;
+    if (typeof password !== "string") return false;
+
+    return crypto.timingSafeEqual(
+      hashPassword(password, this.passwordSalt),
+      this.passwordHash
+    );
+  }
+
   /**
    * Gets available characters that haven't been selected
    */
@@ -98,7 +224,46 @@ class Room {
    * Adds a player to the room
    */
   addPlayer(player) {
+    player.netId = this.allocateNetId();
     this.players.set(player.id, player);
+    if (!this.hostId) {
+      this.hostId = player.id;
+    }
+    this.grid.update(player);
+  }
+
+  /**
+   * Allocates a compact network ID not used by anyone in the room
+   */
+  allocateNetId() {
+    const inUse = new Set(
+      Array.from(this.players.values(), (player) => player.netId)
+    );
+    while (inUse.has(this.nextNetId)) {
+      this.nextNetId = (this.nextNetId % 0xfffe) + 1;
+    }
+
+    const netId = this.nextNetId;
+    this.nextNetId = (this.nextNetId % 0xfffe) + 1;
+    return netId;
+  }
+
+  /**
+   * Moves a player to the grid cell of their current position
+   * Call after changing a player's position
+   */
+  updatePlayerCell(player) {
+    if (!this.players.has(player.id)) return;
+    this.grid.update(player);
+  }
+
+  /**
+   * Gets players in the same world state within radius of a position
+   */
+  getNearbyPlayers(position, radius, worldState) {
+    return this.grid
+      .queryRadius(position.x, position.z, radius)
+      .filter((p) => p.worldState === worldState);
   }
 
   /**
@@ -107,10 +272,156 @@ class Room {
   removePlayer(playerId) {
     // Release their character when they leave
     const releasedCharacter = this.releaseCharacter(playerId);
-    this.players.delete(playerId);
+    this.detachPlayer(playerId);
     return releasedCharacter;
   }
 
+  /**
+   * Takes a player out of the room but keeps their character reserved
+   * Used while a disconnected player may still resume their session
+   */
+  detachPlayer(playerId) {
+    const player = this.players.get(playerId);
+    if (player) {
+      this.grid.remove(player);
+      this.rememberPlayer(player);
+    }
+    this.players.delete(playerId);
+
+    // Hand hosting to whoever has been here longest
+    if (this.hostId === playerId) {
+      const next = this.players.keys().next();
+      this.hostId = next.done ? null : next.value;
+    }
+  }
+
+  /**
+   * Remembers where a signed-in player is, so they reappear there when they
+   * come back (even after a server restart)
+   */
+  rememberPlayer(player) {
+    if (!player.firebaseUid || player.spectator) return;
+
+    // Re-inserted so the Map stays ordered oldest first
+    this.savedPlayers.delete(player.firebaseUid);
+    this.savedPlayers.set(player.firebaseUid, {
+      position: { ...player.position },
+      rotation: player.rotation,
+      worldState: player.worldState,
+      savedAt: Date.now(),
+    });
+
+    if (this.savedPlayers.size > MAX_SAVED_PLAYERS) {
+      this.savedPlayers.delete(this.savedPlayers.keys().next().value);
+    }
+  }
+
+  /**
+   * Gets where a returning player was last seen
+   * @returns {Object|null} { position, rotation, worldState, savedAt }
+   */
+  getSavedPlayer(uid) {
+    return (uid && this.savedPlayers.get(uid)) || null;
+  }
+
+  /**
+   * Gets a door in the room's world
+   * @returns {Object|null} { x, z, portal }, or null if no door has that ID
+   */
+  getDoor(doorId) {
+    return this.worldDoors.get(doorId) || null;
+  }
+
+  /**
+   * Opens or closes a door in one world state
+   * @returns {boolean} true if the door changed
+   */
+  setDoor(worldState, doorId, open) {
+    const key = `${worldState}:${doorId}`;
+    if (open === this.doors.has(key)) return false;
+
+    if (!open) {
+      this.doors.delete(key);
+      return true;
+    }
+
+    if (this.doors.size >= MAX_OPEN_DOORS) return false;
+    this.doors.set(key, true);
+    return true;
+  }
+
+  /**
+   * Checks if a door is open in a world state
+   */
+  isDoorOpen(worldState, doorId) {
+    return this.doors.has(`${worldState}:${doorId}`);
+  }
+
+  /**
+   * Gets the IDs of the doors open in a world state (sent to players as
+   * they arrive in it)
+   */
+  getOpenDoors(worldState) {
+    const prefix = `${worldState}:`;
+    const doorIds = [];
+    this.doors.forEach((_, key) => {
+      if (key.startsWith(prefix)) doorIds.push(key.slice(prefix.length));
+    });
+    return doorIds;
+  }
+
+  /**
+   * Gets a bicycle by ID
+   */
+  getBicycle(bicycleId) {
+    return this.bicycles.get(bicycleId);
+  }
+
+  /**
+   * Gets the bicycle a player is riding
+   */
+  getBicycleRiddenBy(playerId) {
+    for (const bicycle of this.bicycles.values()) {
+      if (bicycle.riderId === playerId) return bicycle;
+    }
+    return null;
+  }
+
+  /**
+   * Serializes the bicycles in a world state (sent to players as they
+   * arrive in it)
+   */
+  serializeBicycles(worldState) {
+    return Array.from(this.bicycles.values())
+      .filter((bicycle) => bicycle.worldState === worldState)
+      .map((bicycle) => bicycle.serialize());
+  }
+
+  /**
+   * Records something that happened in the world (kept with the room)
+   * @param {string} type - "portalOpened" { doorId, username },
+   *   "worldStateChanged" { username, from, to } or
+   *   "playerKicked" { username, reason }
+   */
+  addWorldEvent(type, data = {}) {
+    this.worldEvents.push({ type, data, time: Date.now() });
+    if (this.worldEvents.length > MAX_WORLD_EVENTS) {
+      this.worldEvents.shift();
+    }
+  }
+
+  /**
+   * Moves a reserved character to a player's new ID (session resume)
+   * @returns {string|null} The transferred character
+   */
+  transferCharacter(fromPlayerId, toPlayerId) {
+    const characterId = this.getPlayerCharacter(fromPlayerId);
+    if (characterId) {
+      this.selectedCharacters.set(characterId, toPlayerId);
+    }
+    return characterId;
+  }
+
   /**
    * Gets a player by ID
    */
@@ -135,6 +446,41 @@ class Room {
     return Array.from(this.players.values());
   }
 
+  /**
+   * Adds a spectator (doesn't take a character or count towards maxPlayers)
+   */
+  addSpectator(player) {
+    this.spectators.set(player.id, player);
+  }
+
+  /**
+   * Removes a spectator
+   */
+  removeSpectator(playerId) {
+    this.spectators.delete(playerId);
+  }
+
+  /**
+   * Gets a spectator by ID
+   */
+  getSpectator(playerId) {
+    return this.spectators.get(playerId);
+  }
+
+  /**
+   * Gets all spectators in the room
+   */
+  getAllSpectators() {
+    return Array.from(this.spectators.values());
+  }
+
+  /**
+   * Gets spectators observing a specific world state
+   */
+  getSpectatorsInWorldState(worldState) {
+    return this.getAllSpectators().filter((p) => p.worldState === worldState);
+  }
+
   /**
    * Gets current player count
    */
@@ -155,10 +501,131 @@ class Room {
   serialize() {
     return {
       id: this.id,
+      name: this.name,
       playerCount: this.players.size,
       maxPlayers: this.maxPlayers,
+      spectatorCount: this.spectators.size,
+      visibility: this.visibility,
+      hasPassword: this.hasPassword(),
+      world: this.world.config,
+    };
+  }
+
+  /**
+   * Serializes room data for players inside it (includes the invite code)
+   */
+  serializeForMembers() {
+    return {
+      ...this.serialize(),
+      inviteCode: this.inviteCode,
+      hostId: this.hostId,
     };
   }
+
+  /**
+   * Captures what should survive a server restart (see RoomStore)
+   * Players currently in the room are saved through savedPlayers
+   */
+  toSnapshot() {
+    return {
+      id: this.id,
+      name: this.name,
+      maxPlayers: this.maxPlayers,
+      visibility: this.visibility,
+      inviteCode: this.inviteCode,
+      passwordSalt: this.passwordSalt,
+      passwordHash: this.passwordHash && this.passwordHash.toString("hex"),
+      persistent: this.persistent,
+      createdAt: this.createdAt,
+      tick: this.tick,
+      world: this.world.config,
+      kickedUids: Array.from(this.kickedUids),
+      players: Array.from(this.savedPlayers, ([uid, saved]) => ({
+        uid,
+        ...saved,
+      })),
+      doors: Array.from(this.doors),
+      bicycles: Array.from(this.bicycles.values(), (bicycle) =>
+        bicycle.toSnapshot()
+      ),
+      worldEvents: this.worldEvents,
+    };
+  }
+
+  /**
+   * Rebuilds a room from toSnapshot() output
+   * Saved players with unusable positions or world states are left out
+   * Rooms saved before they had a world config get the default one (the
+   * world they were in)
+   * @param {Object} townMap - The town the room is in (as for the constructor)
+   * @throws {Error} If the snapshot is not a room or its world config is
+   *   unusable
+   */
+  static fromSnapshot(data, townMap) {
+    if (
+      !data ||
+      typeof data.id !== "string" ||
+      typeof data.name !== "string" ||
+      !Number.isInteger(data.maxPlayers)
+    ) {
+      throw new Error("not a room snapshot");
+    }
+
+    const room = new Room(
+      data.id,
+      data.maxPlayers,
+      data.name,
+      {
+        visibility: data.visibility === "private" ? "private" : "public",
+        inviteCode: data.inviteCode || null,
+      },
+      townMap,
+      createWorldConfig(data.world || {})
+    );
+    if (data.passwordSalt && data.passwordHash) {
+      room.passwordSalt = data.passwordSalt;
+      room.passwordHash = Buffer.from(data.passwordHash, "hex");
+    }
+    room.persistent = !!data.persistent;
+    room.createdAt = data.createdAt || room.createdAt;
+    room.tick = Number.isInteger(data.tick) ? data.tick : 0;
+    room.kickedUids = new Set(data.kickedUids || []);
+
+    (data.players || []).forEach(
+      ({ uid, position, rotation, worldState, savedAt }) => {
+        const valid =
+          typeof uid === "string" &&
+          position &&
+          [position.x, position.y, position.z].every(Number.isFinite) &&
+          (worldState === "normal" || worldState === "upsideDown");
+        if (!valid) return;
+
+        room.savedPlayers.set(uid, {
+          position: { x: position.x, y: position.y, z: position.z },
+          rotation: Number.isFinite(rotation) ? rotation : 0,
+          worldState,
+          savedAt,
+        });
+      }
+    );
+
+    // Open doors (ones not in the room's world are dropped)
+    room.doors = new Map(
+      (data.doors || []).filter(([key]) =>
+        room.getDoor(key.slice(key.indexOf(":") + 1))
+      )
+    );
+
+    // Bicycles stay where they were left (ones no longer spawned are dropped)
+    (data.bicycles || []).forEach((saved) => {
+      const bicycle = Bicycle.fromSnapshot(saved);
+      if (bicycle && room.bicycles.has(bicycle.id)) {
+        room.bicycles.set(bicycle.id, bicycle);
+      }
+    });
+    room.worldEvents = (data.worldEvents || []).slice(-MAX_WORLD_EVENTS);
+    return room;
+  }
 }
 
 module.exports = Room;
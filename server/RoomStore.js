@@ -0,0 +1,77 @@
+/**
+ * RoomStore Class
+ * Keeps room snapshots (Room.toSnapshot()) in a local JSON file so rooms,
+ * returning players' positions, doors, bicycles and world events survive a
+ * restart
+ *
+ * Writes go to a temporary file that is then renamed over the old one, so a
+ * crash mid-save leaves the previous snapshot intact.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1; // Bump when the snapshot format changes incompatibly
+
+class RoomStore {
+  /**
+   * @param {string} filePath - JSON file to read and write
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.saving = Promise.resolve(); // Saves run one at a time, in order
+  }
+
+  /**
+   * Reads the saved rooms (called once on boot, before any player connects)
+   * @returns {Object[]} Room snapshots - empty if nothing usable was saved
+   */
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(
+          `[RoomStore] Could not read ${this.filePath}: ${error.message}`
+        );
+      }
+      return [];
+    }
+
+    if (!data || data.version !== STORE_VERSION || !Array.isArray(data.rooms)) {
+      console.warn(
+        `[RoomStore] Ignoring ${this.filePath} - not a version ${STORE_VERSION} room store`
+      );
+      return [];
+    }
+    return data.rooms;
+  }
+
+  /**
+   * Writes room snapshots, replacing whatever was saved before
+   * @param {Object[]} rooms - Room.toSnapshot() for every room
+   * @returns {Promise} Resolves once written
+   */
+  save(rooms) {
+    const json = JSON.stringify({
+      version: STORE_VERSION,
+      savedAt: Date.now(),
+      rooms,
+    });
+
+    this.saving = this.saving
+      .catch(() => {}) // A failed save doesn't stop later ones
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), {
+          recursive: true,
+        });
+        await fs.promises.writeFile(tempPath, json);
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+    return this.saving;
+  }
+}
+
+module.exports = RoomStore;
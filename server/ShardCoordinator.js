@@ -0,0 +1,248 @@
+/**
+ * Shard Coordinator
+ * Room directory for running several server processes ("shards"), each
+ * owning some of the rooms
+ *
+ * One shard hosts the ShardCoordinator in-process and serves it at
+ * /coordinator; the others reach it through RemoteShardCoordinator. Both
+ * have the same async methods, so GameServer doesn't care which it has.
+ * Shards report their rooms every few seconds (and right after creating or
+ * removing one); a shard that stops reporting is forgotten with its rooms.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const SHARD_TIMEOUT = 6000; // ms without a report before a shard is dropped
+const REQUEST_TIMEOUT = 2000; // ms RemoteShardCoordinator waits for an answer
+
+class ShardCoordinator {
+  constructor() {
+    // shardId -> { url, acceptingRooms, rooms, lastSeen }
+    // rooms are Room.serialize() plus the inviteCode
+    this.shards = new Map();
+  }
+
+  /**
+   * Records a shard's current rooms
+   * @param {Object} report - { shardId, url, acceptingRooms, rooms }
+   */
+  async report({ shardId, url, acceptingRooms, rooms }) {
+    this.shards.set(shardId, {
+      url,
+      acceptingRooms,
+      rooms,
+      lastSeen: Date.now(),
+    });
+  }
+
+  /**
+   * Finds the shard that owns a room
+   * @param {Object} query - { roomId } or { inviteCode }
+   * @returns {Promise<Object|null>} { shardId, url, room } (room without its invite code)
+   */
+  async findRoom({ roomId, inviteCode }) {
+    const code =
+      typeof inviteCode === "string" ? inviteCode.trim().toUpperCase() : null;
+
+    for (const [shardId, shard] of this.liveShards()) {
+      const entry = shard.rooms.find((room) =>
+        code ? room.inviteCode === code : room.id === roomId
+      );
+      if (entry) return { shardId, url: shard.url, room: withoutCode(entry) };
+    }
+    return null;
+  }
+
+  /**
+   * Lists public rooms across every shard
+   */
+  async listRooms() {
+    const rooms = [];
+    this.liveShards().forEach(([, shard]) => {
+      shard.rooms.forEach((entry) => {
+        if (entry.visibility !== "private") rooms.push(withoutCode(entry));
+      });
+    });
+    return rooms;
+  }
+
+  /**
+   * Picks the shard a new room should go to - fewest players, then fewest
+   * rooms, among shards that have room for more
+   * @returns {Promise<Object|null>} { shardId, url }
+   */
+  async pickShard() {
+    let best = null;
+
+    this.liveShards().forEach(([shardId, shard]) => {
+      if (!shard.acceptingRooms) return;
+
+      const load = {
+        shardId,
+        url: shard.url,
+        players: shard.rooms.reduce((sum, room) => sum + room.playerCount, 0),
+        rooms: shard.rooms.length,
+      };
+      if (
+        !best ||
+        load.players < best.players ||
+        (load.players === best.players && load.rooms < best.rooms)
+      ) {
+        best = load;
+      }
+    });
+
+    return best && { shardId: best.shardId, url: best.url };
+  }
+
+  /**
+   * Gets shards that reported recently, dropping the rest
+   * @returns {Array} [shardId, shard] pairs
+   */
+  liveShards() {
+    const now = Date.now();
+    this.shards.forEach((shard, shardId) => {
+      if (now - shard.lastSeen > SHARD_TIMEOUT) {
+        this.shards.delete(shardId);
+        console.log(`[ShardCoordinator] Shard ${shardId} stopped reporting`);
+      }
+    });
+    return Array.from(this.shards);
+  }
+}
+
+/**
+ * Strips the invite code from a directory entry (it is only for lookups)
+ */
+function withoutCode(entry) {
+  const { inviteCode, ...room } = entry;
+  return room;
+}
+
+/**
+ * Talks to a ShardCoordinator hosted by another shard
+ */
+class RemoteShardCoordinator {
+  /**
+   * @param {string} baseUrl - URL of the shard hosting the coordinator
+   * @param {string} secret - SHARD_SECRET shared by all shards
+   */
+  constructor(baseUrl, secret) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "") + "/coordinator";
+    this.secret = secret;
+  }
+
+  async report(report) {
+    await this.request("POST", "/report", report);
+  }
+
+  async findRoom({ roomId, inviteCode }) {
+    const query = new URLSearchParams();
+    if (inviteCode) query.set("inviteCode", inviteCode);
+    else query.set("roomId", roomId);
+
+    const { owner } = await this.request("GET", `/room?${query}`);
+    return owner;
+  }
+
+  async listRooms() {
+    const { rooms } = await this.request("GET", "/rooms");
+    return rooms;
+  }
+
+  async pickShard() {
+    const { shard } = await this.request("GET", "/placement");
+    return shard;
+  }
+
+  /**
+   * Sends one request to the coordinator
+   * @returns {Promise<Object>} The JSON response
+   */
+  async request(method, path, body) {
+    const response = await fetch(this.baseUrl + path, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shard-Secret": this.secret,
+      },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Coordinator answered ${response.status}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Compares secrets without leaking how much matched through timing
+ */
+function secretMatches(given, expected) {
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Creates the /coordinator router other shards call
+ * @param {ShardCoordinator} coordinator - The directory to serve
+ * @param {string} secret - Every request must carry it in X-Shard-Secret
+ */
+function createCoordinatorRouter(coordinator, secret) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!secretMatches(req.get("X-Shard-Secret") || "", secret)) {
+      res.status(403).json({ error: "Wrong shard secret" });
+      return;
+    }
+    next();
+  });
+
+  router.use(express.json({ limit: "1mb" }));
+
+  router.post("/report", async (req, res) => {
+    const { shardId, url, acceptingRooms, rooms } = req.body || {};
+    if (
+      typeof shardId !== "string" ||
+      typeof url !== "string" ||
+      !Array.isArray(rooms)
+    ) {
+      res.status(400).json({ error: "Malformed report" });
+      return;
+    }
+
+    await coordinator.report({
+      shardId,
+      url,
+      acceptingRooms: !!acceptingRooms,
+      rooms,
+    });
+    res.json({ ok: true });
+  });
+
+  router.get("/room", async (req, res) => {
+    const { roomId, inviteCode } = req.query;
+    res.json({ owner: await coordinator.findRoom({ roomId, inviteCode }) });
+  });
+
+  router.get("/rooms", async (req, res) => {
+    res.json({ rooms: await coordinator.listRooms() });
+  });
+
+  router.get("/placement", async (req, res) => {
+    res.json({ shard: await coordinator.pickShard() });
+  });
+
+  return router;
+}
+
+module.exports = {
+  ShardCoordinator,
+  RemoteShardCoordinator,
+  createCoordinatorRouter,
+};
@@ -0,0 +1,94 @@
+/**
+ * SpatialGrid Class
+ * Buckets players into square cells (one chunk wide) so proximity queries
+ * only look at nearby cells instead of every player in the room
+ */
+
+class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "cx,cz" -> Set of entities
+    this.entityCells = new Map(); // entityId -> "cx,cz"
+  }
+
+  /**
+   * Gets the cell key for a world position
+   */
+  getCellKey(x, z) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(z / this.cellSize)}`;
+  }
+
+  /**
+   * Adds an entity ({ id, position }) or moves it to its current cell
+   */
+  update(entity) {
+    const key = this.getCellKey(entity.position.x, entity.position.z);
+    const oldKey = this.entityCells.get(entity.id);
+    if (oldKey === key) return;
+
+    if (oldKey !== undefined) {
+      this.removeFromCell(oldKey, entity);
+    }
+
+    if (!this.cells.has(key)) {
+      this.cells.set(key, new Set());
+    }
+    this.cells.get(key).add(entity);
+    this.entityCells.set(entity.id, key);
+  }
+
+  /**
+   * Removes an entity from the grid
+   */
+  remove(entity) {
+    const key = this.entityCells.get(entity.id);
+    if (key === undefined) return;
+
+    this.removeFromCell(key, entity);
+    this.entityCells.delete(entity.id);
+  }
+
+  /**
+   * Removes an entity from a cell, dropping the cell when it empties
+   */
+  removeFromCell(key, entity) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+
+    cell.delete(entity);
+    if (cell.size === 0) {
+      this.cells.delete(key);
+    }
+  }
+
+  /**
+   * Gets all entities within radius of a position
+   */
+  queryRadius(x, z, radius) {
+    const results = [];
+    const radiusSq = radius * radius;
+    const minCellX = Math.floor((x - radius) / this.cellSize);
+    const maxCellX = Math.floor((x + radius) / this.cellSize);
+    const minCellZ = Math.floor((z - radius) / this.cellSize);
+    const maxCellZ = Math.floor((z + radius) / this.cellSize);
+
+    for (let cx = minCellX; cx <= maxCellX; cx++) {
+      for (let cz = minCellZ; cz <= maxCellZ; cz++) {
+        const cell = this.cells.get(`${cx},${cz}`);
+        if (!cell) continue;
+
+        cell.forEach((entity) => {
+          const dx = entity.position.x - x;
+          const dz = entity.position.z - z;
+          if (dx * dx + dz * dz <= radiusSq) {
+            results.push(entity);
+          }
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = SpatialGrid;
@@ -0,0 +1,44 @@
+/**
+ * TokenBucket Class
+ * Rate limiter that allows short bursts up to capacity, then refills at a
+ * steady rate - used to throttle per-player actions like chat
+ */
+
+class TokenBucket {
+  /**
+   * @param {number} capacity - Most actions allowed in a burst
+   * @param {number} refillPerSecond - Tokens regained per second
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Adds the tokens earned since the last refill
+   */
+  refill(now) {
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + elapsed * this.refillPerSecond
+    );
+    this.lastRefill = now;
+  }
+
+  /**
+   * Takes tokens if there are enough
+   * @returns {boolean} true if the action is allowed
+   */
+  take(count = 1, now = Date.now()) {
+    this.refill(now);
+    if (this.tokens < count) return false;
+
+    this.tokens -= count;
+    return true;
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,60 @@
+/**
+ * WordFilter Class
+ * Default chat filter - masks blocked words with asterisks
+ * ChatManager accepts any object with clean(text), so this can be swapped
+ * for a stricter filter or an external moderation service
+ */
+
+const DEFAULT_BLOCKED_WORDS = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "cunt",
+  "dick",
+  "fuck",
+  "fucking",
+  "shit",
+  "slut",
+  "whore",
+];
+
+class WordFilter {
+  /**
+   * @param {string[]} words - Words to mask (whole words, case-insensitive)
+   */
+  constructor(words = DEFAULT_BLOCKED_WORDS) {
+    this.words = new Set(words.map((word) => word.toLowerCase()));
+    this.pattern = this.buildPattern();
+  }
+
+  /**
+   * Builds one regex matching any blocked word
+   */
+  buildPattern() {
+    if (this.words.size === 0) return null;
+
+    const escaped = Array.from(this.words, (word) =>
+      word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    );
+    return new RegExp(`\\b(${escaped.join("|")})\\b`, "gi");
+  }
+
+  /**
+   * Adds words to the filter
+   */
+  addWords(words) {
+    words.forEach((word) => this.words.add(word.toLowerCase()));
+    this.pattern = this.buildPattern();
+  }
+
+  /**
+   * Masks blocked words
+   * @returns {string|null} Cleaned text (null would reject the message)
+   */
+  clean(text) {
+    if (!this.pattern) return text;
+    return text.replace(this.pattern, (match) => "*".repeat(match.length));
+  }
+}
+
+module.exports = WordFilter;
@@ -1,15 +1,64 @@
 /**
  * Server Entry Point
  * Sets up Express server with Socket.io for multiplayer functionality
+ * Also serves /health, /metrics (Prometheus) and, when ADMIN_PASSWORD is
+ * set, the /admin page
+ *
+ * Set SHARD_ID (and SHARD_SECRET) to run as one of several processes sharing
+ * the rooms. The shard without COORDINATOR_URL hosts the coordinator and the
+ * default room; the others point COORDINATOR_URL at it. PUBLIC_URL is where
+ * browsers reach this process (redirects send players there).
+ *
+ * The town map (GAME_CONFIG.TOWN_MAP_FILE) is read on boot - the server
+ * won't start with a broken one, since its walls must match the browsers'.
  */
 
 const express = require("express");
+const fs = require("fs");
 const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 const GameServer = require("./GameServer");
+const RoomStore = require("./RoomStore");
+const { createAdminRouter } = require("./AdminRoutes");
+const {
+  ShardCoordinator,
+  RemoteShardCoordinator,
+  createCoordinatorRouter,
+} = require("./ShardCoordinator");
+const { GAME_CONFIG } = require("../client/js/utils/constants.js");
+const { parseTownMap } = require("../client/js/shared/TownMap.js");
 
 const PORT = process.env.PORT || 3000;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+const SHARD_ID = process.env.SHARD_ID || null;
+const SHARD_SECRET = process.env.SHARD_SECRET || null;
+const COORDINATOR_URL = process.env.COORDINATOR_URL || null;
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+// Rooms are saved here and restored on boot (one file per shard)
+const ROOM_STORE_PATH =
+  process.env.ROOM_STORE_PATH ||
+  path.join(
+    __dirname,
+    "../data",
+    SHARD_ID ? `rooms-${SHARD_ID}.json` : "rooms.json"
+  );
+// The same file browsers load, so collision walls match what they see
+const TOWN_MAP_PATH = path.join(
+  __dirname,
+  "../client",
+  GAME_CONFIG.TOWN_MAP_FILE
+);
+
+let townMap;
+try {
+  townMap = parseTownMap(JSON.parse(fs.readFileSync(TOWN_MAP_PATH, "utf8")));
+} catch (error) {
+  console.error(
+    `[Server] Could not load town map ${TOWN_MAP_PATH}: ${error.message}`
+  );
+  process.exit(1);
+}
 
 // Create Express app and HTTP server
 const app = express();
@@ -31,8 +80,78 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "../client/index.html"));
 });
 
+// Room sharding - this process owns some of the rooms, the coordinator
+// knows which process has the rest
+let shard = null;
+if (SHARD_ID) {
+  if (!SHARD_SECRET) {
+    console.error("[Server] SHARD_SECRET is required when SHARD_ID is set");
+    process.exit(1);
+  }
+
+  let coordinator;
+  if (COORDINATOR_URL) {
+    coordinator = new RemoteShardCoordinator(COORDINATOR_URL, SHARD_SECRET);
+  } else {
+    coordinator = new ShardCoordinator();
+    app.use("/coordinator", createCoordinatorRouter(coordinator, SHARD_SECRET));
+  }
+
+  shard = {
+    id: SHARD_ID,
+    url: PUBLIC_URL,
+    coordinator,
+    hostsDefaultRoom: !COORDINATOR_URL,
+  };
+}
+
 // Initialize game server with Socket.io instance
-const gameServer = new GameServer(io);
+const gameServer = new GameServer(io, {
+  townMap,
+  shard,
+  store: new RoomStore(ROOM_STORE_PATH),
+});
+
+// Save rooms before exiting so nothing since the last snapshot is lost
+let shuttingDown = false;
+const shutdown = (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(`[Server] ${signal} received - saving rooms`);
+  gameServer.saveRooms().finally(() => process.exit(0));
+};
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+// Liveness check for load balancers and uptime monitors
+app.get("/health", (req, res) => {
+  const stats = gameServer.getStats();
+  res.json({
+    status: "ok",
+    shard: SHARD_ID,
+    uptime: Math.round(process.uptime()),
+    tick: stats.tick,
+    rooms: stats.rooms,
+    players:
+      stats.playersByWorldState.normal + stats.playersByWorldState.upsideDown,
+    lastTickMs: gameServer.metrics.lastTickDuration * 1000,
+  });
+});
+
+// Prometheus scrape endpoint
+app.get("/metrics", (req, res) => {
+  res
+    .type("text/plain; version=0.0.4")
+    .send(gameServer.metrics.render(gameServer.getStats()));
+});
+
+// Admin page (rooms, players, kick, announce) - off unless a password is set
+if (ADMIN_PASSWORD) {
+  app.use("/admin", createAdminRouter(gameServer, ADMIN_PASSWORD));
+} else {
+  console.log("[Server] /admin disabled - set ADMIN_PASSWORD to enable it");
+}
 
 // Start listening
 server.listen(PORT, () => {